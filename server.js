@@ -1,81 +1,27 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import rateLimit from 'express-rate-limit';
+import datasetRoutes, { sendApiError } from './server/datasetRoutes.js';
+import aggregateRoutes from './server/aggregateRoutes.js';
+import { invalidateDataset, isKnownDataset } from './server/datasetStore.js';
+import { fetchDriveFile, findDatasetByFileId, readDatasetFile, watchLocalSources } from './server/dataSources.js';
+import { MISSING_SECRET_MESSAGE, authenticate, isAuthEnabled, requireAuth } from './server/auth.js';
+import authRoutes from './server/authRoutes.js';
+import presetRoutes from './server/presetRoutes.js';
+import { hasFullDataAccess, redactCsv, requireDatasetAccess } from './server/permissions.js';
+import { canOpenPage, canReadDataset, getHiddenColumns } from './src/config/permissions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
-// HTTP Basic Auth with role-based access
-// AUTH_USER/AUTH_PASS = full access
-// GUEST_USER/GUEST_PASS = limited access (reading, movies, podcasts, shows only)
-const users = {};
-if (process.env.AUTH_USER && process.env.AUTH_PASS) {
-    users[process.env.AUTH_USER] = { pass: process.env.AUTH_PASS, role: 'admin' };
-}
-if (process.env.GUEST_USER && process.env.GUEST_PASS) {
-    users[process.env.GUEST_USER] = { pass: process.env.GUEST_PASS, role: 'guest' };
-}
-
-// Pages allowed for guest users
-const GUEST_ALLOWED_PAGES = ['/', '/reading', '/movies', '/podcasts', '/shows'];
-
-if (process.env.NODE_ENV === 'production' && Object.keys(users).length > 0) {
-    app.use((req, res, next) => {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Basic ')) {
-            res.setHeader('WWW-Authenticate', 'Basic realm="LifeLog Dashboard"');
-            return res.status(401).send('Authentication required');
-        }
-
-        const base64Credentials = authHeader.split(' ')[1];
-        const credentials = Buffer.from(base64Credentials, 'base64').toString('utf8');
-        const [username, password] = credentials.split(':');
-
-        const user = users[username];
-        if (user && user.pass === password) {
-            req.userRole = user.role;
-            return next();
-        }
-
-        res.setHeader('WWW-Authenticate', 'Basic realm="LifeLog Dashboard"');
-        return res.status(401).send('Invalid credentials');
-    });
-
-    // Role-based page access (check before serving static files)
-    app.use((req, res, next) => {
-        // Skip API routes - they're handled separately
-        if (req.path.startsWith('/api/')) {
-            return next();
-        }
-
-        // Admin has full access
-        if (req.userRole === 'admin') {
-            return next();
-        }
-
-        // Guest: check if page is allowed
-        if (req.userRole === 'guest') {
-            const isAllowed = GUEST_ALLOWED_PAGES.some(page =>
-                req.path === page || req.path.startsWith(page + '/')
-            );
-            // Also allow static assets (js, css, images, fonts)
-            const isStaticAsset = /\.(js|css|png|jpg|jpeg|gif|svg|ico|woff|woff2|ttf|eot)$/i.test(req.path);
-
-            if (isAllowed || isStaticAsset) {
-                return next();
-            }
-
-            return res.status(403).send('Access denied - this page is not available for guest accounts');
-        }
-
-        next();
-    });
+// Signed session cookies need a secret as soon as users are configured
+if (isAuthEnabled() && !process.env.SESSION_SECRET) {
+    console.error(MISSING_SECRET_MESSAGE);
+    process.exit(1);
 }
 
 // CORS configuration - restrict to allowed origin in production
@@ -86,55 +32,69 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Rate limiting for API endpoints
+// Read endpoints get a generous budget: in remote mode every chart sends its own
+// /api/aggregate request on each filter change. Logins have their own strict
+// limiter (server/authRoutes.js).
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: 3000, // limit each IP to 3000 requests per windowMs (200 per minute)
   message: 'Too many requests, please try again later.'
 });
 app.use('/api/', limiter);
 
-// API endpoint to get current user role and allowed pages
-app.get('/api/user-info', (req, res) => {
-    // In development, return admin role
-    if (process.env.NODE_ENV !== 'production') {
-        return res.json({ role: 'admin', allowedPages: null });
+// Session authentication: users file with scrypt hashes and signed cookies (see server/auth.js)
+app.use(authenticate);
+
+// Per-user page access (check before serving static files)
+app.use((req, res, next) => {
+    // Skip API routes - they're handled separately
+    if (req.path.startsWith('/api/')) {
+        return next();
+    }
+
+    // Signed-out visitors get the app, which shows the login page
+    if (!req.user || req.path === '/login') {
+        return next();
     }
 
-    // Return guest restrictions
-    if (req.userRole === 'guest') {
-        return res.json({
-            role: 'guest',
-            allowedPages: GUEST_ALLOWED_PAGES
-        });
+    // Also allow static assets (js, css, images, fonts)
+    const isStaticAsset = /\.(js|css|png|jpg|jpeg|gif|svg|ico|woff|woff2|ttf|eot)$/i.test(req.path);
+    if (isStaticAsset || canOpenPage(req.user.permissions, req.path)) {
+        return next();
     }
 
-    // Admin has full access
-    return res.json({ role: 'admin', allowedPages: null });
+    return res.status(403).send('Access denied - this page is not available for your account');
 });
 
+// Login, logout and current user (public), every other API route requires a session
+app.use('/api/auth', authRoutes);
+app.use('/api', requireAuth);
+
 // API endpoint for Google Drive files
 app.get('/api/google-drive/:fileId', async (req, res) => {
-    try {
-        const fileId = req.params.fileId;
+    const fileId = req.params.fileId;
+    const { permissions } = req.user;
+
+    // Files are matched to datasets through the VITE_*_FILE_ID variables, so the
+    // server needs them as soon as some users have restricted data access
+    const name = findDatasetByFileId(fileId);
+    const allowed = name ? canReadDataset(permissions, name) : hasFullDataAccess(permissions);
+    if (!allowed) {
+        return res.status(403).send('Access denied - this file is not available for your account');
+    }
 
+    try {
         // Only log in development
         if (process.env.NODE_ENV !== 'production') {
             console.log(`Fetching Google Drive file: ${fileId}`);
         }
 
-        const response = await axios({
-            url: `https://drive.google.com/uc?export=download&id=${fileId}`,
-            method: 'GET',
-            responseType: 'text',
-            timeout: 60000, // 60 seconds timeout
-            maxContentLength: 100 * 1024 * 1024, // 100MB max
-            maxBodyLength: 100 * 1024 * 1024 // 100MB max
-        });
+        const fileContents = await fetchDriveFile(fileId);
 
         if (process.env.NODE_ENV !== 'production') {
-            console.log(`Successfully fetched file ${fileId}, size: ${response.data.length} characters`);
+            console.log(`Successfully fetched file ${fileId}, size: ${fileContents.length} characters`);
         }
-        res.send(response.data);
+        res.send(name ? redactCsv(fileContents, getHiddenColumns(permissions, name)) : fileContents);
     } catch (error) {
         console.error(`Error fetching file:`, error.message);
         if (error.code === 'ECONNABORTED') {
@@ -147,6 +107,35 @@ app.get('/api/google-drive/:fileId', async (req, res) => {
     }
 });
 
+// Raw dataset files from the configured source (local directory, HTTP URL or Drive)
+// Used by the front-end when VITE_DATA_SOURCE=server
+app.get('/api/files/:name', requireDatasetAccess, async (req, res) => {
+    const { name } = req.params;
+    if (!isKnownDataset(name)) {
+        return res.status(404).json({ error: `Unknown dataset: ${name}` });
+    }
+
+    try {
+        const fileContents = await readDatasetFile(name);
+        res.type('text/csv').send(redactCsv(fileContents, getHiddenColumns(req.user.permissions, name)));
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+// Drop parsed copies of local files as soon as they change on disk
+watchLocalSources(name => {
+    console.log(`Data file changed: ${name}`);
+    invalidateDataset(name);
+});
+
+// Parsed, queryable datasets (JSON) and chart aggregates
+app.use('/api/datasets', datasetRoutes);
+app.use('/api/aggregate', aggregateRoutes);
+
+// Saved filter presets of the signed-in user
+app.use('/api/presets', presetRoutes);
+
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
     app.use(express.static(path.join(__dirname, 'dist')));
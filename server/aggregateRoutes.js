@@ -0,0 +1,28 @@
+// server/aggregateRoutes.js
+// Aggregate API: /api/aggregate/:name groups and aggregates a dataset for charts.
+import express from 'express';
+import { DATASETS } from '../src/config/datasets.js';
+import { getDatasetRows, isKnownDataset } from './datasetStore.js';
+import { redactRowsFor, requireDatasetAccess } from './permissions.js';
+import { runAggregateQuery } from './queryUtils.js';
+import { sendApiError } from './datasetRoutes.js';
+
+const router = express.Router();
+
+// GET /api/aggregate/:name - grouped and bucketed values (see queryUtils for parameters)
+router.get('/:name', requireDatasetAccess, async (req, res) => {
+    const { name } = req.params;
+    if (!isKnownDataset(name)) {
+        return res.status(404).json({ error: `Unknown dataset: ${name}` });
+    }
+
+    try {
+        // Hidden columns are removed first, so they can't be grouped, filtered or aggregated
+        const rows = redactRowsFor(req, name, await getDatasetRows(name));
+        res.json(runAggregateQuery(rows, req.query, DATASETS[name]));
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+export default router;
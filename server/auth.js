@@ -0,0 +1,226 @@
+// server/auth.js
+// Users file, scrypt password hashes and signed session cookies.
+//
+// Configuration (environment variables):
+//   USERS_FILE=users.json          - users file (manage it with `npm run users`)
+//   SESSION_SECRET=...             - secret used to sign session cookies (required when users exist)
+//   SESSION_MAX_AGE_MS=604800000   - session lifetime (default: 7 days)
+//
+// Users file format (roles and per-user permissions: see server/permissions.js):
+//   { "users": { "alice": { "role": "admin", "passwordHash": "scrypt$<salt>$<hash>" } } }
+//
+// Authentication is enforced as soon as the users file defines at least one user.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { ROLES, resolvePermissions } from './permissions.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = 'lifelog_session';
+export const USERS_FILE = path.resolve(process.env.USERS_FILE || 'users.json');
+
+export const SESSION_MAX_AGE_MS = parseInt(process.env.SESSION_MAX_AGE_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+// ============================================================================
+// PASSWORDS
+// ============================================================================
+
+/**
+ * Hashes a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} 'scrypt$<salt>$<hash>' (hex)
+ */
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash returned by hashPassword
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = async (password, storedHash) => {
+    const [scheme, salt, hash] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// ============================================================================
+// USERS FILE
+// ============================================================================
+
+// Parsed users file, reloaded when the file changes
+let usersCache = { mtimeMs: null, content: {} };
+
+// Reads the whole users file ({ users, roles }), empty when the file is missing
+const loadUsersFile = () => {
+    try {
+        const { mtimeMs } = fs.statSync(USERS_FILE);
+        if (mtimeMs !== usersCache.mtimeMs) {
+            usersCache = { mtimeMs, content: JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')) };
+        }
+        return usersCache.content;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Cannot read users file ${USERS_FILE}:`, error.message);
+        }
+        return {};
+    }
+};
+
+/**
+ * Reads the users file
+ * @returns {Object} { username: { role, passwordHash, permissions? } }, empty when the file is missing
+ */
+export const loadUsers = () => loadUsersFile().users || {};
+
+/**
+ * Returns the built-in roles merged with the roles declared in the users file
+ * @returns {Object} { role: { pages, datasets, hiddenColumns } }
+ */
+export const getRoles = () => ({ ...ROLES, ...(loadUsersFile().roles || {}) });
+
+/**
+ * Returns a role definition
+ * @param {string} name - Role name
+ * @returns {Object|null} { pages, datasets, hiddenColumns }, null for unknown roles
+ */
+export const getRole = (name) => {
+    const roles = getRoles();
+    return Object.prototype.hasOwnProperty.call(roles, name) ? roles[name] : null;
+};
+
+/**
+ * Writes the users file (other sections, such as roles, are kept)
+ * @param {Object} users - { username: { role, passwordHash, permissions? } }
+ */
+export const saveUsers = (users) => {
+    const content = { ...loadUsersFile(), users };
+    fs.writeFileSync(USERS_FILE, `${JSON.stringify(content, null, 2)}\n`, { mode: 0o600 });
+};
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+export const MISSING_SECRET_MESSAGE = 'SESSION_SECRET must be set when the users file defines users';
+
+const getSecret = () => {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret) {
+        throw new Error(MISSING_SECRET_MESSAGE);
+    }
+    return secret;
+};
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+/**
+ * Creates a signed session token
+ * @param {Object} user - { username, role }
+ * @returns {string} '<payload>.<signature>'
+ */
+export const createSessionToken = ({ username, role }) => {
+    const payload = Buffer.from(JSON.stringify({
+        username,
+        role,
+        expiresAt: Date.now() + SESSION_MAX_AGE_MS
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verifies a session token
+ * @param {string} token - Cookie value
+ * @returns {Object|null} { username, role } or null when invalid or expired
+ */
+export const readSessionToken = (token) => {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const { username, role, expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return expiresAt > Date.now() ? { username, role } : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Cookie options for the session cookie (without maxAge, so they also clear it)
+ * @returns {Object} Express cookie options
+ */
+export const sessionCookieOptions = () => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/'
+});
+
+// Minimal Cookie header parser (only the session cookie is needed)
+const getCookie = (req, name) => {
+    const header = req.headers.cookie;
+    if (!header) return null;
+    const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+/**
+ * Returns true when at least one user is configured
+ * @returns {boolean}
+ */
+export const isAuthEnabled = () => Object.keys(loadUsers()).length > 0;
+
+// Logged once: users may be added while the server runs without a secret
+let missingSecretReported = false;
+
+/**
+ * Middleware: resolves req.user ({ username, role, permissions }) from the session cookie.
+ * Without configured users, everyone is treated as admin (local development).
+ * Answers 503 while users exist but SESSION_SECRET is missing.
+ */
+export const authenticate = (req, res, next) => {
+    if (!isAuthEnabled()) {
+        req.user = { username: null, role: 'admin', permissions: resolvePermissions(ROLES.admin) };
+        return next();
+    }
+
+    if (!process.env.SESSION_SECRET) {
+        if (!missingSecretReported) {
+            console.error(`${MISSING_SECRET_MESSAGE}, restart the server with it`);
+            missingSecretReported = true;
+        }
+        return res.status(503).json({ error: 'Authentication is not configured on the server (SESSION_SECRET is missing)' });
+    }
+
+    const session = readSessionToken(getCookie(req, SESSION_COOKIE));
+    // Sessions of deleted users or users whose role changed are dropped
+    const user = session && loadUsers()[session.username];
+    const role = user && user.role === session.role ? getRole(user.role) : null;
+    // Permissions are resolved on every request, so edits to the users file apply immediately
+    req.user = role ? { ...session, permissions: resolvePermissions(role, user.permissions) } : null;
+    next();
+};
+
+/**
+ * Middleware: rejects API requests without a valid session
+ */
+export const requireAuth = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+};
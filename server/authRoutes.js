@@ -0,0 +1,74 @@
+// server/authRoutes.js
+// Session API: /api/auth/login, /api/auth/logout and /api/auth/me.
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import {
+    SESSION_COOKIE,
+    SESSION_MAX_AGE_MS,
+    createSessionToken,
+    getRole,
+    isAuthEnabled,
+    loadUsers,
+    sessionCookieOptions,
+    verifyPassword
+} from './auth.js';
+import { resolvePermissions } from './permissions.js';
+
+const router = express.Router();
+
+// Slow down password guessing
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 login attempts per IP per window
+    message: { error: 'Too many login attempts, please try again later.' }
+});
+
+// Public description of the signed-in user, permissions drive navigation in the front-end
+const describeUser = (user) => ({
+    username: user.username,
+    role: user.role,
+    permissions: user.permissions
+});
+
+// POST /api/auth/login - { username, password } -> sets the session cookie
+router.post('/login', loginLimiter, express.json(), async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const users = loadUsers();
+    const user = Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+    const valid = user ? await verifyPassword(password, user.passwordHash) : false;
+    if (!valid) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const role = getRole(user.role);
+    if (!role) {
+        return res.status(403).json({ error: `Unknown role "${user.role}" for this account` });
+    }
+
+    const sessionUser = { username, role: user.role };
+    res.cookie(SESSION_COOKIE, createSessionToken(sessionUser), {
+        ...sessionCookieOptions(),
+        maxAge: SESSION_MAX_AGE_MS
+    });
+    res.json({ user: describeUser({ ...sessionUser, permissions: resolvePermissions(role, user.permissions) }) });
+});
+
+// POST /api/auth/logout - clears the session cookie
+router.post('/logout', (req, res) => {
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+    res.json({ ok: true });
+});
+
+// GET /api/auth/me - the signed-in user, 401 without a valid session
+router.get('/me', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    res.json({ user: describeUser(req.user), authEnabled: isAuthEnabled() });
+});
+
+export default router;
@@ -0,0 +1,175 @@
+// server/dataSources.js
+// Resolves where each dataset file comes from: a local directory, an HTTP URL or Google Drive.
+//
+// Configuration (environment variables):
+//   DATA_SOURCE=drive|local|http   - source used for every dataset (default: drive)
+//   DATA_SOURCE_<DATASET>=local    - per-dataset override, e.g. DATA_SOURCE_HEALTH_DAILY=local
+//   DATA_DIR=./data                - local: directory holding <dataset>.csv (e.g. data/music.csv)
+//   DATA_BASE_URL=https://host/csv - http: files are fetched from <base>/<dataset>.csv
+//   DATA_URL_<DATASET>=https://... - http: full URL for one dataset
+//   VITE_<...>_FILE_ID             - drive: file id, same variables as the front-end (fileIdEnv)
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { DATASETS, getDataset } from '../src/config/datasets.js';
+
+export const SOURCE_TYPES = ['drive', 'local', 'http'];
+
+const DEFAULT_SOURCE = process.env.DATA_SOURCE || 'drive';
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+// Local files are often rewritten in several steps, wait for writes to settle
+const WATCH_DEBOUNCE_MS = 500;
+
+const HTTP_OPTIONS = {
+    method: 'GET',
+    responseType: 'text',
+    timeout: 60000, // 60 seconds timeout
+    maxContentLength: 100 * 1024 * 1024, // 100MB max
+    maxBodyLength: 100 * 1024 * 1024 // 100MB max
+};
+
+// Dataset key to env suffix: healthDaily -> HEALTH_DAILY
+const toEnvSuffix = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+const configError = (message) => {
+    const error = new Error(message);
+    error.status = 503;
+    return error;
+};
+
+/**
+ * Downloads a file from Google Drive as text
+ * @param {string} fileId - Google Drive file id
+ * @returns {Promise<string>} File contents
+ */
+export const fetchDriveFile = async (fileId) => {
+    const response = await axios({
+        ...HTTP_OPTIONS,
+        url: `https://drive.google.com/uc?export=download&id=${fileId}`
+    });
+    return response.data;
+};
+
+/**
+ * Returns the source type configured for a dataset
+ * @param {string} name - Dataset key
+ * @returns {string} 'drive' | 'local' | 'http'
+ */
+export const getSourceType = (name) => {
+    const type = process.env[`DATA_SOURCE_${toEnvSuffix(name)}`] || DEFAULT_SOURCE;
+    if (!SOURCE_TYPES.includes(type)) {
+        throw configError(`Unknown data source "${type}" for ${name}, expected ${SOURCE_TYPES.join(', ')}`);
+    }
+    return type;
+};
+
+/**
+ * Returns the path of a dataset file in the local data directory
+ * @param {string} name - Dataset key
+ * @returns {string} Absolute file path
+ */
+export const getLocalPath = (name) => path.join(DATA_DIR, `${name}.csv`);
+
+const getHttpUrl = (name) => {
+    const url = process.env[`DATA_URL_${toEnvSuffix(name)}`]
+        || (process.env.DATA_BASE_URL && `${process.env.DATA_BASE_URL.replace(/\/$/, '')}/${name}.csv`);
+    if (!url) {
+        throw configError(`URL not configured for ${name}, set DATA_BASE_URL or DATA_URL_${toEnvSuffix(name)}`);
+    }
+    return url;
+};
+
+// Resolve the Drive file id from the same env variables the front-end uses
+const getFileId = (name) => {
+    const fileId = process.env[getDataset(name).fileIdEnv];
+    if (!fileId) {
+        throw configError(`File ID not configured for ${name}`);
+    }
+    return fileId;
+};
+
+/**
+ * Finds the dataset whose Drive file id (VITE_*_FILE_ID) matches
+ * @param {string} fileId - Google Drive file id
+ * @returns {string|null} Dataset key, null when no dataset uses the file
+ */
+export const findDatasetByFileId = (fileId) =>
+    Object.keys(DATASETS).find(name => process.env[DATASETS[name].fileIdEnv] === fileId) || null;
+
+const readLocalFile = async (name) => {
+    try {
+        return await fs.promises.readFile(getLocalPath(name), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            const notFound = new Error(`Data file not found for ${name}: ${getLocalPath(name)}`);
+            notFound.status = 404;
+            throw notFound;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Reads the raw CSV text of a dataset from its configured source
+ * @param {string} name - Dataset key
+ * @returns {Promise<string>} File contents
+ */
+export const readDatasetFile = async (name) => {
+    switch (getSourceType(name)) {
+        case 'local':
+            return readLocalFile(name);
+        case 'http': {
+            const response = await axios({ ...HTTP_OPTIONS, url: getHttpUrl(name) });
+            return response.data;
+        }
+        default:
+            return fetchDriveFile(getFileId(name));
+    }
+};
+
+/**
+ * Watches the local data directory and reports changed dataset files.
+ * Does nothing when no dataset uses the local source.
+ * @param {Function} onChange - Called with the dataset key of each changed file
+ * @returns {Function} Stops watching
+ */
+export const watchLocalSources = (onChange) => {
+    const localNames = Object.keys(DATASETS).filter(name => {
+        try {
+            return getSourceType(name) === 'local';
+        } catch {
+            return false;
+        }
+    });
+    if (localNames.length === 0) return () => {};
+
+    const namesByFile = new Map(localNames.map(name => [`${name}.csv`, name]));
+    const timers = new Map();
+
+    let watcher;
+    try {
+        // Watch the directory rather than each file, editors and exports replace files on save
+        watcher = fs.watch(DATA_DIR, (eventType, filename) => {
+            const name = filename && namesByFile.get(filename.toString());
+            if (!name) return;
+
+            clearTimeout(timers.get(name));
+            timers.set(name, setTimeout(() => {
+                timers.delete(name);
+                onChange(name);
+            }, WATCH_DEBOUNCE_MS));
+        });
+    } catch (error) {
+        console.warn(`Cannot watch data directory ${DATA_DIR}:`, error.message);
+        return () => {};
+    }
+
+    watcher.on('error', error => console.warn('Data directory watcher failed:', error.message));
+    console.log(`Watching ${DATA_DIR} for changes to ${localNames.length} dataset file(s)`);
+
+    return () => {
+        timers.forEach(timer => clearTimeout(timer));
+        watcher.close();
+    };
+};
@@ -0,0 +1,60 @@
+// server/datasetRoutes.js
+// JSON data API: /api/datasets lists datasets, /api/datasets/:name queries one.
+import express from 'express';
+import { DATASETS } from '../src/config/datasets.js';
+import { canReadDataset, getHiddenColumns } from '../src/config/permissions.js';
+import { getDatasetRows, isKnownDataset } from './datasetStore.js';
+import { redactRowsFor, requireDatasetAccess } from './permissions.js';
+import { runDatasetQuery } from './queryUtils.js';
+
+const router = express.Router();
+
+/**
+ * Sends an API error, mapping known failures to HTTP status codes
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while handling the request
+ */
+export const sendApiError = (res, error) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Data API error:', error.message);
+    if (error.code === 'ECONNABORTED') {
+        return res.status(504).json({ error: 'Request timeout - file too large or connection slow' });
+    }
+    return res.status(502).json({ error: error.message });
+};
+
+// GET /api/datasets - datasets readable by the user and their date columns
+router.get('/', (req, res) => {
+    const { permissions } = req.user;
+    const visible = (name, keys) => keys.filter(key => !getHiddenColumns(permissions, name).includes(key));
+
+    res.json({
+        datasets: Object.entries(DATASETS)
+            .filter(([name]) => canReadDataset(permissions, name))
+            .map(([name, dataset]) => ({
+                name,
+                dateColumn: dataset.dateColumn || null,
+                columns: visible(name, Object.keys(dataset.columns || {})),
+                derived: visible(name, Object.keys(dataset.derived || {}))
+            }))
+    });
+});
+
+// GET /api/datasets/:name - filtered, sorted, paginated rows
+router.get('/:name', requireDatasetAccess, async (req, res) => {
+    const { name } = req.params;
+    if (!isKnownDataset(name)) {
+        return res.status(404).json({ error: `Unknown dataset: ${name}` });
+    }
+
+    try {
+        const rows = redactRowsFor(req, name, await getDatasetRows(name));
+        res.json(runDatasetQuery(rows, req.query, DATASETS[name]));
+    } catch (error) {
+        sendApiError(res, error);
+    }
+});
+
+export default router;
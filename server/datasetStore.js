@@ -0,0 +1,81 @@
+// server/datasetStore.js
+// Reads, parses and caches datasets in memory so API endpoints can query
+// them without the browser downloading full files.
+import { DATASETS } from '../src/config/datasets.js';
+import { parseDatasetText } from '../src/utils/datasetParser.js';
+import { readDatasetFile } from './dataSources.js';
+
+// Parsed datasets are reused for this long before being read again
+const CACHE_TTL_MS = parseInt(process.env.DATASET_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+
+// name -> { rows, loadedAt } once loaded, { promise } while loading
+const cache = new Map();
+
+// name -> number of invalidations, so loads started before one do not cache old rows
+const generations = new Map();
+
+/**
+ * Returns true if the dataset exists in the registry
+ * @param {string} name - Dataset key
+ * @returns {boolean}
+ */
+export const isKnownDataset = (name) => Object.prototype.hasOwnProperty.call(DATASETS, name);
+
+const loadDataset = async (name) => {
+    const csvText = await readDatasetFile(name);
+    const rows = await parseDatasetText(csvText, name);
+
+    if (process.env.NODE_ENV !== 'production') {
+        console.log(`Parsed dataset ${name}: ${rows.length} rows`);
+    }
+    return rows;
+};
+
+/**
+ * Returns the parsed rows of a dataset, loading it on first use or when the cache expired
+ * @param {string} name - Dataset key
+ * @returns {Promise<Array>} Parsed rows (shared, do not mutate)
+ */
+export const getDatasetRows = async (name) => {
+    const entry = cache.get(name);
+    if (entry?.promise) return entry.promise;
+    if (entry?.rows && Date.now() - entry.loadedAt < CACHE_TTL_MS) return entry.rows;
+
+    const generation = generations.get(name) || 0;
+    const isInvalidated = () => (generations.get(name) || 0) !== generation;
+
+    const promise = loadDataset(name)
+        .then(rows => {
+            // The file changed during the load: answer the waiting requests, cache nothing
+            if (!isInvalidated()) {
+                cache.set(name, { rows, loadedAt: Date.now() });
+            }
+            return rows;
+        })
+        .catch(error => {
+            if (isInvalidated()) throw error;
+            // Keep serving stale rows if a refresh fails (retry after another TTL)
+            if (entry?.rows) {
+                console.error(`Refreshing ${name} failed, serving cached rows:`, error.message);
+                cache.set(name, { rows: entry.rows, loadedAt: Date.now() });
+                return entry.rows;
+            }
+            cache.delete(name);
+            throw error;
+        });
+
+    cache.set(name, { ...entry, promise });
+    return promise;
+};
+
+/**
+ * Drops cached rows so the next request reloads the dataset
+ * @param {string} [name] - Dataset key, all datasets when omitted
+ */
+export const invalidateDataset = (name) => {
+    const names = name ? [name] : [...cache.keys()];
+    names.forEach(key => {
+        generations.set(key, (generations.get(key) || 0) + 1);
+        cache.delete(key);
+    });
+};
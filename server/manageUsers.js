@@ -0,0 +1,111 @@
+// server/manageUsers.js
+// Command line management of the users file.
+//
+// Usage:
+//   npm run users -- add <username> <role>     (prompts for the password)
+//   npm run users -- passwd <username>
+//   npm run users -- remove <username>
+//   npm run users -- list
+//
+// Roles and per-user permissions are edited in the users file (see server/permissions.js).
+import readline from 'readline';
+import { Writable } from 'stream';
+import {
+    MISSING_SECRET_MESSAGE,
+    USERS_FILE,
+    getRole,
+    getRoles,
+    hashPassword,
+    loadUsers,
+    saveUsers
+} from './auth.js';
+
+// Echo of the typed characters, muted while a password is typed
+let echoMuted = false;
+const echo = new Writable({
+    write(chunk, encoding, callback) {
+        if (!echoMuted) process.stdout.write(chunk, encoding);
+        callback();
+    }
+});
+
+const rl = readline.createInterface({ input: process.stdin, output: echo, terminal: Boolean(process.stdin.isTTY) });
+// Buffered line reader, so piped input works as well as typing
+const lines = rl[Symbol.asyncIterator]();
+
+const ask = async (question) => {
+    process.stdout.write(question);
+    const { value = '' } = await lines.next();
+    return value;
+};
+
+// Same as ask, without showing what is typed
+const askSecret = async (question) => {
+    echoMuted = true;
+    try {
+        return await ask(question);
+    } finally {
+        echoMuted = false;
+        // The muted echo swallowed the line break
+        if (process.stdin.isTTY) process.stdout.write('\n');
+    }
+};
+
+const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+};
+
+const promptPassword = async () => {
+    const password = await askSecret('Password: ');
+    if (password.length < 8) fail('Password must be at least 8 characters');
+    const confirmation = await askSecret('Confirm password: ');
+    if (password !== confirmation) fail('Passwords do not match');
+    return password;
+};
+
+const main = async () => {
+    const [command, username, role] = process.argv.slice(2);
+    const users = { ...loadUsers() };
+
+    switch (command) {
+        case 'add': {
+            if (!username || !role) fail('Usage: add <username> <role>');
+            if (!getRole(role)) {
+                fail(`Unknown role "${role}", expected ${Object.keys(getRoles()).join(', ')}`);
+            }
+            if (users[username]) fail(`User ${username} already exists`);
+            users[username] = { role, passwordHash: await hashPassword(await promptPassword()) };
+            saveUsers(users);
+            console.log(`Added ${username} (${role}) to ${USERS_FILE}`);
+            // The first user turns authentication on, including in a running server
+            if (!process.env.SESSION_SECRET) {
+                console.warn(`Warning: ${MISSING_SECRET_MESSAGE}; the server answers 503 until it is started with one`);
+            }
+            break;
+        }
+        case 'passwd': {
+            if (!users[username]) fail(`Unknown user ${username}`);
+            users[username] = { ...users[username], passwordHash: await hashPassword(await promptPassword()) };
+            saveUsers(users);
+            console.log(`Updated password of ${username}`);
+            break;
+        }
+        case 'remove': {
+            if (!users[username]) fail(`Unknown user ${username}`);
+            delete users[username];
+            saveUsers(users);
+            console.log(`Removed ${username}`);
+            break;
+        }
+        case 'list':
+            Object.entries(users).forEach(([name, user]) => {
+                console.log(`${name}\t${user.role}${user.permissions ? '\t(custom permissions)' : ''}`);
+            });
+            break;
+        default:
+            fail('Usage: add <username> <role> | passwd <username> | remove <username> | list');
+    }
+};
+
+main().finally(() => rl.close());
@@ -0,0 +1,118 @@
+// server/permissions.js
+// Role permissions, per-user overrides and column redaction.
+//
+// Each role grants pages, datasets and hidden columns (see src/config/permissions.js).
+// The users file can add or override roles and adjust single users:
+//   {
+//     "roles": {
+//       "family": { "pages": ["/", "/health"], "datasets": ["healthDaily"],
+//                   "hiddenColumns": { "healthDaily": ["dream_description"] } }
+//     },
+//     "users": {
+//       "bob": { "role": "admin", "passwordHash": "...",
+//                "permissions": { "hiddenColumns": { "finance": ["corrected_eur"] } } }
+//     }
+//   }
+//
+// A role without `pages` or `datasets` grants all of them. User `pages` and `datasets`
+// replace the role's lists, user `hiddenColumns` are added to the role's.
+// Derived columns computed from a hidden column are not hidden automatically, list them too.
+import Papa from 'papaparse';
+import _ from 'lodash';
+import { canReadDataset, getHiddenColumns } from '../src/config/permissions.js';
+import { CSV_DELIMITER } from '../src/utils/datasetParser.js';
+
+export const ROLES = {
+    admin: { pages: null, datasets: null, hiddenColumns: {} },
+    guest: {
+        pages: ['/', '/reading', '/movies', '/podcasts', '/shows'],
+        datasets: ['readingBooks', 'readingSessions', 'movies', 'podcasts', 'shows', 'tracking'],
+        hiddenColumns: {}
+    }
+};
+
+/**
+ * Combines a role with a user's overrides
+ * @param {Object} role - Role definition { pages, datasets, hiddenColumns }
+ * @param {Object} [overrides] - User `permissions` from the users file
+ * @returns {Object} Permission set { pages, datasets, hiddenColumns }
+ */
+export const resolvePermissions = (role, overrides = {}) => {
+    const hiddenColumns = { ...(role.hiddenColumns || {}) };
+    Object.entries(overrides.hiddenColumns || {}).forEach(([name, columns]) => {
+        hiddenColumns[name] = _.union(hiddenColumns[name] || [], columns);
+    });
+
+    return {
+        pages: overrides.pages !== undefined ? overrides.pages : (role.pages ?? null),
+        datasets: overrides.datasets !== undefined ? overrides.datasets : (role.datasets ?? null),
+        hiddenColumns
+    };
+};
+
+/**
+ * Returns true when the permissions grant every dataset without hidden columns
+ * @param {Object} permissions - Resolved permission set
+ * @returns {boolean}
+ */
+export const hasFullDataAccess = (permissions) =>
+    permissions.datasets === null && Object.values(permissions.hiddenColumns).every(columns => columns.length === 0);
+
+/**
+ * Middleware: rejects requests for a dataset (req.params.name) the user can't read
+ */
+export const requireDatasetAccess = (req, res, next) => {
+    if (!canReadDataset(req.user.permissions, req.params.name)) {
+        return res.status(403).json({ error: `Access denied to dataset ${req.params.name}` });
+    }
+    next();
+};
+
+// ============================================================================
+// REDACTION
+// ============================================================================
+
+// rows -> Map(hidden columns key -> redacted rows), dropped with the cached rows
+const redactedRows = new WeakMap();
+
+/**
+ * Removes hidden columns from parsed rows
+ * @param {Array} rows - Cached dataset rows (shared, not mutated)
+ * @param {Array<string>} columns - Columns to remove
+ * @returns {Array} Redacted rows, reused for identical requests
+ */
+export const redactRows = (rows, columns) => {
+    if (columns.length === 0) return rows;
+
+    if (!redactedRows.has(rows)) redactedRows.set(rows, new Map());
+    const byColumns = redactedRows.get(rows);
+    const key = [...columns].sort().join(',');
+    if (!byColumns.has(key)) {
+        byColumns.set(key, rows.map(row => _.omit(row, columns)));
+    }
+    return byColumns.get(key);
+};
+
+/**
+ * Returns the rows of a dataset as the request's user may see them
+ * @param {Object} req - Express request (req.user set by authenticate)
+ * @param {string} name - Dataset key
+ * @param {Array} rows - Cached dataset rows
+ * @returns {Array} Rows without the user's hidden columns
+ */
+export const redactRowsFor = (req, name, rows) => redactRows(rows, getHiddenColumns(req.user.permissions, name));
+
+/**
+ * Removes hidden columns from a raw dataset file
+ * @param {string} csvText - File contents
+ * @param {Array<string>} columns - Columns to remove
+ * @returns {string} File contents without the columns
+ */
+export const redactCsv = (csvText, columns) => {
+    if (columns.length === 0) return csvText;
+
+    const { data, meta } = Papa.parse(csvText, { delimiter: CSV_DELIMITER, header: true, skipEmptyLines: true });
+    // Match header names the way the parser cleans them (BOM, surrounding spaces)
+    const fields = meta.fields.filter(field => !columns.includes(field.replace(/^\uFEFF/, '').trim()));
+    return Papa.unparse({ fields, data }, { delimiter: CSV_DELIMITER });
+};
@@ -0,0 +1,91 @@
+// server/presetRoutes.js
+// Filter presets API: /api/presets?page=/finance reads and replaces the signed-in user's
+// presets for one page (front-end sync is enabled with VITE_SYNC_FILTER_PRESETS=true).
+//
+// Configuration (environment variables):
+//   PRESETS_FILE=presets.json      - presets of every user: { username: { page: { presets, defaultId, updatedAt } } }
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+
+const router = express.Router();
+
+export const PRESETS_FILE = path.resolve(process.env.PRESETS_FILE || 'presets.json');
+
+const MAX_PRESETS = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 4000;
+
+// Without configured users everyone shares one set of presets
+const getOwner = (req) => req.user.username || 'local';
+
+const readPresetsFile = () => {
+    try {
+        return JSON.parse(fs.readFileSync(PRESETS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Cannot read presets file ${PRESETS_FILE}:`, error.message);
+        }
+        return {};
+    }
+};
+
+const writePresetsFile = (content) => {
+    fs.writeFileSync(PRESETS_FILE, `${JSON.stringify(content, null, 2)}\n`, { mode: 0o600 });
+};
+
+const isValidPreset = (preset) =>
+    preset
+    && typeof preset.id === 'string'
+    && typeof preset.name === 'string'
+    && preset.name.trim().length > 0
+    && preset.name.length <= MAX_NAME_LENGTH
+    && typeof preset.query === 'string'
+    && preset.query.length <= MAX_QUERY_LENGTH;
+
+// Page paths only (e.g. '/finance'), used as keys of the presets file
+const getPage = (req, res) => {
+    const { page } = req.query;
+    if (typeof page !== 'string' || !/^\/[\w/-]*$/.test(page)) {
+        res.status(400).json({ error: 'page must be a page path, e.g. /finance' });
+        return null;
+    }
+    return page;
+};
+
+// GET /api/presets?page=/finance - { presets, defaultId, updatedAt } or null
+router.get('/', (req, res) => {
+    const page = getPage(req, res);
+    if (!page) return;
+
+    const userPresets = readPresetsFile()[getOwner(req)] || {};
+    res.json(Object.prototype.hasOwnProperty.call(userPresets, page) ? userPresets[page] : null);
+});
+
+// PUT /api/presets?page=/finance - replaces the presets of the page
+router.put('/', express.json({ limit: '100kb' }), (req, res) => {
+    const page = getPage(req, res);
+    if (!page) return;
+
+    const { presets, defaultId = null, updatedAt } = req.body || {};
+    if (!Array.isArray(presets) || presets.length > MAX_PRESETS || !presets.every(isValidPreset)) {
+        return res.status(400).json({ error: `presets must be at most ${MAX_PRESETS} { id, name, query } objects` });
+    }
+    if (defaultId !== null && !presets.some(preset => preset.id === defaultId)) {
+        return res.status(400).json({ error: 'defaultId must be the id of one of the presets' });
+    }
+
+    const state = {
+        presets: presets.map(({ id, name, query }) => ({ id, name: name.trim(), query })),
+        defaultId,
+        updatedAt: Number(updatedAt) || Date.now()
+    };
+
+    const content = readPresetsFile();
+    const owner = getOwner(req);
+    content[owner] = { ...(content[owner] || {}), [page]: state };
+    writePresetsFile(content);
+    res.json(state);
+});
+
+export default router;
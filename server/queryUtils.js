@@ -0,0 +1,296 @@
+// server/queryUtils.js
+// Parses data API query parameters and applies them to dataset rows.
+//
+// Supported parameters:
+//   columns=a,b            - only return these columns
+//   from=YYYY-MM-DD        - date range start (inclusive)
+//   to=YYYY-MM-DD          - date range end (inclusive)
+//   dateField=name         - date column for from/to (defaults to the registry dateColumn)
+//   filter[field]=value    - multiselect filter, repeat the parameter for several values
+//   exclude[field]=value   - drop rows with this value, repeat the parameter for several values
+//   delimiter[field]=,     - split delimited field values before matching
+//   match[field]=any|all   - match mode for delimited fields (default: any)
+//   sort=-field,other      - sort order, '-' prefix for descending
+//   page=1&limit=100       - pagination (limit capped at MAX_LIMIT)
+//
+// Aggregate parameters (runAggregateQuery) accept the same filters, plus:
+//   groupBy=a,b            - dimension fields
+//   groupDelimiter[a]=,    - split delimited dimension values before grouping
+//   bucket=monthly         - hourly|daily|weekly|monthly|quarterly|yearly|weekday_time_period|calendar
+//                            (hourly: at most 3 days of data)
+//   bucketParts=month,weekday - calendar: date parts to group by (weekday|time_period|hour|month|day_of_month|year)
+//   bucketField=name       - date column for the bucket (defaults to dateField, then dateColumn)
+//   midnightAsUnknown=false - weekday_time_period, calendar: keep 00:00 in the Night period and hour 0
+//   aggregation=sum        - count|count_distinct|sum|average|median
+//   field=name             - field to aggregate (required except for count)
+//   decimals=1             - round values
+//   metricFilter={...}     - JSON chart metric filter (filterConditions, filterField/filterValue)
+//   columns=a,b            - extra columns copied from the first row of each group
+//   sort=-value&limit=10   - sort groups and keep the first `limit`
+import { applyDateRangeFilter, applyMultiSelectFilter } from '../src/utils/filterUtils.js';
+import {
+    AGGREGATIONS,
+    CALENDAR_BUCKET,
+    CALENDAR_PARTS,
+    MAX_HOURLY_DAYS,
+    TIME_BUCKETS,
+    WEEKDAY_TIME_PERIOD_BUCKET,
+    aggregateRows,
+    exceedsHourlySpan,
+    getDateExtent
+} from '../src/utils/aggregationUtils.js';
+
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 1000;
+
+// Match modes of delimited fields (match[field])
+const MATCH_MODES = ['any', 'all'];
+
+/**
+ * Error raised for invalid query parameters (sent back as HTTP 400)
+ */
+export class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+        this.status = 400;
+    }
+}
+
+// Normalise a parameter that may be repeated or comma separated into a list
+export const toList = (value, splitCommas = true) => {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(v => (splitCommas ? String(v).split(',') : [String(v)]))
+        .map(v => v.trim())
+        .filter(Boolean);
+};
+
+const parseDateParam = (value, name) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new QueryError(`Invalid ${name} date: ${value}`);
+    }
+    return date;
+};
+
+const parsePositiveInt = (value, name, fallback) => {
+    if (value === undefined) return fallback;
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed) || parsed < 1) {
+        throw new QueryError(`${name} must be a positive integer`);
+    }
+    return parsed;
+};
+
+// Per-field parameter (filter[field]=value): an object of string values, lists when repeated if allowed
+const parseFieldParam = (value, name, allowLists = true) => {
+    if (value === undefined) return {};
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new QueryError(`${name} must be given per field: ${name}[field]=value`);
+    }
+    Object.entries(value).forEach(([field, fieldValue]) => {
+        const values = allowLists && Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+        if (!values.every(v => typeof v === 'string')) {
+            throw new QueryError(`Invalid ${name}[${field}] value`);
+        }
+    });
+    return value;
+};
+
+/**
+ * Builds a row filter function from date range and multiselect parameters
+ * @param {Object} query - Parsed request query (req.query)
+ * @param {Object} dataset - Registry entry of the dataset
+ * @returns {Function} (rows) => filtered rows
+ */
+export const buildRowFilter = (query, dataset) => {
+    const dateField = query.dateField || dataset.dateColumn;
+    const startDate = parseDateParam(query.from, 'from');
+    const endDate = parseDateParam(query.to, 'to');
+
+    if ((startDate || endDate) && !dateField) {
+        throw new QueryError('This dataset has no date column, pass dateField');
+    }
+
+    const filter = parseFieldParam(query.filter, 'filter');
+    const exclude = parseFieldParam(query.exclude, 'exclude');
+    const delimiters = parseFieldParam(query.delimiter, 'delimiter', false);
+    const matchModes = parseFieldParam(query.match, 'match', false);
+    Object.entries(matchModes).forEach(([field, mode]) => {
+        if (!MATCH_MODES.includes(mode)) {
+            throw new QueryError(`match[${field}] must be one of: ${MATCH_MODES.join(', ')}`);
+        }
+    });
+
+    const filteredFields = [...new Set([...Object.keys(filter), ...Object.keys(exclude)])];
+    const fieldFilters = filteredFields.map(field => ({
+        field,
+        // Values may contain commas (artist names...), so only repeated parameters form a list
+        values: {
+            include: toList(filter[field], false),
+            exclude: toList(exclude[field], false)
+        },
+        delimiter: delimiters[field] || null,
+        matchMode: matchModes[field] || 'any'
+    }));
+
+    return (rows) => {
+        let filtered = rows;
+        if (startDate || endDate) {
+            filtered = applyDateRangeFilter(filtered, dateField, { startDate, endDate });
+        }
+        fieldFilters.forEach(({ field, values, delimiter, matchMode }) => {
+            filtered = applyMultiSelectFilter(filtered, field, values, delimiter, delimiter ? matchMode : 'exact');
+        });
+        return filtered;
+    };
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Compare two non-empty values: dates and numbers numerically, strings naturally
+const compareValues = (a, b) => {
+    if (a instanceof Date && b instanceof Date) return a - b;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+/**
+ * Sorts rows by a sort parameter ("-timestamp,track_name")
+ * @param {Array} rows - Rows to sort (not mutated)
+ * @param {string} sortParam - Comma separated fields, '-' prefix for descending
+ * @returns {Array} Sorted copy
+ */
+export const sortRows = (rows, sortParam) => {
+    const keys = toList(sortParam).map(key => (key.startsWith('-')
+        ? { field: key.slice(1), direction: -1 }
+        : { field: key, direction: 1 }));
+    if (keys.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+        for (const { field, direction } of keys) {
+            const aValue = a[field];
+            const bValue = b[field];
+
+            // Empty values stay last whatever the direction
+            if (isEmpty(aValue) || isEmpty(bValue)) {
+                if (isEmpty(aValue) && isEmpty(bValue)) continue;
+                return isEmpty(aValue) ? 1 : -1;
+            }
+
+            const result = compareValues(aValue, bValue) * direction;
+            if (result !== 0) return result;
+        }
+        return 0;
+    });
+};
+
+/**
+ * Runs a dataset query: filter, sort, paginate and project columns
+ * @param {Array} rows - Dataset rows
+ * @param {Object} query - Parsed request query (req.query)
+ * @param {Object} dataset - Registry entry of the dataset
+ * @returns {Object} { data, total, page, limit, pages }
+ */
+export const runDatasetQuery = (rows, query, dataset) => {
+    const page = parsePositiveInt(query.page, 'page', 1);
+    const limit = Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT);
+    const columns = toList(query.columns);
+
+    const filtered = sortRows(buildRowFilter(query, dataset)(rows), query.sort);
+    const pageRows = filtered.slice((page - 1) * limit, page * limit);
+
+    const data = columns.length > 0
+        ? pageRows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])))
+        : pageRows;
+
+    return {
+        data,
+        total: filtered.length,
+        page,
+        limit,
+        pages: Math.ceil(filtered.length / limit)
+    };
+};
+
+const parseJsonParam = (value, name) => {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new QueryError(`${name} must be valid JSON`);
+    }
+};
+
+/**
+ * Runs an aggregate query: filter, group, bucket, aggregate, sort and limit
+ * @param {Array} rows - Dataset rows
+ * @param {Object} query - Parsed request query (req.query)
+ * @param {Object} dataset - Registry entry of the dataset
+ * @returns {Object} { data, total } where total is the number of groups before the limit
+ */
+export const runAggregateQuery = (rows, query, dataset) => {
+    const aggregation = query.aggregation || 'count';
+    if (!AGGREGATIONS.includes(aggregation)) {
+        throw new QueryError(`aggregation must be one of ${AGGREGATIONS.join(', ')}`);
+    }
+    if (aggregation !== 'count' && !query.field) {
+        throw new QueryError(`field is required for ${aggregation}`);
+    }
+
+    const bucket = query.bucket || null;
+    const bucketNames = [...TIME_BUCKETS, WEEKDAY_TIME_PERIOD_BUCKET, CALENDAR_BUCKET];
+    if (bucket && !bucketNames.includes(bucket)) {
+        throw new QueryError(`bucket must be one of ${bucketNames.join(', ')}`);
+    }
+    const bucketParts = toList(query.bucketParts);
+    if (bucket === CALENDAR_BUCKET && bucketParts.length === 0) {
+        throw new QueryError('bucketParts is required for the calendar bucket');
+    }
+    const unknownPart = bucketParts.find(part => !CALENDAR_PARTS.includes(part));
+    if (unknownPart) {
+        throw new QueryError(`bucketParts must be among ${CALENDAR_PARTS.join(', ')} (got ${unknownPart})`);
+    }
+    const dateField = query.bucketField || query.dateField || dataset.dateColumn;
+    if (bucket && !dateField) {
+        throw new QueryError('This dataset has no date column, pass bucketField');
+    }
+
+    const decimals = query.decimals === undefined ? null : parseInt(query.decimals, 10);
+    if (Number.isNaN(decimals) || decimals < 0) {
+        throw new QueryError('decimals must be a non-negative integer');
+    }
+
+    const filteredRows = buildRowFilter(query, dataset)(rows);
+    if (bucket === 'hourly') {
+        const { minDate, maxDate } = getDateExtent(filteredRows, dateField);
+        if (minDate && exceedsHourlySpan(minDate, maxDate)) {
+            throw new QueryError(`The hourly bucket covers at most ${MAX_HOURLY_DAYS} days, narrow the date range (from/to)`);
+        }
+    }
+
+    const groups = aggregateRows(filteredRows, {
+        groupBy: toList(query.groupBy),
+        delimiters: parseFieldParam(query.groupDelimiter, 'groupDelimiter', false),
+        bucket,
+        bucketParts,
+        dateField,
+        treatMidnightAsUnknown: query.midnightAsUnknown !== 'false',
+        aggregation,
+        field: query.field,
+        decimals,
+        metricFilter: parseJsonParam(query.metricFilter, 'metricFilter'),
+        columns: toList(query.columns)
+    });
+
+    const sorted = sortRows(groups, query.sort);
+    const limit = query.limit === undefined ? null : parsePositiveInt(query.limit, 'limit');
+
+    return {
+        data: limit ? sorted.slice(0, limit) : sorted,
+        total: groups.length
+    };
+};
@@ -3,7 +3,8 @@ import './styles/variables.css';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { DataProvider } from './context/DataContext';
 import { AuthProvider } from './context/AuthContext';
-import { Layout } from './components/ui';
+import { DateRangeProvider } from './context/DateRangeContext';
+import { Layout, RequireAuth } from './components/ui';
 import Homepage from './pages/Home/Homepage';
 import ReadingPage from './pages/Reading/ReadingPage';
 import MoviesPage from './pages/Movies/MoviesPage';
@@ -13,11 +14,13 @@ import PodcastPage from './pages/Podcast/PodcastPage';
 import ShowsPage from './pages/Shows/ShowsPage';
 import FinancePage from './pages/Finance/FinancePage';
 import HealthPage from './pages/Health/HealthPage';
+import LoginPage from './pages/Login/LoginPage';
 
 const App = () => {
   return (
     <AuthProvider>
     <DataProvider>
+    <DateRangeProvider>
       <Router
         future={{
           v7_startTransition: true,
@@ -25,40 +28,46 @@ const App = () => {
         }}
       >
         <Routes>
-          {/* Homepage outside of Layout */}
-          <Route path="/" element={<Homepage />} />
+          <Route path="/login" element={<LoginPage />} />
 
-          {/* All other pages wrapped in Layout */}
-          <Route element={<Layout />}>
-            <Route path="/reading" element={<ReadingPage />} />
-            <Route path="/movies" element={<MoviesPage />} />
-            <Route path="/music" element={<MusicPage />} />
-            <Route path="/nutrition" element={<NutritionPage />} />
-            <Route path="/podcasts" element={<PodcastPage />} />
-            <Route path="/shows" element={<ShowsPage />} />
-            <Route path="/finance" element={<FinancePage />} />
-            <Route path="/health" element={<HealthPage />} />
-            <Route
-              path="/sport"
-              element={
-                <div className="page-container">
-                  <div className="coming-soon-text">Sport Page Coming Soon</div>
-                </div>
-              }
-            />
-            <Route
-              path="/work"
-              element={
-                <div className="page-container">
-                  <div className="coming-soon-text">Work Page Coming Soon</div>
-                </div>
-              }
-            />
+          {/* Every other page requires a signed-in user */}
+          <Route element={<RequireAuth />}>
+            {/* Homepage outside of Layout */}
+            <Route path="/" element={<Homepage />} />
+
+            {/* All other pages wrapped in Layout */}
+            <Route element={<Layout />}>
+              <Route path="/reading" element={<ReadingPage />} />
+              <Route path="/movies" element={<MoviesPage />} />
+              <Route path="/music" element={<MusicPage />} />
+              <Route path="/nutrition" element={<NutritionPage />} />
+              <Route path="/podcasts" element={<PodcastPage />} />
+              <Route path="/shows" element={<ShowsPage />} />
+              <Route path="/finance" element={<FinancePage />} />
+              <Route path="/health" element={<HealthPage />} />
+              <Route
+                path="/sport"
+                element={
+                  <div className="page-container">
+                    <div className="coming-soon-text">Sport Page Coming Soon</div>
+                  </div>
+                }
+              />
+              <Route
+                path="/work"
+                element={
+                  <div className="page-container">
+                    <div className="coming-soon-text">Work Page Coming Soon</div>
+                  </div>
+                }
+              />
+            </Route>
           </Route>
         </Routes>
       </Router>
       {/* Sticky bottom spacer for persistent viewport padding */}
       <div className="bottom-spacer" />
+    </DateRangeProvider>
     </DataProvider>
     </AuthProvider>
   );
@@ -5,8 +5,27 @@ import { race } from 'racing-bars';
 import { Play, Pause, SkipBack, X } from 'lucide-react';
 import _ from 'lodash';
 import { groupByMonth, parseDate, isValidDate } from '../../../utils/dateUtils';
+import { useAggregateQuery } from '../../../hooks/useAggregateQuery';
+import { useChartChoice } from '../../../hooks/useUrlState';
+import ExportMenu from '../../ui/common/ExportMenu';
+import { slugify } from '../../../utils/urlStateUtils';
 import './BarChartRace.css';
 
+// Convert per-period values into running totals per name
+const toRunningTotals = (racingData) => {
+  const runningTotals = {};
+  const sortedData = _.sortBy(racingData, 'date');
+
+  return sortedData.map(item => {
+    const key = item.name;
+    runningTotals[key] = (runningTotals[key] || 0) + item.value;
+    return {
+      ...item,
+      value: runningTotals[key]
+    };
+  });
+};
+
 const BarChartRace = ({
   data,
   dateColumnName,
@@ -19,12 +38,24 @@ const BarChartRace = ({
   timePeriod = 'monthly',
   cumulative = true,
   autoPlay = false,
-  frameDuration = 500
+  frameDuration = 500,
+  // Remote-data mode: { dataset, query } aggregates on the server (/api/aggregate) instead of `data`
+  remote,
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey
 }) => {
   // State for user-selected controls
-  const [selectedDimension, setSelectedDimension] = useState(defaultDimension || dimensionOptions[0]?.value);
-  const [selectedMetric, setSelectedMetric] = useState(defaultMetric || metricOptions[0]?.value);
-  const [selectedTimePeriod, setSelectedTimePeriod] = useState(timePeriod);
+  // Dimension and metric choices are kept in the URL (<urlKey>.dimension, .metric, .period)
+  const chartKey = urlKey || slugify(title);
+  const [selectedDimension, setSelectedDimension] = useChartChoice(
+    chartKey, 'dimension', defaultDimension || dimensionOptions[0]?.value, dimensionOptions.map(opt => opt.value)
+  );
+  const [selectedMetric, setSelectedMetric] = useChartChoice(
+    chartKey, 'metric', defaultMetric || metricOptions[0]?.value, metricOptions.map(opt => opt.value)
+  );
+  const [selectedTimePeriod, setSelectedTimePeriod] = useChartChoice(
+    chartKey, 'period', timePeriod, ['monthly', 'quarterly', 'yearly']
+  );
   const [topNValue, setTopNValue] = useState(topN);
   const [isFocusMode, setIsFocusMode] = useState(false);
   const [isPlaying, setIsPlaying] = useState(autoPlay);
@@ -48,11 +79,32 @@ const BarChartRace = ({
   const currentDimensionConfig = dimensionOptions.find(d => d.value === selectedDimension);
   const currentMetricConfig = metricOptions.find(m => m.value === selectedMetric);
 
+  // Remote mode: the server groups by dimension and period
+  const isRemote = Boolean(remote);
+  const remoteResult = useAggregateQuery(remote?.dataset, {
+    ...remote?.query,
+    groupBy: currentDimensionConfig ? [currentDimensionConfig.field] : [],
+    bucket: selectedTimePeriod,
+    bucketField: dateColumnName,
+    aggregation: currentMetricConfig?.aggregation === 'cumsum' ? 'sum' : currentMetricConfig?.aggregation,
+    field: currentMetricConfig?.field
+  }, isRemote && Boolean(currentDimensionConfig && currentMetricConfig));
+
   /**
    * Transform data to RacingBars format
    * Returns array of {date, name, value} objects
    */
   const transformDataForRacing = useMemo(() => {
+    if (isRemote) {
+      if (!currentDimensionConfig) return [];
+      const remoteData = remoteResult.rows.map(row => ({
+        date: row.period,
+        name: String(row[currentDimensionConfig.field]),
+        value: row.value
+      }));
+      return cumulative ? toRunningTotals(remoteData) : remoteData;
+    }
+
     if (!Array.isArray(data) || !currentDimensionConfig || !currentMetricConfig) {
       return [];
     }
@@ -158,23 +210,9 @@ const BarChartRace = ({
       });
     });
 
-    // If cumulative, compute running totals
-    if (cumulative) {
-      const runningTotals = {};
-      const sortedData = _.sortBy(racingData, 'date');
-
-      return sortedData.map(item => {
-        const key = item.name;
-        runningTotals[key] = (runningTotals[key] || 0) + item.value;
-        return {
-          ...item,
-          value: runningTotals[key]
-        };
-      });
-    }
-
-    return racingData;
-  }, [data, dateColumnName, currentDimensionConfig, currentMetricConfig, selectedTimePeriod, cumulative]);
+    return cumulative ? toRunningTotals(racingData) : racingData;
+  }, [data, dateColumnName, currentDimensionConfig, currentMetricConfig, selectedTimePeriod, cumulative,
+      isRemote, remoteResult.rows]);
 
   /**
    * Initialize/update the racing chart
@@ -437,6 +475,20 @@ const BarChartRace = ({
           {isPlaying ? <Pause size={18} /> : <Play size={18} />}
         </button>
       </div>
+
+      {/* Export: the current frame as an image, every frame as rows */}
+      <ExportMenu
+        targetRef={inFocusMode ? focusChartContainerRef : chartContainerRef}
+        title={title}
+        getData={() => transformDataForRacing.map(({ date, name, value }) => ({ date, name, value }))}
+        metric={currentMetricConfig?.label}
+        settings={{
+          dimension: currentDimensionConfig?.label,
+          period: selectedTimePeriod,
+          top: topNValue,
+          cumulative
+        }}
+      />
     </div>
   );
 
@@ -489,7 +541,8 @@ const BarChartRace = ({
 };
 
 BarChartRace.propTypes = {
-  data: PropTypes.array.isRequired,
+  // Not needed in remote mode
+  data: PropTypes.array,
   dateColumnName: PropTypes.string.isRequired,
   dimensionOptions: PropTypes.arrayOf(
     PropTypes.shape({
@@ -516,7 +569,14 @@ BarChartRace.propTypes = {
   timePeriod: PropTypes.oneOf(['monthly', 'quarterly', 'yearly']),
   cumulative: PropTypes.bool,
   autoPlay: PropTypes.bool,
-  frameDuration: PropTypes.number
+  frameDuration: PropTypes.number,
+  // Remote-data mode, query holds dataset filters (from, to, filters...)
+  remote: PropTypes.shape({
+    dataset: PropTypes.string.isRequired,
+    query: PropTypes.object
+  }),
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey: PropTypes.string
 };
 
 export default BarChartRace;
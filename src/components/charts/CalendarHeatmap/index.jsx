@@ -0,0 +1,586 @@
+// src/components/charts/CalendarHeatmap/index.jsx
+import { useState, useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { X } from 'lucide-react';
+import { performComputation, applyMetricFilter, resolveMetricDataSource } from '../../../utils/computationUtils';
+import { aggregateRows, getPeriodKey, pickMetricFilter, toDate } from '../../../utils/aggregationUtils';
+import ExportMenu from '../../ui/common/ExportMenu';
+import { useAggregateQuery } from '../../../hooks/useAggregateQuery';
+import { useDatasetQuery } from '../../../hooks/useDatasetQuery';
+import { useChartChoice, useUrlState } from '../../../hooks/useUrlState';
+import { slugify } from '../../../utils/urlStateUtils';
+import './CalendarHeatmap.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar geometry (SVG units, the drawing scales to the container width)
+const CELL_SIZE = 11;
+const CELL_STEP = 13;
+const WEEKDAY_LABEL_WIDTH = 30;
+const YEAR_LABEL_HEIGHT = 18;
+const MONTH_LABEL_HEIGHT = 14;
+const YEAR_GAP = 14;
+const YEAR_HEIGHT = YEAR_LABEL_HEIGHT + MONTH_LABEL_HEIGHT + 7 * CELL_STEP + YEAR_GAP;
+const MAX_WEEKS = 54;
+const CALENDAR_WIDTH = WEEKDAY_LABEL_WIDTH + MAX_WEEKS * CELL_STEP;
+
+// Weeks start on Monday, only every other day is labelled
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', 'Sun'];
+const MONTHS_SHORT = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Intensity levels: no value, then quartiles of the days with a value
+const EMPTY_COLOR = '#D8DCFF';
+const OUTSIDE_COLOR = '#F1F2FA';
+const LEVEL_COLORS = [EMPTY_COLOR, 'rgba(52, 35, 166, 0.3)', 'rgba(52, 35, 166, 0.55)', 'rgba(52, 35, 166, 0.8)', 'rgb(52, 35, 166)'];
+
+// Entries listed in the day panel
+const MAX_DAY_ENTRIES = 50;
+
+// Day keys are the local days of getPeriodKey(date, 'daily'), handled as UTC dates so no DST change shifts a cell
+const parseDayKey = (dayKey) => new Date(Date.parse(dayKey));
+const getWeekdayIndex = (date) => (date.getUTCDay() + 6) % 7;
+
+const formatDayLabel = (dayKey) => parseDayKey(dayKey).toLocaleDateString(undefined, {
+  weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+});
+
+// Format a value with the metric's decimals, prefix and suffix
+const formatMetricValue = (value, metricConfig = {}) => {
+  const { decimals, prefix = '', suffix = '' } = metricConfig;
+  const formatted = decimals !== undefined
+    ? value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+    : Math.round(value).toLocaleString();
+  return `${prefix}${formatted}${suffix}`;
+};
+
+// cumsum is treated as sum: a calendar shows each day on its own
+const getDailyAggregation = (metricConfig) => (
+  metricConfig?.aggregation === 'cumsum' ? 'sum' : metricConfig?.aggregation || 'count'
+);
+
+// Quartile thresholds of the positive values
+const getLevelThresholds = (values) => {
+  const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+  return [0.25, 0.5, 0.75].map(q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))]);
+};
+
+const getLevel = (value, thresholds) => {
+  if (!value || value <= 0) return 0;
+  const above = thresholds.filter(threshold => value > threshold).length;
+  return Math.min(above + 1, 4);
+};
+
+// Day cells of a year: { dayKey, week, weekday }, weeks counted from the week of Jan 1
+const getYearDays = (year) => {
+  const start = Date.UTC(year, 0, 1);
+  const offset = getWeekdayIndex(new Date(start));
+  const dayCount = (Date.UTC(year + 1, 0, 1) - start) / DAY_MS;
+
+  return Array.from({ length: dayCount }, (_, index) => {
+    const date = new Date(start + index * DAY_MS);
+    return {
+      dayKey: date.toISOString().split('T')[0],
+      week: Math.floor((index + offset) / 7),
+      weekday: getWeekdayIndex(date),
+      month: date.getUTCMonth(),
+      dayOfMonth: date.getUTCDate()
+    };
+  });
+};
+
+// Rows of a day, for the day panel and onDayClick (local mode)
+const getDayRows = (rows, dateColumn, dayKey) => (Array.isArray(rows) ? rows : []).filter(row => {
+  const date = toDate(row[dateColumn]);
+  return date && getPeriodKey(date, 'daily') === dayKey;
+});
+
+/**
+ * GitHub-style calendar heatmap: one cell per day, one row of weeks per year
+ *
+ * Plots a metric per calendar day across one or many years. Hovering a day shows
+ * its value; clicking it opens the day panel (the day's value for every metric and
+ * its entries) or calls onDayClick.
+ *
+ * @param {Object} props
+ * @param {Array} props.data - The dataset to visualize
+ * @param {string} props.dateColumnName - The name of the date/timestamp column in the data
+ * @param {Array} props.metricOptions - Metric configs (same structure as the other charts)
+ * @param {string} props.metricOptions[].value - Internal identifier for the metric
+ * @param {string} props.metricOptions[].label - Display label for the metric
+ * @param {string} props.metricOptions[].field - Data field name to aggregate
+ * @param {string} props.metricOptions[].aggregation - 'count' | 'count_distinct' | 'sum' | 'average' | 'median' | 'cumsum'
+ * @param {number} props.metricOptions[].decimals - Optional decimal places for display
+ * @param {string} props.metricOptions[].prefix - Optional prefix for display
+ * @param {string} props.metricOptions[].suffix - Optional suffix for display
+ * @param {string} props.defaultMetric - Default selected metric value
+ * @param {string} props.title - The chart title
+ * @param {Array} props.detailColumns - Columns of the entries listed in the day panel: [{ field, label }]
+ * @param {Function} props.onDayClick - (dayKey, rows) => void, replaces the day panel (rows are empty in remote mode)
+ * @param {Object} props.remote - Remote-data mode: { dataset, query } aggregates the dataset on the
+ *   server (/api/aggregate) instead of `data`; query holds dataset filters (from, to, filters...)
+ * @param {string} props.urlKey - Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+ */
+const CalendarHeatmap = ({
+  data,
+  dateColumnName,
+  metricOptions = [],
+  defaultMetric,
+  title = 'Daily Activity',
+  detailColumns = [],
+  onDayClick,
+  remote,
+  urlKey
+}) => {
+  const chartKey = urlKey || slugify(title);
+  // Metric and year choices are kept in the URL (<urlKey>.metric, <urlKey>.year)
+  const [selectedMetric, setSelectedMetric] = useChartChoice(
+    chartKey, 'metric', defaultMetric || metricOptions[0]?.value, metricOptions.map(opt => opt.value)
+  );
+  const [selectedYear, setSelectedYear] = useUrlState(`${chartKey}.year`, 'all', {
+    parse: raw => (raw === 'all' || /^\d{4}$/.test(raw) ? raw : undefined)
+  });
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [hoveredDay, setHoveredDay] = useState(null);
+  const [isFocusMode, setIsFocusMode] = useState(false);
+  // Rendered calendars, for the image exports
+  const calendarRef = useRef(null);
+  const focusCalendarRef = useRef(null);
+
+  // Escape key handler for focus mode
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && isFocusMode) setIsFocusMode(false);
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isFocusMode]);
+
+  const currentMetricConfig = metricOptions.find(m => m.value === selectedMetric) || metricOptions[0];
+  const { data: metricData, dateColumnName: metricDateColumn } = resolveMetricDataSource(
+    currentMetricConfig,
+    data,
+    dateColumnName
+  );
+
+  // Remote mode: the server aggregates the selected metric per day
+  const isRemote = Boolean(remote);
+  const remoteResult = useAggregateQuery(remote?.dataset, {
+    ...remote?.query,
+    bucket: 'daily',
+    bucketField: metricDateColumn,
+    aggregation: getDailyAggregation(currentMetricConfig),
+    field: currentMetricConfig?.field,
+    metricFilter: pickMetricFilter(currentMetricConfig)
+  }, isRemote && Boolean(currentMetricConfig));
+
+  // Daily values of the selected metric: Map(dayKey -> { value, count })
+  const dailyValues = useMemo(() => {
+    let rows;
+    if (isRemote) {
+      rows = remoteResult.rows;
+    } else if (Array.isArray(metricData) && currentMetricConfig) {
+      rows = aggregateRows(metricData, {
+        bucket: 'daily',
+        dateField: metricDateColumn,
+        aggregation: getDailyAggregation(currentMetricConfig),
+        field: currentMetricConfig.field,
+        metricFilter: pickMetricFilter(currentMetricConfig)
+      });
+    } else {
+      rows = [];
+    }
+    return new Map(rows.map(row => [row.period, { value: row.value, count: row.count }]));
+  }, [isRemote, remoteResult.rows, metricData, metricDateColumn, currentMetricConfig]);
+
+  // Days with data bound the calendar: cells outside are drawn as outside the range
+  const { firstDay, lastDay, years } = useMemo(() => {
+    const dayKeys = Array.from(dailyValues.keys()).sort();
+    if (dayKeys.length === 0) return { firstDay: null, lastDay: null, years: [] };
+
+    const firstYear = Number(dayKeys[0].slice(0, 4));
+    const lastYear = Number(dayKeys[dayKeys.length - 1].slice(0, 4));
+    return {
+      firstDay: dayKeys[0],
+      lastDay: dayKeys[dayKeys.length - 1],
+      // Newest year first
+      years: Array.from({ length: lastYear - firstYear + 1 }, (_, i) => lastYear - i)
+    };
+  }, [dailyValues]);
+
+  const displayedYears = useMemo(
+    () => (years.includes(Number(selectedYear)) ? [Number(selectedYear)] : years),
+    [years, selectedYear]
+  );
+
+  const thresholds = useMemo(() => {
+    const values = [];
+    dailyValues.forEach(({ value }, dayKey) => {
+      if (displayedYears.includes(Number(dayKey.slice(0, 4)))) values.push(value);
+    });
+    return getLevelThresholds(values);
+  }, [dailyValues, displayedYears]);
+
+  // Remote mode: entries of the selected day come from the data API
+  const remoteDayEntries = useDatasetQuery(remote?.dataset, {
+    ...remote?.query,
+    from: selectedDay,
+    to: selectedDay,
+    dateField: metricDateColumn,
+    columns: [metricDateColumn, ...detailColumns.map(col => col.field)],
+    sort: metricDateColumn,
+    limit: MAX_DAY_ENTRIES
+  }, isRemote && Boolean(selectedDay) && detailColumns.length > 0);
+
+  // Day panel content: the day's value for every metric, and its entries
+  const dayDetails = useMemo(() => {
+    if (!selectedDay) return null;
+
+    if (isRemote) {
+      const day = dailyValues.get(selectedDay);
+      return {
+        metrics: [{ config: currentMetricConfig, value: day?.value || 0 }],
+        entries: remoteDayEntries.rows,
+        entryCount: remoteDayEntries.total
+      };
+    }
+
+    const metrics = metricOptions.map(opt => {
+      const { data: optData, dateColumnName: optDateColumn } = resolveMetricDataSource(opt, data, dateColumnName);
+      const dayRows = applyMetricFilter(getDayRows(optData, optDateColumn, selectedDay), opt);
+      return {
+        config: opt,
+        value: performComputation(dayRows, opt.field, getDailyAggregation(opt), { decimals: opt.decimals ?? null, defaultValue: 0 })
+      };
+    });
+    const entries = getDayRows(metricData, metricDateColumn, selectedDay);
+    return { metrics, entries: entries.slice(0, MAX_DAY_ENTRIES), entryCount: entries.length };
+  }, [selectedDay, isRemote, dailyValues, currentMetricConfig, remoteDayEntries.rows, remoteDayEntries.total,
+      metricOptions, data, dateColumnName, metricData, metricDateColumn]);
+
+  const handleDayClick = (e, dayKey) => {
+    e.stopPropagation();
+    if (onDayClick) {
+      onDayClick(dayKey, isRemote ? [] : getDayRows(metricData, metricDateColumn, dayKey));
+      return;
+    }
+    setSelectedDay(current => (current === dayKey ? null : dayKey));
+  };
+
+  // Tooltip position is relative to the calendar wrapper
+  const handleDayHover = (e, dayKey, inFocusMode) => {
+    const wrapper = e.currentTarget.closest('.calendar-heatmap-body');
+    if (!wrapper) return;
+    const cellRect = e.currentTarget.getBoundingClientRect();
+    const wrapperRect = wrapper.getBoundingClientRect();
+    const top = cellRect.top - wrapperRect.top;
+    // Days near the top of the scroll area get the tooltip below them
+    const below = top < 60;
+    setHoveredDay({
+      dayKey,
+      inFocusMode,
+      below,
+      x: cellRect.left - wrapperRect.left + cellRect.width / 2 + wrapper.scrollLeft,
+      y: (below ? top + cellRect.height : top) + wrapper.scrollTop
+    });
+  };
+
+  // Render controls (shared between normal and focus mode)
+  const renderControls = (inFocusMode = false) => (
+    <div className="chart-controls" onClick={(e) => e.stopPropagation()}>
+      {metricOptions.length > 1 && (
+        <div className="chart-filter">
+          <label htmlFor={inFocusMode ? 'focus-calendar-metric-select' : 'calendar-metric-select'}>Show:</label>
+          <select
+            id={inFocusMode ? 'focus-calendar-metric-select' : 'calendar-metric-select'}
+            className="filter-select"
+            value={selectedMetric}
+            onChange={(e) => setSelectedMetric(e.target.value)}
+          >
+            {metricOptions.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {years.length > 1 && (
+        <div className="chart-filter">
+          <label htmlFor={inFocusMode ? 'focus-calendar-year-select' : 'calendar-year-select'}>Year:</label>
+          <select
+            id={inFocusMode ? 'focus-calendar-year-select' : 'calendar-year-select'}
+            className="filter-select"
+            value={displayedYears.length === 1 ? String(displayedYears[0]) : 'all'}
+            onChange={(e) => setSelectedYear(e.target.value)}
+          >
+            <option value="all">All years</option>
+            {years.map(year => (
+              <option key={year} value={year}>{year}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <ExportMenu
+        targetRef={inFocusMode ? focusCalendarRef : calendarRef}
+        title={title}
+        getData={() => Array.from(dailyValues.entries())
+          .filter(([dayKey]) => displayedYears.includes(Number(dayKey.slice(0, 4))))
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([dayKey, { value, count }]) => ({ date: dayKey, value, count }))}
+        metric={currentMetricConfig?.label}
+        settings={{ years: displayedYears.join(', ') }}
+      />
+    </div>
+  );
+
+  // One block per year: year label, month labels, weekday labels and day cells
+  const renderYear = (year, index, inFocusMode) => {
+    const days = getYearDays(year);
+    const yearTop = index * YEAR_HEIGHT;
+    const gridTop = yearTop + YEAR_LABEL_HEIGHT + MONTH_LABEL_HEIGHT;
+    const activeDays = days.filter(day => dailyValues.get(day.dayKey)?.value > 0).length;
+
+    return (
+      <g key={year}>
+        <text className="calendar-year-label" x={0} y={yearTop + 12}>
+          {year}
+          <tspan className="calendar-year-summary" dx={8}>
+            {activeDays} active {activeDays === 1 ? 'day' : 'days'}
+          </tspan>
+        </text>
+
+        {days.filter(day => day.dayOfMonth === 1).map(day => (
+          <text
+            key={day.month}
+            className="calendar-month-label"
+            x={WEEKDAY_LABEL_WIDTH + day.week * CELL_STEP}
+            y={gridTop - 4}
+          >
+            {MONTHS_SHORT[day.month]}
+          </text>
+        ))}
+
+        {WEEKDAY_LABELS.map((label, weekday) => label && (
+          <text
+            key={label}
+            className="calendar-weekday-label"
+            x={0}
+            y={gridTop + weekday * CELL_STEP + CELL_SIZE - 2}
+          >
+            {label}
+          </text>
+        ))}
+
+        {days.map(day => {
+          const isOutside = day.dayKey < firstDay || day.dayKey > lastDay;
+          const value = dailyValues.get(day.dayKey)?.value || 0;
+          return (
+            <rect
+              key={day.dayKey}
+              className={`calendar-day ${isOutside ? 'outside' : ''} ${selectedDay === day.dayKey ? 'selected' : ''}`}
+              x={WEEKDAY_LABEL_WIDTH + day.week * CELL_STEP}
+              y={gridTop + day.weekday * CELL_STEP}
+              width={CELL_SIZE}
+              height={CELL_SIZE}
+              rx={2}
+              fill={isOutside ? OUTSIDE_COLOR : LEVEL_COLORS[getLevel(value, thresholds)]}
+              onClick={isOutside ? undefined : (e) => handleDayClick(e, day.dayKey)}
+              onMouseEnter={isOutside ? undefined : (e) => handleDayHover(e, day.dayKey, inFocusMode)}
+            />
+          );
+        })}
+      </g>
+    );
+  };
+
+  // Hovered day value
+  const renderTooltip = (inFocusMode) => {
+    if (!hoveredDay || hoveredDay.inFocusMode !== inFocusMode) return null;
+    const day = dailyValues.get(hoveredDay.dayKey);
+
+    return (
+      <div className={`calendar-tooltip ${hoveredDay.below ? 'below' : ''}`} style={{ left: hoveredDay.x, top: hoveredDay.y }}>
+        <p className="tooltip-label">{formatDayLabel(hoveredDay.dayKey)}</p>
+        <p className="tooltip-value">
+          {currentMetricConfig?.label}: {formatMetricValue(day?.value || 0, currentMetricConfig)}
+        </p>
+        {day?.count > 0 && (
+          <p className="tooltip-count">{day.count} {day.count === 1 ? 'entry' : 'entries'}</p>
+        )}
+      </div>
+    );
+  };
+
+  // Drill-down into the selected day
+  const renderDayPanel = () => {
+    if (!dayDetails) return null;
+
+    return (
+      <div className="calendar-day-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="calendar-day-panel-header">
+          <h4 className="calendar-day-panel-title">{formatDayLabel(selectedDay)}</h4>
+          <button
+            className="calendar-day-panel-close"
+            onClick={() => setSelectedDay(null)}
+            aria-label="Close day details"
+          >
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="calendar-day-metrics">
+          {dayDetails.metrics.map(({ config, value }) => (
+            <div key={config.value} className="calendar-day-metric">
+              <span className="calendar-day-metric-value">{formatMetricValue(value, config)}</span>
+              <span className="calendar-day-metric-label">{config.label}</span>
+            </div>
+          ))}
+        </div>
+
+        {detailColumns.length > 0 && dayDetails.entries.length > 0 && (
+          <div className="calendar-day-entries">
+            <table>
+              <thead>
+                <tr>
+                  {detailColumns.map(col => <th key={col.field}>{col.label}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {dayDetails.entries.map((entry, index) => (
+                  <tr key={index}>
+                    {detailColumns.map(col => <td key={col.field}>{String(entry[col.field] ?? '')}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {dayDetails.entryCount > dayDetails.entries.length && (
+              <p className="calendar-day-entries-more">
+                Showing {dayDetails.entries.length} of {dayDetails.entryCount} entries
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Render calendar (shared between normal and focus mode)
+  const renderCalendar = (ref, inFocusMode = false) => (
+    <div className="calendar-heatmap-body" onMouseLeave={() => setHoveredDay(null)}>
+      <div className="calendar-heatmap-svg" ref={ref}>
+        <svg
+          viewBox={`0 0 ${CALENDAR_WIDTH} ${displayedYears.length * YEAR_HEIGHT}`}
+          width="100%"
+          role="img"
+          aria-label={`${title}: ${currentMetricConfig?.label || ''}`}
+        >
+          {displayedYears.map((year, index) => renderYear(year, index, inFocusMode))}
+        </svg>
+      </div>
+      <div className="calendar-legend">
+        <span>Less</span>
+        {LEVEL_COLORS.map(color => (
+          <span key={color} className="calendar-legend-cell" style={{ backgroundColor: color }} />
+        ))}
+        <span>More</span>
+      </div>
+      {renderTooltip(inFocusMode)}
+    </div>
+  );
+
+  if (years.length === 0) {
+    return (
+      <div className="calendar-heatmap-container">
+        <div className="calendar-heatmap-header">
+          <h3 className="calendar-heatmap-title">{title}</h3>
+          {renderControls(false)}
+        </div>
+        <div className="calendar-heatmap-empty">
+          <p>{isRemote && remoteResult.loading ? 'Loading...' : 'No data available for the selected filters'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {/* Normal view */}
+      <div className="calendar-heatmap-container" onClick={() => setIsFocusMode(true)}>
+        <div className="calendar-heatmap-header">
+          <h3 className="calendar-heatmap-title">{title}</h3>
+          {renderControls(false)}
+        </div>
+        {renderCalendar(calendarRef)}
+        {!isFocusMode && renderDayPanel()}
+      </div>
+
+      {/* Focus mode overlay */}
+      {isFocusMode && (
+        <div className="calendar-heatmap-focus-overlay" onClick={() => setIsFocusMode(false)}>
+          <div className="calendar-heatmap-focus-content" onClick={(e) => e.stopPropagation()}>
+            <button
+              className="focus-close-button"
+              onClick={() => setIsFocusMode(false)}
+              aria-label="Close focus mode"
+            >
+              <X size={24} />
+            </button>
+            <div className="calendar-heatmap-focus-controls-bar">
+              {renderControls(true)}
+            </div>
+            <div className="calendar-heatmap-focus-chart-container">
+              {renderCalendar(focusCalendarRef, true)}
+              {renderDayPanel()}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+CalendarHeatmap.propTypes = {
+  // Not needed in remote mode
+  data: PropTypes.array,
+  dateColumnName: PropTypes.string.isRequired,
+  metricOptions: PropTypes.arrayOf(PropTypes.shape({
+    value: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    field: PropTypes.string,
+    aggregation: PropTypes.oneOf(['count', 'count_distinct', 'sum', 'average', 'median', 'cumsum']).isRequired,
+    decimals: PropTypes.number,
+    prefix: PropTypes.string,
+    suffix: PropTypes.string,
+    // Filter conditions: array of conditions with AND logic
+    filterConditions: PropTypes.arrayOf(PropTypes.shape({
+      field: PropTypes.string.isRequired,
+      operator: PropTypes.oneOf(['=', '==', '!=', '!==', '>', '>=', '<', '<=']),
+      value: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.number,
+        PropTypes.bool,
+        PropTypes.array
+      ]).isRequired
+    })),
+    // Per-metric data source override
+    data: PropTypes.array,
+    dateColumnName: PropTypes.string
+  })).isRequired,
+  defaultMetric: PropTypes.string,
+  title: PropTypes.string,
+  detailColumns: PropTypes.arrayOf(PropTypes.shape({
+    field: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired
+  })),
+  onDayClick: PropTypes.func,
+  // Remote-data mode
+  remote: PropTypes.shape({
+    dataset: PropTypes.string.isRequired,
+    query: PropTypes.object
+  }),
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey: PropTypes.string
+};
+
+export default CalendarHeatmap;
@@ -0,0 +1,488 @@
+// src/components/charts/CorrelationChart/index.jsx
+import { useEffect, useState, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { X } from 'lucide-react';
+import ExportMenu from '../../ui/common/ExportMenu';
+import { useChartChoice } from '../../../hooks/useUrlState';
+import { slugify } from '../../../utils/urlStateUtils';
+import { getCategoryColor } from '../../../utils/chartPalette';
+import {
+  CORRELATION_GROUPINGS,
+  DEFAULT_OUTLIER_THRESHOLD,
+  buildScatterPoints,
+  describeCorrelation,
+  linearRegression,
+  markOutliers,
+  pearsonCorrelation,
+  spearmanCorrelation
+} from '../../../utils/correlationUtils';
+import './CorrelationChart.css';
+
+const GROUPING_LABELS = {
+  none: 'Each entry',
+  daily: 'Day',
+  weekly: 'Week',
+  monthly: 'Month'
+};
+
+const NO_COLOR = 'none';
+const OTHER_CATEGORY = 'Other';
+
+// Format a value with the metric's decimals, prefix and suffix
+const formatMetricValue = (value, metricConfig = {}) => {
+  const { decimals, prefix = '', suffix = '' } = metricConfig;
+  const formatted = decimals !== undefined
+    ? value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+    : Math.round(value).toLocaleString();
+  return `${prefix}${formatted}${suffix}`;
+};
+
+const formatCoefficient = (coefficient) => (coefficient === null ? '–' : coefficient.toFixed(2));
+
+// Point of the scatter, outliers get a ring
+const ScatterPoint = ({ cx, cy, fill, payload }) => {
+  if (cx === undefined || cy === undefined) return null;
+  return payload?.isOutlier ? (
+    <circle cx={cx} cy={cy} r={5} fill={fill} fillOpacity={0.9} stroke="var(--color-error)" strokeWidth={2} />
+  ) : (
+    <circle cx={cx} cy={cy} r={4} fill={fill} fillOpacity={0.7} />
+  );
+};
+
+ScatterPoint.propTypes = {
+  cx: PropTypes.number,
+  cy: PropTypes.number,
+  fill: PropTypes.string,
+  payload: PropTypes.shape({ isOutlier: PropTypes.bool })
+};
+
+// Tooltip of a point: its label, both values and its colour category
+const ScatterTooltip = ({ active, payload, xConfig, yConfig, colorLabel }) => {
+  if (!active || !payload || !payload.length) return null;
+
+  const point = payload[0].payload;
+  return (
+    <div className="correlation-tooltip">
+      {point.label && <p className="tooltip-label">{point.label}</p>}
+      <p className="tooltip-value">{xConfig.label}: {formatMetricValue(point.x, xConfig)}</p>
+      <p className="tooltip-value">{yConfig.label}: {formatMetricValue(point.y, yConfig)}</p>
+      {colorLabel && point.category && (
+        <p className="tooltip-category">{colorLabel}: {point.category}</p>
+      )}
+      {point.count > 1 && <p className="tooltip-count">{point.count} entries</p>}
+      {point.isOutlier && <p className="tooltip-outlier">Outlier</p>}
+    </div>
+  );
+};
+
+ScatterTooltip.propTypes = {
+  active: PropTypes.bool,
+  payload: PropTypes.array,
+  xConfig: PropTypes.object.isRequired,
+  yConfig: PropTypes.object.isRequired,
+  colorLabel: PropTypes.string
+};
+
+/**
+ * Scatter chart of one numeric field against another
+ *
+ * Points are the rows themselves or per-period aggregates (day, week, month),
+ * optionally coloured by a dimension. Draws the least-squares regression line,
+ * reports the Pearson and Spearman coefficients and rings the outliers (points
+ * far from the line).
+ *
+ * @param {Object} props
+ * @param {Array} props.data - The dataset to visualize
+ * @param {string} props.dateColumnName - Date column, used by the per-period groupings
+ * @param {Array} props.xOptions - Metric configs offered on the x axis (same structure as metricOptions)
+ * @param {Array} props.yOptions - Metric configs offered on the y axis
+ * @param {string} props.defaultX - Default x metric value
+ * @param {string} props.defaultY - Default y metric value
+ * @param {Array} props.colorOptions - Dimensions colouring the points: [{ value, label, field, delimiter }]
+ * @param {string} props.defaultColor - Default colour dimension ('none' for a single colour)
+ * @param {Array<string>} props.groupings - Offered groupings among CORRELATION_GROUPINGS (default: all)
+ * @param {string} props.defaultGrouping - Default grouping ('none' plots one point per row)
+ * @param {string} props.labelField - Field naming a row's point in the tooltip (per-row points)
+ * @param {number} props.maxCategories - Colour categories shown before grouping the rest as "Other"
+ * @param {number} props.outlierThreshold - Standardised residual beyond which a point is an outlier
+ * @param {string} props.title - The chart title
+ * @param {string} props.urlKey - Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+ */
+const CorrelationChart = ({
+  data,
+  dateColumnName,
+  xOptions = [],
+  yOptions = [],
+  defaultX,
+  defaultY,
+  colorOptions = [],
+  defaultColor = NO_COLOR,
+  groupings = CORRELATION_GROUPINGS,
+  defaultGrouping,
+  labelField,
+  maxCategories = 8,
+  outlierThreshold = DEFAULT_OUTLIER_THRESHOLD,
+  title = 'Correlation',
+  urlKey
+}) => {
+  // Axis, grouping and colour choices are kept in the URL (<urlKey>.x, .y, .per, .color)
+  const chartKey = urlKey || slugify(title);
+  const [selectedX, setSelectedX] = useChartChoice(
+    chartKey, 'x', defaultX || xOptions[0]?.value, xOptions.map(opt => opt.value)
+  );
+  const [selectedY, setSelectedY] = useChartChoice(
+    chartKey, 'y', defaultY || yOptions[0]?.value, yOptions.map(opt => opt.value)
+  );
+  const [selectedGrouping, setSelectedGrouping] = useChartChoice(
+    chartKey, 'per', defaultGrouping || groupings[0], groupings
+  );
+  const [selectedColor, setSelectedColor] = useChartChoice(
+    chartKey, 'color', defaultColor, [NO_COLOR, ...colorOptions.map(opt => opt.value)]
+  );
+  const [isFocusMode, setIsFocusMode] = useState(false);
+  // Rendered charts, for the image exports
+  const chartRef = useRef(null);
+  const focusChartRef = useRef(null);
+
+  // Escape key handler for focus mode
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && isFocusMode) setIsFocusMode(false);
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isFocusMode]);
+
+  const xConfig = xOptions.find(opt => opt.value === selectedX);
+  const yConfig = yOptions.find(opt => opt.value === selectedY);
+  const colorConfig = colorOptions.find(opt => opt.value === selectedColor);
+
+  // Points with their outlier flag, and the statistics of the cloud
+  const { points, regression, pearson, spearman } = useMemo(() => {
+    const scatterPoints = buildScatterPoints(data, {
+      xConfig,
+      yConfig,
+      grouping: selectedGrouping,
+      dateField: dateColumnName,
+      labelField,
+      colorField: colorConfig?.field,
+      colorDelimiter: colorConfig?.delimiter
+    });
+    const fit = linearRegression(scatterPoints);
+
+    return {
+      points: markOutliers(scatterPoints, fit, outlierThreshold),
+      regression: fit,
+      pearson: pearsonCorrelation(scatterPoints),
+      spearman: spearmanCorrelation(scatterPoints)
+    };
+  }, [data, xConfig, yConfig, selectedGrouping, dateColumnName, labelField, colorConfig, outlierThreshold]);
+
+  // One series per colour category, ranked by point count; the rest is grouped as "Other"
+  const series = useMemo(() => {
+    if (!colorConfig) {
+      return [{ name: yConfig?.label || 'Points', color: 'var(--chart-primary-color)', points }];
+    }
+
+    const counts = new Map();
+    points.forEach(point => {
+      if (point.category) counts.set(point.category, (counts.get(point.category) || 0) + 1);
+    });
+    const ranked = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).map(([category]) => category);
+    const kept = ranked.length > maxCategories ? ranked.slice(0, maxCategories - 1) : ranked;
+
+    const byCategory = new Map(kept.map(category => [category, []]));
+    const others = [];
+    points.forEach(point => {
+      if (byCategory.has(point.category)) {
+        byCategory.get(point.category).push(point);
+      } else {
+        others.push(point);
+      }
+    });
+
+    return [
+      ...kept.map((category, index) => ({ name: category, color: getCategoryColor(index), points: byCategory.get(category) })),
+      ...(others.length > 0 ? [{ name: OTHER_CATEGORY, color: getCategoryColor(kept.length, true), points: others }] : [])
+    ];
+  }, [points, colorConfig, yConfig, maxCategories]);
+
+  const outlierCount = points.filter(point => point.isOutlier).length;
+
+  // Regression line across the x range of the points
+  const regressionSegment = useMemo(() => {
+    if (!regression || points.length === 0) return null;
+    const xs = points.map(point => point.x);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    return [
+      { x: minX, y: regression.slope * minX + regression.intercept },
+      { x: maxX, y: regression.slope * maxX + regression.intercept }
+    ];
+  }, [regression, points]);
+
+  // Rows of the exported data: one per point
+  const getExportRows = () => points.map(point => {
+    const row = { label: point.label, [xConfig.label]: point.x, [yConfig.label]: point.y };
+    if (colorConfig) row[colorConfig.label] = point.category ?? '';
+    if (selectedGrouping !== 'none') row.entries = point.count;
+    row.outlier = point.isOutlier;
+    return row;
+  });
+
+  // Render controls (shared between normal and focus mode)
+  const renderControls = (inFocusMode = false) => (
+    <div className="chart-controls" onClick={(e) => e.stopPropagation()}>
+      {xOptions.length > 1 && (
+        <div className="chart-filter">
+          <label htmlFor={inFocusMode ? 'focus-correlation-x-select' : 'correlation-x-select'}>X:</label>
+          <select
+            id={inFocusMode ? 'focus-correlation-x-select' : 'correlation-x-select'}
+            className="filter-select"
+            value={selectedX}
+            onChange={(e) => setSelectedX(e.target.value)}
+          >
+            {xOptions.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {yOptions.length > 1 && (
+        <div className="chart-filter">
+          <label htmlFor={inFocusMode ? 'focus-correlation-y-select' : 'correlation-y-select'}>Y:</label>
+          <select
+            id={inFocusMode ? 'focus-correlation-y-select' : 'correlation-y-select'}
+            className="filter-select"
+            value={selectedY}
+            onChange={(e) => setSelectedY(e.target.value)}
+          >
+            {yOptions.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {groupings.length > 1 && (
+        <div className="chart-filter">
+          <label htmlFor={inFocusMode ? 'focus-correlation-grouping-select' : 'correlation-grouping-select'}>Per:</label>
+          <select
+            id={inFocusMode ? 'focus-correlation-grouping-select' : 'correlation-grouping-select'}
+            className="filter-select"
+            value={selectedGrouping}
+            onChange={(e) => setSelectedGrouping(e.target.value)}
+          >
+            {groupings.map(grouping => (
+              <option key={grouping} value={grouping}>{GROUPING_LABELS[grouping]}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {colorOptions.length > 0 && (
+        <div className="chart-filter">
+          <label htmlFor={inFocusMode ? 'focus-correlation-color-select' : 'correlation-color-select'}>Colour by:</label>
+          <select
+            id={inFocusMode ? 'focus-correlation-color-select' : 'correlation-color-select'}
+            className="filter-select"
+            value={selectedColor}
+            onChange={(e) => setSelectedColor(e.target.value)}
+          >
+            <option value={NO_COLOR}>None</option>
+            {colorOptions.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <ExportMenu
+        targetRef={inFocusMode ? focusChartRef : chartRef}
+        title={title}
+        getData={getExportRows}
+        metric={xConfig && yConfig ? `${yConfig.label} vs ${xConfig.label}` : undefined}
+        settings={{
+          per: selectedGrouping,
+          colorBy: colorConfig?.label || null,
+          pearson: pearson === null ? null : Number(pearson.toFixed(4)),
+          spearman: spearman === null ? null : Number(spearman.toFixed(4)),
+          slope: regression ? Number(regression.slope.toPrecision(6)) : null,
+          intercept: regression ? Number(regression.intercept.toPrecision(6)) : null
+        }}
+      />
+    </div>
+  );
+
+  // Coefficients and regression summary
+  const renderStats = () => (
+    <div className="correlation-stats">
+      <span className="correlation-stat">n = {points.length}</span>
+      <span className="correlation-stat" title="Pearson: linear relationship">
+        Pearson r = <strong>{formatCoefficient(pearson)}</strong> ({describeCorrelation(pearson)})
+      </span>
+      <span className="correlation-stat" title="Spearman: monotonic relationship, robust to outliers">
+        Spearman ρ = <strong>{formatCoefficient(spearman)}</strong>
+      </span>
+      {regression && (
+        <span className="correlation-stat correlation-stat--regression">
+          y = {regression.slope.toPrecision(3)}x {regression.intercept < 0 ? '−' : '+'} {Math.abs(regression.intercept).toPrecision(3)} (R² = {regression.rSquared.toFixed(2)})
+        </span>
+      )}
+      {outlierCount > 0 && (
+        <span className="correlation-stat correlation-stat--outliers">
+          {outlierCount} {outlierCount === 1 ? 'outlier' : 'outliers'}
+        </span>
+      )}
+    </div>
+  );
+
+  // Render chart (shared between normal and focus mode)
+  const renderChart = () => {
+    if (points.length === 0) {
+      return <div className="no-chart-data">No data available for the selected filters</div>;
+    }
+
+    return (
+      <ResponsiveContainer width="100%" height="100%">
+        <ScatterChart margin={{ top: 10, right: 20, bottom: 30, left: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="var(--chart-grid-color, #e0e0e0)" />
+          <XAxis
+            type="number"
+            dataKey="x"
+            name={xConfig.label}
+            domain={['auto', 'auto']}
+            tickFormatter={(value) => formatMetricValue(value, xConfig)}
+            label={{ value: xConfig.label, position: 'insideBottom', offset: -15 }}
+          />
+          <YAxis
+            type="number"
+            dataKey="y"
+            name={yConfig.label}
+            domain={['auto', 'auto']}
+            tickFormatter={(value) => formatMetricValue(value, yConfig)}
+            label={{ value: yConfig.label, angle: -90, position: 'insideLeft', style: { textAnchor: 'middle' } }}
+          />
+          <Tooltip
+            cursor={{ strokeDasharray: '3 3' }}
+            content={<ScatterTooltip xConfig={xConfig} yConfig={yConfig} colorLabel={colorConfig?.label} />}
+          />
+          {colorConfig && <Legend verticalAlign="top" height={30} />}
+          {series.map(({ name, color, points: seriesPoints }) => (
+            <Scatter
+              key={name}
+              name={name}
+              data={seriesPoints}
+              fill={color}
+              shape={<ScatterPoint />}
+              isAnimationActive={false}
+            />
+          ))}
+          {regressionSegment && (
+            <ReferenceLine
+              segment={regressionSegment}
+              stroke="var(--color-success)"
+              strokeWidth={2}
+              strokeDasharray="6 3"
+              ifOverflow="hidden"
+            />
+          )}
+        </ScatterChart>
+      </ResponsiveContainer>
+    );
+  };
+
+  if (!xConfig || !yConfig) {
+    return null;
+  }
+
+  return (
+    <>
+      {/* Normal view */}
+      <div className="correlation-chart-container" onClick={() => setIsFocusMode(true)}>
+        <div className="chart-header">
+          <h3 className="chart-title">{title}</h3>
+          {renderControls(false)}
+        </div>
+        {renderStats()}
+        <div className="correlation-chart-content" ref={chartRef}>
+          {renderChart()}
+        </div>
+      </div>
+
+      {/* Focus mode overlay */}
+      {isFocusMode && (
+        <div className="correlation-focus-overlay" onClick={() => setIsFocusMode(false)}>
+          <div className="correlation-focus-content" onClick={(e) => e.stopPropagation()}>
+            <button
+              className="focus-close-button"
+              onClick={() => setIsFocusMode(false)}
+              aria-label="Close focus mode"
+            >
+              <X size={24} />
+            </button>
+            <div className="correlation-focus-controls-bar">
+              {renderControls(true)}
+            </div>
+            {renderStats()}
+            <div className="correlation-focus-chart-container" ref={focusChartRef}>
+              {renderChart()}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+const metricOptionShape = PropTypes.shape({
+  value: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  field: PropTypes.string,
+  // Used by the per-period groupings
+  aggregation: PropTypes.oneOf(['count', 'count_distinct', 'sum', 'average', 'median', 'cumsum']),
+  decimals: PropTypes.number,
+  prefix: PropTypes.string,
+  suffix: PropTypes.string,
+  filterConditions: PropTypes.arrayOf(PropTypes.shape({
+    field: PropTypes.string.isRequired,
+    operator: PropTypes.oneOf(['=', '==', '!=', '!==', '>', '>=', '<', '<=']),
+    value: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.number,
+      PropTypes.bool,
+      PropTypes.array
+    ]).isRequired
+  })),
+  // Per-metric data source override (per-period groupings)
+  data: PropTypes.array,
+  dateColumnName: PropTypes.string
+});
+
+CorrelationChart.propTypes = {
+  data: PropTypes.array.isRequired,
+  dateColumnName: PropTypes.string,
+  xOptions: PropTypes.arrayOf(metricOptionShape).isRequired,
+  yOptions: PropTypes.arrayOf(metricOptionShape).isRequired,
+  defaultX: PropTypes.string,
+  defaultY: PropTypes.string,
+  colorOptions: PropTypes.arrayOf(PropTypes.shape({
+    value: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    field: PropTypes.string.isRequired,
+    delimiter: PropTypes.string
+  })),
+  defaultColor: PropTypes.string,
+  groupings: PropTypes.arrayOf(PropTypes.oneOf(CORRELATION_GROUPINGS)),
+  defaultGrouping: PropTypes.oneOf(CORRELATION_GROUPINGS),
+  labelField: PropTypes.string,
+  maxCategories: PropTypes.number,
+  outlierThreshold: PropTypes.number,
+  title: PropTypes.string,
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey: PropTypes.string
+};
+
+export default CorrelationChart;
@@ -1,26 +1,80 @@
 // src/components/charts/IntensityHeatmap/index.jsx
-import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { X } from 'lucide-react';
 import { applyMetricFilter, resolveMetricDataSource } from '../../../utils/computationUtils';
+import {
+  TIME_PERIODS as BASE_TIME_PERIODS,
+  UNKNOWN_TIME_PERIOD,
+  CALENDAR_BUCKET,
+  getCalendarParts,
+  pickMetricFilter
+} from '../../../utils/aggregationUtils';
+import ExportMenu from '../../ui/common/ExportMenu';
+import CrossFilterChip from '../../ui/common/CrossFilterChip';
+import { useAggregateQuery } from '../../../hooks/useAggregateQuery';
+import { useCrossFilter } from '../../../hooks/useCrossFilter';
+import { useChartChoice } from '../../../hooks/useUrlState';
+import { slugify } from '../../../utils/urlStateUtils';
 import './IntensityHeatmap.css';
 
-// Fixed time periods - ordered from morning to night, with unknown at the end
-const BASE_TIME_PERIODS = {
-  MORNING: { start: 6, end: 11, label: 'Morning' },
-  AFTERNOON: { start: 12, end: 17, label: 'Afternoon' },
-  EVENING: { start: 18, end: 23, label: 'Evening' },
-  NIGHT: { start: 0, end: 5, label: 'Night' }
-};
-
 // Unknown time period, only included when treatMidnightAsUnknown is true
-const UNKNOWN_TIME_PERIOD = {
-  UNKNOWN: { label: 'Unknown' } // Special category for 00:00 timestamps (paper books)
+const UNKNOWN_TIME_PERIODS = {
+  [UNKNOWN_TIME_PERIOD]: { label: 'Unknown' } // Special category for 00:00 timestamps (paper books)
 };
 
 // Abbreviated day labels - always use short form for consistency
 const DAYS_SHORT = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
 
+// Full day names, the values a weekday sets in a page filter
+const DAYS_FULL = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const MONTHS_SHORT = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const AXIS_LABELS = {
+  weekday: 'Weekday',
+  time_period: 'Time of Day',
+  hour: 'Hour',
+  month: 'Month',
+  day_of_month: 'Day of Month',
+  year: 'Year'
+};
+
+// Layouts: date parts on the rows and columns (the time of day layout follows rowAxis / columnAxis)
+const LAYOUTS = {
+  time_of_day: { label: 'Weekday × Time of Day' },
+  hours: { label: 'Weekday × Hour', rowAxis: 'hour', columnAxis: 'weekday' },
+  month_weekday: { label: 'Month × Weekday', rowAxis: 'month', columnAxis: 'weekday' },
+  month_day: { label: 'Month × Day of Month', rowAxis: 'day_of_month', columnAxis: 'month' },
+  year_month: { label: 'Year × Month', rowAxis: 'year', columnAxis: 'month' }
+};
+
+// Tables with more rows scroll instead of shrinking
+const MAX_FITTING_ROWS = 12;
+
+// Keys and labels of an axis; years are the ones found in the data
+const getAxisValues = (axis, timePeriods, years) => {
+  switch (axis) {
+    case 'weekday':
+      return DAYS_SHORT.map((label, key) => ({ key, label }));
+    case 'hour': {
+      const hours = Array.from({ length: 24 }, (_, key) => ({ key, label: `${String(key).padStart(2, '0')}:00` }));
+      // 00:00 timestamps are "Unknown" like their time period
+      return timePeriods[UNKNOWN_TIME_PERIOD]
+        ? [...hours, { key: UNKNOWN_TIME_PERIOD, label: timePeriods[UNKNOWN_TIME_PERIOD].label }]
+        : hours;
+    }
+    case 'month':
+      return MONTHS_SHORT.map((label, key) => ({ key, label }));
+    case 'day_of_month':
+      return Array.from({ length: 31 }, (_, index) => ({ key: index + 1, label: String(index + 1) }));
+    case 'year':
+      return years.map(year => ({ key: year, label: String(year) }));
+    default:
+      return Object.entries(timePeriods).map(([key, config]) => ({ key, label: config.label }));
+  }
+};
+
 // Color scale function - kept the same as in original component
 const getColor = (value, maxValue) => {
   if (value === 0) return '#D8DCFF';
@@ -50,9 +104,17 @@ const getColor = (value, maxValue) => {
  * @param {string} props.defaultMetric - Default selected metric value (for multi-metric mode)
  * @param {string} props.rowAxis - What to display on Y-axis: 'weekday' | 'time_period' (default: 'time_period')
  * @param {string} props.columnAxis - What to display on X-axis: 'weekday' | 'time_period' (default: 'weekday')
+ * @param {Array<string>} props.layouts - Layouts offered (default: all): 'time_of_day' (rowAxis x columnAxis),
+ *   'hours' (24 hours x 7 days), 'month_weekday', 'month_day' (day of month x month), 'year_month'
+ * @param {string} props.defaultLayout - Layout shown first (default: 'time_of_day')
  * @param {number} props.decimals - Decimal places for display (simple API only, default: 0)
  * @param {boolean} props.compactNumbers - Whether to format large numbers as K/M (default: false)
  * @param {boolean} props.showAxisSwap - Whether to show the axis swap button (default: true)
+ * @param {Object} props.remote - Remote-data mode: { dataset, query } aggregates the dataset on the
+ *   server (/api/aggregate) instead of `data`; query holds dataset filters (from, to, filters...)
+ * @param {string} props.urlKey - Prefix of the query parameter keeping the metric choice (default: slug of the title)
+ * @param {Object} props.filterKeys - Page filters set by clicking a cell: { weekday, time_period } filter keys;
+ *   a weekday sets its full name ('Monday'), a time period its label ('Morning')
  */
 const IntensityHeatmap = ({
   data,
@@ -65,19 +127,32 @@ const IntensityHeatmap = ({
   defaultMetric,
   rowAxis = 'time_period',
   columnAxis = 'weekday',
+  layouts = Object.keys(LAYOUTS),
+  defaultLayout = 'time_of_day',
   decimals,
   prefix = '',
   suffix = '',
   compactNumbers = false,
-  showAxisSwap = true
+  showAxisSwap = true,
+  remote,
+  urlKey,
+  filterKeys = {}
 }) => {
   const [heatmapData, setHeatmapData] = useState({});
   const [allMetricsData, setAllMetricsData] = useState({});
   const [maxValue, setMaxValue] = useState(0);
-  const [selectedMetric, setSelectedMetric] = useState(defaultMetric || metricOptions[0]?.value);
+  // Metric and layout choices are kept in the URL (<urlKey>.metric, <urlKey>.layout)
+  const chartKey = urlKey || slugify(title);
+  const [selectedMetric, setSelectedMetric] = useChartChoice(
+    chartKey, 'metric', defaultMetric || metricOptions[0]?.value, metricOptions.map(opt => opt.value)
+  );
+  const [selectedLayout, setSelectedLayout] = useChartChoice(chartKey, 'layout', defaultLayout, layouts);
   const [axesSwapped, setAxesSwapped] = useState(false);
   // State for focus mode
   const [isFocusMode, setIsFocusMode] = useState(false);
+  // Rendered tables, for the image exports
+  const tableRef = useRef(null);
+  const focusTableRef = useRef(null);
 
   // Escape key handler for focus mode
   useEffect(() => {
@@ -99,9 +174,10 @@ const IntensityHeatmap = ({
     }
   }, [rowAxis, columnAxis]);
 
-  // Base axis values (from props, with fallback if same axis specified)
-  const baseRowAxis = rowAxis === columnAxis ? 'time_period' : rowAxis;
-  const baseColumnAxis = rowAxis === columnAxis ? 'weekday' : columnAxis;
+  // Base axis values (layout, or props with fallback if same axis specified)
+  const layoutConfig = LAYOUTS[selectedLayout] || LAYOUTS.time_of_day;
+  const baseRowAxis = layoutConfig.rowAxis || (rowAxis === columnAxis ? 'time_period' : rowAxis);
+  const baseColumnAxis = layoutConfig.columnAxis || (rowAxis === columnAxis ? 'weekday' : columnAxis);
 
   // Effective axis values (considering swap state)
   const effectiveRowAxis = axesSwapped ? baseColumnAxis : baseRowAxis;
@@ -112,81 +188,110 @@ const IntensityHeatmap = ({
     setAxesSwapped(prev => !prev);
   };
 
+  // Clicking a cell filters the page on its weekday and/or time period (axes with a filter key)
+  const axisFilters = {
+    weekday: useCrossFilter(filterKeys.weekday),
+    time_period: useCrossFilter(filterKeys.time_period)
+  };
+  // Only the weekday and time of day axes have page filters
+  const isCellClickable = [effectiveRowAxis, effectiveColumnAxis].some(axis => axisFilters[axis]?.enabled);
+
   // Dynamically determine time periods based on the treatMidnightAsUnknown prop
   const TIME_PERIODS = useMemo(() =>
     treatMidnightAsUnknown
-      ? { ...BASE_TIME_PERIODS, ...UNKNOWN_TIME_PERIOD }
+      ? { ...BASE_TIME_PERIODS, ...UNKNOWN_TIME_PERIODS }
       : { ...BASE_TIME_PERIODS },
     [treatMidnightAsUnknown]
   );
 
-  // Determine row and column values based on axis configuration
-  // Always use abbreviated labels for consistency (Mon, Tue, etc. and Morning, Afternoon, etc.)
-  const rowValues = useMemo(() => {
-    if (effectiveRowAxis === 'weekday') {
-      return DAYS_SHORT.map((day, idx) => ({ key: idx, label: day }));
-    } else {
-      return Object.entries(TIME_PERIODS).map(([key, config]) => ({ key, label: config.label }));
-    }
-  }, [effectiveRowAxis, TIME_PERIODS]);
-
-  const columnValues = useMemo(() => {
-    if (effectiveColumnAxis === 'weekday') {
-      return DAYS_SHORT.map((day, idx) => ({ key: idx, label: day }));
-    } else {
-      return Object.entries(TIME_PERIODS).map(([key, config]) => ({ key, label: config.label }));
-    }
-  }, [effectiveColumnAxis, TIME_PERIODS]);
-
-  // Parse timestamp to get weekday index and time period
-  const parseTimestamp = useCallback((rawTimestamp) => {
-    let date;
-
-    if (typeof rawTimestamp === 'string') {
-      if (rawTimestamp.includes('+00:00')) {
-        const utcParts = rawTimestamp.split(/[^0-9]/);
-        if (utcParts.length >= 6) {
-          date = new Date(
-            parseInt(utcParts[0]),
-            parseInt(utcParts[1]) - 1,
-            parseInt(utcParts[2]),
-            parseInt(utcParts[3]),
-            parseInt(utcParts[4]),
-            parseInt(utcParts[5] || 0)
-          );
-        } else {
-          date = new Date(rawTimestamp);
-        }
+  // Filter value of an axis key: full day name, or time period label
+  const getAxisFilterValue = (axis, key) => (axis === 'weekday' ? DAYS_FULL[key] : TIME_PERIODS[key]?.label);
+
+  // Filtered axes of a cell, with the value each one sets
+  const getCellFilters = (rowKey, colKey) => [
+    [effectiveRowAxis, rowKey],
+    [effectiveColumnAxis, colKey]
+  ]
+    .filter(([axis]) => axisFilters[axis]?.enabled)
+    .map(([axis, key]) => ({ filter: axisFilters[axis], value: getAxisFilterValue(axis, key) }));
+
+  // Cells outside the page's selection are dimmed
+  const isCellDimmed = (rowKey, colKey) => getCellFilters(rowKey, colKey)
+    .some(({ filter, value }) => filter.isActive && !filter.isSelected(value));
+
+  // Filter on the cell, or clear it when it is the selection; Ctrl/⌘-click adds to the selection
+  const handleCellClick = (e, rowKey, colKey) => {
+    if (!isCellClickable) return;
+    e.stopPropagation();
+
+    const cellFilters = getCellFilters(rowKey, colKey);
+    const isCellSelected = cellFilters.every(({ filter, value }) => filter.isSelected(value));
+    const additive = e.ctrlKey || e.metaKey || e.shiftKey;
+    cellFilters.forEach(({ filter, value }) => {
+      const others = filter.selected.filter(selectedValue => selectedValue !== value);
+      if (isCellSelected) {
+        filter.setSelected(others);
       } else {
-        date = new Date(rawTimestamp);
+        filter.setSelected(additive ? [...others, value] : [value]);
       }
-    } else if (rawTimestamp instanceof Date) {
-      date = rawTimestamp;
-    } else {
-      return null;
-    }
-
-    if (!date || isNaN(date.getTime())) return null;
+    });
+  };
 
-    const hour = date.getHours();
-    const minutes = date.getMinutes();
-    const day = date.getDay();
-    const weekdayIndex = day === 0 ? 6 : day - 1;
+  // Parse timestamp into its date parts (weekday index, time period, hour, month...)
+  const parseTimestamp = useCallback(
+    (rawTimestamp) => getCalendarParts(rawTimestamp, treatMidnightAsUnknown),
+    [treatMidnightAsUnknown]
+  );
 
-    let timePeriod;
-    if (treatMidnightAsUnknown && hour === 0 && minutes === 0) {
-      timePeriod = 'UNKNOWN';
+  // Remote mode: the server aggregates the selected metric into the cells of the layout
+  const isRemote = Boolean(remote);
+  const remoteAggregation = (useSimpleAPI ? aggregationType : currentMetricConfig?.aggregation) || 'sum';
+  const remoteResult = useAggregateQuery(remote?.dataset, {
+    ...remote?.query,
+    bucket: CALENDAR_BUCKET,
+    bucketParts: [baseRowAxis, baseColumnAxis],
+    bucketField: currentMetricConfig?.dateColumnName || dateColumnName,
+    treatMidnightAsUnknown,
+    // cumsum treated as sum for heatmaps - 2D grid doesn't have natural ordering
+    aggregation: remoteAggregation === 'cumsum' ? 'sum' : remoteAggregation,
+    field: useSimpleAPI ? valueColumnName : currentMetricConfig?.field,
+    metricFilter: pickMetricFilter(currentMetricConfig)
+  }, isRemote);
+
+  // Years of the year axis: the ones in the data (or in the server's cells)
+  const usesYears = baseRowAxis === 'year' || baseColumnAxis === 'year';
+  const years = useMemo(() => {
+    if (!usesYears) return [];
+
+    const found = new Set();
+    if (isRemote) {
+      remoteResult.rows.forEach(row => found.add(row.year));
     } else {
-      timePeriod = Object.keys(BASE_TIME_PERIODS).find(p => {
-        const { start, end } = BASE_TIME_PERIODS[p];
-        return hour >= start && hour <= end;
+      const sources = useSimpleAPI
+        ? [{ data, dateColumnName }]
+        : metricOptions.map(opt => resolveMetricDataSource(opt, data, dateColumnName));
+      sources.forEach(({ data: rows, dateColumnName: dateCol }) => {
+        if (!Array.isArray(rows)) return;
+        rows.forEach(row => {
+          const parsed = parseTimestamp(row[dateCol]);
+          if (parsed) found.add(parsed.year);
+        });
       });
     }
+    return [...found].filter(year => year !== undefined && year !== null).sort((a, b) => a - b);
+  }, [usesYears, isRemote, remoteResult.rows, useSimpleAPI, data, dateColumnName, metricOptions, parseTimestamp]);
 
-    if (!timePeriod) return null;
+  // Determine row and column values based on axis configuration
+  // Always use abbreviated labels for consistency (Mon, Tue, etc. and Morning, Afternoon, etc.)
+  const rowValues = useMemo(
+    () => getAxisValues(effectiveRowAxis, TIME_PERIODS, years),
+    [effectiveRowAxis, TIME_PERIODS, years]
+  );
 
-    return { weekdayIndex, timePeriod };
-  }, [treatMidnightAsUnknown]);
+  const columnValues = useMemo(
+    () => getAxisValues(effectiveColumnAxis, TIME_PERIODS, years),
+    [effectiveColumnAxis, TIME_PERIODS, years]
+  );
 
   // Aggregate data for a single metric configuration
   // Accepts optional effectiveDateColumn for per-metric data source overrides
@@ -218,11 +323,9 @@ const IntensityHeatmap = ({
       const parsed = parseTimestamp(item[dateCol]);
       if (!parsed) return;
 
-      const { weekdayIndex, timePeriod } = parsed;
-
       // Determine row and column keys based on axis configuration
-      const rowKey = effectiveRowAxis === 'weekday' ? weekdayIndex : timePeriod;
-      const colKey = effectiveColumnAxis === 'weekday' ? weekdayIndex : timePeriod;
+      const rowKey = parsed[effectiveRowAxis];
+      const colKey = parsed[effectiveColumnAxis];
 
       // Skip if keys don't exist in our matrix (e.g., UNKNOWN when not enabled)
       if (matrix[rowKey] === undefined || matrix[rowKey][colKey] === undefined) return;
@@ -267,7 +370,34 @@ const IntensityHeatmap = ({
   }, [rowValues, columnValues, dateColumnName, effectiveRowAxis, effectiveColumnAxis, parseTimestamp]);
 
   useEffect(() => {
-    if (!Array.isArray(data) || data.length === 0) return;
+    if (!isRemote) return;
+
+    const matrix = {};
+    rowValues.forEach(row => {
+      matrix[row.key] = {};
+      columnValues.forEach(col => {
+        matrix[row.key][col.key] = 0;
+      });
+    });
+
+    remoteResult.rows.forEach(row => {
+      const rowKey = row[effectiveRowAxis];
+      const colKey = row[effectiveColumnAxis];
+      if (matrix[rowKey] === undefined || matrix[rowKey][colKey] === undefined) return;
+      matrix[rowKey][colKey] = row.value;
+    });
+
+    // Only the selected metric is fetched, so the tooltip shows it alone
+    if (!useSimpleAPI) {
+      setAllMetricsData({ [selectedMetric]: matrix });
+    }
+    setMaxValue(Math.max(...Object.values(matrix).flatMap(row => Object.values(row)), 0));
+    setHeatmapData(matrix);
+  }, [isRemote, remoteResult.rows, rowValues, columnValues, effectiveRowAxis, effectiveColumnAxis,
+      useSimpleAPI, selectedMetric]);
+
+  useEffect(() => {
+    if (isRemote || !Array.isArray(data) || data.length === 0) return;
 
     try {
       if (useSimpleAPI) {
@@ -314,7 +444,7 @@ const IntensityHeatmap = ({
     }
   }, [data, dateColumnName, valueColumnName, aggregationType, treatMidnightAsUnknown,
       useSimpleAPI, metricOptions, selectedMetric, effectiveRowAxis, effectiveColumnAxis,
-      rowValues, columnValues, aggregateMetric]);
+      rowValues, columnValues, aggregateMetric, isRemote]);
 
   // Update heatmap when selected metric changes (advanced API)
   useEffect(() => {
@@ -418,7 +548,7 @@ const IntensityHeatmap = ({
       return formatValue(value);
     } else {
       // Show all metrics in tooltip
-      return metricOptions.map(opt => {
+      return metricOptions.filter(opt => allMetricsData[opt.value]).map(opt => {
         const value = allMetricsData[opt.value]?.[rowKey]?.[colKey] || 0;
         const formatted = opt.decimals !== undefined
           ? value.toLocaleString(undefined, { minimumFractionDigits: opt.decimals, maximumFractionDigits: opt.decimals })
@@ -439,8 +569,8 @@ const IntensityHeatmap = ({
     }, 0);
   }, [heatmapData, rowValues, columnValues]);
 
-  // Check if we should show controls (metric selector or axis swap)
-  const showControls = showAxisSwap || (!useSimpleAPI && metricOptions.length > 1);
+  // Check if we should show controls (metric or layout selector, or axis swap)
+  const showControls = showAxisSwap || layouts.length > 1 || (!useSimpleAPI && metricOptions.length > 1);
 
   // Render controls (shared between normal and focus mode)
   const renderControls = (inFocusMode = false) => (
@@ -462,6 +592,23 @@ const IntensityHeatmap = ({
           </select>
         </div>
       )}
+      {layouts.length > 1 && (
+        <div className="chart-filter">
+          <label htmlFor={inFocusMode ? "focus-heatmap-layout-select" : "heatmap-layout-select"}>Layout:</label>
+          <select
+            id={inFocusMode ? "focus-heatmap-layout-select" : "heatmap-layout-select"}
+            className="filter-select"
+            value={selectedLayout}
+            onChange={(e) => setSelectedLayout(e.target.value)}
+          >
+            {layouts.filter(layout => LAYOUTS[layout]).map(layout => (
+              <option key={layout} value={layout}>
+                {LAYOUTS[layout].label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
       {showAxisSwap && (
         <button
           className="axis-swap-button"
@@ -486,10 +633,31 @@ const IntensityHeatmap = ({
     </div>
   );
 
+  // Page filters set by clicking a cell
+  const renderCrossFilterChips = () => Object.entries(axisFilters).map(([axis, filter]) => (
+    <CrossFilterChip key={axis} label={AXIS_LABELS[axis]} values={filter.selected} onClear={filter.clear} />
+  ));
+
+  // Export menu: the table as an image, its cells as rows
+  const renderExportMenu = (inFocusMode = false) => (
+    <ExportMenu
+      targetRef={inFocusMode ? focusTableRef : tableRef}
+      title={title}
+      getData={() => rowValues.flatMap(row => columnValues.map(col => ({
+        [effectiveRowAxis]: row.label,
+        [effectiveColumnAxis]: col.label,
+        value: heatmapData[row.key]?.[col.key] || 0
+      })))}
+      metric={currentMetricConfig?.label}
+      settings={{ layout: layoutConfig.label, rows: effectiveRowAxis, columns: effectiveColumnAxis }}
+    />
+  );
+
   // Render table (shared between normal and focus mode)
-  const renderTable = () => (
-    <div className="heatmap-table-container">
-      <table className="heatmap-table">
+  const isDense = rowValues.length > MAX_FITTING_ROWS;
+  const renderTable = (ref) => (
+    <div className={isDense ? 'heatmap-table-container heatmap-table-container--dense' : 'heatmap-table-container'} ref={ref}>
+      <table className={isDense ? 'heatmap-table heatmap-table--dense' : 'heatmap-table'}>
         <thead>
           <tr>
             <th></th>
@@ -514,12 +682,17 @@ const IntensityHeatmap = ({
                   return (
                     <td
                       key={`${row.key}-${col.key}`}
-                      className="heatmap-cell"
+                      className={[
+                        'heatmap-cell',
+                        isCellClickable && 'clickable',
+                        isCellDimmed(row.key, col.key) && 'dimmed'
+                      ].filter(Boolean).join(' ')}
                       style={{
                         backgroundColor: getColor(value, maxValue),
                         color: value > maxValue / 2 ? 'white' : '#171738'
                       }}
                       title={generateTooltip(row.key, col.key)}
+                      onClick={(e) => handleCellClick(e, row.key, col.key)}
                     >
                       {displayValue}
                     </td>
@@ -574,8 +747,10 @@ const IntensityHeatmap = ({
         <div className="heatmap-header">
           <h3 className="heatmap-title">{title}</h3>
           {showControls && renderControls(false)}
+          {renderCrossFilterChips()}
+          {renderExportMenu(false)}
         </div>
-        {renderTable()}
+        {renderTable(tableRef)}
       </div>
 
       {/* Focus mode overlay */}
@@ -591,9 +766,11 @@ const IntensityHeatmap = ({
             </button>
             <div className="heatmap-focus-controls-bar">
               {renderControls(true)}
+              {renderCrossFilterChips()}
+              {renderExportMenu(true)}
             </div>
             <div className="heatmap-focus-chart-container">
-              {renderTable()}
+              {renderTable(focusTableRef)}
             </div>
           </div>
         </div>
@@ -603,7 +780,8 @@ const IntensityHeatmap = ({
 };
 
 IntensityHeatmap.propTypes = {
-  data: PropTypes.array.isRequired,
+  // Not needed in remote mode
+  data: PropTypes.array,
   dateColumnName: PropTypes.string.isRequired,
   valueColumnName: PropTypes.string,
   aggregationType: PropTypes.oneOf(['sum', 'count', 'count_distinct', 'average', 'cumsum']),
@@ -639,11 +817,26 @@ IntensityHeatmap.propTypes = {
   defaultMetric: PropTypes.string,
   rowAxis: PropTypes.oneOf(['weekday', 'time_period']),
   columnAxis: PropTypes.oneOf(['weekday', 'time_period']),
+  // Layouts offered in the selector, and the one shown first
+  layouts: PropTypes.arrayOf(PropTypes.oneOf(Object.keys(LAYOUTS))),
+  defaultLayout: PropTypes.oneOf(Object.keys(LAYOUTS)),
   decimals: PropTypes.number,
   prefix: PropTypes.string,
   suffix: PropTypes.string,
   compactNumbers: PropTypes.bool,
-  showAxisSwap: PropTypes.bool
+  showAxisSwap: PropTypes.bool,
+  // Remote-data mode
+  remote: PropTypes.shape({
+    dataset: PropTypes.string.isRequired,
+    query: PropTypes.object
+  }),
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey: PropTypes.string,
+  // Keys of the page filters (usually their fields) set by clicking a cell
+  filterKeys: PropTypes.shape({
+    weekday: PropTypes.string,
+    time_period: PropTypes.string
+  })
 };
 
 export default IntensityHeatmap;
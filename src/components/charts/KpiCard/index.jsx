@@ -1,7 +1,8 @@
 // src/components/charts/KpiCard/index.jsx
-import { useMemo } from 'react';
+import { useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { performComputation, formatComputedValue, applyMetricFilter } from '../../../utils/computationUtils';
+import ExportMenu from '../../ui/common/ExportMenu';
 import './KpiCard.css';
 
 /**
@@ -42,6 +43,9 @@ const KpiCard = ({
     filterConditions
   } = metricOptions || {};
 
+  // Rendered card, for the image exports
+  const cardRef = useRef(null);
+
   // Compute value from data
   const computedValue = useMemo(() => {
     if (!data || !aggregation) {
@@ -145,7 +149,16 @@ const KpiCard = ({
   }, [computedValue, formatValue, compactNumbers, decimals, prefix, suffix]);
 
   return (
-    <div className="kpi-card">
+    <div className="kpi-card" ref={cardRef}>
+      <div className="kpi-card-export">
+        <ExportMenu
+          targetRef={cardRef}
+          title={label}
+          getData={() => [{ metric: label, value: computedValue, display: displayValue }]}
+          metric={label}
+          settings={{ aggregation, field, filterConditions }}
+        />
+      </div>
       {icon && <div className="kpi-card-icon">{icon}</div>}
       <div className="kpi-card-value">{displayValue}</div>
       <div className="kpi-card-label">{label}</div>
@@ -1,37 +1,18 @@
 // src/components/charts/ProportionChart/index.jsx
-import { useEffect, useState, useMemo } from 'react';
+import { useEffect, useState, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { PieChart, Pie, Cell, Treemap, Tooltip, ResponsiveContainer, Legend } from 'recharts';
 import { X, PieChart as PieChartIcon, LayoutGrid, ArrowLeft } from 'lucide-react';
 import _ from 'lodash';
 import { applyMetricFilter, resolveMetricDataSource, performComputation, formatComputedValue } from '../../../utils/computationUtils';
+import ExportMenu from '../../ui/common/ExportMenu';
+import CrossFilterChip from '../../ui/common/CrossFilterChip';
+import { useChartChoice } from '../../../hooks/useUrlState';
+import { useCrossFilter } from '../../../hooks/useCrossFilter';
+import { slugify } from '../../../utils/urlStateUtils';
+import { CATEGORY_COLORS, EXTENDED_COLORS, getCategoryColor } from '../../../utils/chartPalette';
 import './ProportionChart.css';
 
-// Color palette for categories (from design tokens)
-const CATEGORY_COLORS = [
-  '#3423A6',  // Primary purple
-  '#3B82F6',  // Blue (timeline-1)
-  '#14B8A6',  // Teal (timeline-2)
-  '#F97316',  // Orange (timeline-3)
-  '#A78BFA',  // Lavender (timeline-4)
-  '#10B981',  // Green (timeline-5)
-  '#FB4B4E',  // Accent red
-  '#9CA3AF',  // Gray (for "Other")
-];
-
-// Extended colors for drill-down view
-const EXTENDED_COLORS = [
-  ...CATEGORY_COLORS,
-  '#6366F1',  // Indigo
-  '#EC4899',  // Pink
-  '#8B5CF6',  // Violet
-  '#06B6D4',  // Cyan
-  '#84CC16',  // Lime
-  '#F59E0B',  // Amber
-  '#EF4444',  // Red
-  '#6B7280',  // Gray
-];
-
 const formatNumber = (num, decimals = 0) => {
   if (decimals > 0) {
     return new Intl.NumberFormat('en-US', {
@@ -65,14 +46,25 @@ const ProportionChart = ({
   enableChartTypeToggle = true,
   maxCategories = 8,
   showLegend = true,
-  showPercentages = true
+  showPercentages = true,
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey
 }) => {
   // State
-  const [selectedDimension, setSelectedDimension] = useState(defaultDimension || dimensionOptions[0]?.value);
-  const [selectedMetric, setSelectedMetric] = useState(defaultMetric || metricOptions[0]?.value);
+  // Dimension and metric choices are kept in the URL (<urlKey>.dimension, <urlKey>.metric)
+  const chartKey = urlKey || slugify(title);
+  const [selectedDimension, setSelectedDimension] = useChartChoice(
+    chartKey, 'dimension', defaultDimension || dimensionOptions[0]?.value, dimensionOptions.map(opt => opt.value)
+  );
+  const [selectedMetric, setSelectedMetric] = useChartChoice(
+    chartKey, 'metric', defaultMetric || metricOptions[0]?.value, metricOptions.map(opt => opt.value)
+  );
   const [chartType, setChartType] = useState(initialChartType);
   const [isFocusMode, setIsFocusMode] = useState(false);
   const [drillDownData, setDrillDownData] = useState(null); // null = main view, array = drill-down
+  // Rendered charts, for the image exports
+  const chartRef = useRef(null);
+  const focusChartRef = useRef(null);
 
   // Escape key handler for focus mode
   useEffect(() => {
@@ -93,6 +85,9 @@ const ProportionChart = ({
   const currentDimensionConfig = dimensionOptions.find(d => d.value === selectedDimension);
   const currentMetricConfig = metricOptions.find(m => m.value === selectedMetric);
 
+  // Clicking a slice filters the page on it (dimensions with a filterKey)
+  const crossFilter = useCrossFilter(currentDimensionConfig?.filterKey);
+
   // Process data into chart format
   const { chartData, otherItems, totalValue } = useMemo(() => {
     if (!Array.isArray(data) || !currentDimensionConfig || !currentMetricConfig) {
@@ -229,7 +224,7 @@ const ProportionChart = ({
     mainItems = mainItems.map((item, index) => ({
       ...item,
       percentage: total > 0 ? (item.value / total * 100) : 0,
-      color: item.isOther ? CATEGORY_COLORS[CATEGORY_COLORS.length - 1] : CATEGORY_COLORS[index % CATEGORY_COLORS.length]
+      color: getCategoryColor(index, item.isOther)
     }));
 
     return {
@@ -257,13 +252,22 @@ const ProportionChart = ({
     return `${prefix}${formatted}${suffix}`;
   };
 
-  // Handle slice/cell click
-  const handleSliceClick = (entry) => {
-    if (entry.isOther && otherItems.length > 0) {
-      setDrillDownData(otherItems);
+  // Handle slice/cell click: "Other" drills down, the other slices filter the page
+  const handleSliceClick = (entry, e) => {
+    if (entry.isOther) {
+      if (otherItems.length > 0) setDrillDownData(otherItems);
+    } else if (crossFilter.enabled) {
+      e?.stopPropagation();
+      crossFilter.select(entry.name, Boolean(e && (e.ctrlKey || e.metaKey || e.shiftKey)));
+      // The drill-down items were computed before the filter
+      setDrillDownData(null);
     }
   };
 
+  // Slices outside the page's selection are dimmed
+  const isSliceDimmed = (name) => crossFilter.isActive && !crossFilter.isSelected(name);
+  const isSliceClickable = (isOther) => isOther || crossFilter.enabled;
+
   // Custom tooltip
   const CustomTooltip = ({ active, payload }) => {
     if (!active || !payload || !payload.length) return null;
@@ -336,18 +340,19 @@ const ProportionChart = ({
           width={width}
           height={height}
           fill={color}
-          stroke="var(--color-surface)"
+          fillOpacity={isSliceDimmed(name) ? 0.35 : 1}
+          stroke={crossFilter.isSelected(name) ? 'var(--color-accent)' : 'var(--color-surface)'}
           strokeWidth={2}
-          style={{ cursor: isOther ? 'pointer' : 'default' }}
-          onClick={() => isOther && handleSliceClick({ isOther, itemCount })}
+          style={{ cursor: isSliceClickable(isOther) ? 'pointer' : 'default' }}
+          onClick={(e) => handleSliceClick({ name, isOther, itemCount }, e)}
         />
         {shouldRenderText && (
           <foreignObject x={x} y={y} width={width} height={height}>
             <div
               xmlns="http://www.w3.org/1999/xhtml"
               className="treemap-cell-content"
-              style={{ cursor: isOther ? 'pointer' : 'default' }}
-              onClick={() => isOther && handleSliceClick({ isOther, itemCount })}
+              style={{ cursor: isSliceClickable(isOther) ? 'pointer' : 'default' }}
+              onClick={(e) => handleSliceClick({ name, isOther, itemCount }, e)}
             >
               <span className="treemap-cell-name">
                 {displayName.length > 20 ? displayName.substring(0, 20) + '...' : displayName}
@@ -448,16 +453,17 @@ const ProportionChart = ({
             paddingAngle={2}
             label={renderCustomLabel}
             labelLine={true}
-            onClick={(entry) => handleSliceClick(entry)}
+            onClick={(entry, index, e) => handleSliceClick(entry, e)}
             style={{ cursor: 'pointer' }}
           >
             {dataToRender.map((entry, index) => (
               <Cell
                 key={`cell-${index}`}
                 fill={entry.color}
-                stroke="var(--color-surface)"
+                fillOpacity={isSliceDimmed(entry.name) ? 0.35 : 1}
+                stroke={crossFilter.isSelected(entry.name) ? 'var(--color-accent)' : 'var(--color-surface)'}
                 strokeWidth={2}
-                style={{ cursor: entry.isOther ? 'pointer' : 'default' }}
+                style={{ cursor: isSliceClickable(entry.isOther) ? 'pointer' : 'default' }}
               />
             ))}
           </Pie>
@@ -520,6 +526,40 @@ const ProportionChart = ({
       : renderTreemapChart(chartData);
   };
 
+  // Rows of the exported data: the slices shown (or the drill-down items)
+  const getExportRows = () => {
+    const slices = drillDownData || chartData;
+    return slices.map(slice => {
+      const row = { name: slice.name, value: slice.value, percentage: slice.percentage, count: slice.count };
+      if (slice.isOther) row.grouped_items = slice.itemCount;
+      return row;
+    });
+  };
+
+  // Export menu (also available in the drill-down view)
+  const renderExportMenu = (inFocusMode = false) => (
+    <ExportMenu
+      targetRef={inFocusMode ? focusChartRef : chartRef}
+      title={title || 'Distribution'}
+      getData={getExportRows}
+      metric={currentMetricConfig?.label}
+      settings={{
+        dimension: currentDimensionConfig?.label,
+        chartType: drillDownData ? 'treemap' : chartType,
+        view: drillDownData ? 'Other (drill-down)' : null
+      }}
+    />
+  );
+
+  // Page filter set by clicking a slice
+  const renderCrossFilterChip = () => (
+    <CrossFilterChip
+      label={currentDimensionConfig?.label || ''}
+      values={crossFilter.selected}
+      onClear={crossFilter.clear}
+    />
+  );
+
   // Render drill-down header
   const renderDrillDownHeader = () => {
     if (!drillDownData) return null;
@@ -548,9 +588,11 @@ const ProportionChart = ({
         <div className="chart-header">
           <h3 className="chart-title">{title || 'Distribution'}</h3>
           {!drillDownData && renderControls(false)}
+          {renderCrossFilterChip()}
+          {renderExportMenu(false)}
         </div>
         {renderDrillDownHeader()}
-        <div className="proportion-chart-content">
+        <div className="proportion-chart-content" ref={chartRef}>
           {renderChart()}
         </div>
       </div>
@@ -575,8 +617,10 @@ const ProportionChart = ({
             <div className="proportion-focus-controls-bar">
               {!drillDownData && renderControls(true)}
               {renderDrillDownHeader()}
+              {renderCrossFilterChip()}
+              {renderExportMenu(true)}
             </div>
-            <div className="proportion-focus-chart-container">
+            <div className="proportion-focus-chart-container" ref={focusChartRef}>
               {renderChart()}
             </div>
           </div>
@@ -593,7 +637,9 @@ ProportionChart.propTypes = {
       value: PropTypes.string.isRequired,
       label: PropTypes.string.isRequired,
       field: PropTypes.string.isRequired,
-      delimiter: PropTypes.string
+      delimiter: PropTypes.string,
+      // Key of the page filter (usually its field) set by clicking a slice
+      filterKey: PropTypes.string
     })
   ).isRequired,
   metricOptions: PropTypes.arrayOf(
@@ -628,7 +674,9 @@ ProportionChart.propTypes = {
   enableChartTypeToggle: PropTypes.bool,
   maxCategories: PropTypes.number,
   showLegend: PropTypes.bool,
-  showPercentages: PropTypes.bool
+  showPercentages: PropTypes.bool,
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey: PropTypes.string
 };
 
 export default ProportionChart;
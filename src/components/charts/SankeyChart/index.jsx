@@ -0,0 +1,424 @@
+// src/components/charts/SankeyChart/index.jsx
+import { useState, useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Sankey, Tooltip, Layer, Rectangle, ResponsiveContainer } from 'recharts';
+import { X } from 'lucide-react';
+import ExportMenu from '../../ui/common/ExportMenu';
+import { useChartChoice } from '../../../hooks/useUrlState';
+import { slugify } from '../../../utils/urlStateUtils';
+import { getCategoryColor } from '../../../utils/chartPalette';
+import { DEFAULT_MAX_NODES, buildSankeyFlows, getNodeTotal } from '../../../utils/sankeyUtils';
+import './SankeyChart.css';
+
+const TOP_N_OPTIONS = [5, 10, 15, 20];
+
+// Entries listed in the selection panel
+const MAX_SELECTION_ENTRIES = 50;
+
+// Format a value with the chart's decimals, prefix and suffix
+const formatFlowValue = (value, { decimals, prefix = '', suffix = '' }) => {
+  const formatted = decimals !== undefined
+    ? value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+    : Math.round(value).toLocaleString();
+  return `${prefix}${formatted}${suffix}`;
+};
+
+const formatEntryValue = (value) => (value instanceof Date ? value.toLocaleDateString() : String(value ?? ''));
+
+const formatShare = (value, total) => (total > 0 ? `${Math.round((value / total) * 100)}%` : null);
+
+const describeSelection = (selection) => (
+  selection.type === 'node'
+    ? `${selection.item.name} (${selection.item.stageLabel})`
+    : `${selection.source.name} → ${selection.target.name}`
+);
+
+// Node: a bar colored by stage, labelled on its outer side
+const SankeyNode = ({ x, y, width, height, payload, stageCount, selectedKey }) => {
+  const isLast = payload.stageIndex === stageCount - 1;
+  return (
+    <Layer>
+      <Rectangle
+        className={`sankey-node ${selectedKey === payload.key ? 'selected' : ''}`}
+        x={x}
+        y={y}
+        width={width}
+        height={height}
+        fill={getCategoryColor(payload.stageIndex, payload.isOther)}
+        fillOpacity={0.9}
+      />
+      {height > 6 && (
+        <text
+          className="sankey-node-label"
+          x={isLast ? x - 6 : x + width + 6}
+          y={y + height / 2}
+          textAnchor={isLast ? 'end' : 'start'}
+          dominantBaseline="middle"
+        >
+          {payload.name}
+        </text>
+      )}
+    </Layer>
+  );
+};
+
+SankeyNode.propTypes = {
+  x: PropTypes.number,
+  y: PropTypes.number,
+  width: PropTypes.number,
+  height: PropTypes.number,
+  payload: PropTypes.object,
+  stageCount: PropTypes.number.isRequired,
+  selectedKey: PropTypes.string
+};
+
+// Link: a band colored like its source node
+const SankeyLink = ({ sourceX, targetX, sourceY, targetY, sourceControlX, targetControlX, linkWidth, payload, selectedKey }) => (
+  <path
+    className={`sankey-link ${selectedKey === payload.key ? 'selected' : ''}`}
+    d={`M${sourceX},${sourceY} C${sourceControlX},${sourceY} ${targetControlX},${targetY} ${targetX},${targetY}`}
+    stroke={getCategoryColor(payload.source.stageIndex, payload.source.isOther)}
+    strokeWidth={Math.max(linkWidth, 1)}
+    fill="none"
+  />
+);
+
+SankeyLink.propTypes = {
+  sourceX: PropTypes.number,
+  targetX: PropTypes.number,
+  sourceY: PropTypes.number,
+  targetY: PropTypes.number,
+  sourceControlX: PropTypes.number,
+  targetControlX: PropTypes.number,
+  linkWidth: PropTypes.number,
+  payload: PropTypes.object,
+  selectedKey: PropTypes.string
+};
+
+// Hovered node: its totals in and out; hovered link: its value and share of the source
+const SankeyTooltip = ({ active, payload, format }) => {
+  if (!active || !payload?.length) return null;
+  const item = payload[0].payload?.payload;
+  if (!item) return null;
+
+  if (item.source && item.target) {
+    const share = formatShare(item.value, item.source.outValue);
+    return (
+      <div className="sankey-tooltip">
+        <p className="tooltip-label">{item.source.name} → {item.target.name}</p>
+        <p className="tooltip-value">
+          {formatFlowValue(item.value, format)}{share && ` (${share} of ${item.source.name})`}
+        </p>
+        <p className="tooltip-count">{item.rows.length} {item.rows.length === 1 ? 'entry' : 'entries'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="sankey-tooltip">
+      <p className="tooltip-label">{item.name}</p>
+      <p className="tooltip-count">{item.stageLabel}</p>
+      {item.inValue > 0 && <p className="tooltip-value">In: {formatFlowValue(item.inValue, format)}</p>}
+      {item.outValue > 0 && <p className="tooltip-value">Out: {formatFlowValue(item.outValue, format)}</p>}
+      <p className="tooltip-count">{item.rows.length} {item.rows.length === 1 ? 'entry' : 'entries'}</p>
+    </div>
+  );
+};
+
+SankeyTooltip.propTypes = {
+  active: PropTypes.bool,
+  payload: PropTypes.array,
+  format: PropTypes.object.isRequired
+};
+
+/**
+ * Sankey diagram of a value flowing through ordered stages
+ *
+ * Each stage groups the rows it keeps by one field; a row links its node in a
+ * stage to its node in the next stage when both keep it. Hovering a node or a
+ * link shows its totals; clicking it opens the selection panel (its total and
+ * matching entries) or calls onSelect.
+ *
+ * @param {Object} props
+ * @param {Array} props.data - The dataset to visualize
+ * @param {Array} props.stages - Ordered stages (at least two)
+ * @param {string} props.stages[].key - Internal identifier of the stage
+ * @param {string} props.stages[].label - Display label of the stage
+ * @param {string} props.stages[].field - Field grouping the rows of the stage
+ * @param {Array} props.stages[].filterConditions - Rows kept by the stage (same format as the metric filters)
+ * @param {string} props.valueField - Field summed along the flows (rows are counted without it)
+ * @param {string} props.valueLabel - Display label of the value (default: 'Total')
+ * @param {number} props.decimals - Optional decimal places for display
+ * @param {string} props.prefix - Optional prefix for display
+ * @param {string} props.suffix - Optional suffix for display
+ * @param {number} props.defaultTopN - Nodes kept per stage before grouping into "Other" (default: 10)
+ * @param {string} props.title - The chart title
+ * @param {Array} props.detailColumns - Columns of the entries listed in the selection panel: [{ field, label }]
+ * @param {Function} props.onEntryClick - (row) => void, makes the listed entries clickable
+ * @param {Function} props.onSelect - ({ type, key, rows }) => void, replaces the selection panel
+ * @param {string} props.urlKey - Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+ */
+const SankeyChart = ({
+  data,
+  stages = [],
+  valueField,
+  valueLabel = 'Total',
+  decimals,
+  prefix,
+  suffix,
+  defaultTopN = DEFAULT_MAX_NODES,
+  title = 'Flows',
+  detailColumns = [],
+  onEntryClick,
+  onSelect,
+  urlKey
+}) => {
+  const chartKey = urlKey || slugify(title);
+  // Top N choice is kept in the URL (<urlKey>.top)
+  const topNOptions = useMemo(
+    () => (TOP_N_OPTIONS.includes(defaultTopN) ? TOP_N_OPTIONS : [...TOP_N_OPTIONS, defaultTopN].sort((a, b) => a - b)),
+    [defaultTopN]
+  );
+  const [selectedTopN, setSelectedTopN] = useChartChoice(
+    chartKey, 'top', String(defaultTopN), topNOptions.map(String)
+  );
+  const [selection, setSelection] = useState(null);
+  const [isFocusMode, setIsFocusMode] = useState(false);
+  // Rendered charts, for the image exports
+  const chartRef = useRef(null);
+  const focusChartRef = useRef(null);
+
+  // Escape key handler for focus mode
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && isFocusMode) setIsFocusMode(false);
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isFocusMode]);
+
+  const format = useMemo(() => ({ decimals, prefix, suffix }), [decimals, prefix, suffix]);
+
+  const flows = useMemo(
+    () => buildSankeyFlows(data, { stages, valueField, maxNodesPerStage: Number(selectedTopN) }),
+    [data, stages, valueField, selectedTopN]
+  );
+
+  // Selection goes away with the flows it was made on
+  useEffect(() => {
+    setSelection(null);
+  }, [flows]);
+
+  const selectedKey = selection?.item.key;
+
+  const handleClick = (element, type, e) => {
+    e?.stopPropagation();
+    const item = element?.payload;
+    if (!item) return;
+
+    const next = type === 'node'
+      ? { type, item, rows: item.rows }
+      : { type, item, source: item.source, target: item.target, rows: item.rows };
+
+    if (onSelect) {
+      onSelect({ type, key: item.key, rows: next.rows });
+      return;
+    }
+    setSelection(current => (current?.item.key === item.key ? null : next));
+  };
+
+  // Render controls (shared between normal and focus mode)
+  const renderControls = (inFocusMode = false) => (
+    <div className="chart-controls" onClick={(e) => e.stopPropagation()}>
+      <div className="chart-filter">
+        <label htmlFor={inFocusMode ? 'focus-sankey-top-select' : 'sankey-top-select'}>Show top:</label>
+        <select
+          id={inFocusMode ? 'focus-sankey-top-select' : 'sankey-top-select'}
+          className="filter-select"
+          value={selectedTopN}
+          onChange={(e) => setSelectedTopN(e.target.value)}
+        >
+          {topNOptions.map(n => (
+            <option key={n} value={String(n)}>{n} per column</option>
+          ))}
+        </select>
+      </div>
+
+      <ExportMenu
+        targetRef={inFocusMode ? focusChartRef : chartRef}
+        title={title}
+        getData={() => flows.links.map(link => ({
+          source: flows.nodes[link.source].name,
+          source_stage: flows.nodes[link.source].stageLabel,
+          target: flows.nodes[link.target].name,
+          target_stage: flows.nodes[link.target].stageLabel,
+          value: link.value,
+          count: link.rows.length
+        }))}
+        metric={valueLabel}
+        settings={{ stages: stages.map(stage => stage.label).join(' → '), top: selectedTopN }}
+      />
+    </div>
+  );
+
+  // Drill-down into the selected node or link
+  const renderSelectionPanel = () => {
+    if (!selection) return null;
+    const total = selection.type === 'node' ? getNodeTotal(selection.item) : selection.item.value;
+    const entries = selection.rows.slice(0, MAX_SELECTION_ENTRIES);
+
+    return (
+      <div className="sankey-selection-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="sankey-selection-header">
+          <h4 className="sankey-selection-title">{describeSelection(selection)}</h4>
+          <button
+            className="sankey-selection-close"
+            onClick={() => setSelection(null)}
+            aria-label="Close selection details"
+          >
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="sankey-selection-metrics">
+          <div className="sankey-selection-metric">
+            <span className="sankey-selection-metric-value">{formatFlowValue(total, format)}</span>
+            <span className="sankey-selection-metric-label">{valueLabel}</span>
+          </div>
+          <div className="sankey-selection-metric">
+            <span className="sankey-selection-metric-value">{selection.rows.length.toLocaleString()}</span>
+            <span className="sankey-selection-metric-label">Entries</span>
+          </div>
+        </div>
+
+        {detailColumns.length > 0 && entries.length > 0 && (
+          <div className="sankey-selection-entries">
+            <table>
+              <thead>
+                <tr>
+                  {detailColumns.map(col => <th key={col.field}>{col.label}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry, index) => (
+                  <tr
+                    key={index}
+                    className={onEntryClick ? 'clickable' : undefined}
+                    onClick={onEntryClick ? () => onEntryClick(entry) : undefined}
+                  >
+                    {detailColumns.map(col => <td key={col.field}>{formatEntryValue(entry[col.field])}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {selection.rows.length > entries.length && (
+              <p className="sankey-selection-entries-more">
+                Showing {entries.length} of {selection.rows.length} entries
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Render chart (shared between normal and focus mode)
+  const renderChart = () => {
+    if (flows.links.length === 0) {
+      return <div className="no-chart-data">No data available for the selected filters</div>;
+    }
+
+    return (
+      <ResponsiveContainer width="100%" height="100%">
+        <Sankey
+          data={flows}
+          node={<SankeyNode stageCount={stages.length} selectedKey={selectedKey} />}
+          link={<SankeyLink selectedKey={selectedKey} />}
+          nodePadding={12}
+          nodeWidth={10}
+          margin={{ top: 10, right: 10, bottom: 10, left: 10 }}
+          onClick={handleClick}
+        >
+          <Tooltip content={<SankeyTooltip format={format} />} />
+        </Sankey>
+      </ResponsiveContainer>
+    );
+  };
+
+  return (
+    <>
+      {/* Normal view */}
+      <div className="sankey-chart-container" onClick={() => setIsFocusMode(true)}>
+        <div className="chart-header">
+          <h3 className="chart-title">{title}</h3>
+          {renderControls(false)}
+        </div>
+        <div className="sankey-chart-content" ref={chartRef}>
+          {renderChart()}
+        </div>
+        {!isFocusMode && renderSelectionPanel()}
+      </div>
+
+      {/* Focus mode overlay */}
+      {isFocusMode && (
+        <div className="sankey-focus-overlay" onClick={() => setIsFocusMode(false)}>
+          <div className="sankey-focus-content" onClick={(e) => e.stopPropagation()}>
+            <button
+              className="focus-close-button"
+              onClick={() => setIsFocusMode(false)}
+              aria-label="Close focus mode"
+            >
+              <X size={24} />
+            </button>
+            <div className="sankey-focus-controls-bar">
+              {renderControls(true)}
+            </div>
+            <div className="sankey-focus-chart-container">
+              <div className="sankey-chart-content" ref={focusChartRef}>
+                {renderChart()}
+              </div>
+              {renderSelectionPanel()}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+SankeyChart.propTypes = {
+  data: PropTypes.array.isRequired,
+  stages: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    field: PropTypes.string.isRequired,
+    // Filter conditions: array of conditions with AND logic
+    filterConditions: PropTypes.arrayOf(PropTypes.shape({
+      field: PropTypes.string.isRequired,
+      operator: PropTypes.oneOf(['=', '==', '!=', '!==', '>', '>=', '<', '<=']),
+      value: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.number,
+        PropTypes.bool,
+        PropTypes.array
+      ]).isRequired
+    }))
+  })).isRequired,
+  valueField: PropTypes.string,
+  valueLabel: PropTypes.string,
+  decimals: PropTypes.number,
+  prefix: PropTypes.string,
+  suffix: PropTypes.string,
+  defaultTopN: PropTypes.number,
+  title: PropTypes.string,
+  detailColumns: PropTypes.arrayOf(PropTypes.shape({
+    field: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired
+  })),
+  onEntryClick: PropTypes.func,
+  onSelect: PropTypes.func,
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey: PropTypes.string
+};
+
+export default SankeyChart;
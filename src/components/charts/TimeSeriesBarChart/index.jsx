@@ -1,42 +1,158 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
-import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import {
+  ComposedChart, Bar, Line, Area, LabelList, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceArea, Brush,
+  ResponsiveContainer
+} from 'recharts';
 import { X, BarChart3, TrendingUp } from 'lucide-react';
-import { performComputation, formatComputedValue, applyMetricFilter, resolveMetricDataSource } from '../../../utils/computationUtils';
-import { parseDate } from '../../../utils/dateUtils';
+import { formatComputedValue, applyMetricFilter, resolveMetricDataSource } from '../../../utils/computationUtils';
+import { applyDateRangeFilter } from '../../../utils/filterUtils';
+import {
+  COMPARISON_MODES, addPeriodComparison, aggregateRows, buildTimeSeries, exceedsHourlySpan, getComparisonRange,
+  getDateExtent, getPeriodDateRange, getPeriodLabel, pickMetricFilter, pickTimeBucket, pivotBreakdown, resolveTimeBucket, toDate
+} from '../../../utils/aggregationUtils';
+import { TREND_OVERLAYS, addTrendOverlay } from '../../../utils/trendUtils';
+import { getCategoryColor } from '../../../utils/chartPalette';
+import ExportMenu from '../../ui/common/ExportMenu';
+import CrossFilterChip from '../../ui/common/CrossFilterChip';
+import { useAggregateQuery } from '../../../hooks/useAggregateQuery';
+import { useCrossFilter } from '../../../hooks/useCrossFilter';
+import { useChartChoice, useUrlState } from '../../../hooks/useUrlState';
+import { slugify } from '../../../utils/urlStateUtils';
 import './TimeSeriesBarChart.css';
 
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Period choices; 'auto' picks the bucket from the span of the dates shown
+const PERIOD_LABELS = {
+  auto: 'Auto',
+  yearly: 'Yearly',
+  monthly: 'Monthly',
+  weekly: 'Weekly',
+  daily: 'Daily',
+  hourly: 'Hourly'
+};
+
+// The zoom slider is shown under charts with more periods
+const MIN_ZOOM_PERIODS = 30;
+
+// Percent change labels are only drawn on charts with few periods
+const MAX_DELTA_LABELS = 24;
+
+const COMPARISON_LABELS = {
+  previous: 'Previous period',
+  year: 'Same period last year',
+  custom: 'Reference range'
+};
+
+// Periods of the moving average overlay
+const MOVING_AVERAGE_WINDOWS = ['3', '4', '6', '7', '12', '30'];
+
+const TREND_LABELS = {
+  linear: 'Linear trend',
+  loess: 'LOESS trend',
+  projection: 'Projection'
+};
+
+// Breakdown layouts: stacked values, side by side, or 100%-stacked shares
+const BREAKDOWN_LAYOUTS = ['stacked', 'grouped', 'share'];
+
+// Date filter shown in the chip: a day, or its first and last days
+const formatDateRange = ({ startDate, endDate }) => (
+  startDate === endDate ? startDate : `${startDate || '…'} – ${endDate || '…'}`
+);
+
+const formatPercentChange = (percentChange) => {
+  if (percentChange === null || percentChange === undefined) return '';
+  const sign = percentChange > 0 ? '+' : '';
+  return `${sign}${percentChange.toFixed(Math.abs(percentChange) < 10 ? 1 : 0)}%`;
+};
+
 /**
  * A reusable component for displaying time series data as a bar chart
  *
  * @param {Object} props
  * @param {Array} props.data - The dataset to visualize
+ * @param {Array} [props.referenceData] - Rows the comparison periods are read from: the page's rows
+ *   without its date filter (FilteringPanel's undatedSources), so references before the range shown
+ *   are not missing. A metric with its own `data` reads them from its own `referenceData`
  * @param {string} props.dateColumnName - The name of the date column in the data
  * @param {string} props.metricColumnName - (Optional if metricOptions provided) The field to aggregate
  * @param {string} props.title - The chart title
  * @param {string} [props.yAxisLabel] - (Optional if metricOptions provided) Label for the y-axis
  * @param {Array} [props.metricOptions] - Array of metric configuration objects for advanced usage
  * @param {string} [props.defaultMetric] - Default selected metric value
+ * @param {Object} [props.remote] - Remote-data mode: { dataset, query } aggregates the dataset
+ *   on the server (/api/aggregate) instead of `data`; query holds dataset filters (from, to, filters...)
+ * @param {Array} [props.breakdownOptions] - Dimensions the metric can be split by:
+ *   [{ value, label, field, delimiter }] (delimiter splits multi-valued fields like genres)
+ * @param {number} [props.maxBreakdownSeries=8] - Series shown per breakdown, "Other" included
+ * @param {string} [props.urlKey] - Prefix of the query parameters keeping the period, metric,
+ *   comparison, trend and breakdown choices (default: slug of the title)
+ * @param {string} [props.dateFilterKey] - Key of the page's date range filter: clicking a period,
+ *   or dragging across periods, filters the page on their days
+ *
+ * The period is hourly to yearly, or 'auto' (default): hourly for a few days of data up to yearly
+ * for long histories. Long series get a range slider under the chart to zoom and pan through
+ * the periods without changing the page filters.
+ *
+ * The comparison mode overlays the metric of a reference period (previous period, same period
+ * last year, or a reference range aligned with the first period) with its percent change.
+ * The trend overlay draws a moving average, a linear or LOESS trend, or a projection to the end
+ * of the current year (run rate and seasonality, with the expected year total for counts and sums).
+ * The breakdown splits each period by a dimension into stacked, grouped or share (100%) series,
+ * the top categories plus "Other"; comparison and trend apply to the unsplit metric only.
  */
 const TimeSeriesBarChart = ({
   data,
+  referenceData,
   dateColumnName,
   metricColumnName,
   title,
   yAxisLabel = '',
   metricOptions = [],
-  defaultMetric
+  defaultMetric,
+  remote,
+  breakdownOptions = [],
+  maxBreakdownSeries = 8,
+  urlKey,
+  dateFilterKey
 }) => {
-  // State for period selection
-  const [selectedPeriod, setSelectedPeriod] = useState('monthly');
-  // State for metric selection
-  const [selectedMetric, setSelectedMetric] = useState(defaultMetric || metricOptions[0]?.value);
+  // Chart choices are kept in the URL (<urlKey>.period, <urlKey>.metric, <urlKey>.breakdown...)
+  const chartKey = urlKey || slugify(title);
+  const [selectedPeriod, setSelectedPeriod] = useChartChoice(chartKey, 'period', 'auto', Object.keys(PERIOD_LABELS));
+  const [selectedMetric, setSelectedMetric] = useChartChoice(
+    chartKey, 'metric', defaultMetric || metricOptions[0]?.value, metricOptions.map(opt => opt.value)
+  );
+  const [comparisonMode, setComparisonMode] = useChartChoice(chartKey, 'compare', 'none', COMPARISON_MODES);
+  // Start (YYYY-MM-DD) of the reference range of the 'custom' comparison
+  const [referenceStart, setReferenceStart] = useUrlState(`${chartKey}.reference`, '', {
+    parse: raw => (ISO_DATE.test(raw) ? raw : undefined)
+  });
+  const [trendOverlay, setTrendOverlay] = useChartChoice(chartKey, 'trend', 'none', TREND_OVERLAYS);
+  const [movingAverageWindow, setMovingAverageWindow] = useChartChoice(chartKey, 'window', '3', MOVING_AVERAGE_WINDOWS);
+  const [selectedBreakdown, setSelectedBreakdown] = useChartChoice(
+    chartKey, 'breakdown', 'none', ['none', ...breakdownOptions.map(opt => opt.value)]
+  );
+  const [breakdownLayout, setBreakdownLayout] = useChartChoice(chartKey, 'layout', 'stacked', BREAKDOWN_LAYOUTS);
   // State for chart data
   const [chartData, setChartData] = useState([]);
+  // Series of the breakdown ([{ key, name, isOther, color }], empty without breakdown)
+  const [breakdownSeries, setBreakdownSeries] = useState([]);
+  // Expected total at the end of the year (projection overlay, additive metrics)
+  const [projectedTotal, setProjectedTotal] = useState(null);
   // State for focus mode
   const [isFocusMode, setIsFocusMode] = useState(false);
   // State for chart type (bar or line)
   const [chartType, setChartType] = useState('bar');
+  // Rendered charts, for the image exports
+  const chartRef = useRef(null);
+  const focusChartRef = useRef(null);
+  // Periods dragged across to filter the page ({ start, end } indexes in chartData)
+  const [brush, setBrush] = useState(null);
+  // Periods shown by the zoom slider ({ startIndex, endIndex } in chartData, null for all)
+  const [zoomRange, setZoomRange] = useState(null);
+  const dateFilter = useCrossFilter(dateFilterKey, 'daterange');
 
   // Escape key handler for focus mode
   useEffect(() => {
@@ -51,223 +167,231 @@ const TimeSeriesBarChart = ({
   const useSimpleAPI = metricOptions.length === 0;
   const currentMetricConfig = metricOptions.find(m => m.value === selectedMetric);
 
-  useEffect(() => {
-    // Resolve data source for current metric (supports per-metric data overrides)
-    const { data: resolvedData, dateColumnName: effectiveDateColumn } = resolveMetricDataSource(
-      currentMetricConfig,
-      data,
-      dateColumnName
-    );
-
-    // Basic validation
-    if (!Array.isArray(resolvedData) || resolvedData.length === 0) {
-      setChartData([]);
-      return;
+  // Determine aggregation type and field
+  let aggregationType, metricField;
+  if (useSimpleAPI) {
+    // Simple API: Backward compatibility
+    if (metricColumnName === 'id' || metricColumnName === 'movie_id' || metricColumnName === 'count') {
+      aggregationType = 'count';
+      metricField = null;
+    } else {
+      aggregationType = 'sum';
+      metricField = metricColumnName;
     }
+  } else {
+    // Advanced API: Use metric config
+    aggregationType = currentMetricConfig?.aggregation || 'count';
+    metricField = currentMetricConfig?.field;
+  }
 
-    // Apply filterConditions BEFORE grouping by period (filters entire dataset)
-    const effectiveData = applyMetricFilter(resolvedData, currentMetricConfig);
+  const decimals = useSimpleAPI ? 0 : (currentMetricConfig?.decimals || 0);
+  // For cumsum, we first compute sum per period, then accumulate
+  const baseAggregationType = aggregationType === 'cumsum' ? 'sum' : aggregationType;
 
-    // Check if filter removed all data
-    if (effectiveData.length === 0) {
-      setChartData([]);
-      return;
-    }
+  const currentBreakdownConfig = breakdownOptions.find(opt => opt.value === selectedBreakdown);
+  const breakdownField = currentBreakdownConfig?.field;
+  const breakdownDelimiter = currentBreakdownConfig?.delimiter;
+  const isBreakdown = Boolean(breakdownField);
 
-    // Determine aggregation type and field
-    let aggregationType, metricField;
-    if (useSimpleAPI) {
-      // Simple API: Backward compatibility
-      if (metricColumnName === 'id' || metricColumnName === 'movie_id' || metricColumnName === 'count') {
-        aggregationType = 'count';
-        metricField = null;
-      } else {
-        aggregationType = 'sum';
-        metricField = metricColumnName;
-      }
-    } else {
-      // Advanced API: Use metric config
-      aggregationType = currentMetricConfig?.aggregation || 'count';
-      metricField = currentMetricConfig?.field;
-    }
+  // Remote mode: the server buckets and aggregates, the chart only formats
+  const isRemote = Boolean(remote);
 
-    // Helper function to get the start of the week (Monday) for a given date
-    const getWeekStart = (date) => {
-      const d = new Date(date);
-      const day = d.getDay();
-      const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust when day is Sunday
-      return new Date(d.setDate(diff));
-    };
+  // Span of the dates shown (page filters applied), the query's date range in remote mode
+  const dateExtent = useMemo(() => {
+    if (isRemote) {
+      // The range includes its last day: the span ends the day after
+      const lastDay = toDate(remote.query?.to);
+      const maxDate = lastDay && new Date(lastDay);
+      maxDate?.setDate(maxDate.getDate() + 1);
+      return { minDate: toDate(remote.query?.from), maxDate };
+    }
 
-    // Helper function to generate period key
-    const generatePeriodKey = (date) => {
-      if (selectedPeriod === 'yearly') {
-        return date.getFullYear().toString();
-      } else if (selectedPeriod === 'monthly') {
-        return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-      } else if (selectedPeriod === 'weekly') {
-        const weekStart = getWeekStart(date);
-        return weekStart.toISOString().split('T')[0];
-      } else { // Daily
-        return date.toISOString().split('T')[0];
-      }
-    };
+    const { data: resolvedData, dateColumnName: effectiveDateColumn } = resolveMetricDataSource(
+      currentMetricConfig,
+      data,
+      dateColumnName
+    );
+    if (!Array.isArray(resolvedData)) return { minDate: null, maxDate: null };
+    return getDateExtent(resolvedData, effectiveDateColumn);
+  }, [isRemote, remote, currentMetricConfig, data, dateColumnName]);
+  // Automatic granularity: bucket of the span; hourly only covers a few days
+  const bucket = selectedPeriod === 'auto'
+    ? pickTimeBucket(dateExtent.minDate, dateExtent.maxDate)
+    : resolveTimeBucket(selectedPeriod, dateExtent.minDate, dateExtent.maxDate);
+  const hourlyUnavailable = exceedsHourlySpan(dateExtent.minDate, dateExtent.maxDate);
 
-    // Helper function to generate display label
-    const generateDisplayLabel = (date) => {
-      if (selectedPeriod === 'yearly') {
-        return date.getFullYear().toString();
-      } else if (selectedPeriod === 'monthly') {
-        const monthDate = new Date(date.getFullYear(), date.getMonth(), 1);
-        return monthDate.toLocaleString('default', { month: 'short', year: 'numeric' });
-      } else if (selectedPeriod === 'weekly') {
-        const weekStart = getWeekStart(date);
-        return weekStart.toLocaleDateString();
-      } else { // Daily
-        return date.toLocaleDateString();
-      }
-    };
+  const remoteResult = useAggregateQuery(remote?.dataset, {
+    ...remote?.query,
+    bucket,
+    bucketField: currentMetricConfig?.dateColumnName || dateColumnName,
+    aggregation: baseAggregationType,
+    field: metricField,
+    decimals,
+    metricFilter: pickMetricFilter(currentMetricConfig),
+    ...(isBreakdown && {
+      groupBy: [breakdownField],
+      groupDelimiters: breakdownDelimiter ? { [breakdownField]: breakdownDelimiter } : {}
+    })
+  }, isRemote);
 
-    // Helper to check if entry has valid metric data
-    const hasValidMetricData = (entry) => {
-      // For count aggregation, any entry counts
-      if (aggregationType === 'count' || aggregationType === 'count_distinct') {
-        return true;
-      }
-      // For other aggregations, check if the metric field has a valid value
-      if (!metricField) return true;
-      const value = entry[metricField];
-      return value !== null && value !== undefined && value !== '' && !Number.isNaN(Number(value)) && Number(value) !== 0;
-    };
+  // Remote mode: the comparison's reference periods are queried over their own days
+  // (hourly ones are read from the series, the server limits the span of hourly queries)
+  const remoteComparisonRange = useMemo(() => (
+    isRemote && !isBreakdown && bucket !== 'hourly'
+      ? getComparisonRange(remoteResult.rows.map(row => row.period), bucket, comparisonMode, referenceStart)
+      : null
+  ), [isRemote, isBreakdown, bucket, remoteResult.rows, comparisonMode, referenceStart]);
+  const remoteReference = useAggregateQuery(remote?.dataset, {
+    ...remote?.query,
+    from: remoteComparisonRange?.startDate,
+    to: remoteComparisonRange?.endDate,
+    bucket,
+    bucketField: currentMetricConfig?.dateColumnName || dateColumnName,
+    aggregation: baseAggregationType,
+    field: metricField,
+    decimals,
+    metricFilter: pickMetricFilter(currentMetricConfig)
+  }, Boolean(remoteComparisonRange));
 
-    // Step 1: Group data by period
-    const periodGroups = {};
-    let minDate = null;
-    let maxDate = null;
-
-    effectiveData.forEach((entry) => {
-      // Parse date using effective date column (may be overridden per metric)
-      const date = parseDate(entry[effectiveDateColumn]);
-      if (!date) return;
-
-      // Only update min/max dates for entries with valid metric data
-      // This ensures the chart range starts from first actual data point
-      if (hasValidMetricData(entry)) {
-        if (!minDate || date < minDate) minDate = new Date(date);
-        if (!maxDate || date > maxDate) maxDate = new Date(date);
-      }
+  useEffect(() => {
+    // A new series starts unzoomed
+    setZoomRange(null);
+    let series;
+    // Series of the comparison's reference periods (null: read from the series itself)
+    let referenceSeries = null;
 
-      // Generate period key
-      const periodKey = generatePeriodKey(date);
+    if (isRemote) {
+      series = remoteResult.rows;
+      if (remoteComparisonRange) referenceSeries = remoteReference.rows;
+    } else {
+      // Resolve data source for current metric (supports per-metric data overrides)
+      const { data: resolvedData, dateColumnName: effectiveDateColumn } = resolveMetricDataSource(
+        currentMetricConfig,
+        data,
+        dateColumnName
+      );
 
-      // Initialize period group if it doesn't exist
-      if (!periodGroups[periodKey]) {
-        periodGroups[periodKey] = {
-          data: [],
-          displayLabel: generateDisplayLabel(date),
-          sortKey: periodKey
-        };
+      // Basic validation
+      if (!Array.isArray(resolvedData) || resolvedData.length === 0) {
+        setChartData([]);
+        setBreakdownSeries([]);
+        setProjectedTotal(null);
+        return;
       }
 
-      // Add entry to this period's data array
-      periodGroups[periodKey].data.push(entry);
-    });
+      // Apply filterConditions BEFORE grouping by period (filters entire dataset)
+      const effectiveData = applyMetricFilter(resolvedData, currentMetricConfig);
 
-    // Step 2: Fill in missing periods with zero values (for continuous time series)
-    if (minDate && maxDate) {
-      const currentDate = new Date(minDate);
-
-      // Adjust currentDate to the start of its period
-      if (selectedPeriod === 'yearly') {
-        currentDate.setMonth(0, 1);
-        currentDate.setHours(0, 0, 0, 0);
-      } else if (selectedPeriod === 'monthly') {
-        currentDate.setDate(1);
-        currentDate.setHours(0, 0, 0, 0);
-      } else if (selectedPeriod === 'weekly') {
-        const weekStart = getWeekStart(currentDate);
-        currentDate.setTime(weekStart.getTime());
-        currentDate.setHours(0, 0, 0, 0);
-      } else { // Daily
-        currentDate.setHours(0, 0, 0, 0);
-      }
+      // Group by period (and breakdown category), fill missing periods and aggregate with performComputation
+      series = isBreakdown
+        ? aggregateRows(effectiveData, {
+          groupBy: [breakdownField],
+          delimiters: breakdownDelimiter ? { [breakdownField]: breakdownDelimiter } : {},
+          bucket,
+          dateField: effectiveDateColumn,
+          aggregation: baseAggregationType,
+          field: metricField,
+          decimals
+        })
+        : buildTimeSeries(effectiveData, {
+          dateField: effectiveDateColumn,
+          bucket,
+          aggregation: baseAggregationType,
+          field: metricField,
+          decimals
+        });
 
-      while (currentDate <= maxDate) {
-        const periodKey = generatePeriodKey(currentDate);
-
-        // If this period doesn't exist in our data, add it with empty data array
-        if (!periodGroups[periodKey]) {
-          periodGroups[periodKey] = {
-            data: [],
-            displayLabel: generateDisplayLabel(currentDate),
-            sortKey: periodKey
-          };
-        }
-
-        // Move to next period
-        if (selectedPeriod === 'yearly') {
-          currentDate.setFullYear(currentDate.getFullYear() + 1);
-        } else if (selectedPeriod === 'monthly') {
-          currentDate.setMonth(currentDate.getMonth() + 1);
-        } else if (selectedPeriod === 'weekly') {
-          currentDate.setDate(currentDate.getDate() + 7);
-        } else { // Daily
-          currentDate.setDate(currentDate.getDate() + 1);
-        }
+      const referenceRows = currentMetricConfig?.data ? currentMetricConfig.referenceData : referenceData;
+      const comparisonRange = !isBreakdown && Array.isArray(referenceRows)
+        ? getComparisonRange(series.map(item => item.period), bucket, comparisonMode, referenceStart)
+        : null;
+      if (comparisonRange) {
+        const referenceSource = applyDateRangeFilter(applyMetricFilter(referenceRows, currentMetricConfig), effectiveDateColumn, comparisonRange);
+        referenceSeries = buildTimeSeries(referenceSource, {
+          dateField: effectiveDateColumn,
+          bucket,
+          aggregation: baseAggregationType,
+          field: metricField,
+          decimals
+        });
       }
     }
 
-    // Step 3: Compute aggregated values for each period using performComputation
-    const decimals = useSimpleAPI ? 0 : (currentMetricConfig?.decimals || 0);
-    const computationOptions = {
-      decimals,
-      defaultValue: 0
-    };
-
-    // For cumsum, we first compute sum per period, then accumulate
-    const baseAggregationType = aggregationType === 'cumsum' ? 'sum' : aggregationType;
-
-    // Generate period keys for min/max date range to filter periods
-    const minPeriodKey = minDate ? generatePeriodKey(minDate) : null;
-    const maxPeriodKey = maxDate ? generatePeriodKey(maxDate) : null;
-
-    const chartDataArray = Object.values(periodGroups)
-      // Filter to only include periods within the valid data range
-      .filter(group => {
-        if (!minPeriodKey || !maxPeriodKey) return true;
-        return group.sortKey >= minPeriodKey && group.sortKey <= maxPeriodKey;
-      })
-      .map(group => {
-        // Use performComputation to calculate the aggregated value for this period
-        // Note: filterConditions already applied to entire dataset before grouping
-        const value = performComputation(
-          group.data,
-          metricField,
-          baseAggregationType,
-          computationOptions
-        );
-
-        return {
-          period: group.displayLabel,
-          value,
-          sortKey: group.sortKey
-        };
+    if (isBreakdown) {
+      const breakdown = pivotBreakdown(series, {
+        dimension: breakdownField,
+        bucket,
+        aggregation: baseAggregationType,
+        maxSeries: maxBreakdownSeries,
+        cumulative: aggregationType === 'cumsum',
+        share: breakdownLayout === 'share',
+        decimals
       });
+      setBreakdownSeries(breakdown.categories.map((category, index) => ({
+        ...category,
+        color: getCategoryColor(index, category.isOther)
+      })));
+      setChartData(breakdown.points.map(point => ({
+        ...point,
+        period: getPeriodLabel(point.period, bucket),
+        sortKey: point.period
+      })));
+      setProjectedTotal(null);
+      return;
+    }
 
-    // Sort chronologically
-    chartDataArray.sort((a, b) => a.sortKey.localeCompare(b.sortKey));
+    const toPoints = (items) => items.map(item => ({
+      period: item.period,
+      value: item.value
+    }));
+    const points = toPoints(series);
+    const referencePoints = referenceSeries && toPoints(referenceSeries);
 
-    // Apply cumulative sum if aggregationType is 'cumsum'
+    // Apply cumulative sum if aggregationType is 'cumsum' (references accumulate over their own range)
     if (aggregationType === 'cumsum') {
-      let runningTotal = 0;
-      chartDataArray.forEach(item => {
-        runningTotal += item.value;
-        item.value = parseFloat(runningTotal.toFixed(decimals));
+      [points, referencePoints].filter(Boolean).forEach(items => {
+        let runningTotal = 0;
+        items.forEach(item => {
+          runningTotal += item.value;
+          item.value = parseFloat(runningTotal.toFixed(decimals));
+        });
       });
     }
 
+    // Compare and add the trend on period keys, then switch to display labels
+    const compared = addPeriodComparison(points, bucket, comparisonMode, referenceStart, referencePoints);
+    const overlay = addTrendOverlay(compared, trendOverlay, {
+      window: Number(movingAverageWindow),
+      bucket,
+      aggregation: aggregationType
+    });
+    const chartDataArray = overlay.series.map(item => ({
+      ...item,
+      period: getPeriodLabel(item.period, bucket),
+      sortKey: item.period,
+      referenceLabel: item.referencePeriod ? getPeriodLabel(item.referencePeriod, bucket) : null
+    }));
+
     setChartData(chartDataArray);
-  }, [data, dateColumnName, metricColumnName, selectedPeriod, selectedMetric, useSimpleAPI, currentMetricConfig]);
+    setBreakdownSeries([]);
+    setProjectedTotal(overlay.projectedTotal);
+  }, [data, referenceData, dateColumnName, bucket, currentMetricConfig, isRemote, remoteResult.rows,
+      remoteComparisonRange, remoteReference.rows,
+      aggregationType, baseAggregationType, metricField, decimals, comparisonMode, referenceStart,
+      trendOverlay, movingAverageWindow, isBreakdown, breakdownField, breakdownDelimiter, breakdownLayout,
+      maxBreakdownSeries]);
+
+  const isComparing = !isBreakdown && comparisonMode !== 'none' && (comparisonMode !== 'custom' || Boolean(referenceStart));
+  const comparisonLabel = comparisonMode === 'custom' && referenceStart
+    ? `${COMPARISON_LABELS.custom} (from ${new Date(`${referenceStart}T00:00:00`).toLocaleDateString()})`
+    : COMPARISON_LABELS[comparisonMode];
+  const showDeltaLabels = isComparing && chartData.length <= MAX_DELTA_LABELS;
+  const hasTrend = !isBreakdown && trendOverlay !== 'none';
+  const isShare = isBreakdown && breakdownLayout === 'share';
+  const trendLabel = trendOverlay === 'moving-average'
+    ? `${movingAverageWindow}-period average`
+    : TREND_LABELS[trendOverlay];
+  const projectionYear = new Date().getFullYear();
 
   // Helper function to get Y-axis label
   const getYAxisLabel = () => {
@@ -314,9 +438,68 @@ const TimeSeriesBarChart = ({
     return formatComputedValue(value, { type: 'number', decimals, prefix, suffix });
   };
 
-  // Helper function to calculate X-axis label interval
+  // Share of the period total (breakdown share layout)
+  const formatShareValue = (value) => `${formatComputedValue(value, { type: 'number', decimals: 1 })}%`;
+
+  // Comparison tooltip: value, reference value, delta and percent change
+  const renderComparisonTooltip = ({ active, payload }) => {
+    if (!active || !payload || !payload.length) return null;
+
+    const point = payload[0].payload;
+    return (
+      <div className="time-series-tooltip">
+        <p className="tooltip-name">{point.period}</p>
+        {point.value !== null && (
+          <p className="tooltip-value">{getYAxisLabel()}: {formatYAxisValue(point.value)}</p>
+        )}
+        {point.referenceLabel && (
+          <p className="tooltip-reference">
+            {point.referenceLabel}: {point.reference === null ? 'no data' : formatYAxisValue(point.reference)}
+          </p>
+        )}
+        {hasTrend && point.trend !== null && point.trend !== undefined && (
+          <p className="tooltip-trend">{trendLabel}: {formatYAxisValue(point.trend)}</p>
+        )}
+        {point.delta !== null && point.delta !== undefined && (
+          <p className={`tooltip-delta ${point.delta >= 0 ? 'positive' : 'negative'}`}>
+            {point.delta > 0 ? '+' : ''}{formatYAxisValue(point.delta)}
+            {point.percentChange !== null && ` (${formatPercentChange(point.percentChange)})`}
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  const tooltipProps = isComparing
+    ? { content: renderComparisonTooltip }
+    : { formatter: (value, name) => [isShare ? formatShareValue(value) : formatYAxisValue(value), name] };
+
+  // Rows behind the chart, for the data exports
+  const getExportRows = () => chartData.map(point => {
+    if (isBreakdown) {
+      return {
+        period: point.sortKey,
+        label: point.period,
+        ...Object.fromEntries(breakdownSeries.map(series => [series.name, point[series.key]]))
+      };
+    }
+
+    const row = { period: point.sortKey, label: point.period, value: point.value };
+    if (isComparing) {
+      Object.assign(row, {
+        reference_period: point.referencePeriod ?? null,
+        reference: point.reference ?? null,
+        delta: point.delta ?? null,
+        percent_change: point.percentChange ?? null
+      });
+    }
+    if (hasTrend) row.trend = point.trend ?? null;
+    return row;
+  });
+
+  // Helper function to calculate X-axis label interval (periods shown by the zoom slider)
   const getXAxisInterval = () => {
-    const dataLength = chartData.length;
+    const dataLength = zoomRange ? zoomRange.endIndex - zoomRange.startIndex + 1 : chartData.length;
 
     // Target: show ~15-20 labels maximum on X-axis
     if (dataLength <= 15) {
@@ -332,6 +515,81 @@ const TimeSeriesBarChart = ({
     }
   };
 
+  // Index in chartData of the period under the pointer (tooltip indexes follow the zoom)
+  const getActiveIndex = (state) => {
+    if (state?.activeLabel === undefined) return -1;
+    return chartData.findIndex(point => point.period === state.activeLabel);
+  };
+
+  // Brushing: press on a period, drag, and release to filter the page on the periods covered
+  const handleBrushStart = (state) => {
+    const index = getActiveIndex(state);
+    if (!dateFilter.enabled || index < 0) return;
+    setBrush({ start: index, end: index });
+  };
+
+  const handleBrushMove = (state) => {
+    const index = getActiveIndex(state);
+    if (!brush || index < 0) return;
+    setBrush(prev => prev && { ...prev, end: index });
+  };
+
+  // The click ends the brush (a single click filters on one period); clicking the period
+  // already filtered on clears the filter
+  const handleBrushEnd = (state, e) => {
+    if (!brush) return;
+    e?.stopPropagation();
+    const activeIndex = getActiveIndex(state);
+    const end = activeIndex < 0 ? brush.end : activeIndex;
+    const first = chartData[Math.min(brush.start, end)];
+    const last = chartData[Math.max(brush.start, end)];
+    setBrush(null);
+    if (!first || !last) return;
+
+    const { startDate } = getPeriodDateRange(first.sortKey, bucket);
+    const { endDate } = getPeriodDateRange(last.sortKey, bucket);
+    if (startDate === dateFilter.range.startDate && endDate === dateFilter.range.endDate) {
+      dateFilter.clear();
+    } else {
+      dateFilter.setRange(startDate, endDate);
+    }
+  };
+
+  // Periods being brushed
+  const renderBrushArea = () => {
+    const first = brush && chartData[Math.min(brush.start, brush.end)];
+    const last = brush && chartData[Math.max(brush.start, brush.end)];
+    return first && last && (
+      <ReferenceArea x1={first.period} x2={last.period} className="time-series-chart__brush" />
+    );
+  };
+
+  // Range slider under long series: zooms and pans through the periods (chart state only)
+  const renderZoomSlider = () => chartData.length > MIN_ZOOM_PERIODS && (
+    <Brush
+      dataKey="period"
+      height={24}
+      travellerWidth={8}
+      startIndex={zoomRange?.startIndex}
+      endIndex={zoomRange?.endIndex}
+      onChange={({ startIndex, endIndex }) => setZoomRange({ startIndex, endIndex })}
+      stroke="var(--chart-primary-color)"
+      fill="transparent"
+      className="time-series-chart__zoom"
+    />
+  );
+
+  // Dragging the zoom slider doesn't open focus mode
+  const handleContainerClick = (e) => {
+    if (e.target.closest?.('.recharts-brush')) return;
+    setIsFocusMode(true);
+  };
+
+  // Page date filter set from the chart
+  const renderDateFilterChip = () => dateFilter.isActive && (
+    <CrossFilterChip label="Date" values={[formatDateRange(dateFilter.range)]} onClear={dateFilter.clear} />
+  );
+
   // Render controls (shared between normal and focus mode)
   const renderControls = (inFocusMode = false) => (
     <div className="chart-controls" onClick={(e) => e.stopPropagation()}>
@@ -364,13 +622,74 @@ const TimeSeriesBarChart = ({
           onChange={(e) => setSelectedPeriod(e.target.value)}
           className="filter-select"
         >
-          <option value="yearly">Yearly</option>
-          <option value="monthly">Monthly</option>
-          <option value="weekly">Weekly</option>
-          <option value="daily">Daily</option>
+          {Object.entries(PERIOD_LABELS).map(([value, label]) => (
+            <option key={value} value={value} disabled={value === 'hourly' && hourlyUnavailable}>
+              {value === selectedPeriod && value !== bucket ? `${label} (${PERIOD_LABELS[bucket]})` : label}
+            </option>
+          ))}
         </select>
       </div>
 
+      {/* Comparison and trend apply to the unsplit metric */}
+      {!isBreakdown && (
+        <>
+          {/* Comparison Selector */}
+          <div className="chart-filter">
+            <label htmlFor={inFocusMode ? "focus-compare-select" : "compare-select"}>Compare:</label>
+            <select
+              id={inFocusMode ? "focus-compare-select" : "compare-select"}
+              value={comparisonMode}
+              onChange={(e) => setComparisonMode(e.target.value)}
+              className="filter-select"
+            >
+              <option value="none">Off</option>
+              <option value="previous">Previous period</option>
+              <option value="year">Last year</option>
+              <option value="custom">Reference range</option>
+            </select>
+            {comparisonMode === 'custom' && (
+              <input
+                type="date"
+                className="filter-select chart-reference-input"
+                value={referenceStart}
+                onChange={(e) => setReferenceStart(e.target.value)}
+                aria-label="Start of the reference range"
+                title="Start of the reference range, compared with the first period"
+              />
+            )}
+          </div>
+
+          {/* Trend Overlay Selector */}
+          <div className="chart-filter">
+            <label htmlFor={inFocusMode ? "focus-trend-select" : "trend-select"}>Trend:</label>
+            <select
+              id={inFocusMode ? "focus-trend-select" : "trend-select"}
+              value={trendOverlay}
+              onChange={(e) => setTrendOverlay(e.target.value)}
+              className="filter-select"
+            >
+              <option value="none">Off</option>
+              <option value="moving-average">Moving average</option>
+              <option value="linear">Linear trend</option>
+              <option value="loess">LOESS trend</option>
+              <option value="projection" disabled={bucket === 'hourly'}>Year-end projection</option>
+            </select>
+            {trendOverlay === 'moving-average' && (
+              <select
+                value={movingAverageWindow}
+                onChange={(e) => setMovingAverageWindow(e.target.value)}
+                className="filter-select"
+                aria-label="Periods of the moving average"
+              >
+                {MOVING_AVERAGE_WINDOWS.map(window => (
+                  <option key={window} value={window}>{window} periods</option>
+                ))}
+              </select>
+            )}
+          </div>
+        </>
+      )}
+
       {/* Metric Selector - Only show if metricOptions provided */}
       {metricOptions.length > 1 && (
         <div className="chart-filter">
@@ -389,6 +708,54 @@ const TimeSeriesBarChart = ({
           </select>
         </div>
       )}
+
+      {/* Breakdown Selector - Only show if breakdownOptions provided */}
+      {breakdownOptions.length > 0 && (
+        <div className="chart-filter">
+          <label htmlFor={inFocusMode ? "focus-breakdown-select" : "breakdown-select"}>Split by:</label>
+          <select
+            id={inFocusMode ? "focus-breakdown-select" : "breakdown-select"}
+            className="filter-select"
+            value={selectedBreakdown}
+            onChange={(e) => setSelectedBreakdown(e.target.value)}
+          >
+            <option value="none">None</option>
+            {breakdownOptions.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {isBreakdown && (
+            <select
+              className="filter-select"
+              value={breakdownLayout}
+              onChange={(e) => setBreakdownLayout(e.target.value)}
+              aria-label="Breakdown layout"
+            >
+              <option value="stacked">Stacked</option>
+              <option value="grouped">Grouped</option>
+              <option value="share">Share (100%)</option>
+            </select>
+          )}
+        </div>
+      )}
+
+      {renderDateFilterChip()}
+      <ExportMenu
+        targetRef={inFocusMode ? focusChartRef : chartRef}
+        title={title}
+        getData={getExportRows}
+        metric={getYAxisLabel()}
+        settings={{
+          period: bucket,
+          chartType,
+          comparison: isComparing ? comparisonLabel : null,
+          trend: hasTrend ? trendLabel : null,
+          breakdown: currentBreakdownConfig?.label,
+          layout: isBreakdown ? breakdownLayout : null
+        }}
+      />
     </div>
   );
 
@@ -396,13 +763,125 @@ const TimeSeriesBarChart = ({
   const chartAxisConfig = {
     xAxis: {
       dataKey: "period",
-      angle: selectedPeriod === 'monthly' || selectedPeriod === 'weekly' || selectedPeriod === 'daily' ? -45 : 0,
+      angle: bucket === 'yearly' ? 0 : -45,
       textAnchor: "end",
       height: 80,
       interval: getXAxisInterval()
     }
   };
 
+  // Trend overlay line (drawn over bars and lines alike)
+  const renderTrendLine = () => hasTrend && (
+    <Line
+      type="monotone"
+      dataKey="trend"
+      name={trendLabel}
+      stroke="var(--color-success)"
+      strokeWidth={2}
+      strokeDasharray={trendOverlay === 'projection' ? '6 4' : undefined}
+      dot={false}
+      connectNulls={false}
+      className="time-series-chart__trend"
+    />
+  );
+
+  // Expected year total under the header (projection of counts and sums)
+  const renderProjectedTotal = () => (
+    trendOverlay === 'projection' && projectedTotal !== null && (
+      <p className="time-series-chart__projection">
+        {aggregationType === 'cumsum'
+          ? `Projected by 31 December ${projectionYear}: `
+          : `Projected ${projectionYear} total: `}
+        <strong>{formatYAxisValue(projectedTotal)}</strong>
+      </p>
+    )
+  );
+
+  // Breakdown series: bars (stacked or side by side), or stacked areas and lines
+  const renderBreakdownSeries = () => breakdownSeries.map(series => {
+    const stackId = breakdownLayout === 'grouped' ? undefined : 'breakdown';
+    if (chartType === 'bar') {
+      return <Bar key={series.key} dataKey={series.key} name={series.name} fill={series.color} stackId={stackId} />;
+    }
+    return stackId ? (
+      <Area
+        key={series.key}
+        type="monotone"
+        dataKey={series.key}
+        name={series.name}
+        stackId={stackId}
+        stroke={series.color}
+        fill={series.color}
+        fillOpacity={0.6}
+      />
+    ) : (
+      <Line
+        key={series.key}
+        type="monotone"
+        dataKey={series.key}
+        name={series.name}
+        stroke={series.color}
+        strokeWidth={2}
+        dot={false}
+      />
+    );
+  });
+
+  // Single metric series with its comparison and trend overlays
+  const renderMetricSeries = () => (
+    chartType === 'bar' ? (
+      <>
+        {isComparing && (
+          <Bar dataKey="reference" name={comparisonLabel} className="time-series-chart__bar--reference" />
+        )}
+        <Bar dataKey="value" name={getYAxisLabel()} className="time-series-chart__bar">
+          {showDeltaLabels && (
+            <LabelList
+              dataKey="percentChange"
+              position="top"
+              formatter={formatPercentChange}
+              className="time-series-chart__delta-label"
+            />
+          )}
+        </Bar>
+        {renderTrendLine()}
+      </>
+    ) : (
+      <>
+        {isComparing && (
+          <Line
+            type="monotone"
+            dataKey="reference"
+            name={comparisonLabel}
+            stroke="var(--chart-secondary-color)"
+            strokeWidth={2}
+            strokeDasharray="5 5"
+            dot={false}
+          />
+        )}
+        <Line
+          type="monotone"
+          dataKey="value"
+          name={getYAxisLabel()}
+          stroke="var(--chart-primary-color)"
+          strokeWidth={2}
+          dot={{ fill: 'var(--chart-primary-color)', r: 3 }}
+          activeDot={{ r: 5 }}
+        >
+          {showDeltaLabels && (
+            <LabelList
+              dataKey="percentChange"
+              position="top"
+              formatter={formatPercentChange}
+              className="time-series-chart__delta-label"
+            />
+          )}
+        </Line>
+        {renderTrendLine()}
+      </>
+    )
+  );
+
   // Render chart content (shared between normal and focus mode)
   const renderChart = () => (
     chartData.length === 0 ? (
@@ -411,33 +890,29 @@ const TimeSeriesBarChart = ({
       </div>
     ) : (
       <ResponsiveContainer width="100%" height="100%">
-        {chartType === 'bar' ? (
-          <BarChart data={chartData}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis {...chartAxisConfig.xAxis} />
-            <YAxis tickFormatter={formatYAxisValue} />
-            <Tooltip formatter={(value) => [formatYAxisValue(value), getYAxisLabel()]} />
-            <Legend />
-            <Bar dataKey="value" name={getYAxisLabel()} className="time-series-chart__bar" />
-          </BarChart>
-        ) : (
-          <LineChart data={chartData}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis {...chartAxisConfig.xAxis} />
+        {/* Negative values (e.g., balances) stack below the axis */}
+        <ComposedChart
+          data={chartData}
+          stackOffset={isBreakdown ? 'sign' : 'none'}
+          className={dateFilter.enabled ? 'time-series-chart--brushable' : undefined}
+          onMouseDown={handleBrushStart}
+          onMouseMove={handleBrushMove}
+          onMouseLeave={() => setBrush(null)}
+          onClick={handleBrushEnd}
+        >
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis {...chartAxisConfig.xAxis} />
+          {isShare ? (
+            <YAxis domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+          ) : (
             <YAxis tickFormatter={formatYAxisValue} />
-            <Tooltip formatter={(value) => [formatYAxisValue(value), getYAxisLabel()]} />
-            <Legend />
-            <Line
-              type="monotone"
-              dataKey="value"
-              name={getYAxisLabel()}
-              stroke="var(--chart-primary-color)"
-              strokeWidth={2}
-              dot={{ fill: 'var(--chart-primary-color)', r: 3 }}
-              activeDot={{ r: 5 }}
-            />
-          </LineChart>
-        )}
+          )}
+          <Tooltip {...tooltipProps} />
+          <Legend />
+          {isBreakdown ? renderBreakdownSeries() : renderMetricSeries()}
+          {renderBrushArea()}
+          {renderZoomSlider()}
+        </ComposedChart>
       </ResponsiveContainer>
     )
   );
@@ -445,11 +920,12 @@ const TimeSeriesBarChart = ({
   return (
     <>
       {/* Normal view */}
-      <div className="time-series-chart-container" onClick={() => setIsFocusMode(true)}>
+      <div className="time-series-chart-container" ref={chartRef} onClick={handleContainerClick}>
         <div className="chart-header">
           <h2 className="time-series-chart__title">{title}</h2>
           {renderControls(false)}
         </div>
+        {renderProjectedTotal()}
         {renderChart()}
       </div>
 
@@ -467,7 +943,8 @@ const TimeSeriesBarChart = ({
             <div className="focus-controls-bar">
               {renderControls(true)}
             </div>
-            <div className="focus-chart-container">
+            {renderProjectedTotal()}
+            <div className="focus-chart-container" ref={focusChartRef}>
               {renderChart()}
             </div>
           </div>
@@ -478,7 +955,10 @@ const TimeSeriesBarChart = ({
 };
 
 TimeSeriesBarChart.propTypes = {
-  data: PropTypes.array.isRequired,
+  // Not needed in remote mode
+  data: PropTypes.array,
+  // Rows the comparison periods are read from (page filters without the date range)
+  referenceData: PropTypes.array,
   dateColumnName: PropTypes.string.isRequired,
 
   // Simple API props
@@ -512,12 +992,34 @@ TimeSeriesBarChart.propTypes = {
       filterValue: PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.bool, PropTypes.array]),
       // Per-metric data source override
       data: PropTypes.array,
+      referenceData: PropTypes.array,
       dateColumnName: PropTypes.string
     })
   ),
   defaultMetric: PropTypes.string,
 
-  title: PropTypes.string
+  title: PropTypes.string,
+
+  // Remote-data mode
+  remote: PropTypes.shape({
+    dataset: PropTypes.string.isRequired,
+    query: PropTypes.object
+  }),
+  // Breakdown by dimension
+  breakdownOptions: PropTypes.arrayOf(
+    PropTypes.shape({
+      value: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      field: PropTypes.string.isRequired,
+      // Split multi-valued fields (e.g., ', ' for genres)
+      delimiter: PropTypes.string
+    })
+  ),
+  maxBreakdownSeries: PropTypes.number,
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey: PropTypes.string,
+  // Key of the page's date range filter (usually its field) set by clicking or brushing periods
+  dateFilterKey: PropTypes.string
 };
 
 export default TimeSeriesBarChart;
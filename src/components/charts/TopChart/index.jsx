@@ -1,10 +1,17 @@
 // src/components/charts/TopChart/index.jsx
-import { useEffect, useState } from 'react';
+import { useEffect, useState, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { BarChart, Bar, XAxis, YAxis, ResponsiveContainer } from 'recharts';
 import { ArrowUp, ArrowDown, X } from 'lucide-react';
 import _ from 'lodash';
 import { applyMetricFilter, resolveMetricDataSource } from '../../../utils/computationUtils';
+import { pickMetricFilter } from '../../../utils/aggregationUtils';
+import ExportMenu from '../../ui/common/ExportMenu';
+import CrossFilterChip from '../../ui/common/CrossFilterChip';
+import { useAggregateQuery } from '../../../hooks/useAggregateQuery';
+import { useCrossFilter } from '../../../hooks/useCrossFilter';
+import { useChartChoice } from '../../../hooks/useUrlState';
+import { slugify } from '../../../utils/urlStateUtils';
 import './TopChart.css';
 
 const formatNumber = (num, decimals = 0) => {
@@ -46,16 +53,29 @@ const TopChart = ({
   topNOptions = [5, 10, 15, 20],
   enableSortToggle = false,
   scrollable = false,
-  barHeight = 40
+  barHeight = 40,
+  // Remote-data mode: { dataset, query } aggregates on the server (/api/aggregate) instead of `data`
+  remote,
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey
 }) => {
   // State for user-selected controls
-  const [selectedDimension, setSelectedDimension] = useState(defaultDimension || dimensionOptions[0]?.value);
-  const [selectedMetric, setSelectedMetric] = useState(defaultMetric || metricOptions[0]?.value);
+  // Dimension and metric choices are kept in the URL (<urlKey>.dimension, <urlKey>.metric)
+  const chartKey = urlKey || slugify(title);
+  const [selectedDimension, setSelectedDimension] = useChartChoice(
+    chartKey, 'dimension', defaultDimension || dimensionOptions[0]?.value, dimensionOptions.map(opt => opt.value)
+  );
+  const [selectedMetric, setSelectedMetric] = useChartChoice(
+    chartKey, 'metric', defaultMetric || metricOptions[0]?.value, metricOptions.map(opt => opt.value)
+  );
   const [topNValue, setTopNValue] = useState(topN);
   const [sortDirection, setSortDirection] = useState('desc');
   const [topItems, setTopItems] = useState([]);
   // State for focus mode
   const [isFocusMode, setIsFocusMode] = useState(false);
+  // Rendered charts, for the image exports
+  const chartRef = useRef(null);
+  const focusChartRef = useRef(null);
 
   // Escape key handler for focus mode
   useEffect(() => {
@@ -70,8 +90,52 @@ const TopChart = ({
   const currentDimensionConfig = dimensionOptions.find(d => d.value === selectedDimension);
   const currentMetricConfig = metricOptions.find(m => m.value === selectedMetric);
 
+  // Clicking a bar filters the page on it (dimensions with a filterKey)
+  const crossFilter = useCrossFilter(currentDimensionConfig?.filterKey);
+
+  // Remote mode: the server groups, aggregates, sorts and limits
+  const isRemote = Boolean(remote);
+  const remoteLabelFields = currentDimensionConfig?.labelFields || [];
+  const remoteResult = useAggregateQuery(remote?.dataset, {
+    ...remote?.query,
+    groupBy: currentDimensionConfig ? [currentDimensionConfig.field] : [],
+    groupDelimiters: currentDimensionConfig?.delimiter
+      ? { [currentDimensionConfig.field]: currentDimensionConfig.delimiter }
+      : undefined,
+    // cumsum treated as sum for TopChart (ranking doesn't have natural time ordering)
+    aggregation: currentMetricConfig?.aggregation === 'cumsum' ? 'sum' : currentMetricConfig?.aggregation,
+    field: currentMetricConfig?.field,
+    metricFilter: pickMetricFilter(currentMetricConfig),
+    columns: imageField ? [...remoteLabelFields, imageField] : remoteLabelFields,
+    sort: sortDirection === 'desc' ? '-value' : 'value',
+    limit: topNValue
+  }, isRemote && Boolean(currentDimensionConfig && currentMetricConfig));
+
   useEffect(() => {
-    if (!Array.isArray(data) || !currentDimensionConfig || !currentMetricConfig) return;
+    if (!isRemote || !currentDimensionConfig) return;
+
+    const dimensionField = currentDimensionConfig.field;
+    const labelFields = currentDimensionConfig.labelFields || [dimensionField];
+
+    setTopItems(remoteResult.rows.map(row => {
+      const groupKey = String(row[dimensionField]);
+      const displayName = labelFields
+        .map(field => row[field] || groupKey)
+        .filter(val => val && val.toString().trim() !== '')
+        .join(' - ');
+
+      return {
+        name: groupKey,
+        displayName: displayName || groupKey,
+        value: row.value,
+        count: row.count,
+        artwork: imageField ? row[imageField] : null
+      };
+    }));
+  }, [isRemote, remoteResult.rows, currentDimensionConfig, imageField]);
+
+  useEffect(() => {
+    if (isRemote || !Array.isArray(data) || !currentDimensionConfig || !currentMetricConfig) return;
 
     // Resolve data source for current metric (supports per-metric data overrides)
     const { data: effectiveData } = resolveMetricDataSource(
@@ -196,7 +260,7 @@ const TopChart = ({
       .value();
 
     setTopItems(processedData);
-  }, [data, selectedDimension, selectedMetric, currentDimensionConfig, currentMetricConfig, topNValue, sortDirection]);
+  }, [data, selectedDimension, selectedMetric, currentDimensionConfig, currentMetricConfig, topNValue, sortDirection, isRemote]);
 
   const getMetricLabel = () => {
     if (!currentMetricConfig) return '';
@@ -209,7 +273,7 @@ const TopChart = ({
   };
 
   const CustomBar = (props) => {
-    const { x, y, width, height, displayName, value, artwork } = props;
+    const { x, y, width, height, name, displayName, value, artwork } = props;
     const decimals = currentMetricConfig?.decimals || 0;
     const useCompact = currentMetricConfig?.compactNumbers || false;
 
@@ -224,8 +288,22 @@ const TopChart = ({
       ? (formatCompactValue(value) || formatNumber(value, decimals))
       : formatNumber(value, decimals);
 
+    // Bars outside the page's selection are dimmed
+    const isSelected = crossFilter.isSelected(name);
+    const isDimmed = crossFilter.isActive && !isSelected;
+
+    const handleClick = (e) => {
+      if (!crossFilter.enabled) return;
+      e.stopPropagation();
+      crossFilter.select(name, e.ctrlKey || e.metaKey || e.shiftKey);
+    };
+
     return (
-      <g>
+      <g
+        className={crossFilter.enabled ? 'chart-bar-item clickable' : 'chart-bar-item'}
+        opacity={isDimmed ? 0.35 : 1}
+        onClick={handleClick}
+      >
         {/* Render artwork image if available */}
         {showArtwork && (
           <image
@@ -261,7 +339,9 @@ const TopChart = ({
           width={width}
           height={height}
           fill="var(--chart-primary-color)"
-          opacity={0.8}
+          opacity={isSelected ? 1 : 0.8}
+          stroke={isSelected ? 'var(--color-accent)' : 'none'}
+          strokeWidth={2}
           rx={4}
         />
 
@@ -284,6 +364,7 @@ const TopChart = ({
     y: PropTypes.number,
     width: PropTypes.number,
     height: PropTypes.number,
+    name: PropTypes.string,
     displayName: PropTypes.string,
     value: PropTypes.number,
     artwork: PropTypes.string
@@ -292,6 +373,13 @@ const TopChart = ({
   // Render controls (shared between normal and focus mode)
   const renderControls = (inFocusMode = false) => (
     <div className="chart-controls" onClick={(e) => e.stopPropagation()}>
+      {/* Page filter set by clicking a bar */}
+      <CrossFilterChip
+        label={currentDimensionConfig?.label || ''}
+        values={crossFilter.selected}
+        onClear={crossFilter.clear}
+      />
+
       {/* Dimension Selector */}
       {dimensionOptions.length > 1 && (
         <div className="chart-filter">
@@ -360,6 +448,20 @@ const TopChart = ({
           {sortDirection === 'asc' ? <ArrowUp size={18} /> : <ArrowDown size={18} />}
         </button>
       )}
+
+      <ExportMenu
+        targetRef={inFocusMode ? focusChartRef : chartRef}
+        title={title || 'Top Chart'}
+        getData={() => topItems.map((item, index) => ({
+          rank: index + 1,
+          name: item.displayName,
+          key: item.name,
+          value: item.value,
+          count: item.count
+        }))}
+        metric={currentMetricConfig?.label}
+        settings={{ dimension: currentDimensionConfig?.label, top: topNValue, sort: sortDirection }}
+      />
     </div>
   );
 
@@ -429,7 +531,7 @@ const TopChart = ({
   return (
     <>
       {/* Normal view */}
-      <div className="top-categorys-container" onClick={() => setIsFocusMode(true)}>
+      <div className="top-categorys-container" ref={chartRef} onClick={() => setIsFocusMode(true)}>
         <div className="chart-header">
           <h3 className="chart-title">{title || 'Top Chart'}</h3>
           {renderControls(false)}
@@ -451,7 +553,7 @@ const TopChart = ({
             <div className="topchart-focus-controls-bar">
               {renderControls(true)}
             </div>
-            <div className="topchart-focus-chart-container">
+            <div className="topchart-focus-chart-container" ref={focusChartRef}>
               {renderChart()}
             </div>
           </div>
@@ -462,13 +564,16 @@ const TopChart = ({
 };
 
 TopChart.propTypes = {
-  data: PropTypes.array.isRequired,
+  // Not needed in remote mode
+  data: PropTypes.array,
   dimensionOptions: PropTypes.arrayOf(
     PropTypes.shape({
       value: PropTypes.string.isRequired,
       label: PropTypes.string.isRequired,
       field: PropTypes.string.isRequired,
-      labelFields: PropTypes.arrayOf(PropTypes.string)
+      labelFields: PropTypes.arrayOf(PropTypes.string),
+      // Key of the page filter (usually its field) set by clicking a bar
+      filterKey: PropTypes.string
     })
   ).isRequired,
   // metricOptions: Define how to aggregate data for each metric option
@@ -517,7 +622,14 @@ TopChart.propTypes = {
   topNOptions: PropTypes.arrayOf(PropTypes.number),
   enableSortToggle: PropTypes.bool,
   scrollable: PropTypes.bool,
-  barHeight: PropTypes.number
+  barHeight: PropTypes.number,
+  // Remote-data mode, query holds dataset filters (from, to, filters...)
+  remote: PropTypes.shape({
+    dataset: PropTypes.string.isRequired,
+    query: PropTypes.object
+  }),
+  // Prefix of the query parameters keeping the chart's choices (default: slug of the title)
+  urlKey: PropTypes.string
 };
 
 export default TopChart;
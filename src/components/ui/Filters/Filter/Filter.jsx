@@ -1,6 +1,16 @@
 // src/components/ui/Filters/Filter/Filter.jsx
-import React, { useState, useRef, useEffect } from 'react';
-import { Search, ChevronDown, ChevronRight, X, Check, Calendar } from 'lucide-react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Search, ChevronDown, ChevronRight, X, Check, Calendar, Ban } from 'lucide-react';
+import { compactMultiSelectValue, normalizeMultiSelectValue } from '../../../../utils/filterUtils';
+import {
+  DATE_PRESETS,
+  ROLLING_DATE_UNITS,
+  formatRollingDatePreset,
+  getDatePresetLabel,
+  parseRollingDatePreset,
+  resolveDatePreset
+} from '../../../../utils/dateUtils';
 import './Filter.css';
 
 /**
@@ -9,8 +19,12 @@ import './Filter.css';
  *
  * @param {Object} props
  * @param {string} props.type - 'singleselect', 'multiselect', 'hierarchical', 'daterange', or 'numberrange'
+ *   ('having' filters are declared as Filter children and rendered by FilteringPanel as a numberrange)
  * @param {Array} props.options - Array of option strings (not used for daterange, numberrange, or hierarchical)
+ * @param {Map} [props.optionCounts] - Rows each option would yield given the other filters (zero-count options are dimmed)
  * @param {string|Array|Object} props.value - Selected value(s), date range object, or number range object
+ *   (multiselect: array of included values or { include, exclude, matchMode };
+ *   daterange: { startDate, endDate, preset } where preset is a relative preset id)
  * @param {Function} props.onChange - Callback when selection changes
  * @param {string} props.label - Label for the filter
  * @param {React.ReactNode} [props.icon] - Optional icon
@@ -19,15 +33,23 @@ import './Filter.css';
  * @param {boolean} [props.searchable] - Whether to show search input
  * @param {string} [props.allLabel] - Label for "All" option (default: "All") - only for multiselect
  * @param {string} [props.defaultValue] - Default value for single select (required for singleselect)
+ * @param {string} [props.delimiter] - Delimiter of multi-valued fields, enables the any/all match mode choice (multiselect)
+ * @param {string} [props.matchMode] - Configured match mode of delimited fields: 'exact', 'any' or 'all' (multiselect)
  * @param {Date} [props.minDate] - Minimum date for daterange
  * @param {Date} [props.maxDate] - Maximum date for daterange
+ * @param {boolean} [props.showDatePresets] - Offer relative presets (last 30 days, this year...) for daterange (default: true)
+ * @param {boolean} [props.followGlobalRange] - Mirror the app-wide date range from the layout (daterange, read by FilteringPanel)
+ * @param {string} [props.aggregation] - Aggregation of each group of `field` for having: 'count', 'sum', 'count_distinct'... (default: 'count')
+ * @param {string} [props.aggregationField] - Field aggregated by having (not needed for 'count')
+ * @param {Object} [props.computationOptions] - performComputation options for having (e.g., { convertToHours: true })
+ * @param {Array} [props.filterConditions] - Conditions of the rows aggregated by having (e.g., expenses only)
  * @param {number} [props.minNumber] - Minimum number for numberrange
  * @param {number} [props.maxNumber] - Maximum number for numberrange
  * @param {string} [props.suffix] - Suffix for number display (e.g., " min", " years")
  * @param {Map} [props.hierarchy] - Hierarchy Map for hierarchical type (parent -> [children])
  * @param {Map} [props.hierarchyWithCounts] - Hierarchy with counts for hierarchical type
  * @param {string} [props.selectionMode] - 'single' or 'multi' for hierarchical type
- * @param {boolean} [props.showCounts] - Whether to show counts in hierarchical type (default: true)
+ * @param {boolean} [props.showCounts] - Whether to show counts in dropdown options and hierarchical type (default: true)
  * @param {string} [props.renderMode] - 'dropdown' or 'bubble' (default: 'dropdown')
  * @param {number} [props.maxVisibleBubbles] - Maximum bubbles to show before "Show more" (default: 10)
  * @param {number} [props.searchThreshold] - Show search bar when options exceed this (default: 15)
@@ -37,6 +59,7 @@ import './Filter.css';
 const Filter = ({
   type = 'singleselect',
   options = [],
+  optionCounts = null,
   value,
   onChange,
   label,
@@ -46,8 +69,11 @@ const Filter = ({
   searchable = true,
   allLabel = "All",
   defaultValue = null,
+  delimiter = null,
+  matchMode = 'exact',
   minDate = null,
   maxDate = null,
+  showDatePresets = true,
   minNumber = null,
   maxNumber = null,
   suffix = '',
@@ -80,16 +106,37 @@ const Filter = ({
   const [additionalItemsShown, setAdditionalItemsShown] = useState(0); // Tracks how many extra items beyond maxVisibleBubbles are shown
   const [expandedParents, setExpandedParents] = useState(new Set()); // For hierarchical parent expansion in bubble mode
 
+  // Multiselect: what clicking a value does ('include' or 'exclude')
+  const [selectionAction, setSelectionAction] = useState('include');
+
+  // Multiselect values may exclude values and override the match mode
+  const multiSelectValue = useMemo(
+    () => normalizeMultiSelectValue(type === 'multiselect' ? value : null),
+    [type, value]
+  );
+  const excludedValues = multiSelectValue.exclude;
+  const configuredMatchMode = matchMode === 'all' ? 'all' : 'any';
+  const activeMatchMode = multiSelectValue.matchMode || configuredMatchMode;
+
+  // Daterange: relative preset of the value (dropped as soon as a date is edited)
+  const activeDatePreset = type === 'daterange' ? value?.preset || null : null;
+  const [rollingAmount, setRollingAmount] = useState(() => parseRollingDatePreset(activeDatePreset)?.amount || 6);
+  const [rollingUnit, setRollingUnit] = useState(() => parseRollingDatePreset(activeDatePreset)?.unit || 'months');
+
   // Normalize value to always be an array for easier processing (except daterange, numberrange, and hierarchical single-select)
-  const selectedValues = type === 'daterange'
-    ? value || { startDate: null, endDate: null }
+  // Memoized so the ref update below only runs when the value changes
+  const selectedValues = useMemo(() => (type === 'daterange'
+    ? { startDate: value?.startDate || null, endDate: value?.endDate || null }
     : type === 'numberrange'
     ? value || { min: null, max: null }
     : type === 'hierarchical' && selectionMode === 'single'
     ? (value ? [value] : [])
-    : type === 'multiselect' || (type === 'hierarchical' && selectionMode === 'multi')
+    : type === 'multiselect'
+    ? multiSelectValue.include
+    : type === 'hierarchical' && selectionMode === 'multi'
     ? (Array.isArray(value) ? value : [])
-    : (value ? [value] : []);
+    : (value ? [value] : [])
+  ), [type, value, selectionMode, multiSelectValue]);
 
   const selectedValuesRef = useRef(selectedValues);
 
@@ -134,7 +181,8 @@ const Filter = ({
     const totalMs = maxDate.getTime() - minDate.getTime();
     if (totalMs === 0) return 0;
     const dateMs = date.getTime() - minDate.getTime();
-    return (dateMs / totalMs) * 100;
+    // Relative presets may reach beyond the data
+    return Math.max(0, Math.min(100, (dateMs / totalMs) * 100));
   };
 
   // Number range helper functions
@@ -329,15 +377,25 @@ const Filter = ({
     setIsOpen(false);
   };
 
-  // Handle multi-select option selection
+  // Handle multi-select option selection: toggles the option in the list of the
+  // current action (include or exclude) and removes it from the other one
   const handleMultiSelect = (option) => {
-    let newSelected;
-    if (selectedValues.includes(option)) {
-      newSelected = selectedValues.filter(item => item !== option);
-    } else {
-      newSelected = [...selectedValues, option];
-    }
-    onChange(newSelected);
+    const toggle = (list) => (list.includes(option) ? list.filter(item => item !== option) : [...list, option]);
+    const withoutOption = (list) => list.filter(item => item !== option);
+
+    onChange(compactMultiSelectValue({
+      ...multiSelectValue,
+      include: selectionAction === 'include' ? toggle(selectedValues) : withoutOption(selectedValues),
+      exclude: selectionAction === 'exclude' ? toggle(excludedValues) : withoutOption(excludedValues)
+    }));
+  };
+
+  // Choose between any / all of the included values (delimited fields)
+  const handleMatchModeChange = (mode) => {
+    onChange(compactMultiSelectValue({
+      ...multiSelectValue,
+      matchMode: mode === configuredMatchMode ? null : mode
+    }));
   };
 
   // Handle hierarchical selection (single or multi mode)
@@ -374,11 +432,11 @@ const Filter = ({
   // Handle "All" option for multiselect only
   const handleSelectAll = () => {
     if (type === 'multiselect') {
-      if (selectedValues.length === filteredOptions.length) {
-        onChange([]);
-      } else {
-        onChange([...filteredOptions]);
-      }
+      onChange(compactMultiSelectValue({
+        ...multiSelectValue,
+        include: selectedValues.length === filteredOptions.length ? [] : [...filteredOptions],
+        exclude: excludedValues.filter(item => !filteredOptions.includes(item))
+      }));
     }
   };
 
@@ -411,6 +469,21 @@ const Filter = ({
     onChange(newRange);
   };
 
+  // Apply a relative date preset, or clear the range when it is already active
+  const handleDatePreset = (preset) => {
+    const range = resolveDatePreset(preset);
+    if (!range) return;
+    onChange(preset === activeDatePreset ? { startDate: null, endDate: null } : { ...range, preset });
+  };
+
+  const handleRollingPreset = (e) => {
+    e.preventDefault();
+    const amount = parseInt(rollingAmount, 10);
+    if (!amount || amount < 1) return;
+    const preset = formatRollingDatePreset(amount, rollingUnit);
+    onChange({ ...resolveDatePreset(preset), preset });
+  };
+
   // Handle number range input changes
   const handleNumberInputChange = (e, rangeType) => {
     const newNum = e.target.value === '' ? null : parseInt(e.target.value, 10);
@@ -523,6 +596,9 @@ const Filter = ({
       if (!selectedValues.startDate && !selectedValues.endDate) {
         return placeholder;
       }
+      if (activeDatePreset && getDatePresetLabel(activeDatePreset)) {
+        return getDatePresetLabel(activeDatePreset);
+      }
       const start = selectedValues.startDate ? formatDate(new Date(selectedValues.startDate)) : 'Start';
       const end = selectedValues.endDate ? formatDate(new Date(selectedValues.endDate)) : 'End';
       return `${start} - ${end}`;
@@ -551,6 +627,12 @@ const Filter = ({
       }
       return value;
     } else {
+      if (excludedValues.length > 0) {
+        const excludedText = excludedValues.length === 1 ? `not ${excludedValues[0]}` : `${excludedValues.length} excluded`;
+        if (selectedValues.length === 0) return `${allLabel}, ${excludedText}`;
+        const includedText = selectedValues.length === 1 ? selectedValues[0] : `${selectedValues.length} included`;
+        return `${includedText}, ${excludedText}`;
+      }
       if (selectedValues.length === 0) {
         return allLabel;
       } else if (selectedValues.length === 1) {
@@ -585,7 +667,7 @@ const Filter = ({
   // Check if we should show clear button
   const shouldShowClear = () => {
     if (type === 'multiselect') {
-      return selectedValues.length > 0;
+      return selectedValues.length > 0 || excludedValues.length > 0;
     } else if (type === 'hierarchical' && selectionMode === 'multi') {
       return selectedValues.length > 0;
     } else if (type === 'daterange') {
@@ -596,6 +678,87 @@ const Filter = ({
     return false;
   };
 
+  /**
+   * Render the multiselect mode toggles: include / exclude on click, and
+   * any / all of the included values for delimited fields
+   */
+  const renderMultiSelectModes = () => (
+    <div className="filter-multiselect-modes" onClick={(e) => e.stopPropagation()}>
+      <div className="filter-mode-toggle" role="group" aria-label="Selection action">
+        {['include', 'exclude'].map(action => (
+          <button
+            key={action}
+            type="button"
+            className={`filter-mode-option ${selectionAction === action ? 'active' : ''}`}
+            onClick={() => setSelectionAction(action)}
+            aria-pressed={selectionAction === action}
+          >
+            {action === 'include' ? 'Include' : 'Exclude'}
+          </button>
+        ))}
+      </div>
+
+      {delimiter && (
+        <div className="filter-mode-toggle" role="group" aria-label="Match mode">
+          {['any', 'all'].map(mode => (
+            <button
+              key={mode}
+              type="button"
+              className={`filter-mode-option ${activeMatchMode === mode ? 'active' : ''}`}
+              onClick={() => handleMatchModeChange(mode)}
+              aria-pressed={activeMatchMode === mode}
+              title={mode === 'any' ? 'Match any of the included values' : 'Match all of the included values'}
+            >
+              {mode === 'any' ? 'Any' : 'All'}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  /**
+   * Render the relative date presets of a daterange filter
+   */
+  const renderDatePresets = () => (
+    <div className="filter-date-presets" onClick={(e) => e.stopPropagation()}>
+      <div className="filter-date-preset-list">
+        {DATE_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            type="button"
+            className={`filter-date-preset ${activeDatePreset === preset.id ? 'active' : ''}`}
+            onClick={() => handleDatePreset(preset.id)}
+            aria-pressed={activeDatePreset === preset.id}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <form
+        className={`filter-date-rolling ${parseRollingDatePreset(activeDatePreset) && !DATE_PRESETS.some(preset => preset.id === activeDatePreset) ? 'active' : ''}`}
+        onSubmit={handleRollingPreset}
+      >
+        <span>Last</span>
+        <input
+          type="number"
+          min={1}
+          max={9999}
+          value={rollingAmount}
+          onChange={(e) => setRollingAmount(e.target.value)}
+          aria-label="Number of units"
+        />
+        <select value={rollingUnit} onChange={(e) => setRollingUnit(e.target.value)} aria-label="Unit">
+          {ROLLING_DATE_UNITS.map(unit => (
+            <option key={unit} value={unit}>{unit}</option>
+          ))}
+        </select>
+        <button type="submit" className="filter-date-preset">Apply</button>
+      </form>
+    </div>
+  );
+
   // ===================
   // BUBBLE MODE RENDERING
   // ===================
@@ -780,6 +943,9 @@ const Filter = ({
     });
   };
 
+  // Faceted count of an option (null without counts)
+  const getOptionCount = (option) => optionCounts?.get(option) ?? null;
+
   /**
    * Render bubble interface for singleselect and multiselect
    */
@@ -807,10 +973,12 @@ const Filter = ({
           </div>
         )}
 
+        {type === 'multiselect' && renderMultiSelectModes()}
+
         {/* Bubble container */}
         <div className="filter-bubble-container">
           {/* Select All bubble for multiselect */}
-          {type === 'multiselect' && (
+          {type === 'multiselect' && selectionAction === 'include' && (
             <button
               className={`filter-bubble select-all-bubble ${areAllFilteredSelected() ? 'selected' : ''}`}
               onClick={handleSelectAll}
@@ -823,11 +991,13 @@ const Filter = ({
           {visibleBubbles.length > 0 ? (
             visibleBubbles.map((option, index) => {
               const isSelected = selectedValues.includes(option);
+              const isExcluded = type === 'multiselect' && excludedValues.includes(option);
+              const count = getOptionCount(option);
 
               return (
                 <button
                   key={option}
-                  className={`filter-bubble ${isSelected ? 'selected' : ''} entering`}
+                  className={`filter-bubble ${isSelected ? 'selected' : ''} ${isExcluded ? 'excluded' : ''} ${count === 0 ? 'zero-count' : ''} entering`}
                   style={{ '--bubble-index': index }}
                   onClick={() =>
                     type === 'singleselect'
@@ -836,9 +1006,15 @@ const Filter = ({
                   }
                 >
                   {option}
+                  {showBubbleCounts && count !== null && (
+                    <span className="bubble-count">({count.toLocaleString()})</span>
+                  )}
                   {type === 'multiselect' && isSelected && (
                     <Check size={14} />
                   )}
+                  {isExcluded && (
+                    <Ban size={14} />
+                  )}
                 </button>
               );
             })
@@ -990,6 +1166,14 @@ const Filter = ({
    */
   const renderBubbleInterface = () => {
     // Range filters (daterange, numberrange) render inline slider
+    if (type === 'daterange' && showDatePresets) {
+      return (
+        <>
+          {renderDatePresets()}
+          {renderRangeInline()}
+        </>
+      );
+    }
     if (type === 'daterange' || type === 'numberrange') {
       return renderRangeInline();
     }
@@ -1054,6 +1238,7 @@ const Filter = ({
           {/* Date Range Content */}
           {type === 'daterange' && (
             <>
+              {showDatePresets && renderDatePresets()}
               {minDate && maxDate ? (
                 <div className="filter-range-content">
                   <div className="range-inputs">
@@ -1197,8 +1382,10 @@ const Filter = ({
             </div>
           )}
 
+          {type === 'multiselect' && renderMultiSelectModes()}
+
           {/* Select All for multiselect only */}
-          {type === 'multiselect' && (
+          {type === 'multiselect' && selectionAction === 'include' && (
             <div className="filter-select-all-container">
               <div
                 className="filter-option checkbox-option"
@@ -1335,6 +1522,8 @@ const Filter = ({
                     key={index}
                     className={`filter-option ${type === 'singleselect' ? 'radio-option' : 'checkbox-option'} ${
                       selectedValues.includes(option) ? 'selected' : ''
+                    } ${type === 'multiselect' && excludedValues.includes(option) ? 'excluded' : ''} ${
+                      getOptionCount(option) === 0 ? 'zero-count' : ''
                     }`}
                     onClick={() =>
                       type === 'singleselect'
@@ -1347,6 +1536,10 @@ const Filter = ({
                         <span className={`radio-button ${selectedValues.includes(option) ? 'selected' : ''}`}>
                           {selectedValues.includes(option) && <span className="radio-dot" />}
                         </span>
+                      ) : excludedValues.includes(option) ? (
+                        <span className="checkbox excluded">
+                          <X size={14} />
+                        </span>
                       ) : (
                         <span className={`checkbox ${selectedValues.includes(option) ? 'selected' : ''}`}>
                           {selectedValues.includes(option) && <Check size={14} />}
@@ -1354,6 +1547,9 @@ const Filter = ({
                       )}
                     </span>
                     <span className="filter-option-text">{option}</span>
+                    {showCounts && getOptionCount(option) !== null && (
+                      <span className="filter-option-count">{getOptionCount(option).toLocaleString()}</span>
+                    )}
                   </div>
                 ))
               ) : (
@@ -1369,4 +1565,60 @@ const Filter = ({
   );
 };
 
+const dateValueType = PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]);
+
+Filter.propTypes = {
+  type: PropTypes.oneOf(['singleselect', 'multiselect', 'hierarchical', 'daterange', 'numberrange', 'having']),
+  options: PropTypes.array,
+  optionCounts: PropTypes.instanceOf(Map),
+  value: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.array,
+    PropTypes.shape({
+      include: PropTypes.array,
+      exclude: PropTypes.array,
+      matchMode: PropTypes.oneOf(['any', 'all'])
+    }),
+    PropTypes.shape({
+      startDate: dateValueType,
+      endDate: dateValueType,
+      preset: PropTypes.string
+    }),
+    PropTypes.shape({
+      min: PropTypes.number,
+      max: PropTypes.number
+    })
+  ]),
+  onChange: PropTypes.func,
+  label: PropTypes.string.isRequired,
+  icon: PropTypes.node,
+  placeholder: PropTypes.string,
+  searchPlaceholder: PropTypes.string,
+  searchable: PropTypes.bool,
+  allLabel: PropTypes.string,
+  defaultValue: PropTypes.string,
+  delimiter: PropTypes.string,
+  matchMode: PropTypes.oneOf(['exact', 'any', 'all']),
+  minDate: PropTypes.instanceOf(Date),
+  maxDate: PropTypes.instanceOf(Date),
+  showDatePresets: PropTypes.bool,
+  followGlobalRange: PropTypes.bool,
+  aggregation: PropTypes.string,
+  aggregationField: PropTypes.string,
+  computationOptions: PropTypes.object,
+  filterConditions: PropTypes.array,
+  minNumber: PropTypes.number,
+  maxNumber: PropTypes.number,
+  suffix: PropTypes.string,
+  hierarchy: PropTypes.instanceOf(Map),
+  hierarchyWithCounts: PropTypes.instanceOf(Map),
+  selectionMode: PropTypes.oneOf(['single', 'multi']),
+  showCounts: PropTypes.bool,
+  renderMode: PropTypes.oneOf(['dropdown', 'bubble']),
+  maxVisibleBubbles: PropTypes.number,
+  searchThreshold: PropTypes.number,
+  showBubbleCounts: PropTypes.bool,
+  bubbleExpandIncrement: PropTypes.number
+};
+
 export default Filter;
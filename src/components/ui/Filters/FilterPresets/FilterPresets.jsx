@@ -0,0 +1,183 @@
+// src/components/ui/Filters/FilterPresets/FilterPresets.jsx
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Bookmark, Star, Pencil, Trash2, Check, X } from 'lucide-react';
+import './FilterPresets.css';
+
+/**
+ * Saved filter presets of a page: apply one with a click, save the current
+ * filters, rename, delete, or mark a preset as the page default
+ *
+ * @param {Object} props
+ * @param {Array} props.presets - Saved presets [{ id, name, query }]
+ * @param {string|null} props.defaultPresetId - Id of the page default preset
+ * @param {string} props.currentQuery - Canonical query string of the current filters
+ * @param {Function} props.onApply - Called with the preset to apply
+ * @param {Function} props.onSave - Called with the name of a new preset of the current filters
+ * @param {Function} props.onRename - Called with (id, name)
+ * @param {Function} props.onDelete - Called with the preset id
+ * @param {Function} props.onSetDefault - Called with the preset id, or null to clear the default
+ */
+const FilterPresets = ({
+  presets,
+  defaultPresetId,
+  currentQuery,
+  onApply,
+  onSave,
+  onRename,
+  onDelete,
+  onSetDefault
+}) => {
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    onSave(newName);
+    setNewName('');
+  };
+
+  const startRename = (preset) => {
+    setEditingId(preset.id);
+    setEditingName(preset.name);
+  };
+
+  const cancelRename = () => {
+    setEditingId(null);
+    setEditingName('');
+  };
+
+  const commitRename = () => {
+    if (editingName.trim()) onRename(editingId, editingName);
+    cancelRename();
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitRename();
+    } else if (e.key === 'Escape') {
+      // Keep the filter modal open
+      e.stopPropagation();
+      cancelRename();
+    }
+  };
+
+  const handleDelete = (preset) => {
+    if (window.confirm(`Delete the preset "${preset.name}"?`)) {
+      onDelete(preset.id);
+    }
+  };
+
+  return (
+    <div className="filter-presets">
+      <div className="filter-presets-label">
+        <Bookmark size={16} />
+        <span>Presets</span>
+      </div>
+
+      {presets.length === 0 ? (
+        <p className="filter-presets-empty">No saved presets yet. Save the current filters to reuse them.</p>
+      ) : (
+        <ul className="filter-presets-list">
+          {presets.map(preset => {
+            const isDefault = preset.id === defaultPresetId;
+
+            if (preset.id === editingId) {
+              return (
+                <li key={preset.id} className="filter-preset editing">
+                  <input
+                    className="filter-presets-input"
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    onKeyDown={handleRenameKeyDown}
+                    maxLength={100}
+                    aria-label="Preset name"
+                    autoFocus
+                  />
+                  <button type="button" className="filter-preset-action" onClick={commitRename} aria-label="Save name">
+                    <Check size={14} />
+                  </button>
+                  <button type="button" className="filter-preset-action" onClick={cancelRename} aria-label="Cancel rename">
+                    <X size={14} />
+                  </button>
+                </li>
+              );
+            }
+
+            return (
+              <li key={preset.id} className={`filter-preset ${preset.query === currentQuery ? 'active' : ''}`}>
+                <button
+                  type="button"
+                  className="filter-preset-apply"
+                  onClick={() => onApply(preset)}
+                  title="Apply preset"
+                >
+                  {preset.name}
+                </button>
+                <button
+                  type="button"
+                  className={`filter-preset-action ${isDefault ? 'is-default' : ''}`}
+                  onClick={() => onSetDefault(isDefault ? null : preset.id)}
+                  aria-label={isDefault ? `Stop using ${preset.name} as page default` : `Use ${preset.name} as page default`}
+                  title={isDefault ? 'Page default' : 'Set as page default'}
+                >
+                  <Star size={14} fill={isDefault ? 'currentColor' : 'none'} />
+                </button>
+                <button
+                  type="button"
+                  className="filter-preset-action"
+                  onClick={() => startRename(preset)}
+                  aria-label={`Rename ${preset.name}`}
+                >
+                  <Pencil size={14} />
+                </button>
+                <button
+                  type="button"
+                  className="filter-preset-action"
+                  onClick={() => handleDelete(preset)}
+                  aria-label={`Delete ${preset.name}`}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form className="filter-presets-save" onSubmit={handleSave}>
+        <input
+          className="filter-presets-input"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Name the current filters"
+          maxLength={100}
+          aria-label="New preset name"
+        />
+        <button type="submit" className="filter-presets-save-button" disabled={!newName.trim()}>
+          Save
+        </button>
+      </form>
+    </div>
+  );
+};
+
+FilterPresets.propTypes = {
+  presets: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    query: PropTypes.string.isRequired
+  })).isRequired,
+  defaultPresetId: PropTypes.string,
+  currentQuery: PropTypes.string.isRequired,
+  onApply: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onSetDefault: PropTypes.func.isRequired
+};
+
+export default FilterPresets;
@@ -1,11 +1,33 @@
 // src/components/ui/Filters/FilteringPanel/FilteringPanel.jsx
 import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import _ from 'lodash';
+import { useLocation } from 'react-router-dom';
 import { SlidersHorizontal } from 'lucide-react';
 import Filter from '../Filter/Filter';
-import { applyFilters, matchDelimitedValue, buildHierarchyWithCounts } from '../../../../utils/filterUtils';
+import FilterPresets from '../FilterPresets/FilterPresets';
+import { applyFilters, applyHavingFilter, buildHierarchyWithCounts, computeGroupAggregates, isMultiSelectValueActive, matchMultiSelectValue, normalizeMultiSelectValue } from '../../../../utils/filterUtils';
+import { formatFilterParams, getDefaultFilterValue, hasFilterParams, readFilterParams, writeFilterParams } from '../../../../utils/urlStateUtils';
+import { useUrlParams } from '../../../../hooks/useUrlState';
+import { useFilterPresets } from '../../../../hooks/useFilterPresets';
+import { useGlobalDateRange } from '../../../../hooks/useGlobalDateRange';
+import { formatDateRangeKey } from '../../../../context/dateRange';
 import './FilteringPanel.css';
 
+// Shared fallback for missing data, so memoized values keep the same dependency
+const EMPTY_DATA = [];
+
+/**
+ * Helper: Key of a Filter child (its field, or its label)
+ * Aggregate ("having") filters are keyed <field>.<aggregation> so they don't
+ * clash with a value filter on the same field
+ */
+const getFilterKey = ({ type, field, label, aggregation = 'count', aggregationField }) => {
+  if (type === 'having' && field) {
+    return `${field}.${aggregation}${aggregationField ? `_${aggregationField}` : ''}`;
+  }
+  return field || label?.toLowerCase().replace(/\s+/g, '_');
+};
+
 /**
  * Helper: Check if an item matches a filter value
  * Used for index-based filtering optimization
@@ -19,11 +41,8 @@ const itemMatchesFilter = (item, config, filterValue) => {
     : item[dataField];
 
   if (config.type === 'multiselect') {
-    if (!Array.isArray(filterValue) || filterValue.length === 0) return true;
-    if (config.delimiter) {
-      return matchDelimitedValue(itemValue, filterValue, config.delimiter, config.matchMode || 'any');
-    }
-    return filterValue.includes(itemValue);
+    if (!isMultiSelectValueActive(filterValue)) return true;
+    return matchMultiSelectValue(itemValue, filterValue, config.delimiter, config.matchMode || 'any');
   }
 
   if (config.type === 'singleselect') {
@@ -36,8 +55,9 @@ const itemMatchesFilter = (item, config, filterValue) => {
     if (!itemValue) return false;
     const itemDate = new Date(itemValue);
     if (isNaN(itemDate.getTime())) return false;
-    if (filterValue.startDate && itemDate < new Date(filterValue.startDate)) return false;
-    if (filterValue.endDate && itemDate > new Date(filterValue.endDate)) return false;
+    // Whole days, as applyDateRangeFilter does, so counts match the filtered rows
+    if (filterValue.startDate && itemDate < new Date(filterValue.startDate).setHours(0, 0, 0, 0)) return false;
+    if (filterValue.endDate && itemDate > new Date(filterValue.endDate).setHours(23, 59, 59, 999)) return false;
     return true;
   }
 
@@ -92,22 +112,32 @@ const extractBridgeValue = (item, field) => {
  * @param {Array|Object} props.data - The raw data to filter (array for single source, object for multiple sources)
  * @param {React.ReactNode} props.children - Filter components as children
  * @param {string} [props.fullDataset] - Full dataset for date boundary calculation (music data)
- * @param {Function} props.onFiltersChange - Callback when filters change
+ * @param {Function} props.onFiltersChange - Callback when filters change: (filteredSources, filters,
+ *   undatedSources) where undatedSources are filtered by everything but the date ranges
  * @param {boolean} [props.loading] - Loading state
  * @param {string} [props.renderMode] - 'dropdown' or 'bubble' (default: 'dropdown')
- * @param {Object} [props.bubbleConfig] - Configuration for bubble mode (maxVisible, searchThreshold)
+ * @param {Object} [props.bubbleConfig] - Configuration for bubble mode (maxVisible, searchThreshold, showCounts)
+ * @param {boolean} [props.syncWithUrl] - Keep filters in the query string so views can be bookmarked (default: true)
+ * @param {boolean} [props.enablePresets] - Offer saved filter presets in the filter modal (default: true)
+ * @param {string} [props.presetsKey] - Key the presets are saved under (default: the page path)
+ * @param {string} [props.zeroCountOptions] - Options that would yield no rows given the other
+ *   filters: 'hide' or 'dim' (default: 'hide')
  */
 const FilteringPanel = ({
-  data = [],
+  data = EMPTY_DATA,
   fullDataset = '',
   children,
   onFiltersChange,
   loading = false,
   renderMode = 'dropdown',
-  bubbleConfig = {}
+  bubbleConfig = {},
+  syncWithUrl = true,
+  enablePresets = true,
+  presetsKey,
+  zeroCountOptions = 'hide'
 }) => {
   // Ensure data is never null or undefined
-  const safeData = data ?? [];
+  const safeData = data ?? EMPTY_DATA;
 
   // Determine if we're working with multiple data sources
   const isMultiSource = !Array.isArray(safeData) && typeof safeData === 'object' && safeData !== null;
@@ -126,10 +156,10 @@ const FilteringPanel = ({
       if (!React.isValidElement(child)) return;
 
       // Extract props from Filter child to build config
-      const { type, label, icon, placeholder, searchPlaceholder, searchable, allLabel, defaultValue, delimiter, matchMode, sortType, selectionMode, childField, fieldMap, ...rest } = child.props;
+      const { type, label, icon, placeholder, searchPlaceholder, searchable, allLabel, defaultValue, delimiter, matchMode, sortType, selectionMode, childField, fieldMap, followGlobalRange, aggregation, aggregationField, computationOptions, filterConditions, ...rest } = child.props;
 
       // Generate a key from the field or label
-      const key = rest.field || label?.toLowerCase().replace(/\s+/g, '_') || `filter_${configs.length}`;
+      const key = getFilterKey(child.props) || `filter_${configs.length}`;
 
       configs.push({
         key,
@@ -150,7 +180,13 @@ const FilteringPanel = ({
         delimiter: delimiter || null,
         matchMode: matchMode || 'exact',
         sortType: sortType || 'alpha',
-        fieldMap: fieldMap || null  // Per-source field mapping for multi-source filtering
+        fieldMap: fieldMap || null,  // Per-source field mapping for multi-source filtering
+        followGlobalRange: type === 'daterange' && Boolean(followGlobalRange),  // Mirror the app-wide date range
+        // Aggregate ("having") filters: group by field, keep groups whose aggregate is in range
+        aggregation: aggregation || 'count',
+        aggregationField: aggregationField || null,
+        computationOptions: computationOptions || {},
+        filterConditions: filterConditions || null
       });
     });
 
@@ -242,6 +278,25 @@ const FilteringPanel = ({
         return;
       }
 
+      if (config.type === 'having') {
+        // Pre-compute the range of the group aggregates over the full dataset
+        const aggregates = [...computeGroupAggregates(
+          sourceData,
+          fieldName,
+          config.aggregation,
+          config.aggregationField,
+          config.computationOptions,
+          config.filterConditions
+        ).values()].filter(value => !isNaN(value));
+        if (aggregates.length > 0) {
+          numberBoundaries[config.key] = {
+            minNumber: Math.floor(_.min(aggregates)),
+            maxNumber: Math.ceil(_.max(aggregates))
+          };
+        }
+        return;
+      }
+
       if (config.type === 'numberrange') {
         // Pre-compute number boundaries from full dataset
         let minNum = null;
@@ -309,32 +364,93 @@ const FilteringPanel = ({
     return { cache, dateBoundaries, numberBoundaries };
   }, [primarySource, dataSources, filterConfigs]); // Only recompute when DATA changes, not on filter changes
 
-  // Initialize filters state with proper defaults
+  const [searchParams, updateSearchParams] = useUrlParams();
+  const { pathname } = useLocation();
+  const filterPresets = useFilterPresets(presetsKey || pathname);
+  const {
+    range: globalRange,
+    rangeKey: globalRangeKey,
+    setRange: setGlobalRange,
+    registerLinkedFilter
+  } = useGlobalDateRange();
+
+  // Initialize filters from the URL (shared or bookmarked views), then the page's
+  // default preset, defaults otherwise. Date filters following the global range
+  // start from it unless the URL sets them.
   const [filters, setFilters] = useState(() => {
-    const initialState = {};
+    const fromUrl = syncWithUrl && hasFilterParams(searchParams, filterConfigs);
+    let initialFilters;
+    if (fromUrl) {
+      initialFilters = readFilterParams(searchParams, filterConfigs);
+    } else if (enablePresets && filterPresets.defaultPreset) {
+      initialFilters = readFilterParams(new URLSearchParams(filterPresets.defaultPreset.query), filterConfigs);
+    } else {
+      initialFilters = Object.fromEntries(filterConfigs.map(config => [config.key, getDefaultFilterValue(config)]));
+    }
 
+    if (!globalRangeKey) return initialFilters;
     filterConfigs.forEach(config => {
-      if (config.type === 'multiselect') {
-        // For multiselect, always start with empty array
-        initialState[config.key] = [];
-      } else if (config.type === 'hierarchical') {
-        // For hierarchical, single-select starts with null, multi-select with empty array
-        initialState[config.key] = config.selectionMode === 'single' ? null : [];
-      } else if (config.type === 'singleselect') {
-        // For singleselect, use provided initial value or first option
-        initialState[config.key] = config.defaultValue || 'all';
-      } else if (config.type === 'daterange') {
-        // For daterange, start with no selection
-        initialState[config.key] = { startDate: null, endDate: null };
-      } else if (config.type === 'numberrange') {
-        // For numberrange, start with no selection
-        initialState[config.key] = { min: null, max: null };
+      if (config.followGlobalRange && !(fromUrl && searchParams.has(config.key))) {
+        initialFilters[config.key] = globalRange;
       }
     });
-
-    return initialState;
+    return initialFilters;
   });
 
+  // Canonical query string of the current filters, compared with the URL to avoid update loops
+  const filtersQuery = useMemo(() => formatFilterParams(filterConfigs, filters), [filterConfigs, filters]);
+
+  // Global date range: announce that this page follows it (shows the layout control)
+  const hasLinkedFilter = filterConfigs.some(config => config.followGlobalRange);
+  useEffect(() => (hasLinkedFilter ? registerLinkedFilter() : undefined), [hasLinkedFilter, registerLinkedFilter]);
+
+  // Last global range applied to (or taken from) the filters, to tell which side changed
+  const syncedGlobalKeyRef = useRef(globalRangeKey);
+
+  // Global range -> linked date filters (changed in the layout control)
+  useEffect(() => {
+    if (syncedGlobalKeyRef.current === globalRangeKey) return;
+    syncedGlobalKeyRef.current = globalRangeKey;
+
+    setFilters(prevFilters => {
+      const linked = filterConfigs.filter(config =>
+        config.followGlobalRange && formatDateRangeKey(prevFilters[config.key]) !== globalRangeKey
+      );
+      if (linked.length === 0) return prevFilters;
+      return { ...prevFilters, ...Object.fromEntries(linked.map(config => [config.key, globalRange])) };
+    });
+  }, [globalRangeKey]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Linked date filter -> global range (changed on this page, or set by the URL)
+  useEffect(() => {
+    const linked = filterConfigs.find(config => config.followGlobalRange);
+    if (!linked) return;
+
+    const key = formatDateRangeKey(filters[linked.key]);
+    if (key !== syncedGlobalKeyRef.current) {
+      syncedGlobalKeyRef.current = key;
+      setGlobalRange(filters[linked.key]);
+    }
+  }, [filtersQuery]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Filters -> URL
+  useEffect(() => {
+    if (!syncWithUrl) return;
+    updateSearchParams(params => writeFilterParams(params, filterConfigs, filters));
+  }, [filtersQuery]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // URL -> filters (links to the same page with other filters)
+  useEffect(() => {
+    if (!syncWithUrl) return;
+    // Skip renders of an older URL while our own updates are still being applied
+    if (searchParams.toString() !== new URLSearchParams(window.location.search).toString()) return;
+
+    const urlFilters = readFilterParams(searchParams, filterConfigs);
+    if (formatFilterParams(filterConfigs, urlFilters) !== filtersQuery) {
+      setFilters(urlFilters);
+    }
+  }, [searchParams]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // Debounced filters state for cascading options calculation
   // This prevents expensive recalculation on every filter click
   const [debouncedFilters, setDebouncedFilters] = useState(filters);
@@ -357,8 +473,8 @@ const FilteringPanel = ({
     return filterConfigs.reduce((count, config) => {
       const value = filterState[config.key];
 
-      // Multiselect: count if non-empty array
-      if (config.type === 'multiselect' && Array.isArray(value) && value.length > 0) {
+      // Multiselect: count if any value is included or excluded
+      if (config.type === 'multiselect' && isMultiSelectValueActive(value)) {
         return count + 1;
       }
 
@@ -372,8 +488,8 @@ const FilteringPanel = ({
         return count + 1;
       }
 
-      // Number range: count if either bound is set
-      if (config.type === 'numberrange' && (value?.min !== null || value?.max !== null)) {
+      // Number range / aggregate: count if either bound is set
+      if ((config.type === 'numberrange' || config.type === 'having') && (value?.min !== null || value?.max !== null)) {
         return count + 1;
       }
 
@@ -396,21 +512,11 @@ const FilteringPanel = ({
   }, []);
 
   const clearAllFilters = useCallback(() => {
-    const resetState = {};
-    filterConfigs.forEach(config => {
-      if (config.type === 'multiselect') {
-        resetState[config.key] = [];
-      } else if (config.type === 'hierarchical') {
-        resetState[config.key] = config.selectionMode === 'single' ? null : [];
-      } else if (config.type === 'singleselect') {
-        resetState[config.key] = config.defaultValue || 'all';
-      } else if (config.type === 'daterange') {
-        resetState[config.key] = { startDate: null, endDate: null };
-      } else if (config.type === 'numberrange') {
-        resetState[config.key] = { min: null, max: null };
-      }
-    });
-    setFilters(resetState);
+    setFilters(Object.fromEntries(filterConfigs.map(config => [config.key, getDefaultFilterValue(config)])));
+  }, [filterConfigs]);
+
+  const applyPreset = useCallback((preset) => {
+    setFilters(readFilterParams(new URLSearchParams(preset.query), filterConfigs));
   }, [filterConfigs]);
 
   const activeFilterCount = useMemo(() => getActiveFilterCount(filters), [filters, getActiveFilterCount]);
@@ -458,49 +564,71 @@ const FilteringPanel = ({
     return () => document.removeEventListener('keydown', handleKeyDown);
   }, [isModalOpen, closeModal]);
 
-  // OPTIMIZATION: Compute indices for each "exclude one filter" scenario
-  // This allows efficient cascading filter options calculation
-  const excludeOneFilterIndices = useMemo(() => {
-    if (primarySource.length === 0) return new Map();
-
-    const cache = new Map();
+  // OPTIMIZATION: Faceted index of the primary source
+  // One pass records, for each item, how many active filters it fails and which
+  // one (when it fails a single filter), so "passes every filter except X" is a
+  // constant-time check for any X. Aggregate (having) filters are evaluated on
+  // the items passing every row filter.
+  const facetIndex = useMemo(() => {
+    const itemCount = primarySource.length;
+    const failCounts = new Uint8Array(itemCount);
+    const failedFilters = new Int16Array(itemCount);
+    const configIndices = new Map(filterConfigs.map((config, index) => [config.key, index]));
+
+    // Only filters applying to the primary source, with its field from fieldMap
+    const primarySourceName = Object.keys(dataSources).find(name => dataSources[name] === primarySource);
+    const activeConfigs = [];
+    filterConfigs.forEach((config, index) => {
+      const value = debouncedFilters[config.key];
+      if (value === undefined || _.isEqual(value, getDefaultFilterValue(config))) return;
+      if (config.dataSources?.length > 0 && !config.dataSources.includes(primarySourceName)) return;
+      const dataField = config.fieldMap?.[primarySourceName] || config.dataField;
+      activeConfigs.push({ config: { ...config, dataField }, index, value });
+    });
 
-    filterConfigs.forEach(excludeConfig => {
-      // Compute which items pass ALL filters EXCEPT this one
-      const passingIndices = new Set();
+    const markFailed = (idx, index) => {
+      failCounts[idx] += 1;
+      failedFilters[idx] = index;
+    };
 
-      for (let idx = 0; idx < primarySource.length; idx++) {
+    const rowConfigs = activeConfigs.filter(({ config }) => config.type !== 'having');
+    if (rowConfigs.length > 0) {
+      for (let idx = 0; idx < itemCount; idx++) {
         const item = primarySource[idx];
-        let passes = true;
-
-        for (const otherConfig of filterConfigs) {
-          if (otherConfig.key === excludeConfig.key) continue; // Skip the excluded filter
-
-          const filterValue = debouncedFilters[otherConfig.key];
-          if (!itemMatchesFilter(item, otherConfig, filterValue)) {
-            passes = false;
-            break;
-          }
-        }
-
-        if (passes) {
-          passingIndices.add(idx);
+        for (const { config, index, value } of rowConfigs) {
+          if (!itemMatchesFilter(item, config, value)) markFailed(idx, index);
         }
       }
+    }
 
-      cache.set(excludeConfig.key, passingIndices);
+    activeConfigs.filter(({ config }) => config.type === 'having').forEach(({ config, index, value }) => {
+      const getGroup = item => _.get(item, config.dataField);
+      const passingRows = primarySource.filter((item, idx) => failCounts[idx] === 0);
+      const passingGroups = new Set(applyHavingFilter(passingRows, config.dataField, value, config).map(getGroup));
+      for (let idx = 0; idx < itemCount; idx++) {
+        if (!passingGroups.has(getGroup(primarySource[idx]))) markFailed(idx, index);
+      }
     });
 
-    return cache;
-  }, [primarySource, filterConfigs, debouncedFilters]);
+    return {
+      // True if no active filter other than filterKey applies
+      isUnfilteredBut: (filterKey) => activeConfigs.every(({ config }) => config.key === filterKey),
+      passesAllBut: (idx, filterKey) => {
+        const failCount = failCounts[idx];
+        return failCount === 0 || (failCount === 1 && failedFilters[idx] === configIndices.get(filterKey));
+      }
+    };
+  }, [primarySource, dataSources, filterConfigs, debouncedFilters]);
 
-  // OPTIMIZED: Calculate filtered options using precomputed data and exclusion indices
+  // OPTIMIZED: Calculate filtered options and faceted counts (rows each option
+  // would yield given the other active filters) from precomputed data
   const filterOptions = useMemo(() => {
     // Check if any data source has data
     const hasAnyData = primarySource.length > 0 || Object.values(dataSources).some(s => Array.isArray(s) && s.length > 0);
-    if (!hasAnyData) return { options: {}, dateBoundaries: {}, numberBoundaries: {} };
+    if (!hasAnyData) return { options: {}, optionCounts: {}, dateBoundaries: {}, numberBoundaries: {} };
 
     const options = {};
+    const optionCounts = {};
     // Use precomputed boundaries (static, computed once on data load)
     const dateBoundaries = { ...precomputedOptions.dateBoundaries };
     const numberBoundaries = { ...precomputedOptions.numberBoundaries };
@@ -512,16 +640,14 @@ const FilteringPanel = ({
         return;
       }
 
-      // Skip daterange and numberrange (boundaries already precomputed)
-      if (config.type === 'daterange' || config.type === 'numberrange') {
+      // Skip daterange, numberrange and having (boundaries already precomputed)
+      if (config.type === 'daterange' || config.type === 'numberrange' || config.type === 'having') {
         return;
       }
 
       // Hierarchical filters need special handling (compute on demand with filtered data)
       if (config.type === 'hierarchical' && config.childField) {
-        const passingIndices = excludeOneFilterIndices.get(config.key) || new Set();
-        const filteredData = [];
-        passingIndices.forEach(idx => filteredData.push(primarySource[idx]));
+        const filteredData = primarySource.filter((item, idx) => facetIndex.passesAllBut(idx, config.key));
         const hierarchyWithCounts = buildHierarchyWithCounts(
           filteredData,
           config.dataField || config.optionsSource,
@@ -531,7 +657,7 @@ const FilteringPanel = ({
         return;
       }
 
-      // For multiselect/singleselect: Use precomputed values + exclusion indices
+      // For multiselect/singleselect: Use precomputed values + value-to-indices maps
       const cached = precomputedOptions.cache[config.key];
       if (!cached || !cached.valueToItemIndices) {
         options[config.key] = cached?.allValues || [];
@@ -539,46 +665,44 @@ const FilteringPanel = ({
       }
 
       // Check if this filter uses a different data source than primarySource
-      // If so, cascading doesn't apply - just return all precomputed values
-      if (config.dataSources && config.dataSources.length > 0) {
-        const specifiedSource = dataSources[config.dataSources[0]];
-        if (specifiedSource && specifiedSource !== primarySource) {
-          // This filter has its own data source, no cascading needed
-          options[config.key] = cached.allValues;
+      // If so, cascading doesn't apply - count over its own source
+      const specifiedSource = config.dataSources?.length > 0 ? dataSources[config.dataSources[0]] : null;
+      const isCascaded = !specifiedSource || specifiedSource === primarySource;
+      const isUnfiltered = !isCascaded || facetIndex.isUnfilteredBut(config.key);
+
+      // Count the items of each value passing every OTHER filter
+      const counts = new Map();
+      cached.allValues.forEach(value => {
+        const itemIndices = cached.valueToItemIndices.get(value) || [];
+        if (isUnfiltered) {
+          counts.set(value, itemIndices.length);
           return;
         }
-      }
-
-      // Get indices that pass all OTHER filters
-      const passingIndices = excludeOneFilterIndices.get(config.key);
-      if (!passingIndices || passingIndices.size === 0) {
-        // No items pass other filters - show empty options
-        options[config.key] = [];
-        return;
-      }
+        let count = 0;
+        for (const idx of itemIndices) {
+          if (facetIndex.passesAllBut(idx, config.key)) count++;
+        }
+        counts.set(value, count);
+      });
+      optionCounts[config.key] = counts;
 
-      // If all items pass (no active filters), return all precomputed values
-      if (passingIndices.size === primarySource.length) {
+      if (zeroCountOptions === 'dim') {
         options[config.key] = cached.allValues;
         return;
       }
 
-      // Filter allValues to only those that have at least one item in passingIndices
-      const availableValues = cached.allValues.filter(value => {
-        const itemIndices = cached.valueToItemIndices.get(value);
-        if (!itemIndices) return false;
-        // Check if ANY item with this value passes the other filters
-        for (const idx of itemIndices) {
-          if (passingIndices.has(idx)) return true;
-        }
-        return false;
-      });
-
-      options[config.key] = availableValues;
+      // Hide zero-result options, except selected ones (so they can be unselected)
+      const currentValue = debouncedFilters[config.key];
+      const { include, exclude } = config.type === 'multiselect'
+        ? normalizeMultiSelectValue(currentValue)
+        : { include: [currentValue], exclude: [] };
+      options[config.key] = cached.allValues.filter(value =>
+        counts.get(value) > 0 || include.includes(value) || exclude.includes(value)
+      );
     });
 
-    return { options, dateBoundaries, numberBoundaries };
-  }, [primarySource, dataSources, filterConfigs, excludeOneFilterIndices, precomputedOptions]);
+    return { options, optionCounts, dateBoundaries, numberBoundaries };
+  }, [primarySource, dataSources, filterConfigs, facetIndex, precomputedOptions, debouncedFilters, zeroCountOptions]);
 
   // Use refs to store callback and configs to prevent infinite loops
   const onFiltersChangeRef = useRef(onFiltersChange);
@@ -623,12 +747,9 @@ const FilteringPanel = ({
     const currentDataSources = dataSourcesRef.current;
     const currentBridgeRelationships = bridgeRelationshipsRef.current;
 
-    // Always use current filters state (same behavior on mobile and desktop)
-    const filtersToApply = filters;
-
     // If single-source mode (backward compatibility), just return filters
     if (!isMultiSource) {
-      onFiltersChangeRef.current(filtersToApply);
+      onFiltersChangeRef.current(filters);
       return;
     }
 
@@ -638,94 +759,108 @@ const FilteringPanel = ({
       return acc;
     }, {});
 
-    // PHASE 1: Apply direct filters to each data source
-    const directFilteredSources = {};
-    const sourceHadUniqueFilter = {}; // Track which sources had source-specific (non-bridge) filters
-
-    Object.keys(currentDataSources).forEach(sourceName => {
-      const sourceData = currentDataSources[sourceName];
-      if (!Array.isArray(sourceData)) return;
-
-      let filtered = [...sourceData];
-      let hadUniqueFilter = false;
-
-      // Apply each filter
-      Object.keys(filtersToApply).forEach(filterKey => {
-        const filterValue = filtersToApply[filterKey];
-        const config = filterConfigsMap[filterKey];
-
-        // Skip empty filter values
-        if (!filterValue || (Array.isArray(filterValue) && filterValue.length === 0)) return;
-        if (config?.type === 'daterange' && !filterValue.startDate && !filterValue.endDate) return;
-        if (config?.type === 'numberrange' && filterValue.min === null && filterValue.max === null) return;
+    // Filters every data source: direct filters, then cross-source cascading
+    const filterDataSources = (filtersToApply) => {
+      // PHASE 1: Apply direct filters to each data source
+      const directFilteredSources = {};
+      const sourceHadUniqueFilter = {}; // Track which sources had source-specific (non-bridge) filters
+
+      Object.keys(currentDataSources).forEach(sourceName => {
+        const sourceData = currentDataSources[sourceName];
+        if (!Array.isArray(sourceData)) return;
+
+        let filtered = [...sourceData];
+        let hadUniqueFilter = false;
+
+        // Apply each filter (aggregate filters last, on the rows left by the others)
+        _.sortBy(Object.keys(filtersToApply), filterKey => filterConfigsMap[filterKey]?.type === 'having').forEach(filterKey => {
+          const filterValue = filtersToApply[filterKey];
+          const config = filterConfigsMap[filterKey];
+
+          // Skip empty filter values
+          if (!filterValue || (Array.isArray(filterValue) && filterValue.length === 0)) return;
+          if (config?.type === 'daterange' && !filterValue.startDate && !filterValue.endDate) return;
+          if ((config?.type === 'numberrange' || config?.type === 'having') && filterValue.min === null && filterValue.max === null) return;
+          if (config?.type === 'multiselect' && !isMultiSelectValueActive(filterValue)) return;
+
+          // Skip if filter doesn't apply to this data source
+          if (config?.dataSources && config.dataSources.length > 0) {
+            if (!config.dataSources.includes(sourceName)) {
+              return; // Skip this filter for this data source
+            }
 
-        // Skip if filter doesn't apply to this data source
-        if (config?.dataSources && config.dataSources.length > 0) {
-          if (!config.dataSources.includes(sourceName)) {
-            return; // Skip this filter for this data source
+            // Track if this source had a source-specific (non-bridge) filter applied
+            if (config.dataSources.length === 1) {
+              hadUniqueFilter = true;
+            }
           }
 
-          // Track if this source had a source-specific (non-bridge) filter applied
-          if (config.dataSources.length === 1) {
-            hadUniqueFilter = true;
+          // Create a source-specific config with resolved field from fieldMap
+          const sourceConfig = { ...config };
+          if (config.fieldMap && config.fieldMap[sourceName]) {
+            sourceConfig.dataField = config.fieldMap[sourceName];
           }
-        }
 
-        // Create a source-specific config with resolved field from fieldMap
-        const sourceConfig = { ...config };
-        if (config.fieldMap && config.fieldMap[sourceName]) {
-          sourceConfig.dataField = config.fieldMap[sourceName];
-        }
+          // Apply filter using utility
+          const singleFilterObj = { [filterKey]: filterValue };
+          const singleConfigMap = { [filterKey]: sourceConfig };
+          filtered = applyFilters(filtered, singleFilterObj, singleConfigMap);
+        });
 
-        // Apply filter using utility
-        const singleFilterObj = { [filterKey]: filterValue };
-        const singleConfigMap = { [filterKey]: sourceConfig };
-        filtered = applyFilters(filtered, singleFilterObj, singleConfigMap);
+        directFilteredSources[sourceName] = filtered;
+        sourceHadUniqueFilter[sourceName] = hadUniqueFilter;
       });
 
-      directFilteredSources[sourceName] = filtered;
-      sourceHadUniqueFilter[sourceName] = hadUniqueFilter;
-    });
+      // PHASE 2: Apply cross-source cascading through bridge fields
+      // When a source has a unique filter, cascade to connected sources via bridge fields
+      const cascadedSources = { ...directFilteredSources };
 
-    // PHASE 2: Apply cross-source cascading through bridge fields
-    // When a source has a unique filter, cascade to connected sources via bridge fields
-    const cascadedSources = { ...directFilteredSources };
+      Object.keys(directFilteredSources).forEach(sourceName => {
+        // Only cascade if this source had a source-specific (unique) filter applied
+        if (!sourceHadUniqueFilter[sourceName]) return;
 
-    Object.keys(directFilteredSources).forEach(sourceName => {
-      // Only cascade if this source had a source-specific (unique) filter applied
-      if (!sourceHadUniqueFilter[sourceName]) return;
+        // Find all other sources connected to this one via bridges
+        Object.keys(currentDataSources).forEach(otherSource => {
+          if (otherSource === sourceName) return;
 
-      // Find all other sources connected to this one via bridges
-      Object.keys(currentDataSources).forEach(otherSource => {
-        if (otherSource === sourceName) return;
+          // Look up bridge relationship between these sources
+          const bridgeKey = `${sourceName}:${otherSource}`;
+          const bridge = currentBridgeRelationships.get(bridgeKey);
 
-        // Look up bridge relationship between these sources
-        const bridgeKey = `${sourceName}:${otherSource}`;
-        const bridge = currentBridgeRelationships.get(bridgeKey);
+          if (!bridge) return; // No bridge between these sources
 
-        if (!bridge) return; // No bridge between these sources
+          // Extract bridge field values from the filtered source
+          const bridgeValues = new Set();
+          directFilteredSources[sourceName].forEach(item => {
+            const val = extractBridgeValue(item, bridge.fieldA);
+            if (val) bridgeValues.add(val);
+          });
 
-        // Extract bridge field values from the filtered source
-        const bridgeValues = new Set();
-        directFilteredSources[sourceName].forEach(item => {
-          const val = extractBridgeValue(item, bridge.fieldA);
-          if (val) bridgeValues.add(val);
+          // Filter the other source to only items matching the bridge values
+          if (bridgeValues.size > 0) {
+            cascadedSources[otherSource] = cascadedSources[otherSource].filter(item => {
+              const val = extractBridgeValue(item, bridge.fieldB);
+              return bridgeValues.has(val);
+            });
+          } else {
+            // No items in source after filtering - cascade empty result
+            cascadedSources[otherSource] = [];
+          }
         });
-
-        // Filter the other source to only items matching the bridge values
-        if (bridgeValues.size > 0) {
-          cascadedSources[otherSource] = cascadedSources[otherSource].filter(item => {
-            const val = extractBridgeValue(item, bridge.fieldB);
-            return bridgeValues.has(val);
-          });
-        } else {
-          // No items in source after filtering - cascade empty result
-          cascadedSources[otherSource] = [];
-        }
       });
-    });
 
-    onFiltersChangeRef.current(cascadedSources, filtersToApply);
+      return cascadedSources;
+    };
+
+    const filteredSources = filterDataSources(filters);
+    // Same filters without the date ranges: charts read their comparison periods
+    // (previous period, last year) from it
+    const dateRangeKeys = Object.keys(filters).filter(filterKey => (
+      filterConfigsMap[filterKey]?.type === 'daterange' && (filters[filterKey]?.startDate || filters[filterKey]?.endDate)
+    ));
+    const undatedSources = dateRangeKeys.length > 0 ? filterDataSources(_.omit(filters, dateRangeKeys)) : filteredSources;
+
+    onFiltersChangeRef.current(filteredSources, filters, undatedSources);
   }, [filters, isMultiSource]); // Using refs for filterConfigs, dataSources, bridgeRelationships
 
   // Helper function to render filter items (used in both desktop and mobile)
@@ -734,7 +869,7 @@ const FilteringPanel = ({
       if (!React.isValidElement(child)) return null;
 
       // Find the config for this child
-      const childKey = child.props.field || child.props.label?.toLowerCase().replace(/\s+/g, '_');
+      const childKey = getFilterKey(child.props);
       const config = filterConfigs.find(c => c.key === childKey);
 
       if (!config) return null;
@@ -763,6 +898,7 @@ const FilteringPanel = ({
       // Clone the child and inject the computed props
       const clonedProps = {
         options: availableOptions,
+        optionCounts: filterOptions.optionCounts?.[config.key] || null,
         value: currentValue,
         onChange: (value) => handleFilterChange(config.key, value),
         minDate: boundaries?.minDate,
@@ -774,9 +910,14 @@ const FilteringPanel = ({
         renderMode: renderMode,
         maxVisibleBubbles: bubbleConfig.maxVisible || 10,
         searchThreshold: bubbleConfig.searchThreshold || 15,
-        showBubbleCounts: bubbleConfig.showCounts || false
+        showBubbleCounts: Boolean(bubbleConfig.showCounts) && child.props.showCounts !== false
       };
 
+      // Aggregate filters use the number range UI over the aggregated values
+      if (config.type === 'having') {
+        clonedProps.type = 'numberrange';
+      }
+
       // Add hierarchical-specific props if this is a hierarchical filter
       if (config.type === 'hierarchical') {
         clonedProps.hierarchyWithCounts = calculatedOptions;
@@ -855,6 +996,18 @@ const FilteringPanel = ({
 
             {/* Scrollable Content */}
             <div className="filter-modal-content">
+              {enablePresets && (
+                <FilterPresets
+                  presets={filterPresets.presets}
+                  defaultPresetId={filterPresets.defaultPreset?.id || null}
+                  currentQuery={filtersQuery}
+                  onApply={applyPreset}
+                  onSave={(name) => filterPresets.savePreset(name, filtersQuery)}
+                  onRename={filterPresets.renamePreset}
+                  onDelete={filterPresets.deletePreset}
+                  onSetDefault={filterPresets.setDefaultPreset}
+                />
+              )}
               <div className="filter-modal-filters">
                 {renderFilterItems()}
               </div>
@@ -1,2 +1,3 @@
 export { default as Filter } from './Filter';
 export { default as FilteringPanel } from './FilteringPanel';
+export { default as FilterPresets } from './FilterPresets';
@@ -0,0 +1,43 @@
+// src/components/ui/common/CrossFilterChip/CrossFilterChip.jsx
+import PropTypes from 'prop-types';
+import { X } from 'lucide-react';
+import './CrossFilterChip.css';
+
+/**
+ * Page filter set from a chart (cross-filtering), shown in the chart header
+ * with a button clearing it
+ *
+ * @param {Object} props
+ * @param {string} props.label - Name of the filtered dimension (e.g., 'Artist')
+ * @param {Array<string>} props.values - Selected values (the first one is shown, the rest counted)
+ * @param {Function} props.onClear - Clears the filter
+ */
+const CrossFilterChip = ({ label, values, onClear }) => {
+  if (!values || values.length === 0) return null;
+
+  const [firstValue, ...otherValues] = values;
+  return (
+    <div className="cross-filter-chip" title={`${label}: ${values.join(', ')}`} onClick={(e) => e.stopPropagation()}>
+      <span className="cross-filter-chip-label">{label}:</span>
+      <span className="cross-filter-chip-value">{firstValue}</span>
+      {otherValues.length > 0 && <span className="cross-filter-chip-more">+{otherValues.length}</span>}
+      <button
+        type="button"
+        className="cross-filter-chip-clear"
+        onClick={onClear}
+        aria-label={`Clear the ${label} filter`}
+        title="Clear filter"
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
+
+CrossFilterChip.propTypes = {
+  label: PropTypes.string.isRequired,
+  values: PropTypes.arrayOf(PropTypes.string),
+  onClear: PropTypes.func.isRequired
+};
+
+export default CrossFilterChip;
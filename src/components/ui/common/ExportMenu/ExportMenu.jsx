@@ -0,0 +1,125 @@
+// src/components/ui/common/ExportMenu/ExportMenu.jsx
+import { useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS, buildExportMetadata, exportCsv, exportJson, exportPng, exportSvg } from '../../../../utils/exportUtils';
+import './ExportMenu.css';
+
+const FORMAT_LABELS = {
+  svg: 'Image (SVG)',
+  png: 'Image (PNG)',
+  csv: 'Data (CSV)',
+  json: 'Data (JSON)'
+};
+
+const IMAGE_FORMATS = ['svg', 'png'];
+
+/**
+ * Download menu of a chart header
+ * Exports the rendered chart (targetRef) as SVG/PNG and the rows returned by
+ * getData as CSV/JSON, with the title, metric, chart settings and the page's
+ * active filters as metadata.
+ *
+ * @param {Object} props
+ * @param {Object} props.targetRef - Ref of the rendered chart element
+ * @param {string} props.title - Chart title (file name and metadata)
+ * @param {Function} props.getData - () => rows behind the chart
+ * @param {string} [props.metric] - Label of the displayed metric
+ * @param {Object} [props.settings] - Chart choices saved in the metadata
+ * @param {Array<string>} [props.formats] - Offered formats (default: all)
+ */
+const ExportMenu = ({ targetRef, title, getData, metric, settings, formats = EXPORT_FORMATS }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  // Close on outside click and Escape
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      // Don't let Escape also close the chart's focus mode
+      if (e.key === 'Escape') {
+        e.stopImmediatePropagation();
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown, true);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown, true);
+    };
+  }, [isOpen]);
+
+  const handleExport = async (format) => {
+    setError(null);
+    const metadata = buildExportMetadata({ title, metric, settings });
+
+    try {
+      if (format === 'csv') {
+        exportCsv(getData(), metadata);
+      } else if (format === 'json') {
+        exportJson(getData(), metadata);
+      } else if (!targetRef.current) {
+        throw new Error('The chart is not displayed');
+      } else if (format === 'svg') {
+        exportSvg(targetRef.current, metadata);
+      } else {
+        await exportPng(targetRef.current, metadata);
+      }
+      setIsOpen(false);
+    } catch (err) {
+      console.error(`Error exporting ${format}:`, err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="export-menu" ref={containerRef} onClick={(e) => e.stopPropagation()}>
+      <button
+        type="button"
+        className={`export-menu-toggle ${isOpen ? 'active' : ''}`}
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        aria-label="Export chart"
+        title="Export chart"
+      >
+        <Download size={16} />
+      </button>
+
+      {isOpen && (
+        <div className="export-menu-panel" role="menu">
+          {formats.map(format => (
+            <button
+              key={format}
+              type="button"
+              role="menuitem"
+              className="export-menu-item"
+              onClick={() => handleExport(format)}
+              disabled={IMAGE_FORMATS.includes(format) && !targetRef.current}
+            >
+              {FORMAT_LABELS[format]}
+            </button>
+          ))}
+          {error && <p className="export-menu-error">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+ExportMenu.propTypes = {
+  targetRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
+  title: PropTypes.string,
+  getData: PropTypes.func.isRequired,
+  metric: PropTypes.string,
+  settings: PropTypes.object,
+  formats: PropTypes.arrayOf(PropTypes.oneOf(EXPORT_FORMATS))
+};
+
+export default ExportMenu;
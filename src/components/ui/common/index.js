@@ -1,2 +1,4 @@
 export { default as StarRating } from './StarRating';
 export { default as LoadingSpinner } from './LoadingSpinner';
+export { default as ExportMenu } from './ExportMenu';
+export { default as CrossFilterChip } from './CrossFilterChip';
@@ -32,6 +32,8 @@ import './ContentCardsGroup.css';
  * @param {number} itemsPerPage - Items per page (default: 100)
  * @param {Array} itemsPerPageOptions - Available items per page options (default: [25, 50, 100, 200])
  * @param {Object} cardHeight - Card heights by view mode (default: { grid: 380, list: 100, timeline: 120 })
+ * @param {Object} pagination - Pages handled by the parent (server-side paging), items then hold the current page:
+ *   { currentPage, itemsPerPage, totalItems, onPageChange, onItemsPerPageChange }
  */
 const ContentCardsGroup = ({
   items,
@@ -42,7 +44,8 @@ const ContentCardsGroup = ({
   enableVirtualScrolling = null, // Auto-enable if null
   itemsPerPage: initialItemsPerPage = 100,
   itemsPerPageOptions = [25, 50, 100, 200],
-  cardHeight = { grid: 380, list: 100, timeline: 120 }
+  cardHeight = { grid: 380, list: 100, timeline: 120 },
+  pagination = null
 }) => {
   // Pagination state
   const [currentPage, setCurrentPage] = useState(1);
@@ -62,12 +65,12 @@ const ContentCardsGroup = ({
 
   // Get current page items
   const paginatedItems = useMemo(() => {
-    if (!shouldEnablePagination) return items;
+    if (pagination || !shouldEnablePagination) return items;
 
     const startIndex = (currentPage - 1) * itemsPerPage;
     const endIndex = startIndex + itemsPerPage;
     return items.slice(startIndex, endIndex);
-  }, [items, currentPage, itemsPerPage, shouldEnablePagination]);
+  }, [items, currentPage, itemsPerPage, shouldEnablePagination, pagination]);
 
   // Handle page change
   const handlePageChange = useCallback((newPage) => {
@@ -100,7 +103,19 @@ const ContentCardsGroup = ({
         {paginatedItems.map((item, index) => renderItem(item, index))}
       </div>
 
-      {shouldEnablePagination && items.length > itemsPerPage && (
+      {pagination && pagination.totalItems > pagination.itemsPerPage && (
+        <Pagination
+          currentPage={pagination.currentPage}
+          totalPages={Math.ceil(pagination.totalItems / pagination.itemsPerPage)}
+          itemsPerPage={pagination.itemsPerPage}
+          totalItems={pagination.totalItems}
+          onPageChange={pagination.onPageChange}
+          onItemsPerPageChange={pagination.onItemsPerPageChange}
+          itemsPerPageOptions={itemsPerPageOptions}
+        />
+      )}
+
+      {!pagination && shouldEnablePagination && items.length > itemsPerPage && (
         <Pagination
           currentPage={currentPage}
           totalPages={totalPages}
@@ -128,6 +143,13 @@ ContentCardsGroup.propTypes = {
     grid: PropTypes.number,
     list: PropTypes.number,
     timeline: PropTypes.number
+  }),
+  pagination: PropTypes.shape({
+    currentPage: PropTypes.number.isRequired,
+    itemsPerPage: PropTypes.number.isRequired,
+    totalItems: PropTypes.number.isRequired,
+    onPageChange: PropTypes.func.isRequired,
+    onItemsPerPageChange: PropTypes.func.isRequired
   })
 };
 
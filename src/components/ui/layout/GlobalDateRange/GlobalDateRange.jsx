@@ -0,0 +1,129 @@
+// src/components/ui/layout/GlobalDateRange/GlobalDateRange.jsx
+import { useState, useRef, useEffect } from 'react';
+import { CalendarRange, ChevronDown, X } from 'lucide-react';
+import { useGlobalDateRange } from '../../../../hooks/useGlobalDateRange';
+import { DATE_PRESETS, formatDate, getDatePresetLabel, resolveDatePreset } from '../../../../utils/dateUtils';
+import './GlobalDateRange.css';
+
+// Range bounds are YYYY-MM-DD calendar dates, read them in local time
+const formatRangeDate = (isoDate) => formatDate(new Date(`${isoDate}T00:00:00`));
+
+const getRangeLabel = (range) => {
+  if (range.preset && getDatePresetLabel(range.preset)) return getDatePresetLabel(range.preset);
+  if (!range.startDate && !range.endDate) return 'All dates';
+  if (!range.endDate) return `Since ${formatRangeDate(range.startDate)}`;
+  if (!range.startDate) return `Until ${formatRangeDate(range.endDate)}`;
+  return `${formatRangeDate(range.startDate)} – ${formatRangeDate(range.endDate)}`;
+};
+
+/**
+ * App-wide date range control shown in the layout
+ * Only rendered while the current page has a date filter following the
+ * global range (a daterange Filter with `followGlobalRange`).
+ */
+const GlobalDateRange = () => {
+  const { range, rangeKey, setRange, clearRange, hasLinkedFilters } = useGlobalDateRange();
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close on outside click and Escape
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  if (!hasLinkedFilters) return null;
+
+  const applyPreset = (preset) => {
+    setRange({ ...resolveDatePreset(preset), preset });
+  };
+
+  // Editing a bound turns a preset into a fixed range
+  const handleDateChange = (bound, value) => {
+    setRange({
+      startDate: range.startDate,
+      endDate: range.endDate,
+      [bound]: value || null
+    });
+  };
+
+  return (
+    <div className="global-date-range" ref={containerRef}>
+      <button
+        type="button"
+        className={`global-date-range-toggle ${rangeKey ? 'active' : ''}`}
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        title="Date range applied to every page"
+      >
+        <CalendarRange size={16} />
+        <span>{getRangeLabel(range)}</span>
+        <ChevronDown size={14} />
+      </button>
+
+      {rangeKey && (
+        <button
+          type="button"
+          className="global-date-range-clear"
+          onClick={clearRange}
+          aria-label="Clear the date range"
+        >
+          <X size={14} />
+        </button>
+      )}
+
+      {isOpen && (
+        <div className="global-date-range-panel" role="dialog" aria-label="Date range for every page">
+          <div className="global-date-range-presets">
+            {DATE_PRESETS.map(preset => (
+              <button
+                key={preset.id}
+                type="button"
+                className={`global-date-range-preset ${range.preset === preset.id ? 'active' : ''}`}
+                onClick={() => applyPreset(preset.id)}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="global-date-range-inputs">
+            <label>
+              <span>Start</span>
+              <input
+                type="date"
+                value={range.startDate || ''}
+                max={range.endDate || undefined}
+                onChange={(e) => handleDateChange('startDate', e.target.value)}
+              />
+            </label>
+            <label>
+              <span>End</span>
+              <input
+                type="date"
+                value={range.endDate || ''}
+                min={range.startDate || undefined}
+                onChange={(e) => handleDateChange('endDate', e.target.value)}
+              />
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalDateRange;
@@ -2,6 +2,7 @@
 import React from 'react';
 import { Outlet, useLocation } from 'react-router-dom';
 import NavigationBar from '../NavigationBar';
+import GlobalDateRange from '../GlobalDateRange';
 import './Layout.css';
 
 const Layout = () => {
@@ -11,6 +12,7 @@ const Layout = () => {
     <div className="layout">
       <NavigationBar />
       <main className="layout-content">
+        <GlobalDateRange />
         <Outlet key={location.pathname} />
       </main>
     </div>
@@ -1,12 +1,12 @@
 import { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { BookOpen, Film, Music, UtensilsCrossed, Mic, Tv, DollarSign, Activity, Dumbbell, Briefcase, Menu, X } from 'lucide-react';
+import { BookOpen, Film, Music, UtensilsCrossed, Mic, Tv, DollarSign, Activity, Dumbbell, Briefcase, LogOut, Menu, X } from 'lucide-react';
 import { useAuth } from '../../../../context/AuthContext';
 import './NavigationBar.css';
 
 const NavigationBar = () => {
   const location = useLocation();
-  const { isPageAllowed } = useAuth();
+  const { isPageAllowed, user, logout } = useAuth();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
 
   const allNavItems = [
@@ -81,6 +81,18 @@ const NavigationBar = () => {
 
           {/* Other nav items */}
           {renderNavItems()}
+
+          {/* Sign out (only when authentication is enabled) */}
+          {user?.username && (
+            <button
+              className="nav-item nav-logout-btn"
+              onClick={logout}
+              title={`Sign out ${user.username}`}
+              aria-label="Sign out"
+            >
+              <LogOut className="nav-icon" size={24} />
+            </button>
+          )}
         </div>
       </div>
 
@@ -100,6 +112,12 @@ const NavigationBar = () => {
         </div>
         <div className="mobile-nav-items">
           {renderNavItems(true)}
+          {user?.username && (
+            <button className="nav-item mobile-nav-item nav-logout-btn" onClick={logout}>
+              <LogOut className="nav-icon" size={24} />
+              <span className="nav-label">Sign out</span>
+            </button>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,29 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../../../../context/AuthContext';
+import LoadingSpinner from '../../common/LoadingSpinner';
+
+/**
+ * RequireAuth component
+ * Route guard: renders the nested routes for signed-in users allowed to see the page,
+ * sends signed-out visitors to /login and other users back to the homepage
+ */
+const RequireAuth = () => {
+  const location = useLocation();
+  const { loading, isAuthenticated, isPageAllowed } = useAuth();
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (!isPageAllowed(location.pathname)) {
+    return <Navigate to="/" replace />;
+  }
+
+  return <Outlet />;
+};
+
+export default RequireAuth;
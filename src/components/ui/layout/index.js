@@ -2,3 +2,5 @@ export { default as Layout } from './Layout';
 export { default as NavigationBar } from './NavigationBar';
 export { default as PageWrapper } from './PageWrapper';
 export { default as PageTransition } from './PageTransition';
+export { default as RequireAuth } from './RequireAuth';
+export { default as GlobalDateRange } from './GlobalDateRange';
@@ -3,6 +3,9 @@ import PropTypes from 'prop-types';
 import ViewControls from '../../content/ViewControls';
 import ContentContainer from '../../content/ContentContainer';
 import { sortByDateSafely, sortByNumberSafely, sortByStringSafely } from '../../../../utils/sortingUtils';
+import { formatSortParam, parseSortParam } from '../../../../utils/urlStateUtils';
+import { useUrlState } from '../../../../hooks/useUrlState';
+import { useDatasetQuery } from '../../../../hooks/useDatasetQuery';
 
 /**
  * ContentTab - Standardized content tab component for pages
@@ -11,8 +14,9 @@ import { sortByDateSafely, sortByNumberSafely, sortByStringSafely } from '../../
  * - Hiding ViewControls during loading
  * - Showing ContentContainer with loading/empty states
  * - Supporting multiple view modes (grid, list, timeline, etc.)
- * - Handling sorting with user controls
+ * - Handling sorting with user controls (kept in the ?sort= parameter)
  * - Tracking when content is ready to render
+ * - Optionally paging, sorting and filtering on the server (remote prop)
  *
  * This component eliminates boilerplate across all pages and ensures
  * consistent loading behavior.
@@ -27,13 +31,16 @@ import { sortByDateSafely, sortByNumberSafely, sortByStringSafely } from '../../
  * @param {array} items - Filtered data items to display
  * @param {React.Component} loadingIcon - Icon for loading spinner
  * @param {object} emptyState - Empty state config {icon, title, message}
- * @param {function} renderGrid - Render function for grid view (items) => JSX
- * @param {function} renderList - Render function for list view (items) => JSX
- * @param {function} renderTimeline - Optional render function for timeline view (items) => JSX
+ * @param {function} renderGrid - Render function for grid view (items, pagination) => JSX
+ * @param {function} renderList - Render function for list view (items, pagination) => JSX
+ * @param {function} renderTimeline - Optional render function for timeline view (items, pagination) => JSX
  * @param {function} onContentReady - Callback when content is ready to display
  * @param {array} sortOptions - Array of sort options: [{value: 'date', label: 'Date', type: 'date'}, ...]
  * @param {string} defaultSortField - Default sort field (default: 'date')
  * @param {string} defaultSortDirection - Default sort direction ('asc' or 'desc', default: 'desc')
+ * @param {object} remote - Query the server instead of sorting items: {dataset, query, pageSize}
+ *   (query: dataset filters, see buildDatasetQueryString). Render functions then receive one
+ *   page of rows and a pagination object for ContentCardsGroup.
  */
 const ContentTab = ({
   loading = false,
@@ -49,15 +56,20 @@ const ContentTab = ({
   onContentReady = null,
   sortOptions = null,
   defaultSortField = 'date',
-  defaultSortDirection = 'desc'
+  defaultSortDirection = 'desc',
+  remote = null
 }) => {
   const [isContentReady, setIsContentReady] = useState(false);
-  const [sortField, setSortField] = useState(defaultSortField);
-  const [sortDirection, setSortDirection] = useState(defaultSortDirection);
+  // Sort order in the URL ('-field' for descending), unknown fields fall back to the default
+  const [sortParam, setSortParam] = useUrlState('sort', formatSortParam(defaultSortField, defaultSortDirection), {
+    parse: (raw) => (sortOptions?.some(opt => opt.value === parseSortParam(raw).field) ? raw : undefined)
+  });
+  const { field: sortField, direction: sortDirection } = parseSortParam(sortParam);
+  const isRemote = Boolean(remote);
 
-  // Apply sorting to items
+  // Apply sorting to items (the server sorts remote rows)
   const sortedItems = useMemo(() => {
-    if (!sortOptions || sortOptions.length === 0) {
+    if (isRemote || !sortOptions || sortOptions.length === 0) {
       return items;
     }
 
@@ -78,17 +90,48 @@ const ContentTab = ({
       default:
         return items;
     }
-  }, [items, sortField, sortDirection, sortOptions]);
+  }, [items, sortField, sortDirection, sortOptions, isRemote]);
+
+  // Server-side paging: the current page is reset whenever the filters or the sort change
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(remote?.pageSize || 50);
+  const remoteQueryKey = JSON.stringify(remote?.query || null);
+  useEffect(() => {
+    setPage(1);
+  }, [remoteQueryKey, sortParam]);
+
+  const remoteResult = useDatasetQuery(remote?.dataset, {
+    ...remote?.query,
+    sort: sortParam,
+    page,
+    limit: pageSize
+  }, isRemote);
+
+  const displayedItems = isRemote ? remoteResult.rows : sortedItems;
+  const isFetching = loading || (isRemote && remoteResult.loading);
+
+  const pagination = useMemo(() => (isRemote ? {
+    currentPage: page,
+    itemsPerPage: pageSize,
+    totalItems: remoteResult.total,
+    onPageChange: (newPage) => {
+      setPage(newPage);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    },
+    onItemsPerPageChange: (newPageSize) => {
+      setPageSize(newPageSize);
+      setPage(1);
+    }
+  } : undefined), [isRemote, page, pageSize, remoteResult.total]);
 
   // Handle sort changes
   const handleSortChange = (field, direction) => {
-    setSortField(field);
-    setSortDirection(direction);
+    setSortParam(formatSortParam(field, direction));
   };
 
   // Track when content is ready to render
   useEffect(() => {
-    if (!loading && sortedItems.length > 0) {
+    if (!isFetching && displayedItems.length > 0) {
       // Wait one render cycle to ensure cards start rendering
       setIsContentReady(false);
       const timer = setTimeout(() => {
@@ -98,20 +141,20 @@ const ContentTab = ({
         }
       }, 0);
       return () => clearTimeout(timer);
-    } else if (loading) {
+    } else if (isFetching) {
       // Reset when new loading cycle starts
       setIsContentReady(false);
-    } else if (!loading && sortedItems.length === 0) {
+    } else if (!isFetching && displayedItems.length === 0) {
       // Empty state is ready immediately
       setIsContentReady(true);
       if (onContentReady) {
         onContentReady();
       }
     }
-  }, [loading, sortedItems.length, onContentReady]);
+  }, [isFetching, displayedItems, onContentReady]);
 
   // Show loading state until content is actually ready
-  const isLoading = loading || !isContentReady;
+  const isLoading = isFetching || !isContentReady;
   return (
     <>
       {/* View Controls - Hidden during loading */}
@@ -129,19 +172,19 @@ const ContentTab = ({
 
       {/* Content Display with Loading/Empty States */}
       <ContentContainer
-        isEmpty={sortedItems.length === 0}
+        isEmpty={displayedItems.length === 0}
         loading={isLoading}
         loadingIcon={loadingIcon}
         emptyState={emptyState}
       >
         {/* Grid View */}
-        {viewMode === 'grid' && renderGrid && renderGrid(sortedItems)}
+        {viewMode === 'grid' && renderGrid && renderGrid(displayedItems, pagination)}
 
         {/* List View */}
-        {viewMode === 'list' && renderList && renderList(sortedItems)}
+        {viewMode === 'list' && renderList && renderList(displayedItems, pagination)}
 
         {/* Timeline View */}
-        {viewMode === 'timeline' && renderTimeline && renderTimeline(sortedItems)}
+        {viewMode === 'timeline' && renderTimeline && renderTimeline(displayedItems, pagination)}
       </ContentContainer>
     </>
   );
@@ -177,6 +220,11 @@ ContentTab.propTypes = {
   ),
   defaultSortField: PropTypes.string,
   defaultSortDirection: PropTypes.oneOf(['asc', 'desc']),
+  remote: PropTypes.shape({
+    dataset: PropTypes.string.isRequired,
+    query: PropTypes.object,
+    pageSize: PropTypes.number,
+  }),
 };
 
 export default ContentTab;
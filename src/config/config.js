@@ -1,51 +1,45 @@
 // src/config/config.js
-export const DRIVE_FILES = {
-  PODCASTS: {
-    FILE_ID: import.meta.env.VITE_PODCASTS_FILE_ID
-  },
-  READING: {
-    FILE_ID: import.meta.env.VITE_READING_FILE_ID
-  },
-  READING_BOOKS: {
-    FILE_ID: import.meta.env.VITE_READING_BOOKS_FILE_ID
-  },
-  READING_SESSIONS: {
-    FILE_ID: import.meta.env.VITE_READING_SESSIONS_FILE_ID
-  },
-  MUSIC: {
-    FILE_ID: import.meta.env.VITE_MUSIC_FILE_ID
-  },
-  MOVIES: {
-    FILE_ID: import.meta.env.VITE_MOVIES_FILE_ID
-  },
-  TRAKT: {
-    FILE_ID: import.meta.env.VITE_TRAKT_FILE_ID
-  },
-  HEALTH_DAILY: {
-    FILE_ID: import.meta.env.VITE_HEALTH_DAILY_FILE_ID
-  },
-  HEALTH_HOURLY: {
-    FILE_ID: import.meta.env.VITE_HEALTH_HOURLY_FILE_ID
-  },
-  NUTRITION: {
-    FILE_ID: import.meta.env.VITE_NUTRITION_FILE_ID
-  },
-  FINANCES: {
-    FILE_ID: import.meta.env.VITE_FINANCES_FILE_ID
-  },
-  SHOWS: {
-    FILE_ID: import.meta.env.VITE_SHOWS_FILE_ID
-  },
-  TRACKING: {
-    FILE_ID: import.meta.env.VITE_TRACKING_FILE_ID
-  }
-};
+import { getDataset } from './datasets';
+
+/**
+ * Returns the Google Drive file id configured for a dataset
+ * (the env variable is declared by the dataset registry)
+ * @param {string} dataType - Dataset key (e.g., 'music')
+ * @returns {string|undefined} File id
+ */
+export const getDatasetFileId = (dataType) => import.meta.env[getDataset(dataType).fileIdEnv];
 
 // API base URL - empty in production (same origin), localhost in development
 const API_BASE = import.meta.env.PROD ? '' : 'http://localhost:3001';
 
-export const getDriveDownloadUrl = (fileId) => {
-  // Add cache buster to force fresh fetch from Google Drive
-  const cacheBuster = Date.now();
-  return `${API_BASE}/api/google-drive/${fileId}?_cb=${cacheBuster}`;
+// Build a URL for the server API (e.g., apiUrl('/api/datasets/music'))
+export const apiUrl = (path) => `${API_BASE}${path}`;
+
+// Freshness is handled by the IndexedDB dataset cache (see utils/datasetCache.js),
+// which always revalidates with a no-store request
+export const getDriveDownloadUrl = (fileId) => `${API_BASE}/api/google-drive/${fileId}`;
+
+// Where the browser downloads dataset files from:
+// - 'drive' (default): straight from Google Drive through the proxy, using the VITE_*_FILE_ID variables
+// - 'server': from the server, which reads each dataset from its configured source
+//   (local DATA_DIR, HTTP URL or Drive, see server/dataSources.js)
+const DATA_SOURCE = import.meta.env.VITE_DATA_SOURCE || 'drive';
+
+/**
+ * Returns the download URL of a dataset file
+ * @param {string} dataType - Dataset key (e.g., 'music')
+ * @returns {string|null} URL, or null when the Drive file id is not configured
+ */
+export const getDatasetUrl = (dataType) => {
+  if (DATA_SOURCE === 'server') {
+    return apiUrl(`/api/files/${dataType}`);
+  }
+
+  const fileId = getDatasetFileId(dataType);
+  // Check if fileId is configured (not undefined or placeholder)
+  if (!fileId || fileId === 'undefined') return null;
+  return getDriveDownloadUrl(fileId);
 };
+
+// Sync saved filter presets with the server (/api/presets) in addition to localStorage
+export const SYNC_FILTER_PRESETS = import.meta.env.VITE_SYNC_FILTER_PRESETS === 'true';
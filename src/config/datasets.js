@@ -0,0 +1,268 @@
+// src/config/datasets.js
+/**
+ * Dataset Registry
+ *
+ * Single source of truth for every dataset loaded by DataContext.
+ * Adding a data source means adding one entry here (plus its env var):
+ *
+ * - fileIdEnv: env variable holding the Google Drive file id (Drive source;
+ *   local and HTTP sources use `<key>.csv`, see server/dataSources.js)
+ * - dateColumn: main date column (used for date range queries)
+ * - columns: column type declarations (see `column` in utils/schemaUtils)
+ * - derived: computed columns, `(row) => value`, evaluated after `columns`;
+ *   `{ ...column.date(), compute }` declares the type of the computed value
+ *   (derived dates are then revived from the data API's JSON like declared ones)
+ * - validation: `required` columns (rows missing them are dropped) and
+ *   numeric `ranges` (violations are reported)
+ * - inferDateColumns: convert undeclared date-like columns to ISO strings
+ *   (default true, disabled for large datasets)
+ *
+ * Shared by the browser, the dataset worker and the server, so it must not
+ * touch import.meta.env and relative imports need explicit .js extensions.
+ */
+import { column, timeOfDayToMinutes } from '../utils/schemaUtils.js';
+
+export const DATASETS = {
+  reading: {
+    fileIdEnv: 'VITE_READING_FILE_ID'
+  },
+
+  readingBooks: {
+    fileIdEnv: 'VITE_READING_BOOKS_FILE_ID',
+    dateColumn: 'timestamp',
+    columns: {
+      timestamp: column.date(),
+      my_rating: column.float(0),
+      average_rating: column.float(0),
+      number_of_pages: column.int(0),
+      original_publication_year: column.int(),
+      reading_duration_final: column.int(),
+      pages_per_day: column.float(0)
+    },
+    validation: {
+      ranges: { my_rating: [0, 5], average_rating: [0, 5] }
+    }
+  },
+
+  readingSessions: {
+    fileIdEnv: 'VITE_READING_SESSIONS_FILE_ID',
+    dateColumn: 'timestamp',
+    columns: {
+      timestamp: column.date(),
+      page_split: column.int(0),
+      my_rating: column.float(0)
+    }
+  },
+
+  movies: {
+    fileIdEnv: 'VITE_MOVIES_FILE_ID',
+    dateColumn: 'date',
+    columns: {
+      date: column.date(),
+      rating: column.float(0),
+      runtime: column.int(),
+      vote_average: column.float(),
+      vote_count: column.int(),
+      popularity: column.float(),
+      budget: column.int(),
+      revenue: column.int(),
+      tmdb_id: column.int(),
+      year: column.int()
+    }
+  },
+
+  shows: {
+    fileIdEnv: 'VITE_SHOWS_FILE_ID',
+    dateColumn: 'watched_at',
+    columns: {
+      watched_at: column.date(),
+      episode_runtime: column.int(0),
+      episode_runtime_hours: column.float(0)
+    }
+  },
+
+  nutrition: {
+    fileIdEnv: 'VITE_NUTRITION_FILE_ID',
+    dateColumn: 'date',
+    columns: {
+      date: column.date(),
+      time: column.timeOfDay(),
+      food_quantity: column.float(0),
+      drink_quantity: column.float(0),
+      usda_meal_score: column.float(0),
+      meal_assessment: column.float(0),
+      amount: column.float(0)
+    },
+    derived: {
+      // Ensure meal_id is string for grouping
+      meal_id: row => String(row.meal_id),
+      // Pre-computed for efficient sorting
+      timeInMinutes: row => timeOfDayToMinutes(row.time)
+    }
+  },
+
+  podcasts: {
+    fileIdEnv: 'VITE_PODCASTS_FILE_ID',
+    dateColumn: 'listened_date',
+    columns: {
+      listened_date: column.date(),
+      published_date: column.date(),
+      duration_seconds: column.int(0),
+      listened_seconds: column.int(0),
+      listened_minutes: column.float(0),
+      listened_hours: column.float(0),
+      completion_percent: column.float(0),
+      is_new_podcast: column.yesNo(),
+      is_new_recurring_podcast: column.yesNo(),
+      is_recurring_podcast: column.yesNo()
+    }
+  },
+
+  music: {
+    fileIdEnv: 'VITE_MUSIC_FILE_ID',
+    dateColumn: 'timestamp',
+    // Skip expensive date conversions, timestamps stay strings
+    inferDateColumns: false,
+    columns: {
+      toggle_id: column.int(0),
+      followers: column.int(0),
+      artist_popularity: column.int(0),
+      track_popularity: column.int(0),
+      track_duration: column.int(0),
+      completion: column.float(0),
+      is_skipped_track: column.yesNo(),
+      is_new_artist: column.yesNo(),
+      is_new_track: column.yesNo(),
+      is_recurring_artist: column.yesNo(),
+      is_recurring_track: column.yesNo(),
+      is_new_recurring_artist: column.yesNo(),
+      is_new_recurring_track: column.yesNo()
+    },
+    derived: {
+      listening_seconds: row => Math.round((row.track_duration / 1000) * (row.completion / 100)),
+      listening_hours: row => row.listening_seconds / 3600,
+      // Year extracted from timestamp (kept as string for filtering)
+      listening_year: row => (row.timestamp ? row.timestamp.substring(0, 4) : null),
+      // First genre used as simplified genre
+      simplified_genre: row => row.genre_1 || null
+    }
+  },
+
+  finance: {
+    fileIdEnv: 'VITE_FINANCES_FILE_ID',
+    dateColumn: 'date',
+    columns: {
+      date: column.date()
+    }
+  },
+
+  healthDaily: {
+    fileIdEnv: 'VITE_HEALTH_DAILY_FILE_ID',
+    dateColumn: 'date',
+    columns: {
+      date: column.date(),
+      // Subjective metrics
+      sleep_quality: column.float(),
+      dreams: column.int(),
+      sleep_rest_feeling: column.float(),
+      fitness_feeling: column.float(),
+      overall_evaluation: column.float(),
+      // Sleep times (numeric for averaging)
+      sleep_start_time_minutes: column.float(),
+      wake_up_time_minutes: column.float(),
+      // Daily totals
+      total_steps: column.int(0),
+      total_apple_distance_meters: column.float(0),
+      total_flights_climbed: column.int(0),
+      total_active_energy_kcal: column.float(0),
+      total_resting_energy_kcal: column.float(0),
+      total_sleep_minutes: column.float(0),
+      total_deep_sleep_minutes: column.float(0),
+      total_rem_sleep_minutes: column.float(0),
+      total_core_sleep_minutes: column.float(0),
+      total_awake_minutes: column.float(0),
+      total_screen_time_minutes: column.float(0),
+      total_phone_pickups: column.int(0),
+      total_screen_before_sleep_minutes: column.float(0)
+    },
+    validation: {
+      required: ['date']
+    }
+  },
+
+  healthHourly: {
+    fileIdEnv: 'VITE_HEALTH_HOURLY_FILE_ID',
+    dateColumn: 'date',
+    columns: {
+      date: column.date(),
+      // Time identifiers
+      hour: column.int(0),
+      weekday: column.int(0),
+      segment_start_time: column.timeOfDay(),
+      segment_end_time: column.timeOfDay(),
+      segment_duration_minutes: column.float(0),
+      segment_duration_hours: column.float(0),
+      segment_duration_days: column.float(0),
+      // Movement metrics
+      steps: column.int(0),
+      apple_distance_meters: column.float(0),
+      distance_meters: column.float(0),
+      flights_climbed: column.int(0),
+      // Energy metrics
+      active_energy_kcal: column.float(0),
+      resting_energy_kcal: column.float(0),
+      // Averages
+      avg_step_length_cm: column.float(),
+      avg_walking_speed_kmh: column.float(),
+      avg_heart_rate: column.float(),
+      avg_audio_exposure: column.float(),
+      // Body metrics
+      body_weight_kg: column.float(),
+      body_fat_percent: column.float(),
+      // Screen time
+      screen_time_minutes: column.float(0),
+      phone_pickups: column.int(0),
+      screen_time_minutes_before_sleep: column.float(0),
+      // Sleep metrics
+      sleep_minutes: column.float(0),
+      deep_sleep_minutes: column.float(0),
+      rem_sleep_minutes: column.float(0),
+      core_sleep_minutes: column.float(0),
+      awake_minutes: column.float(0),
+      is_home: column.boolean()
+    },
+    derived: {
+      // Date combined with hour, for heatmap compatibility
+      datetime: {
+        ...column.date(),
+        compute: row => {
+          if (!row.date) return null;
+          const datetime = new Date(row.date);
+          datetime.setHours(row.hour || 0, 0, 0, 0);
+          return datetime;
+        }
+      }
+    },
+    validation: {
+      required: ['date'],
+      ranges: { hour: [0, 23] }
+    }
+  },
+
+  tracking: {
+    fileIdEnv: 'VITE_TRACKING_FILE_ID'
+  }
+};
+
+/**
+ * Returns the registry entry for a dataset
+ * @param {string} dataType - Dataset key (e.g., 'music')
+ * @returns {Object} Dataset definition
+ */
+export const getDataset = (dataType) => {
+  const dataset = DATASETS[dataType];
+  if (!dataset) {
+    throw new Error(`Unknown data type: ${dataType}`);
+  }
+  return dataset;
+};
@@ -0,0 +1,65 @@
+// src/config/permissions.js
+/**
+ * Permission Checks
+ *
+ * Shared by the server (enforcement) and the front-end (navigation). A
+ * permission set is resolved by server/permissions.js and returned by
+ * /api/auth/me:
+ *
+ * - pages: page paths the user can open, null for every page
+ * - datasets: dataset keys the user can read, null for every dataset
+ * - hiddenColumns: { datasetKey: [column, ...] } removed by the server from
+ *   every response (rows, aggregates and raw files)
+ *
+ * Imported by the server, so it must not touch import.meta.env.
+ */
+
+// Datasets each page reads, a page is only offered when one of them is readable
+export const PAGE_DATASETS = {
+  '/reading': ['readingBooks', 'readingSessions'],
+  '/movies': ['movies'],
+  '/music': ['music'],
+  '/nutrition': ['nutrition'],
+  '/podcasts': ['podcasts'],
+  '/shows': ['shows'],
+  '/finance': ['finance'],
+  '/health': ['healthDaily', 'healthHourly']
+};
+
+const matchesPage = (page, pagePath) => pagePath === page || pagePath.startsWith(page + '/');
+
+/**
+ * Returns true if the permissions allow reading a dataset
+ * @param {Object|null} permissions - Resolved permission set
+ * @param {string} name - Dataset key (e.g., 'finance')
+ * @returns {boolean}
+ */
+export const canReadDataset = (permissions, name) => {
+  if (!permissions) return false;
+  return permissions.datasets === null || permissions.datasets.includes(name);
+};
+
+/**
+ * Returns true if the permissions allow opening a page
+ * (the page must be listed and at least one of its datasets readable)
+ * @param {Object|null} permissions - Resolved permission set
+ * @param {string} pagePath - Page path (e.g., '/reading')
+ * @returns {boolean}
+ */
+export const canOpenPage = (permissions, pagePath) => {
+  if (!permissions) return false;
+  if (permissions.pages !== null && !permissions.pages.some(page => matchesPage(page, pagePath))) {
+    return false;
+  }
+
+  const page = Object.keys(PAGE_DATASETS).find(key => matchesPage(key, pagePath));
+  return !page || PAGE_DATASETS[page].some(name => canReadDataset(permissions, name));
+};
+
+/**
+ * Returns the columns of a dataset hidden from the user
+ * @param {Object|null} permissions - Resolved permission set
+ * @param {string} name - Dataset key
+ * @returns {Array<string>} Column names (empty when nothing is hidden)
+ */
+export const getHiddenColumns = (permissions, name) => permissions?.hiddenColumns?.[name] || [];
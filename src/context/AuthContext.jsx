@@ -1,53 +1,91 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { apiUrl } from '../config/config';
+import { canOpenPage, canReadDataset } from '../config/permissions';
+import { clearCachedDataset } from '../utils/datasetCache';
 
 const AuthContext = createContext(null);
 
 export const AuthProvider = ({ children }) => {
-  const [userRole, setUserRole] = useState('admin'); // Default to admin for smooth UX
-  const [allowedPages, setAllowedPages] = useState(null);
+  // Signed-in user ({ username, role, permissions }), null when signed out
+  const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    const fetchUserInfo = async () => {
+    const fetchCurrentUser = async () => {
       try {
-        const API_BASE = import.meta.env.PROD ? '' : 'http://localhost:3001';
-        const response = await fetch(`${API_BASE}/api/user-info`, {
+        const response = await fetch(apiUrl('/api/auth/me'), {
           credentials: 'include'
         });
 
         if (response.ok) {
           const data = await response.json();
-          setUserRole(data.role);
-          setAllowedPages(data.allowedPages);
+          setUser(data.user);
+        } else {
+          setUser(null);
         }
       } catch (error) {
-        console.error('Failed to fetch user info:', error);
-        // Keep default admin role on error
+        // Never grant access when the session can't be checked
+        console.error('Failed to fetch current user:', error);
+        setUser(null);
       } finally {
         setLoading(false);
       }
     };
 
-    fetchUserInfo();
+    fetchCurrentUser();
   }, []);
 
-  const isPageAllowed = (path) => {
-    // Admin has access to everything
-    if (userRole === 'admin' || !allowedPages) {
-      return true;
+  const login = useCallback(async (username, password) => {
+    const response = await fetch(apiUrl('/api/auth/login'), {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
     }
 
-    // Check if path is in allowed pages
-    return allowedPages.some(page =>
-      path === page || path.startsWith(page + '/')
-    );
-  };
+    setUser(data.user);
+    return data.user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await fetch(apiUrl('/api/auth/logout'), {
+        method: 'POST',
+        credentials: 'include'
+      });
+    } catch (error) {
+      console.error('Failed to log out:', error);
+    }
+
+    // Don't leave the previous user's data behind (IndexedDB cache and loaded datasets)
+    await clearCachedDataset();
+    setUser(null);
+    window.location.assign('/login');
+  }, []);
+
+  const userRole = user?.role || null;
+  // Resolved by the server (see config/permissions.js), null when signed out
+  const permissions = user?.permissions || null;
+
+  const isPageAllowed = useCallback((path) => canOpenPage(permissions, path), [permissions]);
+  const isDatasetAllowed = useCallback((name) => canReadDataset(permissions, name), [permissions]);
 
   const value = {
+    user,
     userRole,
-    allowedPages,
+    permissions,
+    allowedPages: permissions?.pages ?? null,
     loading,
+    login,
+    logout,
     isPageAllowed,
+    isDatasetAllowed,
+    isAuthenticated: Boolean(user),
     isGuest: userRole === 'guest',
     isAdmin: userRole === 'admin'
   };
@@ -0,0 +1,69 @@
+import { useState, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { DateRangeContext, RANGE_CONFIG, formatDateRangeKey } from './dateRange';
+import { decodeFilterValue, getDefaultFilterValue } from '../utils/urlStateUtils';
+
+/**
+ * App-wide date range shared by the pages' date filters
+ * A daterange Filter with `followGlobalRange` mirrors this range on its own
+ * field (timestamp, date, watched_at...), so the range follows the user from
+ * page to page. Stored like a daterange URL parameter (relative presets stay
+ * relative) and kept in localStorage across visits. Read it with the
+ * useGlobalDateRange hook.
+ */
+const STORAGE_KEY = 'lifelog.globalDateRange';
+
+const readStoredRange = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? decodeFilterValue(RANGE_CONFIG, [stored]) : getDefaultFilterValue(RANGE_CONFIG);
+  } catch {
+    return getDefaultFilterValue(RANGE_CONFIG);
+  }
+};
+
+export const DateRangeProvider = ({ children }) => {
+  const [range, setRangeState] = useState(readStoredRange);
+  // Number of mounted filters following the range (the layout control is hidden without any)
+  const [linkedFilterCount, setLinkedFilterCount] = useState(0);
+
+  const setRange = useCallback((next) => {
+    const value = next || getDefaultFilterValue(RANGE_CONFIG);
+    setRangeState(value);
+
+    try {
+      const key = formatDateRangeKey(value);
+      if (key) {
+        window.localStorage.setItem(STORAGE_KEY, key);
+      } else {
+        window.localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Cannot store the date range:', error.message);
+    }
+  }, []);
+
+  const registerLinkedFilter = useCallback(() => {
+    setLinkedFilterCount(count => count + 1);
+    return () => setLinkedFilterCount(count => count - 1);
+  }, []);
+
+  const value = useMemo(() => ({
+    range,
+    rangeKey: formatDateRangeKey(range),
+    setRange,
+    clearRange: () => setRange(null),
+    hasLinkedFilters: linkedFilterCount > 0,
+    registerLinkedFilter
+  }), [range, setRange, linkedFilterCount, registerLinkedFilter]);
+
+  return (
+    <DateRangeContext.Provider value={value}>
+      {children}
+    </DateRangeContext.Provider>
+  );
+};
+
+DateRangeProvider.propTypes = {
+  children: PropTypes.node
+};
@@ -0,0 +1,17 @@
+import { createContext } from 'react';
+import { encodeFilterValue } from '../utils/urlStateUtils';
+
+/**
+ * Context of the app-wide date range (see DateRangeProvider), read through
+ * the useGlobalDateRange hook
+ */
+export const DateRangeContext = createContext(null);
+
+export const RANGE_CONFIG = { type: 'daterange' };
+
+/**
+ * Serialises a date range to compare ranges ('' for no range)
+ * @param {Object} range - { startDate, endDate, preset }
+ * @returns {string} e.g. 'last-30-days' or '2024-07-01..2024-07-21'
+ */
+export const formatDateRangeKey = (range) => encodeFilterValue(RANGE_CONFIG, range).join('');
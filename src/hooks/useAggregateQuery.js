@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+import { queryAggregate } from '../utils/datasetApi';
+
+/**
+ * Custom hook to fetch server-side aggregates for a chart
+ * Re-runs whenever the parameters change and cancels outdated requests.
+ *
+ * @param {string} name - Dataset key (e.g., 'music')
+ * @param {Object} params - Aggregate parameters (see buildAggregateQueryString)
+ * @param {boolean} enabled - Set to false to skip the request (default: true)
+ * @returns {Object} { rows, total, loading, error }
+ */
+export const useAggregateQuery = (name, params = {}, enabled = true) => {
+  const [result, setResult] = useState({ rows: [], total: 0 });
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+
+  // Params are usually inline objects, compare them by value
+  const paramsKey = JSON.stringify(params);
+
+  useEffect(() => {
+    if (!enabled || !name) return undefined;
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    queryAggregate(name, JSON.parse(paramsKey), { signal: controller.signal })
+      .then(({ data, total }) => {
+        setResult({ rows: data || [], total });
+        setLoading(false);
+      })
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        setError(err.message);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [name, paramsKey, enabled]);
+
+  return { ...result, loading, error };
+};
@@ -0,0 +1,64 @@
+import { useCallback, useMemo } from 'react';
+import { useUrlParams } from './useUrlState';
+import { normalizeMultiSelectValue } from '../utils/filterUtils';
+import { getDefaultFilterValue, readFilterParams, writeFilterParams } from '../utils/urlStateUtils';
+
+/**
+ * Chart selection kept in a page filter (cross-filtering)
+ * The chart writes the filter's query parameter and the page's FilteringPanel,
+ * synced with the URL, applies it to the whole page. Multi-select and
+ * hierarchical filters share their parameter format (one value per parameter),
+ * so both work with the 'multiselect' type.
+ *
+ * @param {string} filterKey - Key of the page filter (its field), falsy to disable
+ * @param {string} [type='multiselect'] - 'multiselect' (categories) or 'daterange'
+ * @returns {Object} {
+ *   enabled, isActive,
+ *   selected - selected categories as strings (multiselect),
+ *   range - { startDate, endDate } (daterange),
+ *   isSelected(value), select(value, additive), setSelected(values), setRange(startDate, endDate), clear()
+ * }
+ */
+export const useCrossFilter = (filterKey, type = 'multiselect') => {
+  const [searchParams, updateParams] = useUrlParams();
+  const config = useMemo(() => ({ key: filterKey, type }), [filterKey, type]);
+  const enabled = Boolean(filterKey);
+
+  const value = enabled ? readFilterParams(searchParams, [config])[filterKey] : getDefaultFilterValue(config);
+  const selectedKey = type === 'multiselect' ? normalizeMultiSelectValue(value).include.map(String).join('\n') : '';
+  const selected = useMemo(() => (selectedKey ? selectedKey.split('\n') : []), [selectedKey]);
+  const range = type === 'daterange'
+    ? { startDate: value?.startDate || null, endDate: value?.endDate || null }
+    : null;
+  const isActive = type === 'daterange' ? Boolean(range.startDate || range.endDate) : selected.length > 0;
+
+  const setValue = useCallback((next) => {
+    if (!enabled) return;
+    updateParams(params => writeFilterParams(params, [config], { [filterKey]: next }));
+  }, [enabled, config, filterKey, updateParams]);
+
+  const isSelected = useCallback((item) => selected.includes(String(item)), [selected]);
+
+  // Filter on exactly these categories (exclusions of the filter are dropped)
+  const setSelected = useCallback((items) => setValue(items.map(String)), [setValue]);
+
+  // Filter on a category alone, or add it to the selection (additive, e.g. Ctrl/⌘-click);
+  // selecting a selected category removes it
+  const select = useCallback((item, additive = false) => {
+    const itemKey = String(item);
+    if (selected.includes(itemKey)) {
+      setSelected(selected.filter(selectedItem => selectedItem !== itemKey));
+    } else {
+      setSelected(additive ? [...selected, itemKey] : [itemKey]);
+    }
+  }, [selected, setSelected]);
+
+  // Filter on whole days, YYYY-MM-DD on both ends
+  const setRange = useCallback((startDate, endDate) => {
+    setValue({ startDate, endDate });
+  }, [setValue]);
+
+  const clear = useCallback(() => setValue(getDefaultFilterValue(config)), [config, setValue]);
+
+  return { enabled, isActive, selected, range, isSelected, select, setSelected, setRange, clear };
+};
@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import { queryDataset } from '../utils/datasetApi';
+
+/**
+ * Custom hook to query a dataset through the server data API
+ * Re-runs whenever the parameters change and cancels outdated requests.
+ *
+ * @param {string} name - Dataset key (e.g., 'music')
+ * @param {Object} params - Query parameters (see buildDatasetQueryString)
+ * @param {boolean} enabled - Set to false to skip the request (default: true)
+ * @returns {Object} { rows, total, pages, loading, error }
+ */
+export const useDatasetQuery = (name, params = {}, enabled = true) => {
+  const [result, setResult] = useState({ paramsKey: null, rows: [], total: 0, pages: 0 });
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+
+  // Params are usually inline objects, compare them by value
+  const paramsKey = JSON.stringify(params);
+
+  useEffect(() => {
+    if (!enabled || !name) return undefined;
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    queryDataset(name, JSON.parse(paramsKey), { signal: controller.signal })
+      .then(({ data, total, pages }) => {
+        setResult({ paramsKey, rows: data, total, pages });
+        setLoading(false);
+      })
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        setError(err.message);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [name, paramsKey, enabled]);
+
+  // Rows of previous parameters are outdated from the first render after a change,
+  // before the effect above flags the new request as loading
+  const isOutdated = enabled && !error && result.paramsKey !== paramsKey;
+
+  return { rows: result.rows, total: result.total, pages: result.pages, loading: loading || isOutdated, error };
+};
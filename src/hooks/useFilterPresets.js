@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { SYNC_FILTER_PRESETS } from '../config/config';
+import {
+  loadLocalPresets,
+  saveLocalPresets,
+  fetchServerPresets,
+  saveServerPresets
+} from '../utils/presetStorage';
+
+const createPresetId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Custom hook managing the saved filter presets of a page
+ * Presets are read synchronously from localStorage (so a default preset can
+ * seed the initial filters) and, when server sync is enabled, reconciled with
+ * the server copy by last update.
+ *
+ * @param {string} pageKey - Page path the presets belong to (e.g., '/music')
+ * @returns {Object} { presets, defaultPreset, savePreset, renamePreset, deletePreset, setDefaultPreset }
+ */
+export const useFilterPresets = (pageKey) => {
+  const [state, setState] = useState(() => loadLocalPresets(pageKey));
+  // Latest state, so consecutive updates in one event build on each other
+  const stateRef = useRef(state);
+  const loadedPageRef = useRef(pageKey);
+
+  const commit = useCallback((next) => {
+    stateRef.current = next;
+    setState(next);
+    saveLocalPresets(pageKey, next);
+  }, [pageKey]);
+
+  useEffect(() => {
+    if (loadedPageRef.current !== pageKey) {
+      loadedPageRef.current = pageKey;
+      const local = loadLocalPresets(pageKey);
+      stateRef.current = local;
+      setState(local);
+    }
+    if (!SYNC_FILTER_PRESETS) return undefined;
+
+    const controller = new AbortController();
+    fetchServerPresets(pageKey, { signal: controller.signal })
+      .then(remote => {
+        const current = stateRef.current;
+        if (remote && remote.updatedAt > current.updatedAt) {
+          commit(remote);
+        } else if (current.updatedAt > (remote?.updatedAt || 0)) {
+          // Saved while offline or before sync was enabled
+          return saveServerPresets(pageKey, current);
+        }
+        return undefined;
+      })
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        console.warn('Cannot sync filter presets:', err.message);
+      });
+
+    return () => controller.abort();
+  }, [pageKey, commit]);
+
+  const update = useCallback((change) => {
+    const next = { ...change(stateRef.current), updatedAt: Date.now() };
+    commit(next);
+    if (SYNC_FILTER_PRESETS) {
+      saveServerPresets(pageKey, next).catch(err => console.warn('Cannot sync filter presets:', err.message));
+    }
+  }, [pageKey, commit]);
+
+  const savePreset = useCallback((name, query) => {
+    const preset = { id: createPresetId(), name: name.trim(), query };
+    update(current => ({ ...current, presets: [...current.presets, preset] }));
+    return preset;
+  }, [update]);
+
+  const renamePreset = useCallback((id, name) => {
+    update(current => ({
+      ...current,
+      presets: current.presets.map(preset => (preset.id === id ? { ...preset, name: name.trim() } : preset))
+    }));
+  }, [update]);
+
+  const deletePreset = useCallback((id) => {
+    update(current => ({
+      ...current,
+      presets: current.presets.filter(preset => preset.id !== id),
+      defaultId: current.defaultId === id ? null : current.defaultId
+    }));
+  }, [update]);
+
+  // Pass null to clear the page default
+  const setDefaultPreset = useCallback((id) => {
+    update(current => ({ ...current, defaultId: id }));
+  }, [update]);
+
+  return {
+    presets: state.presets,
+    defaultPreset: state.presets.find(preset => preset.id === state.defaultId) || null,
+    savePreset,
+    renamePreset,
+    deletePreset,
+    setDefaultPreset
+  };
+};
@@ -0,0 +1,14 @@
+import { useContext } from 'react';
+import { DateRangeContext } from '../context/dateRange';
+
+/**
+ * App-wide date range shared by the pages' date filters
+ * @returns {Object} { range, rangeKey, setRange, clearRange, hasLinkedFilters, registerLinkedFilter }
+ */
+export const useGlobalDateRange = () => {
+  const context = useContext(DateRangeContext);
+  if (!context) {
+    throw new Error('useGlobalDateRange must be used within a DateRangeProvider');
+  }
+  return context;
+};
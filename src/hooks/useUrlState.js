@@ -0,0 +1,73 @@
+import { useCallback, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { oneOf } from '../utils/urlStateUtils';
+
+/**
+ * Reads the query string and updates it without adding history entries
+ * @returns {Array} [searchParams, updateParams] where updateParams(fn) receives a
+ *   URLSearchParams copy of the current URL to modify in place
+ */
+export const useUrlParams = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const searchParams = useMemo(() => new URLSearchParams(location.search), [location.search]);
+
+  const updateParams = useCallback((update) => {
+    // Start from the live URL: several components may update it before the next render
+    const params = new URLSearchParams(window.location.search);
+    update(params);
+
+    const search = params.toString();
+    if (search === window.location.search.replace(/^\?/, '')) return;
+
+    navigate({
+      pathname: window.location.pathname,
+      search: search ? `?${search}` : '',
+      hash: window.location.hash
+    }, { replace: true });
+  }, [navigate]);
+
+  return [searchParams, updateParams];
+};
+
+/**
+ * useState-like hook backed by a query string parameter, so the value
+ * survives reloads and can be shared as a link
+ * @param {string} key - Parameter name (e.g., 'tab')
+ * @param {*} defaultValue - Value used when the parameter is missing (not written to the URL)
+ * @param {Object} [options]
+ * @param {Function} [options.parse] - (raw) => value, undefined to fall back to the default
+ * @param {Function} [options.serialize] - (value) => string
+ * @returns {Array} [value, setValue]
+ */
+export const useUrlState = (key, defaultValue, { parse = raw => raw, serialize = String } = {}) => {
+  const [searchParams, updateParams] = useUrlParams();
+
+  const raw = searchParams.get(key);
+  const parsed = raw === null ? undefined : parse(raw);
+  const value = parsed === undefined || parsed === null ? defaultValue : parsed;
+
+  const setValue = useCallback((next) => {
+    const nextValue = typeof next === 'function' ? next(value) : next;
+    updateParams(params => {
+      if (nextValue === undefined || nextValue === null || nextValue === defaultValue) {
+        params.delete(key);
+      } else {
+        params.set(key, serialize(nextValue));
+      }
+    });
+  }, [key, value, defaultValue, serialize, updateParams]);
+
+  return [value, setValue];
+};
+
+/**
+ * URL state for a chart choice (dimension, metric, period), limited to the offered values
+ * @param {string} chartKey - Parameter prefix of the chart (e.g., 'top-music-analysis')
+ * @param {string} name - Choice name, the parameter is `<chartKey>.<name>`
+ * @param {string} defaultValue - Initial choice
+ * @param {Array<string>} values - Offered values (others fall back to the default)
+ * @returns {Array} [value, setValue]
+ */
+export const useChartChoice = (chartKey, name, defaultValue, values) =>
+  useUrlState(`${chartKey}.${name}`, defaultValue, { parse: oneOf(values) });
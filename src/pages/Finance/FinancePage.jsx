@@ -2,6 +2,8 @@ import { useState, useEffect, useMemo } from 'react';
 import { DollarSign, List, Grid, Calendar, Tag, Building, TrendingUp, FileText, ShoppingBag, Asterisk, Clock } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { usePageTitle } from '../../hooks/usePageTitle';
+import { useUrlState } from '../../hooks/useUrlState';
+import { oneOf } from '../../utils/urlStateUtils';
 
 // Import components
 import TransactionDetails from './components/TransactionDetails';
@@ -24,20 +26,33 @@ import KpiCard from '../../components/charts/KpiCard';
 // Import chart components for analysis tab
 import TimeSeriesBarChart from '../../components/charts/TimeSeriesBarChart';
 import IntensityHeatmap from '../../components/charts/IntensityHeatmap';
+import CalendarHeatmap from '../../components/charts/CalendarHeatmap';
 import TopChart from '../../components/charts/TopChart';
+import SankeyChart from '../../components/charts/SankeyChart';
 
 // Import utilities
 import { sortByDateSafely } from '../../utils/sortingUtils';
 
+// Cash flow: income sources -> accounts -> expense categories -> subcategories
+const EXPENSE_CONDITIONS = [{ field: 'transaction_type', value: 'expense' }];
+const CASH_FLOW_STAGES = [
+  { key: 'income', label: 'Income', field: 'category', filterConditions: [{ field: 'transaction_type', value: 'income' }, { field: 'note', operator: '!=', value: 'Initial capital' }] },
+  { key: 'accounts', label: 'Accounts', field: 'accounts' },
+  { key: 'expenses', label: 'Expenses', field: 'category', filterConditions: EXPENSE_CONDITIONS },
+  { key: 'subcategories', label: 'Subcategories', field: 'subcategory', filterConditions: EXPENSE_CONDITIONS }
+];
+
 const FinancePage = () => {
   usePageTitle('Finance');
   const { data, loading, error, fetchData } = useData();
   const [transactions, setTransactions] = useState([]);
   const [filteredTransactions, setFilteredTransactions] = useState([]);
+  // Rows without the date filter, for the chart comparisons
+  const [referenceTransactions, setReferenceTransactions] = useState(null);
 
-  const [viewMode, setViewMode] = useState('grid');
+  const [viewMode, setViewMode] = useUrlState('view', 'grid', { parse: oneOf(['grid', 'list']) });
   const [selectedTransaction, setSelectedTransaction] = useState(null);
-  const [activeTab, setActiveTab] = useState('content');
+  const [activeTab, setActiveTab] = useUrlState('tab', 'content', { parse: oneOf(['content', 'analysis']) });
 
   // Fetch finance data when component mounts
   useEffect(() => {
@@ -49,14 +64,8 @@ const FinancePage = () => {
   // Process finance data when it's loaded
   useEffect(() => {
     if (data?.finance) {
-      // Convert date strings to Date objects for JavaScript date operations
-      const processedTransactions = data.finance.map(transaction => ({
-        ...transaction,
-        date: transaction.date ? new Date(transaction.date) : null
-      }));
-
-      // Sort by most recent first
-      const sortedTransactions = sortByDateSafely(processedTransactions, 'date');
+      // Sort by most recent first (dates are converted by the dataset registry)
+      const sortedTransactions = sortByDateSafely(data.finance, 'date');
 
       setTransactions(sortedTransactions);
       setFilteredTransactions(sortedTransactions);
@@ -66,11 +75,12 @@ const FinancePage = () => {
 
   // Apply filters when FilteringPanel filters change
   // FilteringPanel now returns pre-filtered data per source!
-  const handleFiltersChange = (filteredDataSources) => {
+  const handleFiltersChange = (filteredDataSources, filters, undatedSources) => {
     // Re-sort filtered data (most recent first)
     const sortedTransactions = sortByDateSafely(filteredDataSources.finance || [], 'date');
 
     setFilteredTransactions(sortedTransactions);
+    setReferenceTransactions(undatedSources?.finance || null);
   };
 
   const handleTransactionClick = (transaction) => {
@@ -127,7 +137,7 @@ const FinancePage = () => {
               bubbleConfig={{
                 maxVisible: 10,
                 searchThreshold: 15,
-                showCounts: false
+                showCounts: true
               }}
             >
               <Filter
@@ -135,6 +145,7 @@ const FinancePage = () => {
                 label="Transaction Date"
                 field="date"
                 icon={<Calendar />}
+                followGlobalRange
                 dataSources={['finance']}
               />
               <Filter
@@ -164,6 +175,17 @@ const FinancePage = () => {
                 placeholder="Select counterparty"
                 dataSources={['finance']}
               />
+              <Filter
+                type="having"
+                label="Counterparty Spend"
+                field="note"
+                aggregation="sum"
+                aggregationField="corrected_eur"
+                filterConditions={EXPENSE_CONDITIONS}
+                icon={<TrendingUp />}
+                suffix="€"
+                dataSources={['finance']}
+              />
               <Filter
                 type="multiselect"
                 label="Accounts"
@@ -333,7 +355,9 @@ const FinancePage = () => {
               <>
               <TimeSeriesBarChart
                 data={filteredTransactions}
+                referenceData={referenceTransactions}
                 dateColumnName="date"
+                dateFilterKey="date"
                 metricOptions={[
                   { value: 'total_expenses', label: 'Total Expenses', aggregation: 'sum', field: 'corrected_eur', decimals: 0, suffix: '€', filterConditions: [{ field: 'transaction_type', value: 'expense' }] },
                   { value: 'total_incomes', label: 'Total Incomes', aggregation: 'sum', field: 'corrected_eur', decimals: 0, suffix: '€', filterConditions: [{ field: 'transaction_type', value: 'income' }, { field: 'note', operator: '!=', value: 'Initial capital'}]},
@@ -342,9 +366,31 @@ const FinancePage = () => {
                   { value: 'cumulative_balance', label: 'Cumulative Balance', aggregation: 'cumsum', field: 'movement', decimals: 0, suffix: '€'},
                   { value: 'transactions', label: 'Total Transactions', field: 'transaction_id', aggregation: 'count_distinct', suffix: ' transactions', decimals: 0},
                 ]}
+                breakdownOptions={[
+                  { value: 'category', label: 'Category', field: 'category' },
+                  { value: 'subcategory', label: 'Subcategory', field: 'subcategory' },
+                  { value: 'accounts', label: 'Account', field: 'accounts' }
+                ]}
                 defaultMetric="total_expenses"
                 title="Finances Over Time"
               />
+              <CalendarHeatmap
+                data={filteredTransactions}
+                dateColumnName="date"
+                metricOptions={[
+                  { value: 'total_expenses', label: 'Spend', aggregation: 'sum', field: 'corrected_eur', decimals: 0, suffix: '€', filterConditions: [{ field: 'transaction_type', value: 'expense' }] },
+                  { value: 'total_incomes', label: 'Income', aggregation: 'sum', field: 'corrected_eur', decimals: 0, suffix: '€', filterConditions: [{ field: 'transaction_type', value: 'income' }, { field: 'note', operator: '!=', value: 'Initial capital'}] },
+                  { value: 'transactions', label: 'Transactions', aggregation: 'count_distinct', field: 'transaction_id', decimals: 0 }
+                ]}
+                defaultMetric="total_expenses"
+                detailColumns={[
+                  { field: 'category', label: 'Category' },
+                  { field: 'subcategory', label: 'Subcategory' },
+                  { field: 'note', label: 'Note' },
+                  { field: 'corrected_eur', label: 'Amount (€)' }
+                ]}
+                title="Spending Calendar"
+              />
               <IntensityHeatmap
                 data={filteredTransactions}
                 dateColumnName="date"
@@ -362,10 +408,10 @@ const FinancePage = () => {
               <TopChart
                 data={filteredTransactions}
                 dimensionOptions={[
-                  { value: 'category', label: 'Category', field: 'category', labelFields: ['category'] },
-                  { value: 'subcategory', label: 'Subcategory', field: 'subcategory', labelFields: ['subcategory'] },
-                  { value: 'counterparty', label: 'Counterparty', field: 'note', labelFields: ['counterparty'] },
-                  { value: 'accounts', label: 'Accounts', field: 'accounts', labelFields: ['accounts'] },
+                  { value: 'category', label: 'Category', field: 'category', labelFields: ['category'], filterKey: 'category' },
+                  { value: 'subcategory', label: 'Subcategory', field: 'subcategory', labelFields: ['subcategory'], filterKey: 'category' },
+                  { value: 'counterparty', label: 'Counterparty', field: 'note', labelFields: ['counterparty'], filterKey: 'note' },
+                  { value: 'accounts', label: 'Accounts', field: 'accounts', labelFields: ['accounts'], filterKey: 'accounts' },
                 ]}
                 metricOptions={[
                   { value: 'total_expenses', label: 'Total Expenses', aggregation: 'sum', field: 'corrected_eur', decimals: 0, suffix: '€', filterConditions: [{ field: 'transaction_type', value: 'expense' }] },
@@ -382,6 +428,24 @@ const FinancePage = () => {
                 scrollable={true}
                 barHeight={50}
               />
+              <SankeyChart
+                data={filteredTransactions}
+                stages={CASH_FLOW_STAGES}
+                valueField="corrected_eur"
+                valueLabel="Amount"
+                decimals={0}
+                suffix="€"
+                detailColumns={[
+                  { field: 'date', label: 'Date' },
+                  { field: 'accounts', label: 'Account' },
+                  { field: 'category', label: 'Category' },
+                  { field: 'subcategory', label: 'Subcategory' },
+                  { field: 'note', label: 'Counterparty' },
+                  { field: 'corrected_eur', label: 'Amount (€)' }
+                ]}
+                onEntryClick={handleTransactionClick}
+                title="Cash Flow"
+              />
               </>
             )}
           />
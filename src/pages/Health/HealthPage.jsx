@@ -2,6 +2,8 @@ import { useState, useEffect, useMemo } from 'react';
 import { Activity, List, Grid, Calendar, Moon, Heart, Flag, Building2, Store, Clock } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { usePageTitle } from '../../hooks/usePageTitle';
+import { useUrlState } from '../../hooks/useUrlState';
+import { oneOf } from '../../utils/urlStateUtils';
 
 // Import components
 import HealthDetails from './components/HealthDetails';
@@ -24,21 +26,26 @@ import KpiCard from '../../components/charts/KpiCard';
 // Import chart components for analysis tab
 import TimeSeriesBarChart from '../../components/charts/TimeSeriesBarChart';
 import IntensityHeatmap from '../../components/charts/IntensityHeatmap';
+import CalendarHeatmap from '../../components/charts/CalendarHeatmap';
 import TopChart from '../../components/charts/TopChart';
 import ProportionChart from '../../components/charts/ProportionChart';
+import CorrelationChart from '../../components/charts/CorrelationChart';
 
 const HealthPage = () => {
   usePageTitle('Health');
   const { data, loading, error, fetchData } = useData();
   const [healthDays, setHealthDays] = useState([]);
   const [filteredHealthDays, setFilteredHealthDays] = useState([]);
+  // Rows without the date filter, for the chart comparisons
+  const [referenceHealthDays, setReferenceHealthDays] = useState(null);
   const [healthHourly, setHealthHourly] = useState([]);
   const [filteredHealthHourly, setFilteredHealthHourly] = useState([]);
+  const [referenceHealthHourly, setReferenceHealthHourly] = useState(null);
   const [isProcessing, setIsProcessing] = useState(true);
 
-  const [viewMode, setViewMode] = useState('grid');
+  const [viewMode, setViewMode] = useUrlState('view', 'grid', { parse: oneOf(['grid', 'list']) });
   const [selectedDay, setSelectedDay] = useState(null);
-  const [activeTab, setActiveTab] = useState('content');
+  const [activeTab, setActiveTab] = useUrlState('tab', 'content', { parse: oneOf(['content', 'analysis']) });
 
   // Fetch health data when component mounts
   useEffect(() => {
@@ -53,18 +60,10 @@ const HealthPage = () => {
     if (data?.healthDaily) {
       setIsProcessing(true);
 
-      // Convert date strings to Date objects for JavaScript date operations
-      // Filter out entries with invalid dates
-      const processedDays = data.healthDaily
-        .map(day => ({
-          ...day,
-          date: day.date ? new Date(day.date) : null
-        }))
-        .filter(day => day.date !== null && !isNaN(day.date.getTime()));
-
+      // Dates are converted (and invalid rows dropped) by the dataset registry
       // ContentTab now handles sorting internally
-      setHealthDays(processedDays);
-      setFilteredHealthDays(processedDays);
+      setHealthDays(data.healthDaily);
+      setFilteredHealthDays(data.healthDaily);
       setIsProcessing(false);
       }
   }, [data?.healthDaily]);
@@ -72,34 +71,19 @@ const HealthPage = () => {
   // Process hourly health data when it's loaded
   useEffect(() => {
     if (data?.healthHourly) {
-      // Convert date strings to Date objects and create datetime for heatmap compatibility
-      const processedHours = data.healthHourly
-        .map(segment => {
-          const dateObj = segment.date ? new Date(segment.date) : null;
-          // Create datetime by combining date and hour
-          let datetime = null;
-          if (dateObj && !isNaN(dateObj.getTime())) {
-            datetime = new Date(dateObj);
-            datetime.setHours(segment.hour || 0, 0, 0, 0);
-          }
-          return {
-            ...segment,
-            date: dateObj,
-            datetime: datetime
-          };
-        })
-        .filter(segment => segment.date !== null && !isNaN(segment.date.getTime()));
-
-      setHealthHourly(processedHours);
-      setFilteredHealthHourly(processedHours);
+      // Dates and the derived datetime column come from the dataset registry
+      setHealthHourly(data.healthHourly);
+      setFilteredHealthHourly(data.healthHourly);
     }
   }, [data?.healthHourly]);
 
   // Apply filters when FilteringPanel filters change
-  const handleFiltersChange = (filteredDataSources) => {
+  const handleFiltersChange = (filteredDataSources, filters, undatedSources) => {
     // ContentTab now handles sorting internally
     setFilteredHealthDays(filteredDataSources.healthDaily || []);
     setFilteredHealthHourly(filteredDataSources.healthHourly || []);
+    setReferenceHealthDays(undatedSources?.healthDaily || null);
+    setReferenceHealthHourly(undatedSources?.healthHourly || null);
   };
 
   const handleCardClick = (day) => {
@@ -138,7 +122,7 @@ const HealthPage = () => {
               bubbleConfig={{
                 maxVisible: 10,
                 searchThreshold: 15,
-                showCounts: false
+                showCounts: true
               }}
             >
               <Filter
@@ -150,6 +134,7 @@ const HealthPage = () => {
                   healthHourly: 'datetime'
                 }}
                 icon={<Calendar />}
+                followGlobalRange
                 dataSources={['healthDaily', 'healthHourly']}
               />
               <Filter
@@ -378,7 +363,9 @@ const HealthPage = () => {
               <>
                 <TimeSeriesBarChart
                   data={filteredHealthDays}
+                  referenceData={referenceHealthDays}
                   dateColumnName="date"
+                  dateFilterKey="date"
                   metricOptions={[
                     { value: 'steps', label: 'Daily Steps', aggregation: 'average', field: 'total_steps', decimals: 0 },
                     { value: 'sleep', label: 'Sleep Duration (min)', aggregation: 'average', field: 'total_sleep_minutes', decimals: 0 },
@@ -390,11 +377,27 @@ const HealthPage = () => {
                     { value: 'energy', label: 'Active Energy (kcal)', aggregation: 'average', field: 'total_active_energy_kcal', decimals: 0 },
                     { value: 'fitness', label: 'Fitness Feeling (1-5)', aggregation: 'average', field: 'fitness_feeling', decimals: 1},
                     { value: 'evaluation', label: 'Day Score (1-5)', aggregation: 'average', field: 'overall_evaluation', decimals: 1},
-                    { value: 'visits', label: 'Unique Places Visited', aggregation: 'count_distinct', field: 'place_name', decimals: 0, data: filteredHealthHourly, dateColumnName: 'datetime', filterConditions: [{ field: 'date', operator: '>=', value: '2025-03-01'}] },
+                    { value: 'visits', label: 'Unique Places Visited', aggregation: 'count_distinct', field: 'place_name', decimals: 0, data: filteredHealthHourly, referenceData: referenceHealthHourly, dateColumnName: 'datetime', filterConditions: [{ field: 'date', operator: '>=', value: '2025-03-01'}] },
+                    { value: 'hourly steps', label: 'Steps (hourly data)', aggregation: 'sum', field: 'steps', decimals: 0, data: filteredHealthHourly, referenceData: referenceHealthHourly, dateColumnName: 'datetime' },
+                    { value: 'heart rate', label: 'Avg Heart Rate (bpm)', aggregation: 'average', field: 'avg_heart_rate', decimals: 0, data: filteredHealthHourly, referenceData: referenceHealthHourly, dateColumnName: 'datetime' },
                   ]}
                   defaultMetric="steps"
                   title="Health Metrics by Period"
                 />
+                <CalendarHeatmap
+                  data={filteredHealthDays}
+                  dateColumnName="date"
+                  metricOptions={[
+                    { value: 'steps', label: 'Steps', aggregation: 'sum', field: 'total_steps', decimals: 0 },
+                    { value: 'sleep', label: 'Sleep Duration (min)', aggregation: 'sum', field: 'total_sleep_minutes', decimals: 0 },
+                    { value: 'energy', label: 'Active Energy (kcal)', aggregation: 'sum', field: 'total_active_energy_kcal', decimals: 0 },
+                    { value: 'screentime', label: 'Screen Time (min)', aggregation: 'sum', field: 'total_screen_time_minutes', decimals: 0 },
+                    { value: 'evaluation', label: 'Day Score (1-5)', aggregation: 'average', field: 'overall_evaluation', decimals: 1 }
+                  ]}
+                  defaultMetric="steps"
+                  onDayClick={(dayKey, rows) => rows[0] && handleCardClick(rows[0])}
+                  title="Daily Health Calendar"
+                />
                 <IntensityHeatmap
                   data={filteredHealthHourly}
                   dateColumnName="datetime"
@@ -417,7 +420,7 @@ const HealthPage = () => {
                 <TopChart
                   data={filteredHealthHourly}
                   dimensionOptions={[
-                    { value: 'place_name', label: 'Place', field: 'place_name', labelFields: ['place_name'] },
+                    { value: 'place_name', label: 'Place', field: 'place_name', labelFields: ['place_name'], filterKey: 'place_name' },
                     { value: 'time_period', label: 'Time of Day', field: 'time_period', labelFields: ['time_period'] },
                     { value: 'hour', label: 'Hour', field: 'hour', labelFields: ['hour'] },
                   ]}
@@ -447,9 +450,9 @@ const HealthPage = () => {
                   data={filteredHealthHourly}
                   dimensionOptions={[
                     { value: 'time_period', label: 'Time of Day', field: 'time_period' },
-                    { value: 'country', label: 'Country', field: 'country' },
-                    { value: 'city', label: 'City', field: 'city' },
-                    { value: 'place_name', label: 'Place', field: 'place_name' }
+                    { value: 'country', label: 'Country', field: 'country', filterKey: 'country' },
+                    { value: 'city', label: 'City', field: 'city', filterKey: 'city' },
+                    { value: 'place_name', label: 'Place', field: 'place_name', filterKey: 'place_name' }
                   ]}
                   metricOptions={[
                     { value: 'steps', label: 'Steps', aggregation: 'sum', field: 'steps', decimals: 0 },
@@ -462,6 +465,32 @@ const HealthPage = () => {
                   maxCategories={8}
                   showPercentages={true}
                 />
+                <CorrelationChart
+                  data={filteredHealthDays}
+                  dateColumnName="date"
+                  xOptions={[
+                    { value: 'screentime_before_sleep', label: 'Screen Time before sleep (min)', aggregation: 'average', field: 'total_screen_time_minutes_before_sleep', decimals: 0 },
+                    { value: 'screentime', label: 'Screen Time (min)', aggregation: 'average', field: 'total_screen_time_minutes', decimals: 0 },
+                    { value: 'steps', label: 'Daily Steps', aggregation: 'average', field: 'total_steps', decimals: 0, filterConditions: [{ field: 'total_steps', operator: '>', value: 0 }] },
+                    { value: 'stresslevel', label: 'Stress Level', aggregation: 'average', field: 'daily_stress_avg', decimals: 0 },
+                    { value: 'energy', label: 'Active Energy (kcal)', aggregation: 'average', field: 'total_active_energy_kcal', decimals: 0 }
+                  ]}
+                  yOptions={[
+                    { value: 'sleep quality', label: 'Sleep Quality (1-5)', aggregation: 'average', field: 'sleep_quality', decimals: 1, filterConditions: [{ field: 'sleep_quality', operator: '>', value: 0 }] },
+                    { value: 'sleep', label: 'Sleep Duration (min)', aggregation: 'average', field: 'total_sleep_minutes', decimals: 0, filterConditions: [{ field: 'total_sleep_minutes', operator: '>', value: 0 }] },
+                    { value: 'sleep rest feeling', label: 'Rest Feeling (1-5)', aggregation: 'average', field: 'sleep_rest_feeling', decimals: 1 },
+                    { value: 'evaluation', label: 'Day Score (1-5)', aggregation: 'average', field: 'overall_evaluation', decimals: 1, filterConditions: [{ field: 'overall_evaluation', operator: '>', value: 0 }] }
+                  ]}
+                  defaultX="screentime_before_sleep"
+                  defaultY="sleep quality"
+                  groupings={['none', 'weekly', 'monthly']}
+                  colorOptions={[
+                    { value: 'year', label: 'Year', field: 'health_year' },
+                    { value: 'sleep_quality_text', label: 'Sleep Quality', field: 'sleep_quality_text' }
+                  ]}
+                  labelField="date"
+                  title="Health Correlations"
+                />
               </>
             )}
           />
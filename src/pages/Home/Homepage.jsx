@@ -1,6 +1,6 @@
 import { Link } from 'react-router-dom';
 import { useState, useEffect, useRef, useMemo } from 'react';
-import { BookOpen, Film, Music, UtensilsCrossed, Mic, Tv, DollarSign, Activity, Moon, Clock } from 'lucide-react';
+import { BookOpen, Film, Music, UtensilsCrossed, Mic, Tv, DollarSign, Activity, Moon, Clock, LogOut } from 'lucide-react';
 import { usePageTitle } from '../../hooks/usePageTitle';
 import { useData } from '../../context/DataContext';
 import { useAuth } from '../../context/AuthContext';
@@ -155,28 +155,28 @@ const CATEGORIES = [
   }
 ];
 
+// Datasets read by the homepage (category metrics, quick stats and tracking dates)
+const HOMEPAGE_DATASETS = [
+  'readingBooks', 'movies', 'music', 'podcasts', 'nutrition',
+  'healthDaily', 'shows', 'finance', 'tracking'
+];
+
 const Homepage = () => {
   usePageTitle('Dashboard');
   const { data, loading, fetchData } = useData();
-  const { isPageAllowed } = useAuth();
+  const { isPageAllowed, isDatasetAllowed, user, logout } = useAuth();
   const [categoryStatuses, setCategoryStatuses] = useState({});
   const [isLoadingTracking, setIsLoadingTracking] = useState(true);
   const hasCalculated = useRef(false);
 
-  // Fetch all data sources on mount
+  // Fetch every data source the user can read on mount
   useEffect(() => {
     if (typeof fetchData === 'function') {
-      fetchData('readingBooks');
-      fetchData('movies');
-      fetchData('music');
-      fetchData('podcasts');
-      fetchData('nutrition');
-      fetchData('healthDaily');
-      fetchData('shows');
-      fetchData('finance');
-      fetchData('tracking');
+      HOMEPAGE_DATASETS
+        .filter(isDatasetAllowed)
+        .forEach(dataType => fetchData(dataType));
     }
-  }, [fetchData]);
+  }, [fetchData, isDatasetAllowed]);
 
   // Calculate tracking statuses once when tracking data loads
   useEffect(() => {
@@ -317,7 +317,7 @@ const Homepage = () => {
     return metrics;
   }, [data?.readingBooks, data?.movies, data?.music, data?.nutrition, data?.podcasts, data?.shows, data?.finance, data?.healthDaily]);
 
-  // Filter categories by auth
+  // Filter categories by the user's permissions
   const visibleCategories = CATEGORIES.filter(cat => isPageAllowed(cat.path));
 
   const todayDate = useMemo(() => formatTodayDate(), []);
@@ -330,6 +330,12 @@ const Homepage = () => {
           <header className="homepage-header">
             <h1 className="homepage-title">LifeLog</h1>
             <p className="homepage-date">{todayDate}</p>
+            {user?.username && (
+              <button className="homepage-logout" onClick={logout} title={`Sign out ${user.username}`}>
+                <LogOut size={16} />
+                Sign out
+              </button>
+            )}
           </header>
 
           {/* Section 2: Quick Stats */}
@@ -339,37 +345,49 @@ const Homepage = () => {
               dataSources={quickStatsSources}
               loading={isQuickStatsLoading}
             >
-              <KpiCard
-                dataSource="readingBooks"
-                metricOptions={{ label: 'Books Read', aggregation: 'count' }}
-                icon={<BookOpen size={20} />}
-              />
-              <KpiCard
-                dataSource="movies"
-                metricOptions={{ label: 'Movies Watched', aggregation: 'count' }}
-                icon={<Film size={20} />}
-              />
-              <KpiCard
-                dataSource="music"
-                metricOptions={{ label: 'Listening Hours', aggregation: 'sum', field: 'listening_hours', decimals: 0, compactNumbers: true }}
-                icon={<Music size={20} />}
-              />
-              <KpiCard
-                dataSource="podcasts"
-                metricOptions={{ label: 'Podcast Hours', aggregation: 'sum', field: 'listened_hours', decimals: 0 }}
-                icon={<Mic size={20} />}
-              />
-              <KpiCard
-                dataSource="healthDaily"
-                metricOptions={{ label: 'Avg. Daily Steps', aggregation: 'average', field: 'total_steps', decimals: 0, compactNumbers: true, filterConditions: [{ field: 'total_steps', operator: '>', value: 0 }] }}
-                icon={<Activity size={20} />}
-              />
-              <KpiCard
-                dataSource="healthDaily"
-                metricOptions={{ label: 'Avg. Sleep', aggregation: 'average', field: 'total_sleep_minutes', decimals: 0, filterConditions: [{ field: 'total_sleep_minutes', operator: '>', value: 0 }] }}
-                formatValue={(mins) => `${(mins / 60).toFixed(1)}h`}
-                icon={<Moon size={20} />}
-              />
+              {isDatasetAllowed('readingBooks') && (
+                <KpiCard
+                  dataSource="readingBooks"
+                  metricOptions={{ label: 'Books Read', aggregation: 'count' }}
+                  icon={<BookOpen size={20} />}
+                />
+              )}
+              {isDatasetAllowed('movies') && (
+                <KpiCard
+                  dataSource="movies"
+                  metricOptions={{ label: 'Movies Watched', aggregation: 'count' }}
+                  icon={<Film size={20} />}
+                />
+              )}
+              {isDatasetAllowed('music') && (
+                <KpiCard
+                  dataSource="music"
+                  metricOptions={{ label: 'Listening Hours', aggregation: 'sum', field: 'listening_hours', decimals: 0, compactNumbers: true }}
+                  icon={<Music size={20} />}
+                />
+              )}
+              {isDatasetAllowed('podcasts') && (
+                <KpiCard
+                  dataSource="podcasts"
+                  metricOptions={{ label: 'Podcast Hours', aggregation: 'sum', field: 'listened_hours', decimals: 0 }}
+                  icon={<Mic size={20} />}
+                />
+              )}
+              {isDatasetAllowed('healthDaily') && (
+                <KpiCard
+                  dataSource="healthDaily"
+                  metricOptions={{ label: 'Avg. Daily Steps', aggregation: 'average', field: 'total_steps', decimals: 0, compactNumbers: true, filterConditions: [{ field: 'total_steps', operator: '>', value: 0 }] }}
+                  icon={<Activity size={20} />}
+                />
+              )}
+              {isDatasetAllowed('healthDaily') && (
+                <KpiCard
+                  dataSource="healthDaily"
+                  metricOptions={{ label: 'Avg. Sleep', aggregation: 'average', field: 'total_sleep_minutes', decimals: 0, filterConditions: [{ field: 'total_sleep_minutes', operator: '>', value: 0 }] }}
+                  formatValue={(mins) => `${(mins / 60).toFixed(1)}h`}
+                  icon={<Moon size={20} />}
+                />
+              )}
             </KPICardsPanel>
           </section>
 
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { AlertCircle, LogIn } from 'lucide-react';
+import { usePageTitle } from '../../hooks/usePageTitle';
+import { useAuth } from '../../context/AuthContext';
+import './LoginPage.css';
+
+const LoginPage = () => {
+  usePageTitle('Sign in');
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { login, isAuthenticated, loading } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Page the visitor was sent away from, back there after signing in
+  const redirectTo = location.state?.from?.pathname || '/';
+
+  if (!loading && isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await login(username, password);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <img src="/logo.png" alt="LifeLog" className="login-logo" />
+        <h1 className="login-title">Sign in to LifeLog</h1>
+
+        {error && (
+          <div className="login-error" role="alert">
+            <AlertCircle size={16} />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <label className="login-label" htmlFor="login-username">Username</label>
+        <input
+          id="login-username"
+          className="login-input"
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          required
+          autoFocus
+        />
+
+        <label className="login-label" htmlFor="login-password">Password</label>
+        <input
+          id="login-password"
+          className="login-input"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+
+        <button className="login-button" type="submit" disabled={submitting}>
+          <LogIn size={18} />
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
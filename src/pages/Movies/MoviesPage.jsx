@@ -2,6 +2,8 @@ import { useState, useEffect, useMemo } from 'react';
 import { Film, Grid, List, Calendar, Tag, Star, User, Clock, Award } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { usePageTitle } from '../../hooks/usePageTitle';
+import { useUrlState } from '../../hooks/useUrlState';
+import { oneOf } from '../../utils/urlStateUtils';
 
 // Import components
 import MovieDetails from './components/MovieDetails';
@@ -26,17 +28,20 @@ import TimeSeriesBarChart from '../../components/charts/TimeSeriesBarChart';
 import IntensityHeatmap from '../../components/charts/IntensityHeatmap';
 import TopChart from '../../components/charts/TopChart';
 import ProportionChart from '../../components/charts/ProportionChart';
+import CorrelationChart from '../../components/charts/CorrelationChart';
 
 const MoviesPage = () => {
   usePageTitle('Movies');
   const { data, loading, error, fetchData } = useData();
   const [movies, setMovies] = useState([]);
   const [filteredMovies, setFilteredMovies] = useState([]);
+  // Rows without the date filter, for the chart comparisons
+  const [referenceMovies, setReferenceMovies] = useState(null);
   const [isProcessing, setIsProcessing] = useState(true);
 
-  const [viewMode, setViewMode] = useState('grid');
+  const [viewMode, setViewMode] = useUrlState('view', 'grid', { parse: oneOf(['grid', 'list']) });
   const [selectedMovie, setSelectedMovie] = useState(null);
-  const [activeTab, setActiveTab] = useState('content');
+  const [activeTab, setActiveTab] = useUrlState('tab', 'content', { parse: oneOf(['content', 'analysis']) });
 
   // Fetch movies data when component mounts
   useEffect(() => {
@@ -64,16 +69,10 @@ const MoviesPage = () => {
         const movieId = row.movie_id;
         if (!moviesByIdMap.has(movieId)) {
           // First time seeing this movie - create the movie object
-          // Only convert date if it's not null/empty
-          const parsedDate = row.date && row.date.trim() !== '' ? new Date(row.date) : null;
-
+          // (date, rating, year and runtime are converted by the dataset registry)
           moviesByIdMap.set(movieId, {
             ...row,
             id: movieId,
-            date: parsedDate,
-            rating: row.rating ? parseFloat(row.rating) : 0,
-            year: row.year ? parseInt(row.year, 10) : null,
-            runtime: row.runtime ? parseInt(row.runtime, 10) : null,
             genres: [row.genre] // Start collecting genres
           });
         } else {
@@ -122,9 +121,10 @@ const MoviesPage = () => {
 
   // Apply filters when FilteringPanel filters change
   // FilteringPanel returns pre-filtered data per source
-  const handleFiltersChange = (filteredDataSources) => {
+  const handleFiltersChange = (filteredDataSources, filters, undatedSources) => {
     // ContentTab now handles sorting internally
     setFilteredMovies(filteredDataSources.movies || []);
+    setReferenceMovies(undatedSources?.movies || null);
   };
 
   const handleMovieClick = (movie) => {
@@ -161,7 +161,7 @@ const MoviesPage = () => {
             bubbleConfig={{
               maxVisible: 10,
               searchThreshold: 15,
-              showCounts: false
+              showCounts: true
             }}
           >
             <Filter
@@ -169,6 +169,7 @@ const MoviesPage = () => {
               label="Watch Date"
               field="date"
               icon={<Calendar />}
+              followGlobalRange
               dataSources={['movies']}
             />
             <Filter
@@ -367,12 +368,18 @@ const MoviesPage = () => {
             <>
               <TimeSeriesBarChart
                 data={filteredMovies}
+                referenceData={referenceMovies}
                 dateColumnName="date"
+                dateFilterKey="date"
                 metricOptions={[
                   { value: 'movies', label: 'Movies', aggregation: 'count_distinct', field: 'movie_id', decimals: 0 },
                   { value: 'runtime_hours', label: 'Runtime', aggregation: 'sum', field: 'runtime_hour', decimals: 1 },
                   { value: 'avgRating', label: 'Avg Rating', aggregation: 'average', field: 'rating', suffix: '★', decimals: 1 }
                 ]}
+                breakdownOptions={[
+                  { value: 'genre', label: 'Genre', field: 'genre' },
+                  { value: 'language', label: 'Language', field: 'original_language' }
+                ]}
                 defaultMetric="count"
                 title="Movies Over Time"
               />
@@ -386,12 +393,12 @@ const MoviesPage = () => {
               <TopChart
                 data={filteredMovies}
                 dimensionOptions={[
-                  { value: 'genre', label: 'Genre', field: 'genre', labelFields: ['genre'] },
+                  { value: 'genre', label: 'Genre', field: 'genre', labelFields: ['genre'], filterKey: 'genre' },
                   { value: 'release_year', label: 'Release Year', field: 'year', labelFields: ['year'] },
-                  { value: 'original_language', label: 'Language', field: 'original_language', labelFields: ['original_language'] },
+                  { value: 'original_language', label: 'Language', field: 'original_language', labelFields: ['original_language'], filterKey: 'original_language' },
                   { value: 'name', label: 'Movie', field: 'name', labelFields: ['name'] },
-                  { value: 'director', label: 'Director', field: 'director', labelFields: ['director'] },
-                  { value: 'cast', label: 'Cast', field: 'cast', labelFields: ['cast'], delimiter: ',' },
+                  { value: 'director', label: 'Director', field: 'director', labelFields: ['director'], filterKey: 'director' },
+                  { value: 'cast', label: 'Cast', field: 'cast', labelFields: ['cast'], delimiter: ',', filterKey: 'cast' },
                 ]}
                 metricOptions={[
                   { value: 'movies', label: 'Movies', aggregation: 'count_distinct', field: 'movie_id', suffix: ' movies', decimals: 0 },
@@ -412,9 +419,9 @@ const MoviesPage = () => {
               <ProportionChart
                 data={filteredMovies}
                 dimensionOptions={[
-                  { value: 'genre', label: 'Genre', field: 'genre' },
-                  { value: 'original_language', label: 'Language', field: 'original_language' },
-                  { value: 'director', label: 'Director', field: 'director' },
+                  { value: 'genre', label: 'Genre', field: 'genre', filterKey: 'genre' },
+                  { value: 'original_language', label: 'Language', field: 'original_language', filterKey: 'original_language' },
+                  { value: 'director', label: 'Director', field: 'director', filterKey: 'director' },
                   { value: 'year', label: 'Release Year', field: 'year' }
                 ]}
                 metricOptions={[
@@ -427,6 +434,26 @@ const MoviesPage = () => {
                 maxCategories={8}
                 showPercentages={true}
               />
+              <CorrelationChart
+                data={filteredMovies}
+                dateColumnName="date"
+                xOptions={[
+                  { value: 'runtime', label: 'Runtime (min)', aggregation: 'average', field: 'runtime', decimals: 0 },
+                  { value: 'release_year', label: 'Release Year', aggregation: 'average', field: 'year', decimals: 0 }
+                ]}
+                yOptions={[
+                  { value: 'rating', label: 'My Rating', aggregation: 'average', field: 'rating', suffix: '★', decimals: 1 }
+                ]}
+                defaultX="runtime"
+                defaultY="rating"
+                groupings={['none', 'monthly']}
+                colorOptions={[
+                  { value: 'genre', label: 'Genre', field: 'genre' },
+                  { value: 'original_language', label: 'Language', field: 'original_language' }
+                ]}
+                labelField="name"
+                title="Rating Correlations"
+              />
             </>
           )}
         />
@@ -2,6 +2,8 @@ import { useState, useEffect, useMemo, useCallback } from 'react';
 import { Music, Music as MusicIcon, List, Grid, Calendar, Tag, User, Disc, Star, Repeat, Clock } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { usePageTitle } from '../../hooks/usePageTitle';
+import { useUrlState } from '../../hooks/useUrlState';
+import { oneOf } from '../../utils/urlStateUtils';
 
 // Import components
 import MusicDetails from './components/MusicDetails';
@@ -24,23 +26,29 @@ import KpiCard from '../../components/charts/KpiCard';
 // Import chart components for analysis tab
 import TimeSeriesBarChart from '../../components/charts/TimeSeriesBarChart';
 import IntensityHeatmap from '../../components/charts/IntensityHeatmap';
+import CalendarHeatmap from '../../components/charts/CalendarHeatmap';
 import TopChart from '../../components/charts/TopChart';
 import ProportionChart from '../../components/charts/ProportionChart';
 import BarChartRace from '../../components/charts/BarChartRace';
 
 // Import utilities
 import { sortByDateSafely } from '../../utils/sortingUtils';
+import { buildDatasetFilterParams } from '../../utils/datasetApi';
 
 const MusicPage = () => {
   usePageTitle('Music');
   const { data, loading, error, loadingProgress, fetchData } = useData();
   const [musicToggles, setMusicToggles] = useState([]);
   const [filteredToggles, setFilteredToggles] = useState([]);
+  // Rows without the date filter, for the chart comparisons
+  const [referenceToggles, setReferenceToggles] = useState(null);
+  // Filter values, also applied on the server to page through the content tab
+  const [activeFilters, setActiveFilters] = useState(null);
   const [isProcessing, setIsProcessing] = useState(true);
 
-  const [viewMode, setViewMode] = useState('grid');
+  const [viewMode, setViewMode] = useUrlState('view', 'grid', { parse: oneOf(['grid', 'list']) });
   const [selectedToggle, setSelectedToggle] = useState(null);
-  const [activeTab, setActiveTab] = useState('content');
+  const [activeTab, setActiveTab] = useUrlState('tab', 'content', { parse: oneOf(['content', 'analysis']) });
 
   // Fetch music data when component mounts
   useEffect(() => {
@@ -66,12 +74,20 @@ const MusicPage = () => {
   }, [data?.music]);
 
   // Apply filters when FilteringPanel filters change
-  const handleFiltersChange = useCallback((filteredDataSources) => {
+  const handleFiltersChange = useCallback((filteredDataSources, filters, undatedSources) => {
     // Re-sort filtered data (most recent first)
     const sortedToggles = sortByDateSafely(filteredDataSources.music || []);
     setFilteredToggles(sortedToggles);
+    setReferenceToggles(undatedSources?.music || null);
+    setActiveFilters(filters);
   }, []);
 
+  // Content tab query, null until the panel reported its filters or while a filter
+  // has no server equivalent ("Plays per Artist"): the filtered rows are paged locally then
+  const contentQuery = useMemo(() => (
+    activeFilters ? buildDatasetFilterParams(activeFilters, { dateField: 'timestamp' }) : null
+  ), [activeFilters]);
+
   // Memoized handlers to prevent child re-renders
   const handleToggleClick = useCallback((toggle) => {
     setSelectedToggle(toggle);
@@ -130,7 +146,9 @@ const MusicPage = () => {
             Loading Music Library
           </h3>
           <p style={{ marginBottom: 'var(--spacing-md)', color: 'var(--text-secondary)' }}>
-            Processing {loadingProgress.music.current?.toLocaleString() || 0} of {loadingProgress.music.total?.toLocaleString() || 0} records
+            {loadingProgress.music.phase === 'download'
+              ? `Downloading ${((loadingProgress.music.current || 0) / 1048576).toFixed(1)} MB${loadingProgress.music.total ? ` of ${(loadingProgress.music.total / 1048576).toFixed(1)} MB` : ''}`
+              : `Processing ${loadingProgress.music.current?.toLocaleString() || 0} of ${loadingProgress.music.total?.toLocaleString() || 0} records`}
           </p>
           <div style={{
             width: '100%',
@@ -165,7 +183,7 @@ const MusicPage = () => {
               bubbleConfig={{
                 maxVisible: 10,
                 searchThreshold: 15,
-                showCounts: false
+                showCounts: true
               }}
             >
               <Filter
@@ -173,6 +191,7 @@ const MusicPage = () => {
                 label="Listening Date"
                 field="timestamp"
                 icon={<Calendar />}
+                followGlobalRange
                 dataSources={['music']}
               />
               <Filter
@@ -199,6 +218,15 @@ const MusicPage = () => {
                 placeholder="Select artists"
                 dataSources={['music']}
               />
+              <Filter
+                type="having"
+                label="Plays per Artist"
+                field="artist_name"
+                aggregation="count"
+                icon={<User />}
+                suffix=" plays"
+                dataSources={['music']}
+              />
               <Filter
                 type="multiselect"
                 label="Tracks"
@@ -327,7 +355,7 @@ const MusicPage = () => {
         {/* Toggles Tab Content */}
         {activeTab === 'content' && (
           <ContentTab
-            loading={loading?.music || isProcessing}
+            loading={loading?.music || isProcessing || !activeFilters}
             viewMode={viewMode}
             onViewModeChange={setViewMode}
             viewModes={[
@@ -346,19 +374,22 @@ const MusicPage = () => {
             ]}
             defaultSortField="timestamp"
             defaultSortDirection="desc"
-            renderGrid={(toggles) => (
+            remote={contentQuery ? { dataset: 'music', query: contentQuery, pageSize: 50 } : null}
+            renderGrid={(toggles, pagination) => (
               <ContentCardsGroup
                 items={toggles}
                 viewMode="grid"
                 itemsPerPage={50}
+                pagination={pagination}
                 renderItem={renderGridItem}
               />
             )}
-            renderList={(toggles) => (
+            renderList={(toggles, pagination) => (
               <ContentCardsGroup
                 items={toggles}
                 viewMode="list"
                 itemsPerPage={50}
+                pagination={pagination}
                 renderItem={renderListItem}
               />
             )}
@@ -372,15 +403,37 @@ const MusicPage = () => {
             <>
               <TimeSeriesBarChart
                 data={filteredToggles}
+                referenceData={referenceToggles}
                 dateColumnName="timestamp"
+                dateFilterKey="timestamp"
                 metricOptions={[
                   { value: 'toggle', label: 'Toggles', aggregation: 'count_distinct', field: 'toggle_id', decimals: 0 },
                   { value: 'artists', label: 'Artists', aggregation: 'count_distinct', field: 'artist_name', decimals: 0 },
                   { value: 'listening time', label: 'Listening time', aggregation: 'sum', field: 'listening_seconds', decimals: 0 },
                 ]}
+                breakdownOptions={[
+                  { value: 'genre', label: 'Genre', field: 'simplified_genre' },
+                  { value: 'artist', label: 'Artist', field: 'artist_name' }
+                ]}
                 defaultMetric="count"
                 title="Listening Activity Over Time"
               />
+              <CalendarHeatmap
+                data={filteredToggles}
+                dateColumnName="timestamp"
+                metricOptions={[
+                  { value: 'listening time', label: 'Listening Hours', aggregation: 'sum', field: 'listening_hours', suffix: ' hrs', decimals: 1 },
+                  { value: 'toggle', label: 'Toggles', aggregation: 'count_distinct', field: 'toggle_id', decimals: 0 },
+                  { value: 'artists', label: 'Artists', aggregation: 'count_distinct', field: 'artist_name', decimals: 0 }
+                ]}
+                defaultMetric="listening time"
+                detailColumns={[
+                  { field: 'track_name', label: 'Track' },
+                  { field: 'artist_name', label: 'Artist' },
+                  { field: 'album_name', label: 'Album' }
+                ]}
+                title="Listening Calendar"
+              />
               <IntensityHeatmap
                   data={filteredToggles}
                   dateColumnName="timestamp"
@@ -391,10 +444,10 @@ const MusicPage = () => {
               <TopChart
                data={filteredToggles}
                dimensionOptions={[
-                 { value: 'track', label: 'Track', field: 'track_name', labelFields: ['track_name'] },
-                 { value: 'artist', label: 'Artist', field: 'artist_name', labelFields: ['artist_name'] },
-                 { value: 'album', label: 'Album', field: 'album_name', labelFields: ['album_name'] },
-                 { value: 'genre', label: 'Genre', field: 'simplified_genre', labelFields: ['genre'] },
+                 { value: 'track', label: 'Track', field: 'track_name', labelFields: ['track_name'], filterKey: 'track_name' },
+                 { value: 'artist', label: 'Artist', field: 'artist_name', labelFields: ['artist_name'], filterKey: 'artist_name' },
+                 { value: 'album', label: 'Album', field: 'album_name', labelFields: ['album_name'], filterKey: 'album_name' },
+                 { value: 'genre', label: 'Genre', field: 'simplified_genre', labelFields: ['genre'], filterKey: 'simplified_genre' },
                ]}
                metricOptions={[
                  { value: 'listening time', label: 'Listening Time', aggregation: 'sum', field: 'listening_seconds', suffix: ' seconds', decimals: 0 },
@@ -414,9 +467,9 @@ const MusicPage = () => {
               <ProportionChart
                 data={filteredToggles}
                 dimensionOptions={[
-                  { value: 'simplified_genre', label: 'Genre', field: 'simplified_genre' },
-                  { value: 'artist_name', label: 'Artist', field: 'artist_name' },
-                  { value: 'album_name', label: 'Album', field: 'album_name' },
+                  { value: 'simplified_genre', label: 'Genre', field: 'simplified_genre', filterKey: 'simplified_genre' },
+                  { value: 'artist_name', label: 'Artist', field: 'artist_name', filterKey: 'artist_name' },
+                  { value: 'album_name', label: 'Album', field: 'album_name', filterKey: 'album_name' },
                   { value: 'is_new_artist', label: 'New Artist', field: 'is_new_artist' },
                   { value: 'is_new_recurring_artist', label: 'New Recurring Artist', field: 'is_new_recurring_artist' }
                 ]}
@@ -2,6 +2,8 @@ import { useState, useEffect, useMemo, useCallback } from 'react';
 import { Utensils, List, Grid, Calendar, MapPin, Tag, Coffee, Clock } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { usePageTitle } from '../../hooks/usePageTitle';
+import { useUrlState } from '../../hooks/useUrlState';
+import { oneOf } from '../../utils/urlStateUtils';
 
 // Import components
 import MealDetails from './components/MealDetails';
@@ -23,16 +25,10 @@ import KpiCard from '../../components/charts/KpiCard/index';
 
 // Import chart components for analysis tab
 import TimeSeriesBarChart from '../../components/charts/TimeSeriesBarChart';
+import CalendarHeatmap from '../../components/charts/CalendarHeatmap';
 import TopChart from '../../components/charts/TopChart';
 import ProportionChart from '../../components/charts/ProportionChart';
 
-// Helper function to parse time string to minutes for efficient sorting
-const parseTimeToMinutes = (timeString) => {
-  if (!timeString) return 0;
-  const [hours, minutes] = timeString.split(':').map(Number);
-  return (hours || 0) * 60 + (minutes || 0);
-};
-
 // Helper function to group nutrition items by meal_id
 const groupItemsByMealId = (items) => {
   const mealMap = new Map();
@@ -73,11 +69,13 @@ const NutritionPage = () => {
   const [nutritionItems, setNutritionItems] = useState([]); // Item-level data
   const [filteredMeals, setFilteredMeals] = useState([]);
   const [filteredItems, setFilteredItems] = useState([]); // For ingredient-level KPIs
+  // Rows without the date filter, for the chart comparisons
+  const [referenceItems, setReferenceItems] = useState(null);
   const [isProcessing, setIsProcessing] = useState(true);
 
-  const [viewMode, setViewMode] = useState('grid');
+  const [viewMode, setViewMode] = useUrlState('view', 'grid', { parse: oneOf(['grid', 'list']) });
   const [selectedMeal, setSelectedMeal] = useState(null);
-  const [activeTab, setActiveTab] = useState('content');
+  const [activeTab, setActiveTab] = useUrlState('tab', 'content', { parse: oneOf(['content', 'analysis']) });
 
   // Fetch nutrition data when component mounts
   useEffect(() => {
@@ -88,26 +86,12 @@ const NutritionPage = () => {
     }
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
-  // Process nutrition items: convert dates, parse numbers, pre-compute time values
+  // Nutrition items (dates, numbers and time values are converted by the dataset registry)
   const processedItems = useMemo(() => {
     if (!data?.nutrition) return [];
 
     console.log('🥗 Raw nutrition data:', data.nutrition.slice(0, 3));
-
-    const processed = data.nutrition.map(item => ({
-      ...item,
-      date: item.date ? new Date(item.date) : null,
-      meal_id: String(item.meal_id), // Ensure meal_id is string for grouping
-      food_quantity: parseFloat(item.food_quantity) || 0,
-      drink_quantity: parseFloat(item.drink_quantity) || 0,
-      usda_meal_score: parseFloat(item.usda_meal_score) || 0,
-      meal_assessment: parseFloat(item.meal_assessment) || 0,
-      amount: parseFloat(item.amount) || 0,
-      timeInMinutes: parseTimeToMinutes(item.time), // Pre-compute for efficient sorting
-    }));
-
-    console.log('🥗 Processed items:', processed.slice(0, 3));
-    return processed;
+    return data.nutrition;
   }, [data?.nutrition]);
 
   // Group items into meals and sort (computed once, cached)
@@ -145,7 +129,7 @@ const NutritionPage = () => {
 
   // Apply filters when FilteringPanel filters change
   // Wrapped in useCallback to prevent unnecessary re-renders
-  const handleFiltersChange = useCallback((filteredDataSources) => {
+  const handleFiltersChange = useCallback((filteredDataSources, filters, undatedSources) => {
     console.log('🥗 Filters changed:', filteredDataSources);
 
     const filteredNutritionItems = filteredDataSources.nutrition || [];
@@ -164,6 +148,7 @@ const NutritionPage = () => {
 
     setFilteredMeals(groupedFilteredMeals);
     setFilteredItems(filteredNutritionItems); // Store filtered items for KPI calculations
+    setReferenceItems(undatedSources?.nutrition || null);
   }, []);
 
   const handleMealClick = useCallback((meal) => {
@@ -200,7 +185,7 @@ const NutritionPage = () => {
               bubbleConfig={{
                 maxVisible: 10,
                 searchThreshold: 15,
-                showCounts: false
+                showCounts: true
               }}
             >
               <Filter
@@ -208,6 +193,7 @@ const NutritionPage = () => {
                 label="Meal Date"
                 field="date"
                 icon={<Calendar />}
+                followGlobalRange
                 dataSources={['nutrition']}
               />
               <Filter
@@ -396,7 +382,9 @@ const NutritionPage = () => {
               <>
                 <TimeSeriesBarChart
                   data={filteredItems}
+                  referenceData={referenceItems}
                   dateColumnName="date"
+                  dateFilterKey="date"
                   metricOptions={[
                     { value: 'meals', label: 'Number of Meals', aggregation: 'count_distinct', field: 'meal_id', decimals: 0 },
                     { value: 'ingredient occurrences', label: 'Number of Food Occurrences', aggregation: 'sum', field: 'food_quantity', decimals: 0 },
@@ -405,19 +393,39 @@ const NutritionPage = () => {
                     { value: 'meal taste', label: 'Avg Meal Taste', aggregation: 'average', field: 'meal_assessment', decimals: 1 },
                     { value: 'amount', label: 'Avg Amount', aggregation: 'average', field: 'amount', decimals: 1 }
                   ]}
+                  breakdownOptions={[
+                    { value: 'meal', label: 'Meal Type', field: 'meal' },
+                    { value: 'places', label: 'Location', field: 'places' },
+                    { value: 'origin', label: 'Origin', field: 'origin' }
+                  ]}
                   defaultMetric="meals"
                   title="Meals Over Time"
                 />
+                <CalendarHeatmap
+                  data={filteredItems}
+                  dateColumnName="date"
+                  metricOptions={[
+                    { value: 'meals', label: 'Meals Logged', aggregation: 'count_distinct', field: 'meal_id', decimals: 0 },
+                    { value: 'meal score', label: 'Avg Meal Score', aggregation: 'average', field: 'usda_meal_score', decimals: 1 }
+                  ]}
+                  defaultMetric="meals"
+                  detailColumns={[
+                    { field: 'meal', label: 'Meal' },
+                    { field: 'food', label: 'Food' },
+                    { field: 'places', label: 'Location' }
+                  ]}
+                  title="Meals Calendar"
+                />
                 <TopChart
                     data={filteredItems}
                     dimensionOptions={[
                       { value: 'food_list', label: 'Meal', field: 'food_list', labelFields: ['food_list'] },
-                      { value: 'food_category', label: 'Food Category', field: 'food_category', labelFields: ['food_category'] },
-                      { value: 'food', label: 'Food', field: 'food', labelFields: ['food'] },
-                      { value: 'drink_category', label: 'Drink Category', field: 'drink_category', labelFields: ['drink_category'] },
-                      { value: 'drink', label: 'Drink', field: 'drink', labelFields: ['drink'] },
-                      { value: 'places', label: 'Location', field: 'places', labelFields: ['places'] },
-                      { value: 'origin', label: 'Origin', field: 'origin', labelFields: ['origin'] },
+                      { value: 'food_category', label: 'Food Category', field: 'food_category', labelFields: ['food_category'], filterKey: 'food_category' },
+                      { value: 'food', label: 'Food', field: 'food', labelFields: ['food'], filterKey: 'food_category' },
+                      { value: 'drink_category', label: 'Drink Category', field: 'drink_category', labelFields: ['drink_category'], filterKey: 'drink_category' },
+                      { value: 'drink', label: 'Drink', field: 'drink', labelFields: ['drink'], filterKey: 'drink_category' },
+                      { value: 'places', label: 'Location', field: 'places', labelFields: ['places'], filterKey: 'places' },
+                      { value: 'origin', label: 'Origin', field: 'origin', labelFields: ['origin'], filterKey: 'origin' },
                     ]}
                     metricOptions={[
                       { value: 'occurences', label: 'Occurences', aggregation: 'count_distinct', field: 'meal_id', suffix: ' times', decimals: 0 },
@@ -440,9 +448,9 @@ const NutritionPage = () => {
                 <ProportionChart
                   data={filteredMeals}
                   dimensionOptions={[
-                    { value: 'meal', label: 'Meal Type', field: 'meal' },
-                    { value: 'places', label: 'Location', field: 'places' },
-                    { value: 'origin', label: 'Origin', field: 'origin' },
+                    { value: 'meal', label: 'Meal Type', field: 'meal', filterKey: 'meal' },
+                    { value: 'places', label: 'Location', field: 'places', filterKey: 'places' },
+                    { value: 'origin', label: 'Origin', field: 'origin', filterKey: 'origin' },
                     { value: 'weekday', label: 'Weekday', field: 'weekday' }
                   ]}
                   metricOptions={[
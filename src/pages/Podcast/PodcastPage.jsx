@@ -2,6 +2,8 @@ import { useState, useEffect, useMemo, useCallback } from 'react';
 import { Mic, Headphones, List, Grid, Clock, Calendar, Tag, Globe, Sparkles, Repeat, TrendingUp } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { usePageTitle } from '../../hooks/usePageTitle';
+import { useUrlState } from '../../hooks/useUrlState';
+import { oneOf } from '../../utils/urlStateUtils';
 
 // Import components
 import EpisodeDetails from './components/EpisodeDetails';
@@ -32,11 +34,13 @@ const PodcastPage = () => {
   const { data, loading, error, fetchData } = useData();
   const [podcasts, setPodcasts] = useState([]);
   const [filteredPodcasts, setFilteredPodcasts] = useState([]);
+  // Rows without the date filter, for the chart comparisons
+  const [referencePodcasts, setReferencePodcasts] = useState(null);
   const [isProcessing, setIsProcessing] = useState(true);
 
-  const [viewMode, setViewMode] = useState('grid');
+  const [viewMode, setViewMode] = useUrlState('view', 'grid', { parse: oneOf(['grid', 'list']) });
   const [selectedEpisode, setSelectedEpisode] = useState(null);
-  const [activeTab, setActiveTab] = useState('content');
+  const [activeTab, setActiveTab] = useUrlState('tab', 'content', { parse: oneOf(['content', 'analysis']) });
 
   // Fetch podcast data when component mounts
   useEffect(() => {
@@ -52,25 +56,20 @@ const PodcastPage = () => {
     if (data?.podcasts) {
       setIsProcessing(true);
 
-      // Convert timestamp strings to Date objects for JavaScript date operations
-      const processedPodcasts = data.podcasts.map(episode => ({
-        ...episode,
-        listened_date: episode.listened_date ? new Date(episode.listened_date) : null,
-        published_date: episode.published_date ? new Date(episode.published_date) : null
-      }));
-
+      // Dates are converted by the dataset registry
       // Data already sorted by Python, but set in state
-      setPodcasts(processedPodcasts);
-      setFilteredPodcasts(processedPodcasts);
+      setPodcasts(data.podcasts);
+      setFilteredPodcasts(data.podcasts);
       setIsProcessing(false);
       }
   }, [data?.podcasts]);
 
   // Apply filters when FilteringPanel filters change
   // FilteringPanel now returns pre-filtered data per source!
-  const handleFiltersChange = (filteredDataSources) => {
+  const handleFiltersChange = (filteredDataSources, filters, undatedSources) => {
     // ContentTab now handles sorting internally
     setFilteredPodcasts(filteredDataSources.podcasts || []);
+    setReferencePodcasts(undatedSources?.podcasts || null);
   };
 
   const handleEpisodeClick = useCallback((episode) => {
@@ -107,7 +106,7 @@ const PodcastPage = () => {
               bubbleConfig={{
                 maxVisible: 10,
                 searchThreshold: 15,
-                showCounts: false
+                showCounts: true
               }}
             >
               <Filter
@@ -115,6 +114,7 @@ const PodcastPage = () => {
                 label="Listened Date"
                 field="listened_date"
                 icon={<Calendar />}
+                followGlobalRange
                 dataSources={['podcasts']}
               />
               <Filter
@@ -133,6 +133,16 @@ const PodcastPage = () => {
                 placeholder="Select podcast"
                 dataSources={['podcasts']}
               />
+              <Filter
+                type="having"
+                label="Hours per Podcast"
+                field="podcast_name"
+                aggregation="sum"
+                aggregationField="listened_hours"
+                icon={<Tag />}
+                suffix=" h"
+                dataSources={['podcasts']}
+              />
               <Filter
                 type="multiselect"
                 label="Host"
@@ -316,13 +326,20 @@ const PodcastPage = () => {
               <>
                 <TimeSeriesBarChart
                   data={filteredPodcasts}
+                  referenceData={referencePodcasts}
                   dateColumnName="listened_date"
+                  dateFilterKey="listened_date"
                   metricOptions={[
                     { value: 'podcast_count', label: 'Podcasts', aggregation: 'count_distinct', field: 'podcast_id', decimals: 0 },
                     { value: 'episode_count', label: 'Episodes', aggregation: 'count_distinct', field: 'episode_uuid', decimals: 0 },
                     { value: 'listening_time', label: 'Hours', aggregation: 'sum', field: 'listened_hours', decimals: 1 },
                     { value: 'avg_completion', label: 'Average Completion Rate', aggregation: 'average', field: 'completion_percent', decimals: 1 },
                   ]}
+                  breakdownOptions={[
+                    { value: 'podcast', label: 'Podcast', field: 'podcast_name' },
+                    { value: 'genre', label: 'Genre', field: 'genre' },
+                    { value: 'language', label: 'Language', field: 'language' }
+                  ]}
                   defaultMetric="podcast_count"
                   title="Podcast Listening Activity"
                 />
@@ -336,10 +353,10 @@ const PodcastPage = () => {
                 <TopChart
                   data={filteredPodcasts}
                   dimensionOptions={[
-                    { value: 'podcast_name', label: 'Podcast', field: 'podcast_name', labelFields: ['podcast'] },
-                    { value: 'genre', label: 'Genre', field: 'genre', labelFields: ['genre'] },
-                    { value: 'artist', label: 'Host', field: 'artist', labelFields: ['artist'] },
-                    { value: 'language', label: 'Language', field: 'language', labelFields: ['language'] },
+                    { value: 'podcast_name', label: 'Podcast', field: 'podcast_name', labelFields: ['podcast'], filterKey: 'podcast_name' },
+                    { value: 'genre', label: 'Genre', field: 'genre', labelFields: ['genre'], filterKey: 'genre' },
+                    { value: 'artist', label: 'Host', field: 'artist', labelFields: ['artist'], filterKey: 'artist' },
+                    { value: 'language', label: 'Language', field: 'language', labelFields: ['language'], filterKey: 'language' },
                     { value: 'episode_title', label: 'Episode', field: 'episode_title', labelFields: ['episode_title'] },
                     { value: 'recurring', label: 'Recurring Podcasts', field: 'is_recurring_podcast', labelFields: ['is_recurring_podcast'] }
                   ]}
@@ -361,10 +378,10 @@ const PodcastPage = () => {
                 <ProportionChart
                   data={filteredPodcasts}
                   dimensionOptions={[
-                    { value: 'genre', label: 'Genre', field: 'genre' },
-                    { value: 'podcast_name', label: 'Podcast', field: 'podcast_name' },
-                    { value: 'artist', label: 'Host', field: 'artist' },
-                    { value: 'language', label: 'Language', field: 'language' },
+                    { value: 'genre', label: 'Genre', field: 'genre', filterKey: 'genre' },
+                    { value: 'podcast_name', label: 'Podcast', field: 'podcast_name', filterKey: 'podcast_name' },
+                    { value: 'artist', label: 'Host', field: 'artist', filterKey: 'artist' },
+                    { value: 'language', label: 'Language', field: 'language', filterKey: 'language' },
                     { value: 'is_recurring_podcast', label: 'Recurring', field: 'is_recurring_podcast' }
                   ]}
                   metricOptions={[
@@ -2,6 +2,8 @@ import { useState, useEffect, useMemo } from 'react';
 import { Book, Book as BookIcon, List, Grid, Clock, Calendar, Tag, User, Star } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { usePageTitle } from '../../hooks/usePageTitle';
+import { useUrlState } from '../../hooks/useUrlState';
+import { oneOf } from '../../utils/urlStateUtils';
 
 // Import components
 import BookDetails from './components/BookDetails';
@@ -24,6 +26,7 @@ import KpiCard from '../../components/charts/KpiCard';
 // Import chart components for analysis tab
 import TimeSeriesBarChart from '../../components/charts/TimeSeriesBarChart';
 import IntensityHeatmap from '../../components/charts/IntensityHeatmap';
+import CalendarHeatmap from '../../components/charts/CalendarHeatmap';
 import TopChart from '../../components/charts/TopChart';
 import ProportionChart from '../../components/charts/ProportionChart';
 
@@ -34,11 +37,13 @@ const ReadingPage = () => {
   const [filteredBooks, setFilteredBooks] = useState([]);
   const [readingEntries, setReadingEntries] = useState([]);
   const [filteredReadingEntries, setFilteredReadingEntries] = useState([]);
+  // Rows without the date filter, for the chart comparisons
+  const [referenceReadingEntries, setReferenceReadingEntries] = useState(null);
   const [isProcessing, setIsProcessing] = useState(true);
 
-  const [viewMode, setViewMode] = useState('grid');
+  const [viewMode, setViewMode] = useUrlState('view', 'grid', { parse: oneOf(['grid', 'list']) });
   const [selectedBook, setSelectedBook] = useState(null);
-  const [activeTab, setActiveTab] = useState('content');
+  const [activeTab, setActiveTab] = useUrlState('tab', 'content', { parse: oneOf(['content', 'analysis']) });
 
   // Fetch reading data when component mounts
   useEffect(() => {
@@ -55,32 +60,23 @@ const ReadingPage = () => {
     if (data?.readingBooks && data?.readingSessions) {
       setIsProcessing(true);
 
-      // Convert timestamp strings to Date objects for JavaScript date operations
-      const processedBooks = data.readingBooks.map(book => ({
-        ...book,
-        timestamp: book.timestamp ? new Date(book.timestamp) : null
-      }));
-
-      const processedSessions = data.readingSessions.map(session => ({
-        ...session,
-        timestamp: session.timestamp ? new Date(session.timestamp) : null
-      }));
-
+      // Timestamps are converted by the dataset registry
       // ContentTab now handles sorting internally
-      setBooks(processedBooks);
-      setFilteredBooks(processedBooks);
-      setReadingEntries(processedSessions);
-      setFilteredReadingEntries(processedSessions);
+      setBooks(data.readingBooks);
+      setFilteredBooks(data.readingBooks);
+      setReadingEntries(data.readingSessions);
+      setFilteredReadingEntries(data.readingSessions);
       setIsProcessing(false);
     }
   }, [data?.readingBooks, data?.readingSessions]);
 
   // Apply filters when FilteringPanel filters change
   // FilteringPanel now returns pre-filtered data per source!
-  const handleFiltersChange = (filteredDataSources) => {
+  const handleFiltersChange = (filteredDataSources, filters, undatedSources) => {
     // ContentTab now handles sorting internally
     setFilteredBooks(filteredDataSources.readingBooks || []);
     setFilteredReadingEntries(filteredDataSources.readingSessions || []);
+    setReferenceReadingEntries(undatedSources?.readingSessions || null);
   };
 
   const handleBookClick = (book) => {
@@ -118,7 +114,7 @@ const ReadingPage = () => {
               bubbleConfig={{
                 maxVisible: 10,
                 searchThreshold: 15,
-                showCounts: false
+                showCounts: true
               }}
             >
               <Filter
@@ -126,6 +122,7 @@ const ReadingPage = () => {
                 label="Reading Date"
                 field="timestamp"
                 icon={<Calendar />}
+                followGlobalRange
                 dataSources={['readingBooks', 'readingSessions']}
               />
               <Filter
@@ -304,16 +301,38 @@ const ReadingPage = () => {
               <>
                 <TimeSeriesBarChart
                   data={filteredReadingEntries}
+                  referenceData={referenceReadingEntries}
                   dateColumnName="timestamp"
+                  dateFilterKey="timestamp"
                   metricOptions={[
                     { value: 'books', label: 'Books', aggregation: 'count_distinct', field: 'book_id', decimals: 0 },
                     { value: 'pages', label: 'Pages', aggregation: 'sum', field: 'page_split', decimals: 0 },
                     { value: 'pages per session', label: 'Avg Pages per Session', aggregation: 'average', field: 'page_split', decimals: 0 },
                     { value: 'rating', label: 'Avg Rating', aggregation: 'average', field: 'my_rating', suffix: '★', decimals: 1 }
                   ]}
+                  breakdownOptions={[
+                    { value: 'format', label: 'Format', field: 'reading_format' },
+                    { value: 'genre', label: 'Genre', field: 'genre' },
+                    { value: 'fiction', label: 'Fiction/Non-Fiction', field: 'fiction_yn' }
+                  ]}
                   defaultMetric="pages"
                   title="Reading Activity by Period"
                 />
+                <CalendarHeatmap
+                  data={filteredReadingEntries}
+                  dateColumnName="timestamp"
+                  metricOptions={[
+                    { value: 'pages', label: 'Pages Read', aggregation: 'sum', field: 'page_split', decimals: 0 },
+                    { value: 'books', label: 'Books', aggregation: 'count_distinct', field: 'book_id', decimals: 0 }
+                  ]}
+                  defaultMetric="pages"
+                  detailColumns={[
+                    { field: 'title', label: 'Title' },
+                    { field: 'author', label: 'Author' },
+                    { field: 'page_split', label: 'Pages' }
+                  ]}
+                  title="Reading Calendar"
+                />
                 <IntensityHeatmap
                   data={filteredReadingEntries}
                   dateColumnName="timestamp"
@@ -324,10 +343,10 @@ const ReadingPage = () => {
                 <TopChart
                   data={filteredBooks}
                   dimensionOptions={[
-                    { value: 'author', label: 'Author', field: 'author', labelFields: ['author'] },
-                    { value: 'genre', label: 'Genre', field: 'genre', labelFields: ['genre'] },
+                    { value: 'author', label: 'Author', field: 'author', labelFields: ['author'], filterKey: 'author' },
+                    { value: 'genre', label: 'Genre', field: 'genre', labelFields: ['genre'], filterKey: 'genre' },
                     { value: 'title', label: 'Book', field: 'title', labelFields: ['title'] },
-                    { value: 'format', label: 'Format', field: 'reading_format', labelFields: ['reading_format'] }
+                    { value: 'format', label: 'Format', field: 'reading_format', labelFields: ['reading_format'], filterKey: 'reading_format' }
                   ]}
                   metricOptions={[
                     { value: 'pages', label: 'Total Pages', aggregation: 'sum', field: 'number_of_pages', suffix: ' pages', decimals: 0 },
@@ -350,10 +369,10 @@ const ReadingPage = () => {
                 <ProportionChart
                   data={filteredBooks}
                   dimensionOptions={[
-                    { value: 'genre', label: 'Genre', field: 'genre' },
-                    { value: 'author', label: 'Author', field: 'author' },
-                    { value: 'reading_format', label: 'Format', field: 'reading_format' },
-                    { value: 'fiction_yn', label: 'Fiction/Non-Fiction', field: 'fiction_yn' }
+                    { value: 'genre', label: 'Genre', field: 'genre', filterKey: 'genre' },
+                    { value: 'author', label: 'Author', field: 'author', filterKey: 'author' },
+                    { value: 'reading_format', label: 'Format', field: 'reading_format', filterKey: 'reading_format' },
+                    { value: 'fiction_yn', label: 'Fiction/Non-Fiction', field: 'fiction_yn', filterKey: 'fiction_yn' }
                   ]}
                   metricOptions={[
                     { value: 'pages', label: 'Pages', aggregation: 'sum', field: 'number_of_pages', suffix: ' pages', decimals: 0 },
@@ -2,6 +2,8 @@ import { useState, useEffect, useMemo } from 'react';
 import { Grid, List, Calendar, Star, User, Tv, Clock } from 'lucide-react';
 import { useData } from '../../context/DataContext';
 import { usePageTitle } from '../../hooks/usePageTitle';
+import { useUrlState } from '../../hooks/useUrlState';
+import { oneOf } from '../../utils/urlStateUtils';
 
 // Import components
 import EpisodeDetails from './components/EpisodeDetails';
@@ -34,10 +36,12 @@ const ShowsPage = () => {
   const { data, loading, error, fetchData } = useData();
   const [episodes, setEpisodes] = useState([]);
   const [filteredEpisodes, setFilteredEpisodes] = useState([]);
+  // Rows without the date filter, for the chart comparisons
+  const [referenceEpisodes, setReferenceEpisodes] = useState(null);
 
-  const [viewMode, setViewMode] = useState('grid');
+  const [viewMode, setViewMode] = useUrlState('view', 'grid', { parse: oneOf(['grid', 'list']) });
   const [selectedEpisode, setSelectedEpisode] = useState(null);
-  const [activeTab, setActiveTab] = useState('content');
+  const [activeTab, setActiveTab] = useUrlState('tab', 'content', { parse: oneOf(['content', 'analysis']) });
 
   // Fetch shows data when component mounts
   useEffect(() => {
@@ -49,14 +53,8 @@ const ShowsPage = () => {
   // Process episodes data when it's loaded
   useEffect(() => {
     if (data?.shows) {
-      // Convert timestamp strings to Date objects for JavaScript date operations
-      const processedEpisodes = data.shows.map(episode => ({
-        ...episode,
-        watched_at: episode.watched_at ? new Date(episode.watched_at) : null
-      }));
-
-      // Sort by most recent first
-      const sortedEpisodes = sortByDateSafely(processedEpisodes, 'watched_at');
+      // Sort by most recent first (dates are converted by the dataset registry)
+      const sortedEpisodes = sortByDateSafely(data.shows, 'watched_at');
 
       setEpisodes(sortedEpisodes);
       setFilteredEpisodes(sortedEpisodes);
@@ -65,11 +63,12 @@ const ShowsPage = () => {
   }, [data?.shows]);
 
   // Apply filters when FilteringPanel filters change
-  const handleFiltersChange = (filteredDataSources) => {
+  const handleFiltersChange = (filteredDataSources, filters, undatedSources) => {
     // Re-sort filtered data (most recent first)
     const sortedEpisodes = sortByDateSafely(filteredDataSources.shows || [], 'watched_at');
 
     setFilteredEpisodes(sortedEpisodes);
+    setReferenceEpisodes(undatedSources?.shows || null);
   };
 
   const handleEpisodeClick = (episode) => {
@@ -106,7 +105,7 @@ const ShowsPage = () => {
               bubbleConfig={{
                 maxVisible: 10,
                 searchThreshold: 15,
-                showCounts: false
+                showCounts: true
               }}
             >
               <Filter
@@ -114,6 +113,7 @@ const ShowsPage = () => {
                 label="Watch Date"
                 field="watched_at"
                 icon={<Calendar />}
+                followGlobalRange
                 dataSources={['shows']}
               />
               <Filter
@@ -132,6 +132,16 @@ const ShowsPage = () => {
                 placeholder="Select shows"
                 dataSources={['shows']}
               />
+              <Filter
+                type="having"
+                label="Seasons Watched"
+                field="show_title"
+                aggregation="count_distinct"
+                aggregationField="season_show_id"
+                icon={<Tv />}
+                suffix=" seasons"
+                dataSources={['shows']}
+              />
               <Filter
                 type="multiselect"
                 label="Show Rating"
@@ -304,7 +314,9 @@ const ShowsPage = () => {
               <>
                 <TimeSeriesBarChart
                   data={filteredEpisodes}
+                  referenceData={referenceEpisodes}
                   dateColumnName="watched_at"
+                  dateFilterKey="watched_at"
                   metricOptions={[
                     { value: 'episodes', label: 'Episodes Watched', aggregation: 'count', field: 'watch_id', decimals: 0 },
                     { value: 'runtime', label: 'Runtime', aggregation: 'sum', field: 'episode_runtime_hours', decimals: 1 },
@@ -328,11 +340,11 @@ const ShowsPage = () => {
                 <TopChart
                   data={filteredEpisodes}
                   dimensionOptions={[
-                    { value: 'show_title', label: 'Show', field: 'show_title', labelFields: ['show_title'] },
+                    { value: 'show_title', label: 'Show', field: 'show_title', labelFields: ['show_title'], filterKey: 'show_title' },
                     { value: 'show_year', label: 'Release Year', field: 'show_year', labelFields: ['show_year'] },
-                    { value: 'episode_cast', label: 'Actor', field: 'episode_cast', labelFields: ['episode_cast'], delimiter: ',' },
-                    { value: 'episode_director', label: 'Director', field: 'episode_director', labelFields: ['episode_director'], delimiter: ',' },
-                    { value: 'episode_writer', label: 'Writer', field: 'episode_writer', labelFields: ['episode_writer'], delimiter: ',' }
+                    { value: 'episode_cast', label: 'Actor', field: 'episode_cast', labelFields: ['episode_cast'], delimiter: ',', filterKey: 'episode_cast' },
+                    { value: 'episode_director', label: 'Director', field: 'episode_director', labelFields: ['episode_director'], delimiter: ',', filterKey: 'episode_director' },
+                    { value: 'episode_writer', label: 'Writer', field: 'episode_writer', labelFields: ['episode_writer'], delimiter: ',', filterKey: 'episode_writer' }
                   ]}
                   metricOptions={[
                     { value: 'watch_id', label: 'Episodes', aggregation: 'count_distinct', field: 'watch_id', suffix: ' episodes', decimals: 0 },
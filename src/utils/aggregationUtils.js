@@ -0,0 +1,715 @@
+/**
+ * Aggregation Utilities
+ *
+ * Time bucketing and group-by aggregation shared by the chart components and
+ * the server-side aggregate API (/api/aggregate). Values are computed with
+ * performComputation so remote and local charts agree.
+ *
+ * Imported by the server as well, so relative imports need explicit .js extensions.
+ */
+
+import { applyMetricFilter, performComputation } from './computationUtils.js';
+
+export const TIME_BUCKETS = ['hourly', 'daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+export const WEEKDAY_TIME_PERIOD_BUCKET = 'weekday_time_period';
+// Groups by parts of the date (bucketParts), e.g. month x weekday
+export const CALENDAR_BUCKET = 'calendar';
+export const CALENDAR_PARTS = ['weekday', 'time_period', 'hour', 'month', 'day_of_month', 'year'];
+export const AGGREGATIONS = ['count', 'count_distinct', 'sum', 'average', 'median'];
+
+// Fixed time periods - ordered from morning to night
+export const TIME_PERIODS = {
+  MORNING: { start: 6, end: 11, label: 'Morning' },
+  AFTERNOON: { start: 12, end: 17, label: 'Afternoon' },
+  EVENING: { start: 18, end: 23, label: 'Evening' },
+  NIGHT: { start: 0, end: 5, label: 'Night' }
+};
+
+// Special period for 00:00 timestamps (paper books, dates without time)
+export const UNKNOWN_TIME_PERIOD = 'UNKNOWN';
+
+// Metric config keys understood by applyMetricFilter
+const METRIC_FILTER_KEYS = ['filterConditions', 'filterField', 'filterValue'];
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ============================================================================
+// TIME BUCKETS
+// ============================================================================
+
+/**
+ * Converts a date column value to a Date
+ * @param {Date|string|number} value - Date value
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+export const toDate = (value) => {
+  if (isEmptyValue(value)) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Returns the start of the week (Monday) for a given date
+ * @param {Date} date - Any date
+ * @returns {Date} Monday of the same week (time of day preserved)
+ */
+export const getWeekStart = (date) => {
+  const d = new Date(date);
+  const day = d.getDay();
+  const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust when day is Sunday
+  return new Date(d.setDate(diff));
+};
+
+const pad2 = (value) => value.toString().padStart(2, '0');
+
+// YYYY-MM-DD of a date's local day
+const getDayKey = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+/**
+ * Returns the sortable key of the period containing a date
+ * Keys are built from local date parts, like the labels read them.
+ * @param {Date} date - Date to bucket
+ * @param {string} bucket - 'hourly' | 'daily' | 'weekly' | 'monthly' | 'quarterly' | 'yearly'
+ * @returns {string} 'YYYY', 'YYYY-Qn', 'YYYY-MM', 'YYYY-MM-DD' or 'YYYY-MM-DDTHH'
+ */
+export const getPeriodKey = (date, bucket) => {
+  if (bucket === 'yearly') {
+    return date.getFullYear().toString();
+  } else if (bucket === 'quarterly') {
+    return `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+  } else if (bucket === 'monthly') {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}`;
+  } else if (bucket === 'weekly') {
+    return getDayKey(getWeekStart(date));
+  } else if (bucket === 'hourly') {
+    // An hour's key starts with its day's key
+    return `${getDayKey(date)}T${pad2(date.getHours())}`;
+  }
+  return getDayKey(date);
+};
+
+/**
+ * Returns a display label for a period key
+ * @param {string} periodKey - Key returned by getPeriodKey
+ * @param {string} bucket - Bucket the key was generated with
+ * @returns {string} Localised label (e.g., 'Jan 2024')
+ */
+export const getPeriodLabel = (periodKey, bucket) => {
+  if (bucket === 'yearly' || bucket === 'quarterly') {
+    return periodKey.replace('-', ' ');
+  }
+
+  const [dayKey, hour] = periodKey.split('T');
+  const [year, month, day = 1] = dayKey.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  if (bucket === 'monthly') {
+    return date.toLocaleString('default', { month: 'short', year: 'numeric' });
+  }
+  if (bucket === 'hourly') {
+    return `${date.toLocaleDateString()} ${hour}:00`;
+  }
+  return date.toLocaleDateString();
+};
+
+// Move a date to the start of its period (local time)
+const getPeriodStart = (date, bucket) => {
+  if (bucket === 'hourly') {
+    const start = new Date(date);
+    start.setMinutes(0, 0, 0);
+    return start;
+  }
+  const start = bucket === 'weekly' ? getWeekStart(date) : new Date(date);
+  if (bucket === 'yearly') {
+    start.setMonth(0, 1);
+  } else if (bucket === 'quarterly') {
+    start.setMonth(Math.floor(start.getMonth() / 3) * 3, 1);
+  } else if (bucket === 'monthly') {
+    start.setDate(1);
+  }
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+// Advance a period start to the next period
+const advancePeriod = (date, bucket) => {
+  if (bucket === 'yearly') {
+    date.setFullYear(date.getFullYear() + 1);
+  } else if (bucket === 'quarterly') {
+    date.setMonth(date.getMonth() + 3);
+  } else if (bucket === 'monthly') {
+    date.setMonth(date.getMonth() + 1);
+  } else if (bucket === 'weekly') {
+    date.setDate(date.getDate() + 7);
+  } else if (bucket === 'hourly') {
+    // Elapsed time rather than wall-clock hours, so DST changes skip no key
+    date.setTime(date.getTime() + HOUR_MS);
+  } else {
+    date.setDate(date.getDate() + 1);
+  }
+};
+
+// Longest date span (in days) of an hourly series, whichever way it is picked:
+// gap-filling years of hours would make tens of thousands of periods
+export const MAX_HOURLY_DAYS = 3;
+
+// Longest date span (in days) shown with each bucket by the 'auto' granularity
+const AUTO_BUCKET_MAX_DAYS = [
+  ['hourly', MAX_HOURLY_DAYS],
+  ['daily', 92],
+  ['weekly', 731],
+  ['monthly', 366 * 8]
+];
+
+/**
+ * Picks the bucket of a date span, for roughly 30 to 100 periods
+ * @param {Date|null} startDate - First date shown
+ * @param {Date|null} endDate - Last date shown
+ * @returns {string} 'hourly' up to 3 days, 'daily' up to 3 months, 'weekly' up to 2 years,
+ *   'monthly' up to 8 years, then 'yearly' ('monthly' without dates)
+ */
+export const pickTimeBucket = (startDate, endDate) => {
+  if (!startDate || !endDate) return 'monthly';
+  const days = (endDate - startDate) / DAY_MS;
+  const match = AUTO_BUCKET_MAX_DAYS.find(([, maxDays]) => days <= maxDays);
+  return match ? match[0] : 'yearly';
+};
+
+/**
+ * Whether a date span is too long (or unknown) for the hourly bucket
+ * @param {Date|null} startDate - First date shown
+ * @param {Date|null} endDate - Last date shown
+ * @returns {boolean} true past MAX_HOURLY_DAYS, or without dates
+ */
+export const exceedsHourlySpan = (startDate, endDate) =>
+  !startDate || !endDate || (endDate - startDate) / DAY_MS > MAX_HOURLY_DAYS;
+
+/**
+ * Bucket used for a chosen bucket and date span: 'hourly' past MAX_HOURLY_DAYS
+ * falls back to the bucket picked by pickTimeBucket, the others are kept
+ * @param {string} bucket - Chosen bucket (TIME_BUCKETS)
+ * @param {Date|null} startDate - First date shown
+ * @param {Date|null} endDate - Last date shown
+ * @returns {string} Bucket
+ */
+export const resolveTimeBucket = (bucket, startDate, endDate) =>
+  (bucket === 'hourly' && exceedsHourlySpan(startDate, endDate) ? pickTimeBucket(startDate, endDate) : bucket);
+
+/**
+ * Returns the first and last dates of a date column
+ * @param {Array} rows - Rows to scan
+ * @param {string} dateField - Date column
+ * @returns {Object} { minDate, maxDate }, null without valid dates
+ */
+export const getDateExtent = (rows, dateField) => {
+  let minDate = null;
+  let maxDate = null;
+  rows.forEach(row => {
+    const date = toDate(row[dateField]);
+    if (!date) return;
+    if (!minDate || date < minDate) minDate = date;
+    if (!maxDate || date > maxDate) maxDate = date;
+  });
+  return { minDate, maxDate };
+};
+
+/**
+ * Parses a timestamp into its calendar parts (CALENDAR_PARTS)
+ * Timestamps stored with a '+00:00' offset are read as local wall-clock time.
+ *
+ * @param {Date|string} rawTimestamp - Timestamp value
+ * @param {boolean} treatMidnightAsUnknown - Map 00:00 to the UNKNOWN period and hour
+ * @returns {Object|null} { weekday (0 = Monday), time_period, hour (0-23), month (0 = January),
+ *   day_of_month (1-31), year } or null
+ */
+export const getCalendarParts = (rawTimestamp, treatMidnightAsUnknown = true) => {
+  let date;
+
+  if (typeof rawTimestamp === 'string') {
+    const utcParts = rawTimestamp.split(/[^0-9]/);
+    if (rawTimestamp.includes('+00:00') && utcParts.length >= 6) {
+      date = new Date(
+        parseInt(utcParts[0]),
+        parseInt(utcParts[1]) - 1,
+        parseInt(utcParts[2]),
+        parseInt(utcParts[3]),
+        parseInt(utcParts[4]),
+        parseInt(utcParts[5] || 0)
+      );
+    } else {
+      date = new Date(rawTimestamp);
+    }
+  } else if (rawTimestamp instanceof Date) {
+    date = rawTimestamp;
+  } else {
+    return null;
+  }
+
+  if (!date || isNaN(date.getTime())) return null;
+
+  const hour = date.getHours();
+  const minutes = date.getMinutes();
+  const day = date.getDay();
+  const isUnknownTime = treatMidnightAsUnknown && hour === 0 && minutes === 0;
+
+  let timePeriod;
+  if (isUnknownTime) {
+    timePeriod = UNKNOWN_TIME_PERIOD;
+  } else {
+    timePeriod = Object.keys(TIME_PERIODS).find(p => {
+      const { start, end } = TIME_PERIODS[p];
+      return hour >= start && hour <= end;
+    });
+  }
+
+  if (!timePeriod) return null;
+
+  return {
+    weekday: day === 0 ? 6 : day - 1,
+    time_period: timePeriod,
+    hour: isUnknownTime ? UNKNOWN_TIME_PERIOD : hour,
+    month: date.getMonth(),
+    day_of_month: date.getDate(),
+    year: date.getFullYear()
+  };
+};
+
+/**
+ * Parses a timestamp into its weekday and time period
+ * @param {Date|string} rawTimestamp - Timestamp value
+ * @param {boolean} treatMidnightAsUnknown - Map 00:00 to the UNKNOWN period
+ * @returns {Object|null} { weekdayIndex (0 = Monday), timePeriod } or null
+ */
+export const getWeekdayTimePeriod = (rawTimestamp, treatMidnightAsUnknown = true) => {
+  const parts = getCalendarParts(rawTimestamp, treatMidnightAsUnknown);
+  return parts && { weekdayIndex: parts.weekday, timePeriod: parts.time_period };
+};
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+/**
+ * Extracts the filter part of a metric config (filterConditions or legacy filterField/filterValue)
+ * @param {Object} metricConfig - Chart metric option
+ * @returns {Object|null} Filter object accepted by applyMetricFilter, or null when unfiltered
+ */
+export const pickMetricFilter = (metricConfig) => {
+  if (!metricConfig) return null;
+  const filter = {};
+  METRIC_FILTER_KEYS.forEach(key => {
+    if (metricConfig[key] !== undefined) filter[key] = metricConfig[key];
+  });
+  return Object.keys(filter).length > 0 ? filter : null;
+};
+
+/**
+ * Aggregates rows into a continuous time series
+ * Empty periods between the first and last period with data are filled with
+ * the default value. For sum/average/median, only rows with a non-zero metric
+ * value define the range, so series don't start with a run of zeros.
+ *
+ * @param {Array} rows - Rows to aggregate
+ * @param {Object} options
+ * @param {string} options.dateField - Date column
+ * @param {string} options.bucket - 'hourly' | 'daily' | 'weekly' | 'monthly' | 'quarterly' | 'yearly'
+ * @param {string} [options.aggregation='count'] - performComputation type
+ * @param {string} [options.field] - Field to aggregate
+ * @param {number|null} [options.decimals] - Rounding passed to performComputation
+ * @returns {Array} [{ period, value, count }] sorted chronologically
+ */
+export const buildTimeSeries = (rows, { dateField, bucket, aggregation = 'count', field, decimals = null }) => {
+  const hasValidMetricData = (row) => {
+    if (aggregation === 'count' || aggregation === 'count_distinct' || !field) return true;
+    const value = row[field];
+    return !isEmptyValue(value) && !Number.isNaN(Number(value)) && Number(value) !== 0;
+  };
+
+  const periodGroups = {};
+  let minDate = null;
+  let maxDate = null;
+
+  rows.forEach(row => {
+    const date = toDate(row[dateField]);
+    if (!date) return;
+
+    if (hasValidMetricData(row)) {
+      if (!minDate || date < minDate) minDate = date;
+      if (!maxDate || date > maxDate) maxDate = date;
+    }
+
+    const periodKey = getPeriodKey(date, bucket);
+    if (!periodGroups[periodKey]) periodGroups[periodKey] = [];
+    periodGroups[periodKey].push(row);
+  });
+
+  if (!minDate) return [];
+
+  // Fill in missing periods (for continuous time series)
+  const currentDate = getPeriodStart(minDate, bucket);
+  while (currentDate <= maxDate) {
+    const periodKey = getPeriodKey(currentDate, bucket);
+    if (!periodGroups[periodKey]) periodGroups[periodKey] = [];
+    advancePeriod(currentDate, bucket);
+  }
+
+  const minPeriodKey = getPeriodKey(minDate, bucket);
+  const maxPeriodKey = getPeriodKey(maxDate, bucket);
+
+  return Object.keys(periodGroups)
+    .filter(periodKey => periodKey >= minPeriodKey && periodKey <= maxPeriodKey)
+    .sort()
+    .map(periodKey => ({
+      period: periodKey,
+      value: performComputation(periodGroups[periodKey], field, aggregation, { decimals, defaultValue: 0 }),
+      count: periodGroups[periodKey].length
+    }));
+};
+
+/**
+ * Groups rows by dimension(s) and/or a time bucket and aggregates each group
+ *
+ * Rows whose group-by value is empty or 'Unknown' are skipped. Fields listed in
+ * `delimiters` are split so a row counts once for each of its values.
+ *
+ * @param {Array} rows - Rows to aggregate
+ * @param {Object} options
+ * @param {Array<string>} [options.groupBy=[]] - Dimension fields
+ * @param {Object} [options.delimiters={}] - { field: delimiter } for delimited dimensions
+ * @param {string} [options.bucket] - Time bucket, 'weekday_time_period' or 'calendar'
+ * @param {Array<string>} [options.bucketParts=[]] - CALENDAR_PARTS grouped by the 'calendar' bucket
+ * @param {string} [options.dateField] - Date column used by the bucket
+ * @param {boolean} [options.treatMidnightAsUnknown=true] - For 'weekday_time_period' and 'calendar'
+ * @param {string} [options.aggregation='count'] - performComputation type
+ * @param {string} [options.field] - Field to aggregate
+ * @param {number|null} [options.decimals] - Rounding passed to performComputation
+ * @param {Object} [options.metricFilter] - Filter applied first (see pickMetricFilter)
+ * @param {Array<string>} [options.columns=[]] - Extra columns copied from the first row of each group
+ * @returns {Array} [{ ...groupValues, period | weekday + time_period | ...bucketParts, value, count }]
+ */
+export const aggregateRows = (rows, {
+  groupBy = [],
+  delimiters = {},
+  bucket,
+  bucketParts = [],
+  dateField,
+  treatMidnightAsUnknown = true,
+  aggregation = 'count',
+  field,
+  decimals = null,
+  metricFilter = null,
+  columns = []
+} = {}) => {
+  const filteredRows = applyMetricFilter(rows, metricFilter);
+
+  if (TIME_BUCKETS.includes(bucket) && groupBy.length === 0) {
+    return buildTimeSeries(filteredRows, { dateField, bucket, aggregation, field, decimals });
+  }
+
+  const groups = new Map();
+
+  const addToGroup = (row, keyValues) => {
+    const key = JSON.stringify(keyValues);
+    if (!groups.has(key)) groups.set(key, { keyValues, rows: [] });
+    groups.get(key).rows.push(row);
+  };
+
+  filteredRows.forEach(row => {
+    // Bucket keys first, they are the same for every dimension value
+    let bucketValues = {};
+    if (bucket === WEEKDAY_TIME_PERIOD_BUCKET || bucket === CALENDAR_BUCKET) {
+      const parts = getCalendarParts(row[dateField], treatMidnightAsUnknown);
+      if (!parts) return;
+      const partNames = bucket === CALENDAR_BUCKET ? bucketParts : ['weekday', 'time_period'];
+      bucketValues = Object.fromEntries(partNames.map(part => [part, parts[part]]));
+    } else if (bucket) {
+      const date = toDate(row[dateField]);
+      if (!date) return;
+      bucketValues = { period: getPeriodKey(date, bucket) };
+    }
+
+    // Expand delimited dimensions into every combination of their values
+    let combinations = [{}];
+    for (const dimension of groupBy) {
+      const rawValue = row[dimension];
+      const values = delimiters[dimension] && typeof rawValue === 'string'
+        ? rawValue.split(delimiters[dimension]).map(v => v.trim())
+        : [rawValue];
+      const validValues = values.filter(v => !isEmptyValue(v) && v !== 'Unknown' && v.toString().trim() !== '');
+      if (validValues.length === 0) return;
+
+      combinations = combinations.flatMap(combination =>
+        validValues.map(value => ({ ...combination, [dimension]: value }))
+      );
+    }
+
+    combinations.forEach(combination => addToGroup(row, { ...combination, ...bucketValues }));
+  });
+
+  return Array.from(groups.values()).map(({ keyValues, rows: groupRows }) => {
+    const extraColumns = {};
+    columns.forEach(column => {
+      extraColumns[column] = groupRows[0][column] ?? null;
+    });
+
+    return {
+      ...extraColumns,
+      ...keyValues,
+      value: performComputation(groupRows, field, aggregation, { decimals, defaultValue: 0 }),
+      count: groupRows.length
+    };
+  });
+};
+
+// ============================================================================
+// PERIOD COMPARISON
+// ============================================================================
+
+/**
+ * Reference periods a time series can be compared with
+ * - previous: the period just before (month-over-month with monthly buckets)
+ * - year: the same period one year earlier (year-over-year)
+ * - custom: a reference range, aligned period by period with the series
+ */
+export const COMPARISON_MODES = ['none', 'previous', 'year', 'custom'];
+
+// Buckets in a year; weeks, days and hours go back 52 weeks so weekdays line up
+const PERIODS_PER_YEAR = { yearly: 1, quarterly: 4, monthly: 12, weekly: 52, daily: 364, hourly: 364 * 24 };
+
+/**
+ * Moves a period key by a number of buckets
+ * @param {string} periodKey - Key returned by getPeriodKey
+ * @param {string} bucket - Bucket the key was generated with
+ * @param {number} steps - Buckets to move (negative goes back)
+ * @returns {string} Period key
+ */
+export const shiftPeriodKey = (periodKey, bucket, steps) => {
+  if (bucket === 'yearly') {
+    return String(Number(periodKey) + steps);
+  }
+  if (bucket === 'quarterly') {
+    const [year, quarter] = periodKey.split('-Q').map(Number);
+    const index = year * 4 + quarter - 1 + steps;
+    return `${Math.floor(index / 4)}-Q${(index % 4) + 1}`;
+  }
+  if (bucket === 'monthly') {
+    const [year, month] = periodKey.split('-').map(Number);
+    const index = year * 12 + month - 1 + steps;
+    return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+  }
+  if (bucket === 'hourly') {
+    // Elapsed hours from the local hour, like the periods of buildTimeSeries
+    const [dayKey, hour] = periodKey.split('T');
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return getPeriodKey(new Date(new Date(year, month - 1, day, Number(hour)).getTime() + steps * HOUR_MS), bucket);
+  }
+  // Daily and weekly keys are calendar dates, shifted in UTC so no DST change skips a day
+  const days = bucket === 'weekly' ? steps * 7 : steps;
+  return new Date(Date.parse(periodKey) + days * DAY_MS).toISOString().split('T')[0];
+};
+
+/**
+ * Returns the days covered by a period key
+ * @param {string} periodKey - Key returned by getPeriodKey
+ * @param {string} bucket - Bucket the key was generated with
+ * @returns {Object} { startDate, endDate } as YYYY-MM-DD, both included
+ */
+export const getPeriodDateRange = (periodKey, bucket) => {
+  if (bucket === 'yearly') {
+    return { startDate: `${periodKey}-01-01`, endDate: `${periodKey}-12-31` };
+  }
+  if (bucket === 'quarterly' || bucket === 'monthly') {
+    const [year, period] = bucket === 'quarterly'
+      ? periodKey.split('-Q').map(Number)
+      : periodKey.split('-').map(Number);
+    const firstMonth = bucket === 'quarterly' ? (period - 1) * 3 + 1 : period;
+    const lastMonth = bucket === 'quarterly' ? firstMonth + 2 : firstMonth;
+    // Day 0 of the following month is the last day of the period
+    const endDate = new Date(Date.UTC(year, lastMonth, 0)).toISOString().split('T')[0];
+    return { startDate: `${year}-${String(firstMonth).padStart(2, '0')}-01`, endDate };
+  }
+  if (bucket === 'weekly') {
+    return { startDate: periodKey, endDate: shiftPeriodKey(periodKey, 'daily', 6) };
+  }
+  // An hour filters on its whole day (date filters are by day)
+  const dayKey = periodKey.slice(0, 10);
+  return { startDate: dayKey, endDate: dayKey };
+};
+
+// Reference period of each period of a series, for a comparison mode
+const getReferencePeriods = (periods, bucket, mode, referenceStart) => {
+  if (mode === 'none' || !COMPARISON_MODES.includes(mode) || periods.length === 0) return null;
+  if (mode === 'custom' && !referenceStart) return null;
+
+  // The reference day is read as a local day; hours start at its first hour
+  let referenceKey = null;
+  if (mode === 'custom') {
+    referenceKey = bucket === 'hourly'
+      ? `${referenceStart}T00`
+      : getPeriodKey(new Date(`${referenceStart}T12:00:00`), bucket);
+  }
+
+  return periods.map((period, index) => {
+    if (mode === 'previous') return shiftPeriodKey(period, bucket, -1);
+    if (mode === 'year') return shiftPeriodKey(period, bucket, -PERIODS_PER_YEAR[bucket]);
+    return shiftPeriodKey(referenceKey, bucket, index);
+  });
+};
+
+/**
+ * Returns the days covered by the reference periods of a series
+ * Used to aggregate the references from rows outside the series (e.g., before a date filter).
+ *
+ * @param {Array<string>} periods - Period keys of the series, in order
+ * @param {string} bucket - Bucket of the series
+ * @param {string} mode - One of COMPARISON_MODES
+ * @param {string} [referenceStart] - YYYY-MM-DD start of the reference range ('custom')
+ * @returns {Object|null} { startDate, endDate } as YYYY-MM-DD, null without comparison
+ */
+export const getComparisonRange = (periods, bucket, mode, referenceStart = null) => {
+  const referencePeriods = getReferencePeriods(periods, bucket, mode, referenceStart);
+  if (!referencePeriods) return null;
+  return {
+    startDate: getPeriodDateRange(referencePeriods[0], bucket).startDate,
+    endDate: getPeriodDateRange(referencePeriods[referencePeriods.length - 1], bucket).endDate
+  };
+};
+
+/**
+ * Adds the value of a reference period to each point of a time series
+ * Reference values are read from referenceSeries, or from the series itself
+ * without it; points whose reference period is missing get null.
+ *
+ * @param {Array} series - [{ period, value }] continuous series (buildTimeSeries)
+ * @param {string} bucket - Bucket of the series
+ * @param {string} mode - One of COMPARISON_MODES
+ * @param {string} [referenceStart] - YYYY-MM-DD start of the reference range ('custom')
+ * @param {Array} [referenceSeries] - [{ period, value }] covering getComparisonRange
+ * @returns {Array} Points with { referencePeriod, reference, delta, percentChange } added
+ */
+export const addPeriodComparison = (series, bucket, mode, referenceStart = null, referenceSeries = null) => {
+  const referencePeriods = getReferencePeriods(series.map(point => point.period), bucket, mode, referenceStart);
+  if (!referencePeriods) return series;
+
+  const values = new Map((referenceSeries || series).map(point => [point.period, point.value]));
+
+  return series.map((point, index) => {
+    const referencePeriod = referencePeriods[index];
+    const reference = values.has(referencePeriod) ? values.get(referencePeriod) : null;
+    const delta = reference === null ? null : point.value - reference;
+    return {
+      ...point,
+      referencePeriod,
+      reference,
+      delta,
+      percentChange: reference ? (delta / Math.abs(reference)) * 100 : null
+    };
+  });
+};
+
+// ============================================================================
+// BREAKDOWN SERIES
+// ============================================================================
+
+// Aggregations whose "Other" value is the mean of its categories, weighted by row count
+const MEAN_AGGREGATIONS = ['average', 'median'];
+
+/**
+ * Pivots per-period, per-category aggregates into one series per category
+ * Categories are ranked by total value (row count for averages and medians);
+ * with more than maxSeries categories, the lowest ranked are merged into
+ * "Other" (same rule as ProportionChart). "Other" sums its categories, or
+ * averages them weighted by row count for averages and medians, so
+ * count_distinct values counted in several categories are counted again.
+ * Missing periods and categories are filled with 0.
+ *
+ * @param {Array} rows - [{ [dimension], period, value, count }] (aggregateRows with groupBy and a time bucket)
+ * @param {Object} options
+ * @param {string} options.dimension - Category field
+ * @param {string} options.bucket - Time bucket of the periods
+ * @param {string} [options.aggregation='count'] - Aggregation of the values
+ * @param {number} [options.maxSeries=8] - Maximum number of series, "Other" included
+ * @param {boolean} [options.cumulative=false] - Accumulate each series over time (cumsum)
+ * @param {boolean} [options.share=false] - Convert values to percentages of each period's total
+ * @param {number|null} [options.decimals] - Rounding of cumulative values
+ * @returns {Object} { categories: [{ key, name, isOther }], points: [{ period, [key]: value }] }
+ *   where key is a series key safe to use as a chart dataKey
+ */
+export const pivotBreakdown = (rows, {
+  dimension,
+  bucket,
+  aggregation = 'count',
+  maxSeries = 8,
+  cumulative = false,
+  share = false,
+  decimals = null
+}) => {
+  const validRows = rows.filter(row => !isEmptyValue(row[dimension]) && !isEmptyValue(row.period));
+  if (validRows.length === 0) return { categories: [], points: [] };
+
+  const isMean = MEAN_AGGREGATIONS.includes(aggregation);
+
+  // Rank categories
+  const totals = new Map();
+  validRows.forEach(row => {
+    const name = String(row[dimension]);
+    totals.set(name, (totals.get(name) || 0) + (isMean ? row.count : row.value));
+  });
+  const ranked = [...totals.keys()].sort((a, b) => totals.get(b) - totals.get(a) || a.localeCompare(b));
+  const keptNames = ranked.length > maxSeries ? ranked.slice(0, Math.max(1, maxSeries - 1)) : ranked;
+  const hasOther = keptNames.length < ranked.length;
+
+  const categories = keptNames.map((name, index) => ({ key: `breakdown_${index}`, name, isOther: false }));
+  if (hasOther) categories.push({ key: 'breakdown_other', name: 'Other', isOther: true });
+  const keyByName = new Map(categories.filter(category => !category.isOther).map(category => [category.name, category.key]));
+
+  // Sum (or weight) values per period and series
+  const cells = new Map();
+  validRows.forEach(row => {
+    const key = keyByName.get(String(row[dimension])) || 'breakdown_other';
+    const cellKey = `${row.period}|${key}`;
+    const cell = cells.get(cellKey) || { sum: 0, weighted: 0, count: 0 };
+    cell.sum += row.value;
+    cell.weighted += row.value * row.count;
+    cell.count += row.count;
+    cells.set(cellKey, cell);
+  });
+  const cellValue = (period, key) => {
+    const cell = cells.get(`${period}|${key}`);
+    if (!cell) return 0;
+    return isMean && key === 'breakdown_other' ? (cell.count ? cell.weighted / cell.count : 0) : cell.sum;
+  };
+
+  // Continuous periods from the first to the last
+  const periodKeys = [...new Set(validRows.map(row => row.period))].sort();
+  const lastPeriod = periodKeys[periodKeys.length - 1];
+  const periods = [periodKeys[0]];
+  while (periods[periods.length - 1] < lastPeriod) {
+    periods.push(shiftPeriodKey(periods[periods.length - 1], bucket, 1));
+  }
+
+  const runningTotals = {};
+  const points = periods.map(period => {
+    const point = { period };
+    categories.forEach(({ key }) => {
+      let value = cellValue(period, key);
+      if (cumulative) {
+        runningTotals[key] = (runningTotals[key] || 0) + value;
+        value = decimals === null ? runningTotals[key] : parseFloat(runningTotals[key].toFixed(decimals));
+      }
+      point[key] = value;
+    });
+
+    if (share) {
+      const periodTotal = categories.reduce((sum, { key }) => sum + point[key], 0);
+      categories.forEach(({ key }) => {
+        point[key] = periodTotal ? (point[key] / periodTotal) * 100 : 0;
+      });
+    }
+    return point;
+  });
+
+  return { categories, points };
+};
@@ -0,0 +1,44 @@
+/**
+ * Chart Palette
+ *
+ * Category colors shared by the charts splitting a metric by dimension
+ * (ProportionChart slices, TimeSeriesBarChart breakdown series).
+ */
+
+// Color palette for categories (from design tokens)
+export const CATEGORY_COLORS = [
+  '#3423A6',  // Primary purple
+  '#3B82F6',  // Blue (timeline-1)
+  '#14B8A6',  // Teal (timeline-2)
+  '#F97316',  // Orange (timeline-3)
+  '#A78BFA',  // Lavender (timeline-4)
+  '#10B981',  // Green (timeline-5)
+  '#FB4B4E',  // Accent red
+  '#9CA3AF',  // Gray (for "Other")
+];
+
+// Color of the "Other" category
+export const OTHER_COLOR = CATEGORY_COLORS[CATEGORY_COLORS.length - 1];
+
+// Extended colors for drill-down view
+export const EXTENDED_COLORS = [
+  ...CATEGORY_COLORS,
+  '#6366F1',  // Indigo
+  '#EC4899',  // Pink
+  '#8B5CF6',  // Violet
+  '#06B6D4',  // Cyan
+  '#84CC16',  // Lime
+  '#F59E0B',  // Amber
+  '#EF4444',  // Red
+  '#6B7280',  // Gray
+];
+
+/**
+ * Returns the color of a category by rank ("Other" is always gray)
+ * @param {number} index - Rank of the category
+ * @param {boolean} [isOther=false] - Whether the category groups the remaining ones
+ * @returns {string} Hex color
+ */
+export const getCategoryColor = (index, isOther = false) => (
+  isOther ? OTHER_COLOR : CATEGORY_COLORS[index % CATEGORY_COLORS.length]
+);
@@ -0,0 +1,263 @@
+/**
+ * Correlation Utilities
+ *
+ * Scatter points of one numeric field against another, either per row or per
+ * time period, with the statistics drawn by CorrelationChart: least-squares
+ * regression, Pearson and Spearman coefficients and outliers.
+ */
+
+import { performComputation, applyMetricFilter, resolveMetricDataSource } from './computationUtils';
+import { getPeriodKey, getPeriodLabel, toDate } from './aggregationUtils';
+
+// 'none' plots one point per row, the others one point per period
+export const CORRELATION_GROUPINGS = ['none', 'daily', 'weekly', 'monthly'];
+
+// Standardised residual beyond which a point is an outlier
+export const DEFAULT_OUTLIER_THRESHOLD = 2;
+
+// Points needed before coefficients mean anything
+const MIN_POINTS = 3;
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (isEmptyValue(value)) return null;
+  const number = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// First value of a dimension (delimited fields keep their first value)
+const getCategory = (row, field, delimiter) => {
+  if (!field) return null;
+  const rawValue = row[field];
+  if (isEmptyValue(rawValue)) return null;
+  const value = delimiter && typeof rawValue === 'string' ? rawValue.split(delimiter)[0].trim() : String(rawValue);
+  return value === '' || value === 'Unknown' ? null : value;
+};
+
+// ============================================================================
+// SCATTER POINTS
+// ============================================================================
+
+// Group rows by period (and category) for the per-period points
+const groupByPeriod = (rows, dateField, grouping, colorField, colorDelimiter) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const date = toDate(row[dateField]);
+    if (!date) return;
+
+    const period = getPeriodKey(date, grouping);
+    const category = getCategory(row, colorField, colorDelimiter);
+    const key = `${period}|${category ?? ''}`;
+    if (!groups.has(key)) groups.set(key, { period, category, rows: [] });
+    groups.get(key).rows.push(row);
+  });
+
+  return groups;
+};
+
+// cumsum has no meaning for a single group, it is read as a sum
+const getAggregation = (metricConfig) => (
+  metricConfig.aggregation === 'cumsum' ? 'sum' : metricConfig.aggregation || 'sum'
+);
+
+/**
+ * Builds the points of a scatter plot
+ *
+ * Per row ('none'), x and y are the rows' own field values and a row must pass
+ * both metric filters. Per period, each metric is aggregated on its own data
+ * source (metricConfig.data / dateColumnName overrides) and the periods having
+ * both values are kept.
+ *
+ * @param {Array} rows - Rows to plot
+ * @param {Object} options
+ * @param {Object} options.xConfig - Metric config of the x axis ({ field, aggregation, filterConditions... })
+ * @param {Object} options.yConfig - Metric config of the y axis
+ * @param {string} [options.grouping='none'] - One of CORRELATION_GROUPINGS
+ * @param {string} [options.dateField] - Date column (per-period points)
+ * @param {string} [options.labelField] - Field naming a row's point (per-row points)
+ * @param {string} [options.colorField] - Dimension colouring the points
+ * @param {string} [options.colorDelimiter] - Delimiter of a multi-value colour dimension
+ * @returns {Array} [{ x, y, label, category, count }]
+ */
+export const buildScatterPoints = (rows, {
+  xConfig,
+  yConfig,
+  grouping = 'none',
+  dateField,
+  labelField,
+  colorField,
+  colorDelimiter
+}) => {
+  if (!Array.isArray(rows) || !xConfig || !yConfig) return [];
+
+  if (grouping === 'none' || !CORRELATION_GROUPINGS.includes(grouping)) {
+    const filteredRows = applyMetricFilter(applyMetricFilter(rows, xConfig), yConfig);
+    return filteredRows.flatMap(row => {
+      const x = toNumber(row[xConfig.field]);
+      const y = toNumber(row[yConfig.field]);
+      if (x === null || y === null) return [];
+
+      const rawLabel = labelField ? row[labelField] : null;
+      const date = rawLabel instanceof Date ? rawLabel : null;
+      return [{
+        x,
+        y,
+        label: date ? date.toLocaleDateString() : (rawLabel ?? ''),
+        category: getCategory(row, colorField, colorDelimiter),
+        count: 1
+      }];
+    });
+  }
+
+  const groupMetric = (metricConfig) => {
+    const { data: metricRows, dateColumnName } = resolveMetricDataSource(metricConfig, rows, dateField);
+    const filteredRows = applyMetricFilter(Array.isArray(metricRows) ? metricRows : [], metricConfig);
+    return groupByPeriod(filteredRows, dateColumnName, grouping, colorField, colorDelimiter);
+  };
+
+  const xGroups = groupMetric(xConfig);
+  const yGroups = groupMetric(yConfig);
+
+  return Array.from(xGroups.entries()).flatMap(([key, xGroup]) => {
+    const yGroup = yGroups.get(key);
+    if (!yGroup) return [];
+
+    const x = toNumber(performComputation(xGroup.rows, xConfig.field, getAggregation(xConfig), { decimals: null, defaultValue: null }));
+    const y = toNumber(performComputation(yGroup.rows, yConfig.field, getAggregation(yConfig), { decimals: null, defaultValue: null }));
+    if (x === null || y === null) return [];
+
+    return [{
+      x,
+      y,
+      label: getPeriodLabel(xGroup.period, grouping),
+      period: xGroup.period,
+      category: xGroup.category,
+      count: xGroup.rows.length
+    }];
+  });
+};
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Pearson coefficient of two equally long value lists
+const pearson = (xs, ys) => {
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  xs.forEach((x, i) => {
+    const dx = x - meanX;
+    const dy = ys[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+// Ranks from 1, tied values share their average rank
+const rank = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) ranks[order[i].index] = averageRank;
+    start = end + 1;
+  }
+
+  return ranks;
+};
+
+/**
+ * Pearson correlation coefficient (linear relationship)
+ * @param {Array} points - [{ x, y }]
+ * @returns {number|null} r in [-1, 1], null with fewer than 3 points or a constant axis
+ */
+export const pearsonCorrelation = (points) => {
+  if (points.length < MIN_POINTS) return null;
+  return pearson(points.map(p => p.x), points.map(p => p.y));
+};
+
+/**
+ * Spearman rank correlation coefficient (monotonic relationship)
+ * @param {Array} points - [{ x, y }]
+ * @returns {number|null} rho in [-1, 1], null with fewer than 3 points or a constant axis
+ */
+export const spearmanCorrelation = (points) => {
+  if (points.length < MIN_POINTS) return null;
+  return pearson(rank(points.map(p => p.x)), rank(points.map(p => p.y)));
+};
+
+/**
+ * Least-squares regression line of y on x
+ * @param {Array} points - [{ x, y }]
+ * @returns {Object|null} { slope, intercept, rSquared }, null with fewer than 3 points or a constant x
+ */
+export const linearRegression = (points) => {
+  if (points.length < MIN_POINTS) return null;
+
+  const meanX = mean(points.map(p => p.x));
+  const meanY = mean(points.map(p => p.y));
+  let covariance = 0;
+  let varianceX = 0;
+  points.forEach(({ x, y }) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+  });
+  if (varianceX === 0) return null;
+
+  const slope = covariance / varianceX;
+  const intercept = meanY - slope * meanX;
+  const r = pearsonCorrelation(points);
+  return { slope, intercept, rSquared: r === null ? 0 : r * r };
+};
+
+/**
+ * Flags the points far from the regression line
+ * A point is an outlier when its residual is more than `threshold` standard
+ * deviations of the residuals away from the line.
+ *
+ * @param {Array} points - [{ x, y }]
+ * @param {Object|null} regression - Result of linearRegression
+ * @param {number} [threshold=DEFAULT_OUTLIER_THRESHOLD] - Standardised residual limit
+ * @returns {Array} Points with isOutlier added
+ */
+export const markOutliers = (points, regression, threshold = DEFAULT_OUTLIER_THRESHOLD) => {
+  if (!regression) return points.map(point => ({ ...point, isOutlier: false }));
+
+  const residuals = points.map(({ x, y }) => y - (regression.slope * x + regression.intercept));
+  const residualMean = mean(residuals);
+  const deviation = Math.sqrt(mean(residuals.map(r => (r - residualMean) ** 2)));
+
+  return points.map((point, i) => ({
+    ...point,
+    isOutlier: deviation > 0 && Math.abs(residuals[i] - residualMean) / deviation > threshold
+  }));
+};
+
+/**
+ * Describes the strength of a correlation coefficient
+ * @param {number|null} coefficient - Pearson r or Spearman rho
+ * @returns {string} e.g. 'moderate positive', 'none'
+ */
+export const describeCorrelation = (coefficient) => {
+  if (coefficient === null) return 'not enough data';
+  const strength = Math.abs(coefficient);
+  if (strength < 0.1) return 'none';
+  const label = strength < 0.3 ? 'weak' : strength < 0.5 ? 'moderate' : 'strong';
+  return `${label} ${coefficient > 0 ? 'positive' : 'negative'}`;
+};
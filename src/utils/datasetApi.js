@@ -0,0 +1,185 @@
+/**
+ * Dataset API Client
+ *
+ * Queries the server-side data API (/api/datasets/:name) and aggregate API
+ * (/api/aggregate/:name) instead of downloading, parsing and aggregating
+ * full files in the browser.
+ */
+
+import { apiUrl } from '../config/config';
+import { getDataset } from '../config/datasets';
+import { reviveDateColumns } from './schemaUtils';
+import { normalizeMultiSelectValue } from './filterUtils';
+import { toIsoDate } from './dateUtils';
+
+/**
+ * Builds the query string for a dataset query
+ * @param {Object} params - Query parameters
+ * @param {Array<string>} [params.columns] - Columns to return
+ * @param {Date|string} [params.from] - Date range start
+ * @param {Date|string} [params.to] - Date range end
+ * @param {string} [params.dateField] - Date column for from/to
+ * @param {Object} [params.filters] - { field: [values] } multiselect filters
+ * @param {Object} [params.excludes] - { field: [values] } values to exclude
+ * @param {Object} [params.delimiters] - { field: delimiter } for delimited fields
+ * @param {Object} [params.matchModes] - { field: 'any'|'all' } for delimited fields
+ * @param {string} [params.sort] - Sort order, e.g. '-timestamp'
+ * @param {number} [params.page] - Page number (1-based)
+ * @param {number} [params.limit] - Page size
+ * @returns {string} Query string (without leading '?')
+ */
+export const buildDatasetQueryString = (params = {}) => {
+  const search = new URLSearchParams();
+  const formatDate = (value) => (value instanceof Date ? value.toISOString().split('T')[0] : value);
+
+  if (params.columns?.length) search.set('columns', params.columns.join(','));
+  if (params.from) search.set('from', formatDate(params.from));
+  if (params.to) search.set('to', formatDate(params.to));
+  if (params.dateField) search.set('dateField', params.dateField);
+
+  Object.entries(params.filters || {}).forEach(([field, values]) => {
+    (Array.isArray(values) ? values : [values]).forEach(value => search.append(`filter[${field}]`, value));
+  });
+  Object.entries(params.excludes || {}).forEach(([field, values]) => {
+    (Array.isArray(values) ? values : [values]).forEach(value => search.append(`exclude[${field}]`, value));
+  });
+  Object.entries(params.delimiters || {}).forEach(([field, delimiter]) => search.set(`delimiter[${field}]`, delimiter));
+  Object.entries(params.matchModes || {}).forEach(([field, mode]) => search.set(`match[${field}]`, mode));
+
+  if (params.sort) search.set('sort', params.sort);
+  if (params.page) search.set('page', params.page);
+  if (params.limit) search.set('limit', params.limit);
+
+  return search.toString();
+};
+
+/**
+ * Converts FilteringPanel filter values into dataset query parameters
+ * Returns null when a filter has no server equivalent (number range and "having"
+ * bounds, a date range on another column...), so callers can keep filtering locally.
+ * @param {Object} filters - Filter values keyed by filter key (see FilteringPanel onFiltersChange)
+ * @param {Object} options
+ * @param {string} options.dateField - Column of the daterange filter
+ * @param {Object} [options.delimiters] - { field: delimiter } for delimited multiselect fields
+ * @returns {Object|null} { from, to, dateField, filters, excludes, delimiters, matchModes } or null
+ */
+export const buildDatasetFilterParams = (filters = {}, { dateField, delimiters = {} } = {}) => {
+  const params = { filters: {}, excludes: {}, delimiters: {}, matchModes: {} };
+  const formatDate = (value) => (value instanceof Date ? toIsoDate(value) : value);
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === null || value === undefined || value === '' || value === 'all') continue;
+
+    // Date range: { startDate, endDate }
+    if (typeof value === 'object' && ('startDate' in value || 'endDate' in value)) {
+      if (!value.startDate && !value.endDate) continue;
+      if (key !== dateField) return null;
+      if (value.startDate) params.from = formatDate(value.startDate);
+      if (value.endDate) params.to = formatDate(value.endDate);
+      params.dateField = dateField;
+      continue;
+    }
+
+    // Number range and aggregate bounds: { min, max }
+    if (typeof value === 'object' && ('min' in value || 'max' in value)) {
+      if ((value.min ?? null) === null && (value.max ?? null) === null) continue;
+      return null;
+    }
+
+    // Multiselect: [values] or { include, exclude, matchMode }
+    if (!Array.isArray(value) && !(typeof value === 'object' && ('include' in value || 'exclude' in value))) {
+      return null;
+    }
+    const { include, exclude, matchMode } = normalizeMultiSelectValue(value);
+    if (include.length > 0) params.filters[key] = include;
+    if (exclude.length > 0) params.excludes[key] = exclude;
+    if ((include.length > 0 || exclude.length > 0) && delimiters[key]) {
+      params.delimiters[key] = delimiters[key];
+      if (matchMode) params.matchModes[key] = matchMode;
+    }
+  }
+
+  return params;
+};
+
+/**
+ * Runs a dataset query on the server
+ * @param {string} name - Dataset key (e.g., 'music')
+ * @param {Object} params - Query parameters (see buildDatasetQueryString)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<Object>} { data, total, page, limit, pages } with date columns as Date objects
+ */
+export const queryDataset = async (name, params = {}, { signal } = {}) => {
+  const queryString = buildDatasetQueryString(params);
+  const response = await fetch(apiUrl(`/api/datasets/${name}${queryString ? `?${queryString}` : ''}`), {
+    credentials: 'include',
+    signal
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return {
+    ...body,
+    data: reviveDateColumns(body.data || [], getDataset(name))
+  };
+};
+
+/**
+ * Builds the query string for an aggregate query
+ * Accepts the dataset filters of buildDatasetQueryString (from, to, filters...) plus:
+ * @param {Object} params - Query parameters
+ * @param {Array<string>} [params.groupBy] - Dimension fields
+ * @param {Object} [params.groupDelimiters] - { field: delimiter } for delimited dimensions
+ * @param {string} [params.bucket] - 'hourly' | 'daily' | 'weekly' | 'monthly' | 'quarterly' | 'yearly' | 'weekday_time_period' | 'calendar'
+ * @param {Array<string>} [params.bucketParts] - Date parts grouped by the 'calendar' bucket (see CALENDAR_PARTS)
+ * @param {string} [params.bucketField] - Date column for the bucket
+ * @param {boolean} [params.treatMidnightAsUnknown] - For 'weekday_time_period' and 'calendar' (server default: true)
+ * @param {string} [params.aggregation] - 'count' | 'count_distinct' | 'sum' | 'average' | 'median'
+ * @param {string} [params.field] - Field to aggregate
+ * @param {number} [params.decimals] - Round values
+ * @param {Object} [params.metricFilter] - Chart metric filter (see pickMetricFilter)
+ * @returns {string} Query string (without leading '?')
+ */
+export const buildAggregateQueryString = (params = {}) => {
+  const search = new URLSearchParams(buildDatasetQueryString(params));
+
+  if (params.groupBy?.length) search.set('groupBy', params.groupBy.join(','));
+  Object.entries(params.groupDelimiters || {}).forEach(([field, delimiter]) => search.set(`groupDelimiter[${field}]`, delimiter));
+  if (params.bucket) search.set('bucket', params.bucket);
+  if (params.bucketParts?.length) search.set('bucketParts', params.bucketParts.join(','));
+  if (params.bucketField) search.set('bucketField', params.bucketField);
+  if (params.treatMidnightAsUnknown === false) search.set('midnightAsUnknown', 'false');
+  if (params.aggregation) search.set('aggregation', params.aggregation);
+  if (params.field) search.set('field', params.field);
+  if (params.decimals !== undefined && params.decimals !== null) search.set('decimals', params.decimals);
+  if (params.metricFilter) search.set('metricFilter', JSON.stringify(params.metricFilter));
+
+  return search.toString();
+};
+
+/**
+ * Runs an aggregate query on the server
+ * @param {string} name - Dataset key (e.g., 'music')
+ * @param {Object} params - Query parameters (see buildAggregateQueryString)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<Object>} { data, total } with one entry per group
+ */
+export const queryAggregate = async (name, params = {}, { signal } = {}) => {
+  const queryString = buildAggregateQueryString(params);
+  const response = await fetch(apiUrl(`/api/aggregate/${name}${queryString ? `?${queryString}` : ''}`), {
+    credentials: 'include',
+    signal
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return body;
+};
@@ -0,0 +1,169 @@
+/**
+ * Dataset Cache Utilities
+ *
+ * Persists parsed, type-converted datasets in IndexedDB so pages can render
+ * instantly from the last download while a fresh copy is fetched in the
+ * background (stale-while-revalidate). Every record is keyed by data type and
+ * carries the content version of the CSV it was parsed from, and the identity
+ * (user and permissions) it was downloaded for: rows are never served to
+ * another identity, whose hidden columns or datasets may differ.
+ */
+
+const DB_NAME = 'lifelog-datasets';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+
+// Bump when the parsing / type conversion logic changes so old entries are discarded
+export const CACHE_SCHEMA_VERSION = 2;
+
+let dbPromise = null;
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+/**
+ * Opens (and lazily creates) the dataset cache database.
+ * Resolves to null when IndexedDB is unavailable (private mode, old browsers).
+ * @returns {Promise<IDBDatabase|null>}
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'dataType' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('Dataset cache unavailable:', request.error);
+      resolve(null);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Runs a single request against the dataset store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} createRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+const runRequest = async (mode, createRequest) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Reads a cached dataset.
+ * Entries written by an older schema version or for another identity are treated as missing.
+ * @param {string} dataType - Dataset key (e.g., 'music')
+ * @param {string} owner - Identity the rows are read for (see DataContext)
+ * @returns {Promise<Object|null>} { dataType, owner, version, rows, refreshedAt } or null
+ */
+export const getCachedDataset = async (dataType, owner) => {
+  try {
+    const entry = await runRequest('readonly', store => store.get(dataType));
+    if (!entry || entry.schemaVersion !== CACHE_SCHEMA_VERSION || entry.owner !== owner) return null;
+    return entry;
+  } catch (err) {
+    console.warn(`Failed to read ${dataType} from cache:`, err);
+    return null;
+  }
+};
+
+/**
+ * Stores a parsed dataset (replacing the copy of any other identity).
+ * @param {string} dataType - Dataset key
+ * @param {string} owner - Identity the rows were downloaded for
+ * @param {string} version - Content version of the source file
+ * @param {Array} rows - Parsed and type-converted rows
+ * @param {number} refreshedAt - Timestamp (ms) of the download
+ * @returns {Promise<void>}
+ */
+export const setCachedDataset = async (dataType, owner, version, rows, refreshedAt) => {
+  try {
+    await runRequest('readwrite', store => store.put({
+      dataType,
+      owner,
+      schemaVersion: CACHE_SCHEMA_VERSION,
+      version,
+      rows,
+      refreshedAt
+    }));
+  } catch (err) {
+    // Quota errors must never break data loading
+    console.warn(`Failed to write ${dataType} to cache:`, err);
+  }
+};
+
+/**
+ * Updates the refresh timestamp of a cached dataset whose content is unchanged.
+ * @param {string} dataType - Dataset key
+ * @param {string} owner - Identity the rows were downloaded for
+ * @param {number} refreshedAt - Timestamp (ms) of the check
+ * @returns {Promise<void>}
+ */
+export const touchCachedDataset = async (dataType, owner, refreshedAt) => {
+  const entry = await getCachedDataset(dataType, owner);
+  if (!entry) return;
+  await setCachedDataset(dataType, owner, entry.version, entry.rows, refreshedAt);
+};
+
+/**
+ * Removes one dataset, or every dataset when no key is given.
+ * @param {string} [dataType] - Dataset key
+ * @returns {Promise<void>}
+ */
+export const clearCachedDataset = async (dataType) => {
+  try {
+    await runRequest('readwrite', store => (dataType ? store.delete(dataType) : store.clear()));
+  } catch (err) {
+    console.warn('Failed to clear dataset cache:', err);
+  }
+};
+
+/**
+ * Computes a content version for a downloaded file.
+ * Uses SHA-256 when SubtleCrypto is available and falls back to FNV-1a.
+ * @param {ArrayBuffer} buffer - Raw file contents
+ * @returns {Promise<string>} Hex digest
+ */
+export const computeContentVersion = async (buffer) => {
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  const bytes = new Uint8Array(buffer);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${bytes.length.toString(16)}-${(hash >>> 0).toString(16)}`;
+};
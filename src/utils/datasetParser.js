@@ -0,0 +1,165 @@
+/**
+ * Dataset Parser
+ *
+ * Downloads, parses and type-converts the pipe-delimited dataset files.
+ * Type conversion is driven by the dataset registry (config/datasets.js).
+ * Runs inside the dataset worker (see workers/datasetParser.worker.js) and is
+ * also used directly on the main thread when Web Workers are unavailable, so
+ * it must stay free of React and DOM dependencies.
+ */
+
+import Papa from 'papaparse';
+import { getDataset } from '../config/datasets.js';
+import { applySchema, cleanString } from './schemaUtils.js';
+
+// Dataset files are pipe-delimited
+export const CSV_DELIMITER = '|';
+
+// Size of each parsing chunk (in characters); one progress update per chunk
+const PARSE_CHUNK_SIZE = 1024 * 1024;
+
+// Track which data types have been logged to avoid duplicates
+const loggedDataTypes = new Set();
+
+// ============================================================================
+// DOWNLOAD & PARSE
+// ============================================================================
+
+// Simplified logging for reading data types (only log once per data type)
+const logDatasetSummary = (dataType, fields, rawData) => {
+  if ((dataType === 'readingBooks' || dataType === 'readingSessions') && !loggedDataTypes.has(dataType)) {
+    loggedDataTypes.add(dataType);
+
+    console.log(`📚 ${dataType} columns:`, fields);
+
+    // Find latest date - look for date-related columns
+    const dateColumns = fields.filter(f =>
+      f && (f.toLowerCase().includes('date') ||
+            f.toLowerCase().includes('finish') ||
+            f.toLowerCase().includes('timestamp'))
+    );
+
+    if (dateColumns.length > 0 && rawData.length > 0) {
+      // Try each date column and find the latest date across all of them
+      let allDates = [];
+
+      dateColumns.forEach(dateColumn => {
+        const dates = rawData
+          .map(row => row[dateColumn])
+          .filter(d => d && d.toString().trim())
+          .map(d => new Date(d))
+          .filter(d => !isNaN(d.getTime()));
+
+        allDates = allDates.concat(dates);
+      });
+
+      if (allDates.length > 0) {
+        allDates.sort((a, b) => b - a);
+        console.log(`📚 ${dataType} latest date:`, allDates[0].toISOString().split('T')[0]);
+      }
+    }
+  }
+};
+
+/**
+ * Downloads a dataset file, reporting byte progress when the size is known
+ * @param {string} url - File URL
+ * @param {Function} [onProgress] - Called with { phase: 'download', current, total, percent }
+ * @returns {Promise<ArrayBuffer>} Raw file contents
+ */
+export const downloadDatasetFile = async (url, onProgress = null) => {
+  // The API is cross-origin in development: send the session cookie explicitly
+  const response = await fetch(url, { cache: 'no-store', credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  if (!onProgress || !response.body) {
+    return response.arrayBuffer();
+  }
+
+  // Content-Length is missing for chunked responses; progress then only reports bytes
+  const total = parseInt(response.headers.get('content-length'), 10) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    onProgress({
+      phase: 'download',
+      current: received,
+      total,
+      percent: total ? Math.min(Math.round((received / total) * 100), 100) : 0
+    });
+  }
+
+  const buffer = new Uint8Array(received);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    buffer.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return buffer.buffer;
+};
+
+/**
+ * Counts data rows (excluding the header) without parsing the file
+ * @param {string} csvText - File contents
+ * @returns {number} Estimated row count
+ */
+const estimateRowCount = (csvText) => {
+  let lines = 0;
+  let index = csvText.indexOf('\n');
+  while (index !== -1) {
+    lines++;
+    index = csvText.indexOf('\n', index + 1);
+  }
+  return Math.max(lines - 1, 1); // Subtract header row
+};
+
+/**
+ * Parses a dataset file in chunks and applies the per-type conversions
+ * @param {string} csvText - File contents
+ * @param {string} dataType - Dataset key (e.g., 'music')
+ * @param {Function} [onProgress] - Called with { phase: 'parse', current, total, percent }
+ * @returns {Promise<Array>} Type-converted rows
+ */
+export const parseDatasetText = (csvText, dataType, onProgress = null) => new Promise((resolve, reject) => {
+  const totalRows = estimateRowCount(csvText);
+  let rawData = [];
+  let fields = [];
+
+  onProgress?.({ phase: 'parse', current: 0, total: totalRows, percent: 0 });
+
+  Papa.parse(csvText, {
+    delimiter: CSV_DELIMITER,
+    header: true,
+    skipEmptyLines: true,
+    chunkSize: PARSE_CHUNK_SIZE,
+    transform: (value) => cleanString(value), // Clean each value as it's parsed
+    chunk: (results) => {
+      rawData = rawData.concat(results.data);
+      if (results.meta.fields) fields = results.meta.fields;
+
+      const percent = Math.min(Math.round((results.meta.cursor / csvText.length) * 100), 100);
+      onProgress?.({ phase: 'parse', current: rawData.length, total: totalRows, percent });
+    },
+    complete: () => {
+      onProgress?.({ phase: 'parse', current: rawData.length, total: rawData.length, percent: 100 });
+      if (dataType === 'music') {
+        console.log(`🎵 Loaded ${rawData.length.toLocaleString()} music records`);
+      }
+
+      logDatasetSummary(dataType, fields, rawData);
+      resolve(applySchema(rawData, getDataset(dataType), dataType));
+    },
+    error: (error) => {
+      console.error(`${dataType} Papa parse error:`, error);
+      reject(error);
+    }
+  });
+});
@@ -187,3 +187,132 @@ export const groupByMonth = (items, dateField = 'date') => {
     return acc;
   }, {});
 };
+
+// ============================================================================
+// RELATIVE DATE PRESETS
+// ============================================================================
+
+/**
+ * Built-in relative date range presets. Filters store the preset id instead of
+ * fixed dates, so a saved or shared "last 30 days" view stays relative.
+ * Rolling presets follow the pattern last-<n>-<unit> (e.g. 'last-6-months').
+ */
+export const DATE_PRESETS = [
+  { id: 'last-7-days', label: 'Last 7 days' },
+  { id: 'last-30-days', label: 'Last 30 days' },
+  { id: 'last-90-days', label: 'Last 90 days' },
+  { id: 'this-week', label: 'This week' },
+  { id: 'this-month', label: 'This month' },
+  { id: 'this-quarter', label: 'This quarter' },
+  { id: 'this-year', label: 'This year' },
+  { id: 'year-to-date', label: 'Year to date' },
+  { id: 'previous-year', label: 'Previous year' },
+  { id: 'same-period-last-year', label: 'Same period last year' }
+];
+
+export const ROLLING_DATE_UNITS = ['days', 'weeks', 'months', 'years'];
+
+const ROLLING_PRESET = /^last-(\d{1,4})-(days|weeks|months|years)$/;
+
+/**
+ * Formats a date as YYYY-MM-DD in local time
+ * @param {Date} date - The date to format
+ * @returns {string} ISO calendar date
+ */
+export const toIsoDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Builds the id of a rolling "last N units" preset
+ * @param {number} amount - Number of units (e.g., 6)
+ * @param {string} unit - 'days', 'weeks', 'months' or 'years'
+ * @returns {string} Preset id (e.g., 'last-6-months')
+ */
+export const formatRollingDatePreset = (amount, unit) => `last-${amount}-${unit}`;
+
+/**
+ * Parses a rolling preset id
+ * @param {string} preset - Preset id (e.g., 'last-6-months')
+ * @returns {Object|null} { amount, unit }, or null for other ids
+ */
+export const parseRollingDatePreset = (preset) => {
+  const match = ROLLING_PRESET.exec(String(preset));
+  if (!match || Number(match[1]) < 1) return null;
+  return { amount: Number(match[1]), unit: match[2] };
+};
+
+// Same day of the month `months` months later, clamped to the month's last day (Mar 31 - 1 month = Feb 28)
+const shiftMonths = (date, months) => {
+  const shifted = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(shifted.getFullYear(), shifted.getMonth() + 1, 0).getDate();
+  shifted.setDate(Math.min(date.getDate(), lastDay));
+  return shifted;
+};
+
+/**
+ * Resolves a relative preset to a date range (both bounds inclusive)
+ * - last N days/weeks/months/years: rolling window ending today
+ * - this week (Monday to Sunday) / month / quarter / year: the whole calendar period
+ * - year to date: January 1st to today
+ * - previous year: the whole previous calendar year
+ * - same period last year: January 1st to today's date, one year ago
+ * @param {string} preset - Preset id
+ * @param {Date} [today] - Reference date (default: now)
+ * @returns {Object|null} { startDate, endDate } as YYYY-MM-DD, or null for unknown ids
+ */
+export const resolveDatePreset = (preset, today = new Date()) => {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  const day = today.getDate();
+  const range = (start, end) => ({ startDate: toIsoDate(start), endDate: toIsoDate(end) });
+
+  const rolling = parseRollingDatePreset(preset);
+  if (rolling) {
+    const { amount, unit } = rolling;
+    // The window ends today and starts the day after the same date `amount` units ago
+    const start = unit === 'days' || unit === 'weeks'
+      ? new Date(year, month, day - amount * (unit === 'weeks' ? 7 : 1))
+      : shiftMonths(today, -amount * (unit === 'years' ? 12 : 1));
+    start.setDate(start.getDate() + 1);
+    return range(start, today);
+  }
+
+  switch (preset) {
+    case 'this-week': {
+      // Weeks start on Monday
+      const monday = new Date(year, month, day - ((today.getDay() + 6) % 7));
+      return range(monday, new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6));
+    }
+    case 'this-month':
+      return range(new Date(year, month, 1), new Date(year, month + 1, 0));
+    case 'this-quarter': {
+      const firstMonth = Math.floor(month / 3) * 3;
+      return range(new Date(year, firstMonth, 1), new Date(year, firstMonth + 3, 0));
+    }
+    case 'this-year':
+      return range(new Date(year, 0, 1), new Date(year, 11, 31));
+    case 'year-to-date':
+      return range(new Date(year, 0, 1), today);
+    case 'previous-year':
+      return range(new Date(year - 1, 0, 1), new Date(year - 1, 11, 31));
+    case 'same-period-last-year':
+      return range(new Date(year - 1, 0, 1), shiftMonths(today, -12));
+    default:
+      return null;
+  }
+};
+
+/**
+ * Returns the display label of a preset
+ * @param {string} preset - Preset id
+ * @returns {string|null} Label (e.g., 'Last 6 months'), or null for unknown ids
+ */
+export const getDatePresetLabel = (preset) => {
+  const builtIn = DATE_PRESETS.find(option => option.id === preset);
+  if (builtIn) return builtIn.label;
+
+  const rolling = parseRollingDatePreset(preset);
+  if (!rolling) return null;
+  const unit = rolling.amount === 1 ? rolling.unit.slice(0, -1) : rolling.unit;
+  return `Last ${rolling.amount} ${unit}`;
+};
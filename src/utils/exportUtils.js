@@ -0,0 +1,396 @@
+/**
+ * Export Utilities
+ *
+ * Downloads what a chart shows: the rendered chart as SVG or PNG, and the
+ * aggregated data behind it as CSV or JSON. Every file carries metadata
+ * (title, metric, chart settings, active filters, export date).
+ */
+
+import { slugify } from './urlStateUtils';
+
+export const EXPORT_FORMATS = ['svg', 'png', 'csv', 'json'];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Presentation properties copied onto SVG elements (classes and CSS variables don't travel)
+const SVG_STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity',
+  'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline',
+  'visibility', 'display'
+];
+
+// Header band of the SVG export (title) and legend rows
+const TITLE_HEIGHT = 32;
+const LEGEND_ROW_HEIGHT = 20;
+
+// ============================================================================
+// METADATA
+// ============================================================================
+
+/**
+ * Returns the page's query parameters ({ key: value } or { key: [values] } when repeated)
+ * FilteringPanel keeps the active filters there, with the charts' choices.
+ * @returns {Object}
+ */
+export const readPageFilters = () => {
+  const filters = {};
+  new URLSearchParams(window.location.search).forEach((value, key) => {
+    if (key in filters) {
+      filters[key] = [].concat(filters[key], value);
+    } else {
+      filters[key] = value;
+    }
+  });
+  return filters;
+};
+
+/**
+ * Builds the metadata saved with an export
+ * @param {Object} options
+ * @param {string} options.title - Chart title
+ * @param {string} [options.metric] - Label of the displayed metric
+ * @param {Object} [options.settings] - Chart choices (period, dimension, breakdown...)
+ * @returns {Object} { title, metric, settings, filters, url, exportedAt }
+ */
+export const buildExportMetadata = ({ title, metric = null, settings = {} }) => ({
+  title,
+  metric,
+  settings: Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== null)),
+  filters: readPageFilters(),
+  url: window.location.href,
+  exportedAt: new Date().toISOString()
+});
+
+/**
+ * Returns a file name for an export: '<title>-<YYYY-MM-DD>.<extension>'
+ * @param {string} title - Chart title
+ * @param {string} extension - File extension
+ * @returns {string}
+ */
+export const getExportFilename = (title, extension) => {
+  const date = new Date().toISOString().split('T')[0];
+  return `${slugify(title) || 'chart'}-${date}.${extension}`;
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Let the download start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// ============================================================================
+// DATA (CSV / JSON)
+// ============================================================================
+
+const formatCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialises rows to CSV, preceded by '# key: value' metadata lines
+ * Columns are the union of the rows' keys, in order of appearance.
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Object} [metadata] - Metadata (see buildExportMetadata)
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows, metadata = null) => {
+  const columns = [];
+  rows.forEach(row => Object.keys(row).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+
+  const metadataLines = metadata
+    ? Object.entries(metadata).map(([key, value]) => (
+      `# ${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value ?? ''}`
+    ))
+    : [];
+
+  return [
+    ...metadataLines,
+    columns.map(formatCsvCell).join(','),
+    ...rows.map(row => columns.map(column => formatCsvCell(row[column])).join(','))
+  ].join('\n');
+};
+
+/**
+ * Downloads rows as CSV
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Object} metadata - Metadata (see buildExportMetadata)
+ */
+export const exportCsv = (rows, metadata) => {
+  // BOM so spreadsheet apps read the file as UTF-8
+  const blob = new Blob(['\uFEFF', toCsv(rows, metadata)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, getExportFilename(metadata.title, 'csv'));
+};
+
+/**
+ * Downloads rows as JSON ({ metadata, data })
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Object} metadata - Metadata (see buildExportMetadata)
+ */
+export const exportJson = (rows, metadata) => {
+  const blob = new Blob([JSON.stringify({ metadata, data: rows }, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, getExportFilename(metadata.title, 'json'));
+};
+
+// ============================================================================
+// IMAGE (SVG / PNG)
+// ============================================================================
+
+// Copy computed styles onto a clone, walking both trees in parallel
+const inlineStyles = (source, clone, properties) => {
+  if (source.nodeType !== Node.ELEMENT_NODE) return;
+
+  const computed = window.getComputedStyle(source);
+  const names = properties || Array.from(computed);
+  const declarations = names
+    .map(name => [name, computed.getPropertyValue(name)])
+    .filter(([, value]) => value !== '')
+    .map(([name, value]) => `${name}:${value}`);
+  clone.setAttribute('style', declarations.join(';'));
+
+  Array.from(source.children).forEach((child, index) => inlineStyles(child, clone.children[index], properties));
+};
+
+// Main drawing of a chart: its largest SVG (legend and button icons are small)
+const findChartSvg = (element) => {
+  const svgs = element.tagName.toLowerCase() === 'svg' ? [element] : Array.from(element.querySelectorAll('svg'));
+  let best = null;
+  let bestArea = 0;
+  svgs.forEach(svg => {
+    const { width, height } = svg.getBoundingClientRect();
+    if (width * height > bestArea) {
+      best = svg;
+      bestArea = width * height;
+    }
+  });
+  // Icons don't count as a chart
+  return bestArea >= 100 * 100 ? best : null;
+};
+
+// Recharts legend entries ({ color, label }), redrawn as SVG under the chart
+const readLegendItems = (element) => Array.from(element.querySelectorAll('.recharts-legend-item')).map(item => {
+  const icon = item.querySelector('.recharts-legend-icon, path, rect, line');
+  const iconStyle = icon ? window.getComputedStyle(icon) : null;
+  const fill = iconStyle?.fill;
+  const color = fill && fill !== 'none' ? fill : iconStyle?.stroke;
+  return { color: color || '#171738', label: item.textContent.trim() };
+});
+
+const createSvgElement = (name, attributes = {}) => {
+  const node = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+  return node;
+};
+
+const appendMetadata = (svg, metadata) => {
+  const title = createSvgElement('title');
+  title.textContent = metadata.title || '';
+  const metadataNode = createSvgElement('metadata');
+  metadataNode.textContent = JSON.stringify(metadata);
+  svg.insertBefore(metadataNode, svg.firstChild);
+  svg.insertBefore(title, svg.firstChild);
+};
+
+// Vector export: title, the chart's SVG with inline styles, and its legend
+const buildVectorSvg = (chartSvg, element, metadata) => {
+  const { width, height } = chartSvg.getBoundingClientRect();
+  const fontFamily = window.getComputedStyle(element).fontFamily;
+
+  const clone = chartSvg.cloneNode(true);
+  inlineStyles(chartSvg, clone, SVG_STYLE_PROPERTIES);
+  clone.setAttribute('x', 0);
+  clone.setAttribute('y', TITLE_HEIGHT);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+
+  // Legend entries flow left to right, wrapping on the chart width
+  const legend = createSvgElement('g', { 'font-family': fontFamily, 'font-size': 12 });
+  let x = 16;
+  let row = 0;
+  readLegendItems(element).forEach(({ color, label }) => {
+    const itemWidth = 12 + 6 + label.length * 7 + 16;
+    if (x + itemWidth > width && x > 16) {
+      x = 16;
+      row += 1;
+    }
+    const y = TITLE_HEIGHT + height + row * LEGEND_ROW_HEIGHT + 4;
+    legend.appendChild(createSvgElement('rect', { x, y, width: 12, height: 12, fill: color }));
+    const text = createSvgElement('text', { x: x + 18, y: y + 10, fill: '#171738' });
+    text.textContent = label;
+    legend.appendChild(text);
+    x += itemWidth;
+  });
+  const legendHeight = legend.childNodes.length ? (row + 1) * LEGEND_ROW_HEIGHT + 8 : 0;
+
+  const totalHeight = TITLE_HEIGHT + height + legendHeight;
+  const svg = createSvgElement('svg', {
+    width,
+    height: totalHeight,
+    viewBox: `0 0 ${width} ${totalHeight}`
+  });
+  svg.appendChild(createSvgElement('rect', { width: '100%', height: '100%', fill: '#ffffff' }));
+  const title = createSvgElement('text', {
+    x: 16,
+    y: 22,
+    'font-family': fontFamily,
+    'font-size': 16,
+    'font-weight': 600,
+    fill: '#171738'
+  });
+  title.textContent = metadata.title || '';
+  svg.appendChild(title);
+  svg.appendChild(clone);
+  svg.appendChild(legend);
+  appendMetadata(svg, metadata);
+
+  return { svg, width, height: totalHeight };
+};
+
+// HTML charts (tables, cards) are embedded with their computed styles in a foreignObject
+const buildHtmlSvg = (element, metadata) => {
+  const { width, height } = element.getBoundingClientRect();
+
+  const clone = element.cloneNode(true);
+  inlineStyles(element, clone);
+  clone.style.margin = '0';
+  // Cards carry their own export button
+  clone.querySelectorAll('.export-menu').forEach(node => node.remove());
+
+  const svg = createSvgElement('svg', { width, height, viewBox: `0 0 ${width} ${height}` });
+  const foreignObject = createSvgElement('foreignObject', { x: 0, y: 0, width, height });
+  foreignObject.appendChild(clone);
+  svg.appendChild(foreignObject);
+  appendMetadata(svg, metadata);
+
+  return { svg, width, height };
+};
+
+/**
+ * Serialises a rendered chart to a standalone SVG document
+ * SVG charts are exported as vectors (with a title and the recharts legend),
+ * other elements through a foreignObject.
+ * @param {HTMLElement} element - Chart element
+ * @param {Object} metadata - Metadata (see buildExportMetadata)
+ * @returns {Object} { text, width, height }
+ */
+export const serializeChart = (element, metadata) => {
+  const chartSvg = findChartSvg(element);
+  const { svg, width, height } = chartSvg ? buildVectorSvg(chartSvg, element, metadata) : buildHtmlSvg(element, metadata);
+  return { text: new XMLSerializer().serializeToString(svg), width, height };
+};
+
+/**
+ * Downloads a rendered chart as SVG
+ * @param {HTMLElement} element - Chart element
+ * @param {Object} metadata - Metadata (see buildExportMetadata)
+ */
+export const exportSvg = (element, metadata) => {
+  const { text } = serializeChart(element, metadata);
+  downloadBlob(new Blob([text], { type: 'image/svg+xml;charset=utf-8' }), getExportFilename(metadata.title, 'svg'));
+};
+
+// CRC-32 of PNG chunks
+let crcTable = null;
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  bytes.forEach(byte => {
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Uncompressed international text chunk (UTF-8)
+const buildTextChunk = (keyword, text) => {
+  const encoder = new TextEncoder();
+  const data = new Uint8Array([...encoder.encode(keyword), 0, 0, 0, 0, 0, ...encoder.encode(text)]);
+  const typeAndData = new Uint8Array([...encoder.encode('iTXt'), ...data]);
+
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(typeAndData, 4);
+  view.setUint32(8 + data.length, crc32(typeAndData));
+  return chunk;
+};
+
+/**
+ * Adds text metadata to a PNG file (after its IHDR chunk)
+ * @param {ArrayBuffer} buffer - PNG file
+ * @param {Object} entries - { keyword: text } (e.g., { Title: '...' })
+ * @returns {Uint8Array} PNG file with the text chunks
+ */
+export const addPngMetadata = (buffer, entries) => {
+  const bytes = new Uint8Array(buffer);
+  // 8-byte signature, then IHDR: length (4) + type (4) + 13 bytes of data + CRC (4)
+  const ihdrEnd = 8 + 4 + 4 + 13 + 4;
+  const chunks = Object.entries(entries).map(([keyword, text]) => buildTextChunk(keyword, text));
+  const size = bytes.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+  const result = new Uint8Array(size);
+  result.set(bytes.subarray(0, ihdrEnd), 0);
+  let offset = ihdrEnd;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  result.set(bytes.subarray(ihdrEnd), offset);
+  return result;
+};
+
+/**
+ * Downloads a rendered chart as PNG (rasterised from its SVG export)
+ * @param {HTMLElement} element - Chart element
+ * @param {Object} metadata - Metadata (see buildExportMetadata)
+ * @param {number} [scale=2] - Pixel ratio of the image
+ * @returns {Promise<void>} Rejects when the browser refuses to rasterise the chart
+ */
+export const exportPng = async (element, metadata, scale = 2) => {
+  const { text, width, height } = serializeChart(element, metadata);
+  const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml;charset=utf-8' }));
+
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('Cannot render the chart image'));
+      image.src = url;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Cannot encode the PNG image'))), 'image/png');
+    });
+    const png = addPngMetadata(await blob.arrayBuffer(), {
+      Title: metadata.title || '',
+      Description: metadata.metric || '',
+      Comment: JSON.stringify(metadata)
+    });
+    downloadBlob(new Blob([png], { type: 'image/png' }), getExportFilename(metadata.title, 'png'));
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
@@ -3,9 +3,11 @@
  *
  * Centralized filtering logic used across the LifeLog website.
  * Eliminates duplicate date range and multi-select filtering code.
+ * Also imported by the server (server/queryUtils.js): relative imports need
+ * explicit .js extensions.
  */
 
-import { isValidDate } from './dateUtils';
+import { applyMetricFilter, performComputation } from './computationUtils.js';
 
 /**
  * Applies a date range filter to an array of items
@@ -69,17 +71,81 @@ export const applyDateRangeFilter = (data, dateField, dateRange, strictValidatio
   });
 };
 
+/**
+ * Normalizes a multi-select filter value
+ * A value is either an array of included values or an object
+ * { include, exclude, matchMode } when values are excluded or the match mode
+ * was chosen in the UI (matchMode null means the filter's configured mode).
+ * @param {Array|Object|null} value - Multi-select filter value
+ * @returns {Object} { include, exclude, matchMode }
+ */
+export const normalizeMultiSelectValue = (value) => {
+  if (Array.isArray(value)) {
+    return { include: value, exclude: [], matchMode: null };
+  }
+  return {
+    include: Array.isArray(value?.include) ? value.include : [],
+    exclude: Array.isArray(value?.exclude) ? value.exclude : [],
+    matchMode: value?.matchMode || null
+  };
+};
+
+/**
+ * Returns the most compact form of a multi-select value (a plain array
+ * while nothing is excluded and the match mode is the configured one)
+ * @param {Object} value - { include, exclude, matchMode }
+ * @returns {Array|Object} Multi-select filter value
+ */
+export const compactMultiSelectValue = ({ include = [], exclude = [], matchMode = null }) => (
+  exclude.length === 0 && !matchMode ? include : { include, exclude, matchMode }
+);
+
+/**
+ * Returns true if a multi-select value includes or excludes anything
+ * @param {Array|Object|null} value - Multi-select filter value
+ * @returns {boolean}
+ */
+export const isMultiSelectValueActive = (value) => {
+  const { include, exclude } = normalizeMultiSelectValue(value);
+  return include.length > 0 || exclude.length > 0;
+};
+
+/**
+ * Matches a field value against a multi-select value: the item must match the
+ * included values (per match mode) and none of the excluded values
+ * @param {*} itemValue - The item's field value
+ * @param {Array|Object} value - Multi-select filter value
+ * @param {string|null} delimiter - Optional delimiter for splitting field values
+ * @param {string} defaultMatchMode - Configured match mode: 'exact' | 'any' | 'all' (default: 'exact')
+ * @returns {boolean} True if the item passes the filter
+ */
+export const matchMultiSelectValue = (itemValue, value, delimiter = null, defaultMatchMode = 'exact') => {
+  const { include, exclude, matchMode } = normalizeMultiSelectValue(value);
+
+  // Without a delimiter an item has a single value, so 'all' behaves like 'any'
+  if (!delimiter) {
+    if (include.length > 0 && !include.includes(itemValue)) return false;
+    return !exclude.includes(itemValue);
+  }
+
+  const mode = matchMode || defaultMatchMode;
+  if (include.length > 0 && !matchDelimitedValue(itemValue, include, delimiter, mode)) return false;
+  // An item is excluded as soon as one of its values is excluded
+  return exclude.length === 0 || !matchDelimitedValue(itemValue, exclude, delimiter, mode === 'exact' ? 'exact' : 'any');
+};
+
 /**
  * Applies a multi-select filter to an array of items
  * @param {Array} data - Array of items to filter
  * @param {string} dataField - The field name to filter by
- * @param {Array} selectedValues - Array of selected values
+ * @param {Array|Object} selectedValues - Selected values, or { include, exclude, matchMode }
  * @param {string|null} delimiter - Optional delimiter for splitting field values
- * @param {string} matchMode - Match mode: 'exact' | 'any' | 'all' (default: 'exact')
+ * @param {string} matchMode - Match mode: 'exact' | 'any' | 'all' (default: 'exact'),
+ *   overridden by the value's own matchMode
  * @returns {Array} Filtered array
  */
 export const applyMultiSelectFilter = (data, dataField, selectedValues, delimiter = null, matchMode = 'exact') => {
-  if (!selectedValues || !Array.isArray(selectedValues) || selectedValues.length === 0) {
+  if (!isMultiSelectValueActive(selectedValues)) {
     return data;
   }
 
@@ -88,13 +154,7 @@ export const applyMultiSelectFilter = (data, dataField, selectedValues, delimite
       ? getNestedValue(item, dataField)
       : item[dataField];
 
-    // Handle delimited values
-    if (delimiter) {
-      return matchDelimitedValue(itemValue, selectedValues, delimiter, matchMode);
-    }
-
-    // Standard exact match
-    return selectedValues.includes(itemValue);
+    return matchMultiSelectValue(itemValue, selectedValues, delimiter, matchMode);
   });
 };
 
@@ -243,8 +303,68 @@ export const applyNumericRangeFilter = (data, field, min, max) => {
   });
 };
 
+/**
+ * Groups items by a field and aggregates each group with performComputation
+ * @param {Array} data - Array of items
+ * @param {string} groupField - Field to group by (supports dot notation)
+ * @param {string} aggregation - performComputation type ('count', 'sum', 'count_distinct'...)
+ * @param {string|null} aggregationField - Field to aggregate (not needed for 'count')
+ * @param {Object} options - Options passed to performComputation (e.g., { convertToHours: true })
+ * @param {Array} [filterConditions] - Conditions of the items aggregated (applyMetricFilter format, e.g. expenses only)
+ * @returns {Map} Group value -> aggregated value (items without a group value are left out)
+ */
+export const computeGroupAggregates = (data, groupField, aggregation, aggregationField = null, options = {}, filterConditions = null) => {
+  const groups = new Map();
+  applyMetricFilter(data, { filterConditions }).forEach(item => {
+    const group = groupField.includes('.') ? getNestedValue(item, groupField) : item[groupField];
+    if (group === null || group === undefined || group === '') return;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(item);
+  });
+
+  const aggregates = new Map();
+  groups.forEach((items, group) => {
+    aggregates.set(group, Number(performComputation(items, aggregationField, aggregation, options)));
+  });
+  return aggregates;
+};
+
+/**
+ * Applies an aggregate ("having") filter: keeps the items whose group's
+ * aggregated value is within the range (e.g., artists with at least 50 plays).
+ * With filterConditions only the matching items are aggregated, but every
+ * item of a passing group is kept.
+ * @param {Array} data - Array of items to filter
+ * @param {string} groupField - Field to group by
+ * @param {Object} range - { min, max } bounds of the aggregated value (inclusive)
+ * @param {Object} aggregationConfig - { aggregation, aggregationField, computationOptions, filterConditions }
+ * @returns {Array} Filtered array
+ */
+export const applyHavingFilter = (data, groupField, range, { aggregation = 'count', aggregationField = null, computationOptions = {}, filterConditions = null } = {}) => {
+  const min = range?.min ?? null;
+  const max = range?.max ?? null;
+  if (min === null && max === null) {
+    return data;
+  }
+
+  const aggregates = computeGroupAggregates(data, groupField, aggregation, aggregationField, computationOptions, filterConditions);
+  const passingGroups = new Set();
+  aggregates.forEach((value, group) => {
+    if (isNaN(value)) return;
+    if (min !== null && value < min) return;
+    if (max !== null && value > max) return;
+    passingGroups.add(group);
+  });
+
+  return data.filter(item => {
+    const group = groupField.includes('.') ? getNestedValue(item, groupField) : item[groupField];
+    return passingGroups.has(group);
+  });
+};
+
 /**
  * Applies multiple filters to data in sequence
+ * Aggregate ("having") filters run last, on the rows left by the other filters.
  * @param {Array} data - Array of items to filter
  * @param {Object} filters - Object containing filter configurations
  * @param {Object} filterConfigs - Optional filter configuration mappings
@@ -253,8 +373,11 @@ export const applyNumericRangeFilter = (data, field, min, max) => {
 export const applyFilters = (data, filters, filterConfigs = {}) => {
   let filtered = [...data];
 
+  const filterKeys = Object.keys(filters);
+  const isHaving = (filterKey) => filterConfigs[filterKey]?.type === 'having';
+
   // Apply each filter
-  Object.keys(filters).forEach(filterKey => {
+  [...filterKeys.filter(key => !isHaving(key)), ...filterKeys.filter(isHaving)].forEach(filterKey => {
     const filterValue = filters[filterKey];
     const config = filterConfigs[filterKey];
 
@@ -282,6 +405,8 @@ export const applyFilters = (data, filters, filterConfigs = {}) => {
       filtered = applyTextSearchFilter(filtered, config.searchFields, filterValue);
     } else if (config?.type === 'numberrange' || config?.type === 'numericrange') {
       filtered = applyNumericRangeFilter(filtered, config.dataField, filterValue.min, filterValue.max);
+    } else if (config?.type === 'having') {
+      filtered = applyHavingFilter(filtered, config.dataField, filterValue, config);
     }
   });
 
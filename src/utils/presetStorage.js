@@ -0,0 +1,94 @@
+/**
+ * Filter Preset Storage
+ *
+ * Saved filter presets are kept per page as { presets, defaultId, updatedAt },
+ * where each preset is { id, name, query } and query is the canonical filter
+ * query string of FilteringPanel (see urlStateUtils.formatFilterParams).
+ *
+ * Presets always live in localStorage; with VITE_SYNC_FILTER_PRESETS=true they
+ * are also stored per user on the server (/api/presets) and the most recently
+ * updated copy wins.
+ */
+
+import { apiUrl } from '../config/config';
+
+const STORAGE_PREFIX = 'lifelog.filterPresets.';
+
+export const EMPTY_PRESETS = { presets: [], defaultId: null, updatedAt: 0 };
+
+const isPresetState = (value) => Boolean(value) && Array.isArray(value.presets);
+
+// ============================================================================
+// LOCAL STORAGE
+// ============================================================================
+
+/**
+ * Reads the presets of a page from localStorage
+ * @param {string} pageKey - Page path (e.g., '/music')
+ * @returns {Object} { presets, defaultId, updatedAt } (empty when missing or unreadable)
+ */
+export const loadLocalPresets = (pageKey) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + pageKey));
+    return isPresetState(stored) ? { ...EMPTY_PRESETS, ...stored } : EMPTY_PRESETS;
+  } catch {
+    return EMPTY_PRESETS;
+  }
+};
+
+/**
+ * Writes the presets of a page to localStorage (ignored when storage is unavailable)
+ * @param {string} pageKey - Page path
+ * @param {Object} state - { presets, defaultId, updatedAt }
+ */
+export const saveLocalPresets = (pageKey, state) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + pageKey, JSON.stringify(state));
+  } catch (error) {
+    console.warn('Cannot store filter presets:', error.message);
+  }
+};
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+const presetsUrl = (pageKey) => apiUrl(`/api/presets?page=${encodeURIComponent(pageKey)}`);
+
+/**
+ * Reads the presets of a page from the server
+ * @param {string} pageKey - Page path
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<Object|null>} Stored presets, null when none were saved
+ */
+export const fetchServerPresets = async (pageKey, { signal } = {}) => {
+  const response = await fetch(presetsUrl(pageKey), { credentials: 'include', signal });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return isPresetState(body) ? body : null;
+};
+
+/**
+ * Replaces the presets of a page on the server
+ * @param {string} pageKey - Page path
+ * @param {Object} state - { presets, defaultId, updatedAt }
+ * @returns {Promise<Object>} Stored presets
+ */
+export const saveServerPresets = async (pageKey, state) => {
+  const response = await fetch(presetsUrl(pageKey), {
+    method: 'PUT',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(state)
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `HTTP error! status: ${response.status}`);
+  }
+  return body;
+};
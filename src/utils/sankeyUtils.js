@@ -0,0 +1,126 @@
+/**
+ * Sankey Utilities
+ *
+ * Nodes and links drawn by SankeyChart: rows flow through ordered stages
+ * (e.g. income source -> account -> expense category -> subcategory), each
+ * stage reading one field of the rows it keeps.
+ */
+
+import { applyMetricFilter } from './computationUtils';
+
+// Default number of nodes kept per stage, the others are grouped into "Other"
+export const DEFAULT_MAX_NODES = 10;
+
+export const OTHER_NODE = 'Other';
+export const UNKNOWN_NODE = 'Unknown';
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+// Amount a row adds to its flows: the value field, or 1 per row without one
+const getRowValue = (row, valueField) => {
+  if (!valueField) return 1;
+  const rawValue = row[valueField];
+  if (isEmptyValue(rawValue)) return null;
+  const number = typeof rawValue === 'number' ? rawValue : Number(rawValue);
+  return Number.isFinite(number) ? number : null;
+};
+
+const getStageValue = (row, field) => (isEmptyValue(row[field]) ? UNKNOWN_NODE : String(row[field]).trim() || UNKNOWN_NODE);
+
+/**
+ * Builds the nodes and links of a Sankey diagram
+ * A row flows from a stage to the next one when both stages keep it (their
+ * filterConditions); rows without a positive value are left out. Nodes are
+ * unique per stage, so the same value can appear in two stages.
+ *
+ * @param {Array} rows - Data rows
+ * @param {Object} options
+ * @param {Array} options.stages - Ordered stages: [{ key, label, field, filterConditions }]
+ * @param {string} [options.valueField] - Field summed along the flows (rows are counted without it)
+ * @param {number} [options.maxNodesPerStage] - Largest nodes kept per stage, the others become "Other"
+ * @returns {Object} {
+ *   nodes - [{ key, name, stageKey, stageLabel, stageIndex, isOther, inValue, outValue, rows }],
+ *   links - [{ key, source, target, value, rows }] (source / target are node indices)
+ * }
+ */
+export const buildSankeyFlows = (rows, { stages = [], valueField, maxNodesPerStage = DEFAULT_MAX_NODES } = {}) => {
+  if (!Array.isArray(rows) || stages.length < 2) return { nodes: [], links: [] };
+
+  const valuedRows = rows.filter(row => getRowValue(row, valueField) > 0);
+  const stageRows = stages.map(stage => new Set(applyMetricFilter(valuedRows, stage)));
+
+  // Largest values of each stage keep their own node
+  const keptValues = stages.map((stage, index) => {
+    const totals = new Map();
+    stageRows[index].forEach(row => {
+      const value = getStageValue(row, stage.field);
+      totals.set(value, (totals.get(value) || 0) + getRowValue(row, valueField));
+    });
+    const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value);
+    return new Set(maxNodesPerStage > 0 ? ranked.slice(0, maxNodesPerStage) : ranked);
+  });
+
+  const nodeIndex = new Map();
+  const nodes = [];
+  const getNode = (stageIndex, row) => {
+    const stage = stages[stageIndex];
+    const value = getStageValue(row, stage.field);
+    const isOther = !keptValues[stageIndex].has(value);
+    const name = isOther ? OTHER_NODE : value;
+    const key = `${stage.key}:${name}`;
+
+    if (!nodeIndex.has(key)) {
+      nodeIndex.set(key, nodes.length);
+      nodes.push({
+        key,
+        name,
+        stageKey: stage.key,
+        stageLabel: stage.label,
+        stageIndex,
+        isOther,
+        inValue: 0,
+        outValue: 0,
+        rows: new Set()
+      });
+    }
+    return nodeIndex.get(key);
+  };
+
+  const linkIndex = new Map();
+  const links = [];
+  stages.slice(0, -1).forEach((stage, stageIndex) => {
+    stageRows[stageIndex].forEach(row => {
+      if (!stageRows[stageIndex + 1].has(row)) return;
+
+      const source = getNode(stageIndex, row);
+      const target = getNode(stageIndex + 1, row);
+      const key = `${nodes[source].key}->${nodes[target].key}`;
+      const value = getRowValue(row, valueField);
+
+      if (!linkIndex.has(key)) {
+        linkIndex.set(key, links.length);
+        links.push({ key, source, target, value: 0, rows: [] });
+      }
+      const link = links[linkIndex.get(key)];
+      link.value += value;
+      link.rows.push(row);
+
+      nodes[source].outValue += value;
+      nodes[source].rows.add(row);
+      nodes[target].inValue += value;
+      nodes[target].rows.add(row);
+    });
+  });
+
+  return {
+    nodes: nodes.map(node => ({ ...node, rows: [...node.rows] })),
+    links
+  };
+};
+
+/**
+ * Total of a node: what flows through it (the larger of its in and out flows)
+ * @param {Object} node - Node from buildSankeyFlows
+ * @returns {number}
+ */
+export const getNodeTotal = (node) => Math.max(node.inValue, node.outValue);
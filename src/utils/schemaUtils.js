@@ -0,0 +1,256 @@
+/**
+ * Schema Utilities
+ *
+ * Column type definitions and the conversion engine behind the dataset
+ * registry (config/datasets.js). Turns raw parsed CSV rows into typed rows:
+ * cleans strings, converts declared columns, computes derived columns and
+ * applies validation rules.
+ */
+
+// ============================================================================
+// VALUE CLEANING
+// ============================================================================
+
+// Helper function to clean UTF-8 strings
+const decodeUTF8 = (str) => {
+  if (!str) return str;
+
+  // Just remove control characters and trim
+  // Modern browsers handle UTF-8 correctly, no need for aggressive decoding
+  return str
+    .replace(/[\u0000-\u0019]/g, '') // Remove control characters
+    .trim();
+};
+
+// Clean a single parsed value
+export const cleanString = (str) => {
+  if (!str) return str;
+  // Remove null bytes and trim
+  return decodeUTF8(str.replace(/\u0000/g, '').trim());
+};
+
+// Parse a date and reject values outside a reasonable range (1990 - 2040)
+const parseDateValue = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime()) ||
+      parsed.getFullYear() < 1990 ||
+      parsed.getFullYear() > 2040) {
+    return null;
+  }
+  return parsed;
+};
+
+// Legacy date detection for undeclared columns
+// Excludes segment_start_time and segment_end_time which are HH:MM time strings, not dates
+const looksLikeDateColumn = (key) =>
+  (key.includes('date') ||
+   key.includes('timestamp') ||
+   key.includes('finish') ||
+   key.includes('start')) &&
+  !key.includes('segment_start_time') &&
+  !key.includes('segment_end_time');
+
+// ============================================================================
+// COLUMN TYPES
+// ============================================================================
+
+/**
+ * Column type declarations used by the dataset registry.
+ * Numeric types fall back to `fallback` when the value is empty or not a number.
+ *
+ * @example
+ * columns: {
+ *   my_rating: column.float(0),
+ *   runtime: column.int(),
+ *   date: column.date(),
+ *   is_new_artist: column.yesNo()
+ * }
+ */
+export const column = {
+  int: (fallback = null) => ({ type: 'int', fallback }),
+  float: (fallback = null) => ({ type: 'float', fallback }),
+  // Date object (invalid or out-of-range dates become null)
+  date: () => ({ type: 'date' }),
+  // ISO string, for columns consumed as strings
+  isoDate: () => ({ type: 'isoDate' }),
+  // 1/0 flags converted to 'Yes'/'No' for user-friendly filtering
+  yesNo: () => ({ type: 'yesNo' }),
+  // 'True'/'true' flags converted to booleans
+  boolean: () => ({ type: 'boolean' }),
+  // HH:MM time of day, zero-padded so values sort as strings
+  timeOfDay: () => ({ type: 'timeOfDay' }),
+  string: () => ({ type: 'string' })
+};
+
+/**
+ * Converts a time of day string (HH:MM) to minutes since midnight
+ * @param {string} timeString - Time string (e.g., '07:30')
+ * @returns {number} Minutes since midnight (0 when missing)
+ */
+export const timeOfDayToMinutes = (timeString) => {
+  if (!timeString) return 0;
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+const parseNumber = (value, parser, fallback) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value === 'number') return value;
+  const parsed = parser(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const parseTimeOfDay = (value) => {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{1,2}):(\d{2})/);
+  if (!match) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+};
+
+/**
+ * Converts a single value according to its column declaration
+ * @param {*} value - Raw (cleaned) value
+ * @param {Object} definition - Column declaration from `column.*`
+ * @returns {*} Converted value
+ */
+export const convertValue = (value, definition) => {
+  switch (definition.type) {
+    case 'int':
+      return parseNumber(value, v => parseInt(v, 10), definition.fallback);
+    case 'float':
+      return parseNumber(value, parseFloat, definition.fallback);
+    case 'date':
+      return parseDateValue(value);
+    case 'isoDate': {
+      const parsed = parseDateValue(value);
+      return parsed ? parsed.toISOString() : null;
+    }
+    case 'yesNo':
+      return parseInt(value, 10) === 1 || value === true ? 'Yes' : 'No';
+    case 'boolean':
+      return value === 'True' || value === true || value === 'true';
+    case 'timeOfDay':
+      return parseTimeOfDay(value);
+    case 'string':
+      return typeof value === 'string' ? value : (value ?? null);
+    default:
+      throw new Error(`Unknown column type: ${definition.type}`);
+  }
+};
+
+// ============================================================================
+// SCHEMA APPLICATION
+// ============================================================================
+
+// Report rows whose numeric values fall outside the declared ranges
+const reportRangeViolations = (rows, ranges, dataType) => {
+  Object.entries(ranges).forEach(([key, [min, max]]) => {
+    const violations = rows.filter(row => {
+      const value = row[key];
+      return typeof value === 'number' && (value < min || value > max);
+    });
+    if (violations.length > 0) {
+      console.warn(`${dataType}: ${violations.length} rows have ${key} outside [${min}, ${max}]`);
+    }
+  });
+};
+
+// Derived columns are either `(row) => value` or a typed declaration `{ ...column.date(), compute }`
+const getDerivedCompute = (definition) => (typeof definition === 'function' ? definition : definition.compute);
+
+// Declared (and typed derived) columns of a type
+const getColumnsOfType = (schema, type) => [
+  ...Object.entries(schema.columns || {}),
+  ...Object.entries(schema.derived || {})
+]
+  .filter(([, definition]) => typeof definition === 'object' && definition.type === type)
+  .map(([key]) => key);
+
+/**
+ * Applies a dataset schema to raw parsed rows
+ *
+ * Steps, in order:
+ * 1. Clean keys and string values; undeclared date-like columns become ISO strings
+ *    unless the schema sets `inferDateColumns: false`
+ * 2. Convert declared columns
+ * 3. Compute derived columns (in declaration order, each sees the previous ones)
+ * 4. Validate: drop rows missing `required` columns, warn about `ranges` violations
+ *
+ * @param {Array} rows - Raw rows as returned by Papa.parse
+ * @param {Object} schema - Dataset definition from the registry
+ * @param {string} dataType - Dataset key, used in validation messages
+ * @returns {Array} Typed rows
+ */
+export const applySchema = (rows, schema = {}, dataType = 'dataset') => {
+  const {
+    columns = {},
+    derived = {},
+    validation = {},
+    inferDateColumns = true
+  } = schema;
+  const columnEntries = Object.entries(columns);
+  const derivedEntries = Object.entries(derived).map(([key, definition]) => [key, getDerivedCompute(definition)]);
+  const required = validation.required || [];
+
+  const typedRows = rows.map(item => {
+    const row = {};
+
+    Object.entries(item).forEach(([key, value]) => {
+      const cleanKey = cleanString(key).trim();
+      if (inferDateColumns && !columns[cleanKey] && looksLikeDateColumn(cleanKey)) {
+        const parsed = parseDateValue(value);
+        row[cleanKey] = parsed ? parsed.toISOString() : null;
+      } else {
+        row[cleanKey] = typeof value === 'string' ? cleanString(value).trim() : value;
+      }
+    });
+
+    columnEntries.forEach(([key, definition]) => {
+      row[key] = convertValue(row[key], definition);
+    });
+
+    derivedEntries.forEach(([key, compute]) => {
+      row[key] = compute(row);
+    });
+
+    return row;
+  });
+
+  const validRows = required.length > 0
+    ? typedRows.filter(row => required.every(key => row[key] !== null && row[key] !== undefined && row[key] !== ''))
+    : typedRows;
+
+  if (validRows.length < typedRows.length) {
+    console.warn(`${dataType}: dropped ${typedRows.length - validRows.length} rows missing ${required.join(', ')}`);
+  }
+
+  if (validation.ranges) {
+    reportRangeViolations(validRows, validation.ranges, dataType);
+  }
+
+  return validRows;
+};
+
+/**
+ * Converts date columns of rows received as JSON back to Date objects
+ * @param {Array} rows - Rows from the data API
+ * @param {Object} schema - Dataset definition from the registry
+ * @returns {Array} Rows with Date objects for `column.date()` columns, declared or derived
+ */
+export const reviveDateColumns = (rows, schema = {}) => {
+  const dateKeys = getColumnsOfType(schema, 'date');
+  if (dateKeys.length === 0) return rows;
+
+  return rows.map(row => {
+    const revived = { ...row };
+    dateKeys.forEach(key => {
+      if (typeof revived[key] === 'string') {
+        revived[key] = parseDateValue(revived[key]);
+      }
+    });
+    return revived;
+  });
+};
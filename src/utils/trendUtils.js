@@ -0,0 +1,282 @@
+/**
+ * Trend Utilities
+ *
+ * Overlays computed from a continuous time series (one value per period, as
+ * built by buildTimeSeries): moving averages, linear and LOESS trends, and a
+ * projection to the end of the current year from the run rate and seasonality.
+ */
+
+import { shiftPeriodKey } from './aggregationUtils';
+
+export const TREND_OVERLAYS = ['none', 'moving-average', 'linear', 'loess', 'projection'];
+
+// Aggregations whose period values add up to a total
+export const ADDITIVE_AGGREGATIONS = ['count', 'sum', 'cumsum'];
+
+const PERIODS_PER_YEAR = { yearly: 1, quarterly: 4, monthly: 12, weekly: 52, daily: 364 };
+
+// Years of history used for the seasonal factors
+const SEASONALITY_YEARS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+const mean = (values) => (values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+// ============================================================================
+// SMOOTHING AND TRENDS
+// ============================================================================
+
+/**
+ * Trailing moving average (null until a full window is available)
+ * @param {Array<number>} values - Series values
+ * @param {number} window - Number of periods averaged
+ * @returns {Array<number|null>} Averages aligned with the values
+ */
+export const movingAverage = (values, window) => {
+  const size = Math.max(1, Math.round(window));
+  let sum = 0;
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= size) sum -= values[index - size];
+    return index >= size - 1 ? sum / size : null;
+  });
+};
+
+// Weighted least squares line through (x, y) points
+const fitLine = (xs, ys, weights) => {
+  let sumW = 0, sumX = 0, sumY = 0;
+  xs.forEach((x, i) => {
+    sumW += weights[i];
+    sumX += weights[i] * x;
+    sumY += weights[i] * ys[i];
+  });
+  if (sumW === 0) return null;
+
+  const meanX = sumX / sumW;
+  const meanY = sumY / sumW;
+  let covariance = 0, variance = 0;
+  xs.forEach((x, i) => {
+    covariance += weights[i] * (x - meanX) * (ys[i] - meanY);
+    variance += weights[i] * (x - meanX) ** 2;
+  });
+
+  const slope = variance === 0 ? 0 : covariance / variance;
+  return { slope, intercept: meanY - slope * meanX };
+};
+
+/**
+ * Least squares linear trend over the period index
+ * @param {Array<number>} values - Series values
+ * @returns {Array<number|null>} Fitted values (nulls for fewer than 2 points)
+ */
+export const linearTrend = (values) => {
+  if (values.length < 2) return values.map(() => null);
+  const xs = values.map((value, index) => index);
+  const line = fitLine(xs, values, values.map(() => 1));
+  return xs.map(x => line.intercept + line.slope * x);
+};
+
+/**
+ * LOESS trend: locally weighted linear regression with tricube weights
+ * @param {Array<number>} values - Series values
+ * @param {number} [bandwidth=0.3] - Share of the points used around each point
+ * @returns {Array<number|null>} Smoothed values (nulls for fewer than 3 points)
+ */
+export const loessTrend = (values, bandwidth = 0.3) => {
+  const n = values.length;
+  if (n < 3) return values.map(() => null);
+
+  const span = Math.min(n, Math.max(3, Math.ceil(bandwidth * n)));
+  const xs = values.map((value, index) => index);
+
+  return xs.map(x => {
+    // Nearest `span` points: a window around x, shifted at the edges
+    const start = Math.min(Math.max(0, x - Math.floor(span / 2)), n - span);
+    const windowXs = xs.slice(start, start + span);
+    const maxDistance = Math.max(x - windowXs[0], windowXs[windowXs.length - 1] - x) || 1;
+    const weights = windowXs.map(wx => (1 - (Math.abs(wx - x) / (maxDistance * 1.0001)) ** 3) ** 3);
+
+    const line = fitLine(windowXs, values.slice(start, start + span), weights);
+    return line ? line.intercept + line.slope * x : values[x];
+  });
+};
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+// Start and end (exclusive) of the period of a key, in local time
+const getPeriodBounds = (periodKey, bucket) => {
+  if (bucket === 'yearly') {
+    const year = Number(periodKey);
+    return [new Date(year, 0, 1), new Date(year + 1, 0, 1)];
+  }
+  if (bucket === 'quarterly') {
+    const [year, quarter] = periodKey.split('-Q').map(Number);
+    return [new Date(year, (quarter - 1) * 3, 1), new Date(year, quarter * 3, 1)];
+  }
+  const [year, month, day = 1] = periodKey.split('-').map(Number);
+  if (bucket === 'monthly') {
+    return [new Date(year, month - 1, 1), new Date(year, month, 1)];
+  }
+  const start = new Date(year, month - 1, day);
+  return [start, new Date(start.getTime() + (bucket === 'weekly' ? 7 : 1) * DAY_MS)];
+};
+
+// Position of a period within its year, the key of its seasonal factor
+const getSeasonKey = (periodKey, bucket) => {
+  const [start] = getPeriodBounds(periodKey, bucket);
+  if (bucket === 'monthly' || bucket === 'quarterly') return periodKey.slice(5);
+  if (bucket === 'weekly') {
+    const dayOfYear = Math.floor((start - new Date(start.getFullYear(), 0, 1)) / DAY_MS);
+    return String(Math.min(51, Math.floor(dayOfYear / 7)));
+  }
+  return String(start.getDay());
+};
+
+/**
+ * Projects a series to the end of the current year
+ * Remaining periods get the run rate (mean of the last year of complete
+ * periods) times their seasonal factor (ratio of that period of the year to
+ * the mean, over up to 3 previous years). A period still in progress gets its
+ * actual value plus the expected value of its remaining part. Cumulative
+ * series are projected on their increments. Nothing is projected when the
+ * series doesn't reach the current year; periods after the last one with data
+ * (e.g., an export a few weeks old) are projected like the coming ones.
+ * Hourly series aren't projected (thousands of hours to the year end).
+ *
+ * @param {Array} points - [{ period, value }] continuous series, period keys from getPeriodKey
+ * @param {Object} options
+ * @param {string} options.bucket - 'daily' | 'weekly' | 'monthly' | 'quarterly' | 'yearly'
+ * @param {string} options.aggregation - Aggregation of the values (cumsum is projected on increments)
+ * @param {Date} [options.today] - Reference date (default: now)
+ * @returns {Object|null} { projections: Map(period -> value), total } where total is the
+ *   expected year total for additive aggregations (null otherwise), or null without projection
+ */
+export const projectToYearEnd = (points, { bucket, aggregation, today = new Date() }) => {
+  if (points.length === 0 || bucket === 'hourly') return null;
+
+  const currentYear = today.getFullYear();
+  const lastPoint = points[points.length - 1];
+  const [lastStart, lastEnd] = getPeriodBounds(lastPoint.period, bucket);
+  if (lastEnd <= new Date(currentYear, 0, 1) || lastStart.getFullYear() > currentYear) return null;
+
+  const isCumulative = aggregation === 'cumsum';
+  const isAdditive = ADDITIVE_AGGREGATIONS.includes(aggregation);
+  const values = isCumulative
+    ? points.map((point, index) => point.value - (index > 0 ? points[index - 1].value : 0))
+    : points.map(point => point.value);
+
+  // The last period may still be in progress
+  const isPartial = today >= lastStart && today < lastEnd;
+  const elapsedShare = isPartial ? (today - lastStart) / (lastEnd - lastStart) : 1;
+  const complete = points
+    .map((point, index) => ({ period: point.period, value: values[index] }))
+    .slice(0, isPartial ? -1 : undefined)
+    .filter(point => isNumber(point.value));
+
+  const periodsPerYear = PERIODS_PER_YEAR[bucket] || 12;
+  let runRate = mean(complete.slice(-periodsPerYear).map(point => point.value));
+  if (runRate === null) {
+    // Only a period in progress: its pace is the run rate
+    if (!isPartial || elapsedShare === 0) return null;
+    runRate = isAdditive ? values[values.length - 1] / elapsedShare : values[values.length - 1];
+  }
+
+  // Seasonal factors from the last years of complete periods
+  const seasonal = new Map();
+  const history = complete.slice(-periodsPerYear * SEASONALITY_YEARS);
+  if (bucket !== 'yearly' && history.length >= periodsPerYear) {
+    const overallMean = mean(history.map(point => point.value));
+    const bySeason = new Map();
+    history.forEach(point => {
+      const key = getSeasonKey(point.period, bucket);
+      if (!bySeason.has(key)) bySeason.set(key, []);
+      bySeason.get(key).push(point.value);
+    });
+    if (overallMean) {
+      bySeason.forEach((seasonValues, key) => seasonal.set(key, mean(seasonValues) / overallMean));
+    }
+  }
+  const expectedValue = (periodKey) => runRate * (seasonal.get(getSeasonKey(periodKey, bucket)) ?? 1);
+
+  const increments = new Map();
+  if (isPartial) {
+    const actual = values[values.length - 1];
+    increments.set(lastPoint.period, isAdditive ? actual + expectedValue(lastPoint.period) * (1 - elapsedShare) : actual);
+  }
+
+  // Remaining periods starting in the current year
+  let periodKey = shiftPeriodKey(lastPoint.period, bucket, 1);
+  while (getPeriodBounds(periodKey, bucket)[0].getFullYear() === currentYear) {
+    increments.set(periodKey, expectedValue(periodKey));
+    periodKey = shiftPeriodKey(periodKey, bucket, 1);
+  }
+
+  if (increments.size === 0) return null;
+
+  // Cumulative series continue from the last complete running total
+  const projections = new Map();
+  let runningTotal = isCumulative ? (points[points.length - (isPartial ? 2 : 1)]?.value ?? 0) : 0;
+  increments.forEach((value, key) => {
+    runningTotal += value;
+    projections.set(key, isCumulative ? runningTotal : value);
+  });
+
+  let total = null;
+  if (isCumulative) {
+    total = runningTotal;
+  } else if (isAdditive) {
+    const actualThisYear = complete
+      .filter(point => getPeriodBounds(point.period, bucket)[0].getFullYear() === currentYear)
+      .reduce((sum, point) => sum + point.value, 0);
+    total = actualThisYear + [...increments.values()].reduce((sum, value) => sum + value, 0);
+  }
+
+  return { projections, total };
+};
+
+/**
+ * Adds a trend overlay to each point of a time series
+ * Moving averages and trends fill `trend` on the existing points. A projection
+ * fills `trend` from the last point (or the period in progress) and appends the
+ * remaining periods of the year as points without value.
+ *
+ * @param {Array} series - [{ period, value }] continuous series (buildTimeSeries)
+ * @param {string} mode - One of TREND_OVERLAYS
+ * @param {Object} options
+ * @param {number} [options.window=3] - Periods of the moving average
+ * @param {string} options.bucket - Bucket of the series
+ * @param {string} options.aggregation - Aggregation of the values
+ * @returns {Object} { series, projectedTotal } (projectedTotal: see projectToYearEnd)
+ */
+export const addTrendOverlay = (series, mode, { window = 3, bucket, aggregation }) => {
+  if (mode === 'none' || !TREND_OVERLAYS.includes(mode) || series.length === 0) {
+    return { series, projectedTotal: null };
+  }
+
+  if (mode === 'projection') {
+    const projection = projectToYearEnd(series, { bucket, aggregation });
+    if (!projection) return { series, projectedTotal: null };
+
+    const lastIndex = series.length - 1;
+    const lastPeriod = series[lastIndex].period;
+    const projected = series.map((point, index) => ({
+      ...point,
+      // The projection line starts at the last value
+      trend: projection.projections.get(point.period) ?? (index === lastIndex ? point.value : null)
+    }));
+    projection.projections.forEach((value, period) => {
+      if (period > lastPeriod) projected.push({ period, value: null, trend: value });
+    });
+    return { series: projected, projectedTotal: projection.total };
+  }
+
+  const values = series.map(point => point.value);
+  const trend = mode === 'moving-average'
+    ? movingAverage(values, window)
+    : mode === 'linear' ? linearTrend(values) : loessTrend(values);
+  return { series: series.map((point, index) => ({ ...point, trend: trend[index] })), projectedTotal: null };
+};
@@ -0,0 +1,230 @@
+/**
+ * URL State Utilities
+ *
+ * Serialises view state (filters, tabs, sort order, chart choices) to query
+ * string parameters and back, so a view can be bookmarked and shared.
+ *
+ * Filter parameters are named after the filter key (its field) and omitted
+ * while the filter is at its default:
+ * - multiselect / hierarchical: one parameter per value (?genre=jazz&genre=rock)
+ * - multiselect exclusions and match mode: <key>.exclude and <key>.match
+ *   (?genre.exclude=pop&cast=A&cast=B&cast.match=all)
+ * - singleselect / single hierarchical: the selected value
+ * - daterange: start..end as YYYY-MM-DD, either side may be empty (?date=2023-01-01..),
+ *   or a relative preset id resolved again on every load (?date=last-30-days)
+ * - numberrange: min..max (?rating=3..5)
+ * - having: min..max of the group aggregate, keyed <field>.<aggregation> (?artist_name.count=50..)
+ */
+
+import { compactMultiSelectValue, normalizeMultiSelectValue } from './filterUtils';
+import { resolveDatePreset } from './dateUtils';
+
+const RANGE_SEPARATOR = '..';
+const MATCH_MODES = ['any', 'all'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================================================
+// FILTER VALUES
+// ============================================================================
+
+/**
+ * Returns the unfiltered value of a filter
+ * @param {Object} config - Filter config built by FilteringPanel
+ * @returns {*} Default value for the filter type
+ */
+export const getDefaultFilterValue = (config) => {
+  switch (config.type) {
+    case 'multiselect':
+      return [];
+    case 'hierarchical':
+      return config.selectionMode === 'single' ? null : [];
+    case 'daterange':
+      return { startDate: null, endDate: null };
+    case 'numberrange':
+    case 'having':
+      return { min: null, max: null };
+    default:
+      return config.defaultValue || 'all';
+  }
+};
+
+const formatRange = (start, end) =>
+  (start === null && end === null) ? null : `${start ?? ''}${RANGE_SEPARATOR}${end ?? ''}`;
+
+const splitRange = (raw) => {
+  const [start = '', end = ''] = String(raw).split(RANGE_SEPARATOR);
+  return [start, end];
+};
+
+const parseNumber = (raw) => {
+  if (raw === '') return null;
+  const parsed = parseFloat(raw);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Serialises a filter value
+ * @param {Object} config - Filter config
+ * @param {*} value - Current filter value
+ * @returns {Array<string>} Parameter values (empty while the filter is at its default)
+ */
+export const encodeFilterValue = (config, value) => {
+  switch (config.type) {
+    case 'multiselect':
+      return normalizeMultiSelectValue(value).include.map(String);
+    case 'hierarchical':
+      if (Array.isArray(value)) return value.map(String);
+      return value ? [String(value)] : [];
+    case 'daterange': {
+      if (value?.preset) return [value.preset];
+      const range = formatRange(value?.startDate || null, value?.endDate || null);
+      return range ? [range] : [];
+    }
+    case 'numberrange':
+    case 'having': {
+      const range = formatRange(value?.min ?? null, value?.max ?? null);
+      return range ? [range] : [];
+    }
+    default:
+      return value && value !== getDefaultFilterValue(config) ? [String(value)] : [];
+  }
+};
+
+/**
+ * Parses a filter value, ignoring malformed parameters
+ * @param {Object} config - Filter config
+ * @param {Array<string>} values - Parameter values (URLSearchParams.getAll)
+ * @returns {*} Filter value (the default when nothing valid was given)
+ */
+export const decodeFilterValue = (config, values) => {
+  if (!values || values.length === 0) return getDefaultFilterValue(config);
+
+  switch (config.type) {
+    case 'multiselect':
+      return values;
+    case 'hierarchical':
+      return config.selectionMode === 'single' ? values[0] : values;
+    case 'daterange': {
+      const resolved = resolveDatePreset(values[0]);
+      if (resolved) return { ...resolved, preset: values[0] };
+      const [start, end] = splitRange(values[0]);
+      return {
+        startDate: ISO_DATE.test(start) ? start : null,
+        endDate: ISO_DATE.test(end) ? end : null
+      };
+    }
+    case 'numberrange':
+    case 'having': {
+      const [min, max] = splitRange(values[0]);
+      return { min: parseNumber(min), max: parseNumber(max) };
+    }
+    default:
+      return values[0];
+  }
+};
+
+// Parameters of a filter besides its main one (multiselect exclusions and match mode)
+const getExtraParamNames = (config) => (
+  config.type === 'multiselect' ? [`${config.key}.exclude`, `${config.key}.match`] : []
+);
+
+const readFilterParam = (params, config) => {
+  const value = decodeFilterValue(config, params.getAll(config.key));
+  if (config.type !== 'multiselect') return value;
+
+  const matchMode = params.get(`${config.key}.match`);
+  return compactMultiSelectValue({
+    include: value,
+    exclude: params.getAll(`${config.key}.exclude`),
+    matchMode: MATCH_MODES.includes(matchMode) ? matchMode : null
+  });
+};
+
+/**
+ * Returns true if the query parameters set any of the filters
+ * @param {URLSearchParams} params - Query parameters
+ * @param {Array} configs - Filter configs
+ * @returns {boolean}
+ */
+export const hasFilterParams = (params, configs) =>
+  configs.some(config => [config.key, ...getExtraParamNames(config)].some(name => params.has(name)));
+
+/**
+ * Reads every filter from query parameters
+ * @param {URLSearchParams} params - Query parameters
+ * @param {Array} configs - Filter configs
+ * @returns {Object} Filters state ({ [config.key]: value })
+ */
+export const readFilterParams = (params, configs) =>
+  Object.fromEntries(configs.map(config => [config.key, readFilterParam(params, config)]));
+
+/**
+ * Writes every filter to query parameters (replacing previous values)
+ * @param {URLSearchParams} params - Query parameters, modified in place
+ * @param {Array} configs - Filter configs
+ * @param {Object} filters - Filters state
+ */
+export const writeFilterParams = (params, configs, filters) => {
+  configs.forEach(config => {
+    [config.key, ...getExtraParamNames(config)].forEach(name => params.delete(name));
+    encodeFilterValue(config, filters[config.key]).forEach(value => params.append(config.key, value));
+
+    if (config.type === 'multiselect') {
+      const { exclude, matchMode } = normalizeMultiSelectValue(filters[config.key]);
+      exclude.forEach(value => params.append(`${config.key}.exclude`, String(value)));
+      if (matchMode) params.set(`${config.key}.match`, matchMode);
+    }
+  });
+};
+
+/**
+ * Serialises filters to a canonical query string (used to compare states)
+ * @param {Array} configs - Filter configs
+ * @param {Object} filters - Filters state
+ * @returns {string} Query string without the leading '?'
+ */
+export const formatFilterParams = (configs, filters) => {
+  const params = new URLSearchParams();
+  writeFilterParams(params, configs, filters);
+  return params.toString();
+};
+
+// ============================================================================
+// SIMPLE VALUES
+// ============================================================================
+
+/**
+ * Builds a parser that only accepts known values (others fall back to the default)
+ * @param {Array<string>} allowed - Accepted values
+ * @returns {Function} (raw) => value or undefined
+ */
+export const oneOf = (allowed) => (raw) => (allowed.includes(raw) ? raw : undefined);
+
+/**
+ * Formats a sort order as a single parameter, '-' prefix for descending (same as the data API)
+ * @param {string} field - Sort field
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {string} e.g. '-timestamp'
+ */
+export const formatSortParam = (field, direction) => `${direction === 'desc' ? '-' : ''}${field}`;
+
+/**
+ * Parses a sort parameter
+ * @param {string} raw - e.g. '-timestamp'
+ * @returns {Object} { field, direction }
+ */
+export const parseSortParam = (raw) => (
+  raw.startsWith('-')
+    ? { field: raw.slice(1), direction: 'desc' }
+    : { field: raw, direction: 'asc' }
+);
+
+/**
+ * Turns a chart title into a parameter prefix
+ * @param {string} text - e.g. 'Top Music Analysis'
+ * @returns {string} e.g. 'top-music-analysis'
+ */
+export const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
@@ -0,0 +1,94 @@
+// src/workers/datasetLoader.js
+// Main-thread client for the dataset worker. Falls back to parsing on the
+// main thread when Web Workers are not available.
+import { downloadDatasetFile, parseDatasetText } from '../utils/datasetParser';
+import { computeContentVersion } from '../utils/datasetCache';
+import { unpackRows } from './rowTransfer';
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+// Route worker messages to the request that triggered them
+const handleWorkerMessage = (event) => {
+  const { id, type, progress, message, packed, ...result } = event.data;
+  const request = pendingRequests.get(id);
+  if (!request) return;
+
+  if (type === 'progress') {
+    request.onProgress?.(progress);
+    return;
+  }
+
+  pendingRequests.delete(id);
+  if (type === 'error') {
+    request.reject(new Error(message));
+  } else {
+    request.resolve(packed ? { ...result, rows: unpackRows(packed) } : result);
+  }
+};
+
+// Lazily create the shared worker; returns null when workers are unsupported
+const getWorker = () => {
+  if (worker !== null) return worker || null;
+
+  if (typeof Worker === 'undefined') {
+    worker = false;
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL('./datasetParser.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = (event) => {
+      console.error('Dataset worker crashed:', event.message);
+      pendingRequests.forEach(request => request.reject(new Error(event.message || 'Dataset worker error')));
+      pendingRequests.clear();
+      worker.terminate();
+      worker = null;
+    };
+  } catch (err) {
+    console.warn('Dataset worker unavailable, parsing on the main thread:', err);
+    worker = false;
+  }
+
+  return worker || null;
+};
+
+// Same pipeline as the worker, used when no worker can be created
+const loadOnMainThread = async ({ dataType, url, knownVersion, onProgress }) => {
+  const buffer = await downloadDatasetFile(url, onProgress);
+  const version = await computeContentVersion(buffer);
+  if (knownVersion && version === knownVersion) {
+    return { version, unchanged: true };
+  }
+
+  const csvText = new TextDecoder('utf-8').decode(buffer);
+  const rows = await parseDatasetText(csvText, dataType, onProgress);
+  return { version, rows };
+};
+
+/**
+ * Downloads and parses a dataset in the background
+ * @param {Object} options
+ * @param {string} options.dataType - Dataset key (e.g., 'music')
+ * @param {string} options.url - File URL
+ * @param {string} [options.knownVersion] - Content version already cached; skips parsing when unchanged
+ * @param {Function} [options.onProgress] - Receives { phase, current, total, percent }
+ * @returns {Promise<Object>} { version, rows } or { version, unchanged: true }
+ */
+export const loadDataset = ({ dataType, url, knownVersion = null, onProgress = null }) => {
+  // Workers resolve relative URLs against their own script, so pass an absolute one
+  const absoluteUrl = new URL(url, window.location.href).href;
+  const datasetWorker = getWorker();
+
+  if (!datasetWorker) {
+    return loadOnMainThread({ dataType, url: absoluteUrl, knownVersion, onProgress });
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pendingRequests.set(id, { resolve, reject, onProgress });
+    datasetWorker.postMessage({ id, dataType, url: absoluteUrl, knownVersion });
+  });
+};
@@ -0,0 +1,38 @@
+// src/workers/datasetParser.worker.js
+// Downloads and parses dataset files off the main thread.
+// Messages: { id, dataType, url, knownVersion } -> progress / result / error
+import { downloadDatasetFile, parseDatasetText } from '../utils/datasetParser';
+import { computeContentVersion } from '../utils/datasetCache';
+import { packRows } from './rowTransfer';
+
+self.onmessage = async (event) => {
+  const { id, dataType, url, knownVersion } = event.data;
+
+  // Only forward progress when the rounded percentage or phase changes
+  let lastProgressKey = null;
+  const reportProgress = (progress) => {
+    const progressKey = `${progress.phase}:${progress.percent}`;
+    if (progressKey === lastProgressKey) return;
+    lastProgressKey = progressKey;
+    self.postMessage({ id, type: 'progress', progress });
+  };
+
+  try {
+    const buffer = await downloadDatasetFile(url, reportProgress);
+    const version = await computeContentVersion(buffer);
+
+    // Unchanged content: the caller keeps its cached rows, skip parsing entirely
+    if (knownVersion && version === knownVersion) {
+      self.postMessage({ id, type: 'result', version, unchanged: true });
+      return;
+    }
+
+    const csvText = new TextDecoder('utf-8').decode(buffer);
+    const rows = await parseDatasetText(csvText, dataType, reportProgress);
+    // Columns are transferred, not cloned: no second copy of the dataset while posting
+    const { packed, transfer } = packRows(rows);
+    self.postMessage({ id, type: 'result', version, packed }, transfer);
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,99 @@
+// src/workers/rowTransfer.js
+// Columnar form of parsed rows, posted from the dataset worker as transferable
+// buffers: the worker hands its buffers over instead of the main thread
+// receiving a structured clone of every row object.
+// Numbers, dates and booleans become typed arrays, string columns one UTF-8
+// encoded JSON array; other columns (mixed types) are still cloned.
+
+const NULL_BOOLEAN = 255;
+
+const isNullish = (value) => value === null || value === undefined;
+
+// Kind of a column, from the values of every row
+const getColumnKind = (rows, key) => {
+  let kind = null;
+  for (const row of rows) {
+    const value = row[key];
+    if (isNullish(value)) continue;
+
+    let valueKind;
+    if (typeof value === 'number') valueKind = Number.isNaN(value) ? 'values' : 'number';
+    else if (value instanceof Date) valueKind = Number.isNaN(value.getTime()) ? 'values' : 'date';
+    else if (typeof value === 'boolean') valueKind = 'boolean';
+    else if (typeof value === 'string') valueKind = 'string';
+    else valueKind = 'values';
+
+    if (valueKind === 'values' || (kind && kind !== valueKind)) return 'values';
+    kind = valueKind;
+  }
+  return kind || 'values';
+};
+
+const packColumn = (rows, key) => {
+  const kind = getColumnKind(rows, key);
+  // Missing keys and undefined values only survive a plain clone
+  if (kind !== 'values' && rows.some(row => row[key] === undefined)) {
+    return { key, kind: 'values', values: rows.map(row => row[key]) };
+  }
+
+  switch (kind) {
+    case 'number':
+      // NaN marks null
+      return { key, kind, buffer: Float64Array.from(rows, row => row[key] ?? NaN).buffer };
+    case 'date':
+      return { key, kind, buffer: Float64Array.from(rows, row => (row[key] ? row[key].getTime() : NaN)).buffer };
+    case 'boolean':
+      return { key, kind, buffer: Uint8Array.from(rows, row => (row[key] === null ? NULL_BOOLEAN : Number(row[key]))).buffer };
+    case 'string':
+      return { key, kind, buffer: new TextEncoder().encode(JSON.stringify(rows.map(row => row[key]))).buffer };
+    default:
+      return { key, kind, values: rows.map(row => row[key]) };
+  }
+};
+
+const unpackColumn = ({ kind, buffer, values }) => {
+  switch (kind) {
+    case 'number':
+      return Array.from(new Float64Array(buffer), value => (Number.isNaN(value) ? null : value));
+    case 'date':
+      return Array.from(new Float64Array(buffer), value => (Number.isNaN(value) ? null : new Date(value)));
+    case 'boolean':
+      return Array.from(new Uint8Array(buffer), value => (value === NULL_BOOLEAN ? null : value === 1));
+    case 'string':
+      return JSON.parse(new TextDecoder('utf-8').decode(buffer));
+    default:
+      return values;
+  }
+};
+
+/**
+ * Packs rows into columns for postMessage
+ * @param {Array} rows - Typed rows (same keys on every row)
+ * @returns {Object} { packed: { length, columns }, transfer } - transfer lists the column buffers
+ */
+export const packRows = (rows) => {
+  const keys = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => keys.add(key)));
+
+  const columns = [...keys].map(key => packColumn(rows, key));
+  return {
+    packed: { length: rows.length, columns },
+    transfer: columns.filter(col => col.buffer).map(col => col.buffer)
+  };
+};
+
+/**
+ * Rebuilds the rows packed by packRows
+ * @param {Object} packed - { length, columns }
+ * @returns {Array} Rows
+ */
+export const unpackRows = ({ length, columns }) => {
+  const rows = Array.from({ length }, () => ({}));
+  columns.forEach(col => {
+    const values = unpackColumn(col);
+    for (let index = 0; index < length; index++) {
+      rows[index][col.key] = values[index];
+    }
+  });
+  return rows;
+};